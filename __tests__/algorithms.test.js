@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const {
+  EncryptoAuthError,
+  EncryptoConfigError,
+  EncryptoFormatError,
+  EncryptoService,
+  MockKeyProvider,
+} = require('../src/index');
+
+const keyHex = crypto.randomBytes(32).toString('hex');
+const sampleData = { id: 7, user: { email: 'jane@example.com', tags: ['a', 'b'] }, active: true };
+
+const hasGcmSiv = crypto.getCiphers().includes('aes-256-gcm-siv');
+const algorithms = ['aes-256-gcm', 'chacha20-poly1305', ...(hasGcmSiv ? ['aes-256-gcm-siv'] : [])];
+const encodings = ['base64', 'base64url', 'hex'];
+
+describe('algorithms and encodings', () => {
+  const combinations = algorithms.flatMap(algorithm => encodings.map(encoding => [algorithm, encoding]));
+
+  test.each(combinations)('should round-trip with %s and %s', (algorithm, encoding) => {
+    const service = new EncryptoService(keyHex, null, { algorithm, encoding });
+    expect(service.algorithm).toBe(algorithm);
+    expect(service.encoding).toBe(encoding);
+
+    const encrypted = service.encryptJsonObject(sampleData, { bindPath: true });
+    expect(service.decryptJsonObject(encrypted, { bindPath: true })).toEqual(sampleData);
+    // Any service with the key reads it: the envelope names the algorithm and encoding
+    expect(new EncryptoService(keyHex).decryptJsonObject(encrypted, { bindPath: true })).toEqual(sampleData);
+  });
+
+  test('should keep writing v2 envelopes with the defaults', () => {
+    const encrypted = new EncryptoService(keyHex).encryptJsonObject({ a: 'x' });
+    expect(encrypted.a).toMatch(/^v2\.default\.[A-Za-z0-9+/]{16}\./);
+  });
+
+  test('should record the algorithm and encoding in v3 envelopes', () => {
+    const chacha = new EncryptoService(keyHex, null, { algorithm: 'chacha20-poly1305', encoding: 'base64url' });
+    const { a } = chacha.encryptJsonObject({ a: 'a value with + and / after encoding?' });
+    expect(a).toMatch(/^v3\.c20p\.b64u\.default\./);
+    expect(a).toMatch(/^[A-Za-z0-9._-]+$/); // Safe in URLs and cookies, unescaped
+
+    const hex = new EncryptoService(keyHex, null, { encoding: 'hex' }).encryptJsonObject({ a: 'x' });
+    expect(hex.a).toMatch(/^v3\.a256gcm\.hex\.default\.[0-9a-f]{24}\.[0-9a-f]+\.[0-9a-f]{32}$/);
+  });
+
+  test('should decrypt documents mixing algorithms and encodings', async () => {
+    const services = [
+      new EncryptoService(keyHex),
+      new EncryptoService(keyHex, null, { algorithm: 'chacha20-poly1305', encoding: 'hex' }),
+      new EncryptoService(keyHex, null, { encoding: 'base64url' }),
+    ];
+    const mixed = {
+      first: services[0].encryptJsonObject('one'),
+      second: services[1].encryptJsonObject(2),
+      third: services[2].encryptJsonObject(['three']),
+    };
+    const expected = { first: 'one', second: 2, third: ['three'] };
+    for (const service of services) {
+      expect(service.decryptJsonObject(mixed)).toEqual(expected);
+    }
+    expect(await services[1].decryptJsonObjectAsync(mixed, { workers: 1 })).toEqual(expected);
+  });
+
+  test('should use the algorithm in worker threads and streams', async () => {
+    const service = new EncryptoService(keyHex, null, { algorithm: 'chacha20-poly1305', encoding: 'base64url' });
+    const encrypted = await service.encryptJsonObjectAsync(sampleData, { workers: 1 });
+    expect(encrypted.user.email).toMatch(/^v3\.c20p\.b64u\./);
+    expect(new EncryptoService(keyHex).decryptJsonObject(encrypted)).toEqual(sampleData);
+
+    const chunks = [];
+    for await (const chunk of Readable.from([JSON.stringify(sampleData)]).pipe(service.createEncryptStream())) chunks.push(chunk);
+    const streamed = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    expect(streamed.id).toMatch(/^v3\.c20p\.b64u\./);
+    expect(new EncryptoService(keyHex).decryptJsonObject(streamed)).toEqual(sampleData);
+  });
+
+  test('should pass the options through the other factories', async () => {
+    const service = await EncryptoService.fromKeyProvider(new MockKeyProvider(), { algorithm: 'chacha20-poly1305' });
+    expect(service.encryptJsonObject('x')).toMatch(/^v3\.c20p\.b64\./);
+  });
+});
+
+describe('decrypting v3 envelopes', () => {
+  const service = new EncryptoService(keyHex, null, { algorithm: 'chacha20-poly1305', encoding: 'hex' });
+
+  test('should detect tampering', () => {
+    const parts = service.encryptJsonObject('secret').split('.');
+    parts[5] = (parts[5][0] === 'a' ? 'b' : 'a') + parts[5].slice(1);
+    expect(() => service.decryptJsonObject(parts.join('.'))).toThrow(EncryptoAuthError);
+
+    // Relabeling a value with another algorithm fails authentication too
+    const relabeled = service.encryptJsonObject('secret').replace('v3.c20p.', 'v3.a256gcm.');
+    expect(() => service.decryptJsonObject(relabeled)).toThrow(EncryptoAuthError);
+  });
+
+  test('should reject malformed envelopes', () => {
+    const parts = service.encryptJsonObject('secret').split('.');
+    const withPart = (index, part) => Object.assign([...parts], { [index]: part }).join('.');
+    expect(() => service.decryptJsonObject(withPart(1, 'rot13'))).toThrow('unknown algorithm "rot13"');
+    expect(() => service.decryptJsonObject(withPart(2, 'b32'))).toThrow('unknown encoding "b32"');
+    expect(() => service.decryptJsonObject(withPart(4, parts[4].toUpperCase()))).toThrow(EncryptoFormatError);
+    expect(() => service.decryptJsonObject(withPart(4, 'abcd'))).toThrow('the nonce must be 12 bytes of hex');
+    expect(() => service.decryptJsonObject(withPart(6, 'zz'))).toThrow('the tag must be 16 bytes of hex');
+  });
+});
+
+describe('reencryptJsonObject', () => {
+  test('should move values to the configured algorithm and encoding', () => {
+    const legacy = new EncryptoService(keyHex).encryptJsonObject(sampleData);
+    const chacha = new EncryptoService(keyHex, null, { algorithm: 'chacha20-poly1305', encoding: 'base64url' });
+
+    const migrated = chacha.reencryptJsonObject(legacy);
+    expect(migrated.user.email).toMatch(/^v3\.c20p\.b64u\.default\./);
+    expect(chacha.decryptJsonObject(migrated)).toEqual(sampleData);
+
+    // Values already in the configured form are kept as is
+    expect(chacha.reencryptJsonObject(migrated)).toEqual(migrated);
+    expect(new EncryptoService(keyHex).reencryptJsonObject(migrated).user.email).toMatch(/^v2\./);
+  });
+});
+
+describe('options', () => {
+  test('should reject unknown algorithms and encodings', () => {
+    expect(() => new EncryptoService(keyHex, null, { algorithm: 'aes-256-cbc' })).toThrow(EncryptoConfigError);
+    expect(() => new EncryptoService(keyHex, null, { algorithm: 'aes-256-cbc' })).toThrow('Unsupported algorithm "aes-256-cbc"');
+    expect(() => new EncryptoService(keyHex, null, { encoding: 'utf8' })).toThrow('Unsupported encoding "utf8"');
+  });
+
+  (hasGcmSiv ? test.skip : test)('should report AES-GCM-SIV as unsupported where Node.js lacks it', () => {
+    expect(() => new EncryptoService(keyHex, null, { algorithm: 'aes-256-gcm-siv' }))
+      .toThrow('Supported in this Node.js build: "aes-256-gcm", "chacha20-poly1305".');
+    const envelope = new EncryptoService(keyHex, null, { encoding: 'hex' }).encryptJsonObject('x').replace('.a256gcm.', '.a256gcmsiv.');
+    expect(() => new EncryptoService(keyHex).decryptJsonObject(envelope)).toThrow("this build of Node.js doesn't support");
+  });
+});
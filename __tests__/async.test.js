@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const { Worker } = require('worker_threads');
+
+const { CipherWorkerPool, EncryptoLimitError, EncryptoService } = require('../src/index');
+
+const encryptoService = new EncryptoService(crypto.randomBytes(32).toString('hex'));
+
+const sampleData = {
+  user: { name: 'Async User', age: 42, createdAt: new Date('2024-01-01T00:00:00Z') },
+  tags: ['a', 'b', null, true],
+  big: 10n,
+  missing: undefined,
+};
+
+// Builds { child: { child: ... { value } } } without recursion
+const buildDeep = (depth, value) => {
+  let node = { value };
+  for (let i = 0; i < depth; i++) node = { child: node };
+  return node;
+};
+
+const deepestValue = (node) => {
+  while (node.child) node = node.child;
+  return node.value;
+};
+
+describe('encryptJsonObjectAsync / decryptJsonObjectAsync', () => {
+  test('should round-trip like the synchronous methods', async () => {
+    const encryptedData = await encryptoService.encryptJsonObjectAsync(sampleData);
+    expect(encryptedData.user.name).toMatch(/^v2\./);
+    expect(Object.keys(encryptedData)).toEqual(Object.keys(sampleData));
+    expect('missing' in encryptedData).toBe(true);
+    expect(encryptedData.missing).toBeUndefined();
+
+    expect(encryptoService.decryptJsonObject(encryptedData)).toEqual(sampleData);
+    expect(await encryptoService.decryptJsonObjectAsync(encryptedData)).toEqual(sampleData);
+  });
+
+  test('should interoperate with the synchronous methods', async () => {
+    const encryptedData = encryptoService.encryptJsonObject(sampleData);
+    expect(await encryptoService.decryptJsonObjectAsync(encryptedData)).toEqual(sampleData);
+  });
+
+  test('should handle primitive and empty inputs', async () => {
+    expect(await encryptoService.decryptJsonObjectAsync(await encryptoService.encryptJsonObjectAsync('text'))).toBe('text');
+    expect(await encryptoService.encryptJsonObjectAsync({})).toEqual({});
+    expect(await encryptoService.encryptJsonObjectAsync([])).toEqual([]);
+    expect(await encryptoService.encryptJsonObjectAsync(undefined)).toBeUndefined();
+  });
+
+  test('should honor path rules and bindings', async () => {
+    const options = { include: ['user'], exclude: ['user.age'], bindPath: true, context: 'record-1' };
+    const encryptedData = await encryptoService.encryptJsonObjectAsync(sampleData, options);
+    expect(encryptedData.user.age).toBe(42);
+    expect(encryptedData.tags).toEqual(sampleData.tags);
+    expect(encryptedData.user.name).toMatch(/^v2\./);
+
+    expect(await encryptoService.decryptJsonObjectAsync(encryptedData, options)).toEqual(sampleData);
+    await expect(encryptoService.decryptJsonObjectAsync(encryptedData, { ...options, context: 'record-2' }))
+      .rejects.toThrow('bound to another field or context');
+  });
+
+  test('should handle documents nested too deeply for recursion', async () => {
+    const deep = buildDeep(20000, 'bottom');
+    expect(() => encryptoService.encryptJsonObject(deep)).toThrow(EncryptoLimitError); // maxDepth defaults to 512
+
+    const encryptedData = await encryptoService.encryptJsonObjectAsync(deep, { maxDepth: Infinity });
+    expect(deepestValue(encryptedData)).toMatch(/^v2\./);
+    const decryptedData = await encryptoService.decryptJsonObjectAsync(encryptedData, { maxDepth: Infinity });
+    expect(deepestValue(decryptedData)).toBe('bottom');
+  });
+
+  test('should yield to the event loop while working', async () => {
+    const data = Array.from({ length: 300 }, (_, i) => `value-${i}`);
+
+    let ranDuringCall = false;
+    setImmediate(() => { ranDuringCall = true; });
+    const encryptedData = await encryptoService.encryptJsonObjectAsync(data, { yieldEvery: 10 });
+    expect(ranDuringCall).toBe(true);
+
+    let ranWithoutYielding = false;
+    setImmediate(() => { ranWithoutYielding = true; });
+    expect(await encryptoService.decryptJsonObjectAsync(encryptedData, { yieldEvery: 100000 })).toEqual(data);
+    expect(ranWithoutYielding).toBe(false);
+  });
+
+  test('should reject failed values', async () => {
+    await expect(encryptoService.encryptJsonObjectAsync({ fn: () => {} })).rejects.toThrow('Unsupported value type "function"');
+    const encrypted = encryptoService.encryptJsonObject('secret');
+    const tampered = encrypted.replace(/\.[^.]+$/, `.${crypto.randomBytes(16).toString('base64')}`);
+    await expect(encryptoService.decryptJsonObjectAsync([tampered])).rejects.toThrow('Decryption failed');
+  });
+
+  test('should reject malformed async options', async () => {
+    await expect(encryptoService.encryptJsonObjectAsync({}, { yieldEvery: 0 })).rejects.toThrow('"yieldEvery" must be a positive integer');
+    await expect(encryptoService.encryptJsonObjectAsync({}, { workers: -1 })).rejects.toThrow('"workers" must be a positive integer');
+  });
+});
+
+describe('worker threads', () => {
+  const largeData = Array.from({ length: 600 }, (_, i) => ({ id: i, name: `user-${i}`, active: i % 2 === 0 }));
+
+  test('should encrypt and decrypt with a temporary pool', async () => {
+    const encryptedData = await encryptoService.encryptJsonObjectAsync(largeData, { workers: 2, bindPath: true });
+    expect(encryptedData[599].name).toMatch(/^v2\./);
+    expect(encryptoService.decryptJsonObject(encryptedData, { bindPath: true })).toEqual(largeData);
+    expect(await encryptoService.decryptJsonObjectAsync(encryptedData, { workers: 2, bindPath: true })).toEqual(largeData);
+  });
+
+  describe('with a shared pool', () => {
+    let pool;
+
+    beforeAll(() => {
+      pool = new CipherWorkerPool(2);
+    });
+
+    afterAll(async () => {
+      await pool.close();
+    });
+
+    test('should reuse the pool across calls', async () => {
+      expect(pool.size).toBe(2);
+      const first = await encryptoService.encryptJsonObjectAsync(largeData, { workers: pool });
+      const second = await encryptoService.encryptJsonObjectAsync(largeData, { workers: pool });
+      expect(first[0].name).not.toBe(second[0].name); // Fresh nonces in the workers too
+      expect(await encryptoService.decryptJsonObjectAsync(second, { workers: pool })).toEqual(largeData);
+    });
+
+    test('should report authentication failures from the workers', async () => {
+      const encryptedData = encryptoService.encryptJsonObject({ a: 'x', b: 'y' }, { bindPath: true });
+      const swapped = { a: encryptedData.b, b: encryptedData.a };
+      await expect(encryptoService.decryptJsonObjectAsync(swapped, { workers: pool, bindPath: true }))
+        .rejects.toThrow('bound to another field or context');
+    });
+
+    test('should leave values that are not encrypted untouched', async () => {
+      const data = { plain: 'a.b', number: 1, secret: encryptoService.encryptJsonObject('s') };
+      expect(await encryptoService.decryptJsonObjectAsync(data, { workers: pool })).toEqual({ plain: 'a.b', number: 1, secret: 's' });
+    });
+  });
+
+  test('should fail the batch of a worker that stops and replace the worker', async () => {
+    const pool = new CipherWorkerPool(1);
+    try {
+      expect(await encryptoService.encryptJsonObjectAsync(['x'], { workers: pool })).toHaveLength(1); // Started
+      // The worker stops while holding the next batch
+      jest.spyOn(Worker.prototype, 'postMessage').mockImplementationOnce(function () {
+        this.terminate();
+      });
+      await expect(encryptoService.encryptJsonObjectAsync(['x'], { workers: pool })).rejects.toThrow('Worker thread stopped with exit code 1');
+
+      expect(pool.size).toBe(1);
+      const encrypted = await encryptoService.encryptJsonObjectAsync({ a: 'x' }, { workers: pool });
+      expect(await encryptoService.decryptJsonObjectAsync(encrypted, { workers: pool })).toEqual({ a: 'x' });
+    } finally {
+      jest.restoreAllMocks();
+      await pool.close();
+    }
+  });
+
+  test('should reject work after the pool is closed', async () => {
+    const pool = new CipherWorkerPool(1);
+    await pool.close();
+    await expect(encryptoService.encryptJsonObjectAsync(['x'], { workers: pool })).rejects.toThrow('Worker pool was closed');
+  });
+
+  test('should reject invalid pool sizes', () => {
+    expect(() => new CipherWorkerPool(0)).toThrow('Worker pool size must be a positive integer');
+  });
+});
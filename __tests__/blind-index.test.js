@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { Readable, Writable } = require('stream');
+
+const { EncryptoConfigError, EncryptoService } = require('../src/index');
+const { BlindIndexer, isBlindIndex } = require('../src/blind-index');
+
+const keyHex = crypto.randomBytes(32).toString('hex');
+const blindIndexKey = crypto.randomBytes(32).toString('hex');
+const encryptoService = new EncryptoService(keyHex, null, { blindIndexKey });
+
+const users = {
+  users: [
+    { id: 1, email: 'jane@example.com', ssn: '123-45-6789' },
+    { id: 2, email: 'john@example.com', ssn: '987-65-4321' },
+  ],
+};
+const options = { blindIndex: ['users[*].email'] };
+
+describe('BlindIndexer', () => {
+  const indexer = new BlindIndexer(crypto.randomBytes(32));
+
+  test('should be deterministic, and scoped to the field and the value type', () => {
+    const index = indexer.compute('jane@example.com', 'email');
+    expect(index).toMatch(/^bi1\.[A-Za-z0-9_-]{22}$/);
+    expect(isBlindIndex(index)).toBe(true);
+    expect(indexer.compute('jane@example.com', 'email')).toBe(index);
+    expect(indexer.compute('jane@example.com', 'backupEmail')).not.toBe(index);
+    expect(indexer.compute(1, 'id')).not.toBe(indexer.compute('1', 'id'));
+    expect(new BlindIndexer(crypto.randomBytes(32)).compute('jane@example.com', 'email')).not.toBe(index);
+  });
+});
+
+describe('blindIndex', () => {
+  test('should store an index next to each indexed field, matching the lookup value', () => {
+    const encrypted = encryptoService.encryptJsonObject(users, options);
+    const [jane, john] = encrypted.users;
+    expect(Object.keys(jane)).toEqual(['id', 'email', 'email_bidx', 'ssn']);
+    expect(jane.email).toMatch(/^v2\./);
+    expect(jane.ssn_bidx).toBeUndefined();
+    expect(jane.email_bidx).toBe(encryptoService.blindIndex('jane@example.com', 'users[*].email'));
+    expect(jane.email_bidx).toBe(encryptoService.blindIndex('jane@example.com', ['users', 7, 'email']));
+    expect(john.email_bidx).not.toBe(jane.email_bidx);
+
+    // The ciphertexts stay randomized while the indexes are stable
+    const again = encryptoService.encryptJsonObject(users, options);
+    expect(again.users[0].email).not.toBe(jane.email);
+    expect(again.users[0].email_bidx).toBe(jane.email_bidx);
+  });
+
+  test('should drop the indexes on decryption and keep them on re-encryption', () => {
+    const encrypted = encryptoService.encryptJsonObject(users, options);
+    expect(encryptoService.decryptJsonObject(encrypted, options)).toEqual(users);
+    expect(encryptoService.decryptJsonObject(encrypted).users[0].email_bidx).toBe(encrypted.users[0].email_bidx);
+
+    const reencrypted = encryptoService.reencryptJsonObject(encrypted, { ...options, strict: true, exclude: ['**.id'] });
+    expect(reencrypted.users[0].email_bidx).toBe(encrypted.users[0].email_bidx);
+  });
+
+  test('should work with the async methods, a custom suffix and encryptKeys', async () => {
+    const custom = { blindIndex: ['**.email'], blindIndexSuffix: 'Index', encryptKeys: true };
+    const encrypted = await encryptoService.encryptJsonObjectAsync(users, custom);
+    expect(JSON.stringify(encrypted)).not.toContain('emailIndex');
+
+    const pseudonym = name => Object.keys(encryptoService.encryptJsonObject({ [name]: 0 }, { encryptKeys: true }))[0];
+    const jane = encrypted[pseudonym('users')][0];
+    expect(jane[pseudonym('emailIndex')]).toBe(encryptoService.blindIndex('jane@example.com', 'users[*].email'));
+
+    expect(await encryptoService.decryptJsonObjectAsync(encrypted, custom)).toEqual(users);
+    expect(encryptoService.decryptJsonObject(encrypted, custom)).toEqual(users);
+  });
+
+  test('should require a separate blind index key', () => {
+    expect(() => new EncryptoService(keyHex).encryptJsonObject(users, options)).toThrow(EncryptoConfigError);
+    expect(() => new EncryptoService(keyHex).blindIndex('x', 'email')).toThrow('require a "blindIndexKey"');
+    expect(() => new EncryptoService(keyHex, null, { blindIndexKey: keyHex })).toThrow('must differ from the encryption keys');
+    expect(() => new EncryptoService(keyHex, null, { blindIndexKey: 'abcd' })).toThrow('Invalid key length');
+    // Decrypting doesn't need the key
+    const encrypted = encryptoService.encryptJsonObject(users, options);
+    expect(new EncryptoService(keyHex).decryptJsonObject(encrypted, options)).toEqual(users);
+  });
+
+  test('should reject invalid options and the streaming methods', () => {
+    expect(() => encryptoService.encryptJsonObject(users, { blindIndex: 'email' })).toThrow('"blindIndex" must be an array');
+    expect(() => encryptoService.encryptJsonObject(users, { ...options, blindIndexSuffix: '' })).toThrow('"blindIndexSuffix"');
+    expect(() => encryptoService.createEncryptStream(options)).toThrow('not supported by the streaming methods');
+    expect(() => encryptoService.decryptStream(Readable.from(['{}']), new Writable(), options)).toThrow('not supported');
+  });
+});
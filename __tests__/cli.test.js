@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { Readable, Writable } = require('stream');
+
+const { EncryptoService } = require('../src/index');
+const { EXIT_AUTH_FAILURE, EXIT_FAILURE, EXIT_OK, EXIT_USAGE, run } = require('../src/cli');
+
+const keyHex = crypto.randomBytes(32).toString('hex');
+const encryptoService = new EncryptoService(keyHex);
+
+const output = () => {
+  const chunks = [];
+  const writable = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    },
+  });
+  writable.text = () => Buffer.concat(chunks).toString('utf8');
+  return writable;
+};
+
+// Runs the CLI in-process with the given stdin text (or text chunks) and environment
+const cli = async (argv, { stdin = '', env = { ENCRYPTO_KEY: keyHex } } = {}) => {
+  const stdout = output();
+  const stderr = output();
+  const exitCode = await run(argv, { stdin: Readable.from([].concat(stdin).map(chunk => Buffer.from(chunk))), stdout, stderr, env });
+  return { exitCode, stdout: stdout.text(), stderr: stderr.text() };
+};
+
+let tempDir;
+
+beforeAll(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'encrypto-cli-'));
+});
+
+afterAll(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('keygen', () => {
+  test('should print a new 32-byte hex key', async () => {
+    const first = await cli(['keygen']);
+    const second = await cli(['keygen']);
+    expect(first.exitCode).toBe(EXIT_OK);
+    expect(first.stdout.trim()).toMatch(/^[0-9a-f]{64}$/);
+    expect(first.stdout).not.toBe(second.stdout);
+  });
+
+  test('should print a keyring entry with --id', async () => {
+    const { stdout } = await cli(['keygen', '--id', '2024-06']);
+    const entry = JSON.parse(stdout);
+    expect(entry.id).toBe('2024-06');
+    expect(entry.key).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('should reject key ids the keyring would reject', async () => {
+    const { exitCode, stderr, stdout } = await cli(['keygen', '--id', '2024.06']);
+    expect(exitCode).toBe(EXIT_USAGE);
+    expect(stderr).toContain('Invalid key id "2024.06"');
+    expect(stdout).toBe('');
+  });
+
+  test('should write a private key file without overwriting', async () => {
+    const keyFile = path.join(tempDir, 'generated.key');
+    expect((await cli(['keygen', '--out', keyFile])).exitCode).toBe(EXIT_OK);
+    expect(fs.readFileSync(keyFile, 'utf8').trim()).toMatch(/^[0-9a-f]{64}$/);
+    if (process.platform !== 'win32') {
+      expect(fs.statSync(keyFile).mode & 0o777).toBe(0o600);
+    }
+
+    const again = await cli(['keygen', '--out', keyFile]);
+    expect(again.exitCode).toBe(EXIT_FAILURE);
+    expect(again.stderr).toContain('EEXIST');
+  });
+});
+
+describe('encrypt / decrypt', () => {
+  const document = { id: 1, email: 'jane@example.com', tags: ['a', 'b'] };
+
+  test('should encrypt stdin to stdout', async () => {
+    const { exitCode, stdout } = await cli(['encrypt'], { stdin: JSON.stringify(document) });
+    expect(exitCode).toBe(EXIT_OK);
+    const encrypted = JSON.parse(stdout);
+    expect(encrypted.email).toMatch(/^v2\./);
+    expect(encryptoService.decryptJsonObject(encrypted)).toEqual(document);
+  });
+
+  test('should round-trip files with path rules and bindings', async () => {
+    const input = path.join(tempDir, 'plain.json');
+    const encryptedFile = path.join(tempDir, 'encrypted.json');
+    const decryptedFile = path.join(tempDir, 'decrypted.json');
+    fs.writeFileSync(input, JSON.stringify(document));
+    const flags = ['--exclude', 'id', '--bind-path', '--context', 'record-1'];
+
+    expect((await cli(['encrypt', input, '-o', encryptedFile, ...flags])).exitCode).toBe(EXIT_OK);
+    const encrypted = JSON.parse(fs.readFileSync(encryptedFile, 'utf8'));
+    expect(encrypted.id).toBe(1);
+
+    expect((await cli(['decrypt', encryptedFile, '--out', decryptedFile, ...flags])).exitCode).toBe(EXIT_OK);
+    expect(JSON.parse(fs.readFileSync(decryptedFile, 'utf8'))).toEqual(document);
+    if (process.platform !== 'win32') {
+      expect(fs.statSync(decryptedFile).mode & 0o777).toBe(0o600);
+    }
+  });
+
+  test('should pseudonymize property names with --encrypt-keys', async () => {
+    const encrypted = await cli(['encrypt', '--encrypt-keys'], { stdin: JSON.stringify(document) });
+    expect(encrypted.exitCode).toBe(EXIT_OK);
+    expect(encrypted.stdout).not.toContain('email');
+
+    const decrypted = await cli(['decrypt'], { stdin: encrypted.stdout });
+    expect(JSON.parse(decrypted.stdout)).toEqual(document);
+  });
+
+  test('should encrypt with the chosen algorithm and encoding', async () => {
+    const encrypted = await cli(['encrypt', '--algorithm', 'chacha20-poly1305', '--encoding', 'base64url'], { stdin: JSON.stringify(document) });
+    expect(encrypted.exitCode).toBe(EXIT_OK);
+    expect(JSON.parse(encrypted.stdout).email).toMatch(/^v3\.c20p\.b64u\./);
+    expect(JSON.parse((await cli(['decrypt'], { stdin: encrypted.stdout })).stdout)).toEqual(document);
+
+    const rotated = await cli(['rotate'], { stdin: encrypted.stdout });
+    expect(JSON.parse(rotated.stdout).email).toMatch(/^v2\./);
+
+    const { exitCode, stderr } = await cli(['encrypt', '--algorithm', 'rot13'], { stdin: '"x"' });
+    expect(exitCode).toBe(EXIT_USAGE);
+    expect(stderr).toContain('Unsupported algorithm "rot13"');
+  });
+
+  test('should read keys from a key file', async () => {
+    const keyFile = path.join(tempDir, 'hex.key');
+    fs.writeFileSync(keyFile, `${keyHex}\n`);
+    const { exitCode, stdout } = await cli(['encrypt', '--key-file', keyFile], { stdin: '"x"', env: {} });
+    expect(exitCode).toBe(EXIT_OK);
+    expect(encryptoService.decryptJsonObject(JSON.parse(stdout))).toBe('x');
+
+    const viaEnv = await cli(['encrypt'], { stdin: '"x"', env: { ENCRYPTO_KEY_FILE: keyFile } });
+    expect(viaEnv.exitCode).toBe(EXIT_OK);
+  });
+
+  test('should exit with the authentication failure code on a bad auth tag', async () => {
+    const encrypted = encryptoService.encryptJsonObject({ secret: 'x' });
+    const otherKey = crypto.randomBytes(32).toString('hex');
+    const outFile = path.join(tempDir, 'should-not-exist.json');
+    const { exitCode, stderr } = await cli(['decrypt', '-o', outFile], {
+      stdin: JSON.stringify(encrypted),
+      env: { ENCRYPTO_KEY: otherKey },
+    });
+    expect(exitCode).toBe(EXIT_AUTH_FAILURE);
+    expect(stderr).toContain('unable to authenticate data');
+    expect(fs.existsSync(outFile)).toBe(false);
+  });
+
+  test('should replace an existing output file only once the output is complete', async () => {
+    const outFile = path.join(tempDir, 'existing.json');
+    fs.writeFileSync(outFile, 'keep', { mode: 0o644 });
+    const stdin = JSON.stringify(encryptoService.encryptJsonObject({ secret: 'x' }));
+
+    const failed = await cli(['decrypt', '-o', outFile], { stdin, env: { ENCRYPTO_KEY: crypto.randomBytes(32).toString('hex') } });
+    expect(failed.exitCode).toBe(EXIT_AUTH_FAILURE);
+    expect(fs.readFileSync(outFile, 'utf8')).toBe('keep');
+    expect(fs.readdirSync(tempDir).filter(name => name.endsWith('.tmp'))).toEqual([]);
+
+    expect((await cli(['decrypt', '-o', outFile], { stdin })).exitCode).toBe(EXIT_OK);
+    expect(JSON.parse(fs.readFileSync(outFile, 'utf8'))).toEqual({ secret: 'x' });
+    if (process.platform !== 'win32') {
+      expect(fs.statSync(outFile).mode & 0o777).toBe(0o600);
+    }
+  });
+
+  test('should encrypt a file in place', async () => {
+    const file = path.join(tempDir, 'in-place.json');
+    fs.writeFileSync(file, JSON.stringify(document));
+    expect((await cli(['encrypt', file, '--out', file])).exitCode).toBe(EXIT_OK);
+    expect(encryptoService.decryptJsonObject(JSON.parse(fs.readFileSync(file, 'utf8')))).toEqual(document);
+  });
+
+  test('should print no plaintext to stdout when a later value fails authentication', async () => {
+    const records = Array.from({ length: 200 }, (_, i) => ({ id: i, email: `user${i}@example.com` }));
+    const encrypted = encryptoService.encryptJsonObject(records);
+    encrypted[199].email = new EncryptoService(crypto.randomBytes(32).toString('hex')).encryptJsonObject('x');
+
+    const text = JSON.stringify(encrypted);
+    const stdin = [text.slice(0, text.length / 2), text.slice(text.length / 2)];
+    const { exitCode, stdout } = await cli(['decrypt'], { stdin });
+    expect(exitCode).toBe(EXIT_AUTH_FAILURE);
+    expect(stdout).toBe('');
+  });
+
+  test('should fail on invalid JSON', async () => {
+    const { exitCode, stderr } = await cli(['encrypt'], { stdin: '{"a": ' });
+    expect(exitCode).toBe(EXIT_FAILURE);
+    expect(stderr).toContain('Invalid JSON');
+  });
+});
+
+describe('rotate', () => {
+  test('should re-encrypt values under older keys using a keyring file', async () => {
+    const newKey = crypto.randomBytes(32).toString('hex');
+    const keyringFile = path.join(tempDir, 'keyring.json');
+    fs.writeFileSync(keyringFile, JSON.stringify({
+      activeKeyId: 'next',
+      keys: [{ id: 'default', key: keyHex }, { id: 'next', key: newKey }],
+    }));
+
+    const stale = encryptoService.encryptJsonObject({ a: 'x', b: ['y'] });
+    const { exitCode, stdout } = await cli(['rotate', '-k', keyringFile], { stdin: JSON.stringify(stale), env: {} });
+    expect(exitCode).toBe(EXIT_OK);
+
+    const rotated = JSON.parse(stdout);
+    expect(rotated.a.split('.')[1]).toBe('next');
+    expect(new EncryptoService({ keys: [{ id: 'next', key: newKey }] }).decryptJsonObject(rotated)).toEqual({ a: 'x', b: ['y'] });
+  });
+});
+
+describe('verify', () => {
+  test('should succeed when every value authenticates', async () => {
+    const encrypted = encryptoService.encryptJsonObject({ a: 'x', n: 1 });
+    const { exitCode, stdout, stderr } = await cli(['verify'], { stdin: JSON.stringify(encrypted) });
+    expect(exitCode).toBe(EXIT_OK);
+    expect(stdout).toBe('');
+    expect(stderr).toContain('OK');
+  });
+
+  test('should fail when a value was tampered with', async () => {
+    const encrypted = encryptoService.encryptJsonObject({ a: 'x', b: 'y' }, { bindPath: true });
+    const swapped = { a: encrypted.b, b: encrypted.a };
+    const { exitCode, stderr } = await cli(['verify', '--bind-path'], { stdin: JSON.stringify(swapped) });
+    expect(exitCode).toBe(EXIT_AUTH_FAILURE);
+    expect(stderr).toContain('Decryption failed');
+  });
+
+  test('should reject plain values with --strict', async () => {
+    const encrypted = encryptoService.encryptJsonObject({ a: 'x' });
+    const stdin = JSON.stringify({ ...encrypted, b: 'plain' });
+    expect((await cli(['verify'], { stdin })).exitCode).toBe(EXIT_OK);
+
+    const { exitCode, stderr } = await cli(['verify', '--strict'], { stdin });
+    expect(exitCode).toBe(EXIT_FAILURE);
+    expect(stderr).toContain('at "b"');
+  });
+});
+
+describe('usage errors', () => {
+  test('should print usage without a command', async () => {
+    const { exitCode, stdout } = await cli([]);
+    expect(exitCode).toBe(EXIT_USAGE);
+    expect(stdout).toContain('Usage: open-encrypto-object');
+    expect((await cli(['--help'])).exitCode).toBe(EXIT_OK);
+  });
+
+  test('should reject unknown commands and options', async () => {
+    expect((await cli(['explode'])).exitCode).toBe(EXIT_USAGE);
+    expect((await cli(['encrypt', '--key', keyHex])).exitCode).toBe(EXIT_USAGE);
+    expect((await cli(['encrypt', 'a', 'b'])).exitCode).toBe(EXIT_USAGE);
+  });
+
+  test('should require a key', async () => {
+    const { exitCode, stderr } = await cli(['encrypt'], { stdin: '{}', env: {} });
+    expect(exitCode).toBe(EXIT_USAGE);
+    expect(stderr).toContain('No key configured');
+  });
+
+  test('should report invalid keys as usage errors', async () => {
+    const { exitCode, stderr } = await cli(['encrypt'], { stdin: '{}', env: { ENCRYPTO_KEY: 'abcd' } });
+    expect(exitCode).toBe(EXIT_USAGE);
+    expect(stderr).toContain('Invalid key length');
+  });
+});
+
+describe('bin', () => {
+  const bin = path.join(__dirname, '..', 'bin', 'open-encrypto-object.js');
+  const exec = (args, input, env) => {
+    try {
+      const stdout = execFileSync(process.execPath, [bin, ...args], { input, env: { PATH: process.env.PATH, ...env }, encoding: 'utf8', stdio: 'pipe', timeout: 30000 });
+      return { status: 0, stdout };
+    } catch (error) {
+      return { status: error.status, stdout: error.stdout, stderr: error.stderr };
+    }
+  };
+
+  test('should run as a script and exit with the command\'s exit code', () => {
+    expect(fs.readFileSync(bin, 'utf8')).toMatch(/^#!\/usr\/bin\/env node\n/);
+
+    const encrypted = exec(['encrypt'], '{"a":"x"}', { ENCRYPTO_KEY: keyHex });
+    expect(encrypted.status).toBe(EXIT_OK);
+    expect(encryptoService.decryptJsonObject(JSON.parse(encrypted.stdout))).toEqual({ a: 'x' });
+
+    const otherKey = crypto.randomBytes(32).toString('hex');
+    expect(exec(['decrypt'], encrypted.stdout, { ENCRYPTO_KEY: otherKey }).status).toBe(EXIT_AUTH_FAILURE);
+    expect(exec(['encrypt'], '{}', {}).status).toBe(EXIT_USAGE);
+    expect(exec(['encrypt'], '{"a": ', { ENCRYPTO_KEY: keyHex }).status).toBe(EXIT_FAILURE);
+  });
+});
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+
+const {
+  EncryptoAuthError,
+  EncryptoConfigError,
+  EncryptoError,
+  EncryptoFormatError,
+  EncryptoKeyError,
+  EncryptoService,
+  Keyring,
+} = require('../src/index');
+
+const keyHex = crypto.randomBytes(32).toString('hex');
+const legacyIv = crypto.randomBytes(16).toString('hex');
+const encryptoService = new EncryptoService(keyHex, legacyIv);
+
+// Returns the error thrown by fn, failing the test if nothing is thrown
+const caught = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected an error to be thrown');
+};
+
+const tamper = (envelope) => {
+  const parts = envelope.split('.');
+  parts[2] = crypto.randomBytes(12).toString('base64');
+  return parts.join('.');
+};
+
+describe('typed errors', () => {
+  test('should report configuration errors as EncryptoConfigError', () => {
+    const error = caught(() => new EncryptoService('abcd'));
+    expect(error).toBeInstanceOf(EncryptoConfigError);
+    expect(error).toBeInstanceOf(EncryptoError);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe('EncryptoConfigError');
+    expect(caught(() => encryptoService.decryptJsonObject({}, { include: 'a' }))).toBeInstanceOf(EncryptoConfigError);
+    expect(caught(() => new Keyring({ keys: [] }))).toBeInstanceOf(EncryptoConfigError);
+  });
+
+  test('should report authentication failures as EncryptoAuthError with the path', () => {
+    const encrypted = encryptoService.encryptJsonObject({ user: { email: 'jane@example.com' } });
+    encrypted.user.email = tamper(encrypted.user.email);
+
+    const error = caught(() => encryptoService.decryptJsonObject(encrypted));
+    expect(error).toBeInstanceOf(EncryptoAuthError);
+    expect(error.path).toBe('user.email');
+    expect(error.message).toContain('at "user.email"');
+    expect(error.cause.message).toBe('Unsupported state or unable to authenticate data');
+  });
+
+  test('should report unknown key ids as EncryptoKeyError', () => {
+    const other = new EncryptoService({ keys: [{ id: 'other', key: crypto.randomBytes(32) }] });
+    const error = caught(() => encryptoService.decryptJsonObject([other.encryptJsonObject('x')]));
+    expect(error).toBeInstanceOf(EncryptoKeyError);
+    expect(error.path).toBe('[0]');
+    expect(error.message).toContain('Unknown key id "other"');
+  });
+
+  test('should report malformed envelopes as EncryptoFormatError', () => {
+    const parts = encryptoService.encryptJsonObject('x').split('.');
+    const badNonce = [...parts.slice(0, 2), 'AAAA', ...parts.slice(3)].join('.');
+    const badTag = [...parts.slice(0, 4), 'not base64!'].join('.');
+
+    expect(caught(() => encryptoService.decryptJsonObject({ a: badNonce }))).toBeInstanceOf(EncryptoFormatError);
+    expect(caught(() => encryptoService.decryptJsonObject({ a: badTag })).message).toContain('the tag must be 16 bytes');
+  });
+
+  test('should leave dotted plain values untouched even with a legacy IV', () => {
+    const data = { site: 'example.com', short: 'a.b', version: '1.2' };
+    expect(encryptoService.decryptJsonObject(data)).toEqual(data);
+  });
+});
+
+describe('strict mode', () => {
+  test('should reject leaves that are not envelopes', () => {
+    const encrypted = encryptoService.encryptJsonObject({ name: 'Jane', age: 42 });
+
+    const plainString = caught(() => encryptoService.decryptJsonObject({ ...encrypted, site: 'example.com' }, { strict: true }));
+    expect(plainString).toBeInstanceOf(EncryptoFormatError);
+    expect(plainString.path).toBe('site');
+
+    const plainNumber = caught(() => encryptoService.decryptJsonObject({ ...encrypted, age: 42 }, { strict: true }));
+    expect(plainNumber).toBeInstanceOf(EncryptoFormatError);
+    expect(plainNumber.path).toBe('age');
+
+    expect(encryptoService.decryptJsonObject(encrypted, { strict: true })).toEqual({ name: 'Jane', age: 42 });
+  });
+
+  test('should only check the selected leaves', () => {
+    const options = { include: ['email'], strict: true };
+    const encrypted = encryptoService.encryptJsonObject({ id: 7, email: 'jane@example.com' }, options);
+    expect(encryptoService.decryptJsonObject(encrypted, options)).toEqual({ id: 7, email: 'jane@example.com' });
+  });
+
+  test('should apply to the async, stream and re-encryption methods', async () => {
+    await expect(encryptoService.decryptJsonObjectAsync({ a: 'plain' }, { strict: true })).rejects.toBeInstanceOf(EncryptoFormatError);
+    await expect(encryptoService.decryptJsonObjectAsync({ a: 'plain' }, { strict: true, workers: 1 })).rejects.toBeInstanceOf(EncryptoFormatError);
+    expect(() => encryptoService.reencryptJsonObject({ a: 'plain' }, { strict: true })).toThrow(EncryptoFormatError);
+
+    const stream = encryptoService.createDecryptStream({ strict: true });
+    const failed = new Promise(resolve => stream.on('error', resolve));
+    stream.end('{"a":"plain"}');
+    expect(await failed).toBeInstanceOf(EncryptoFormatError);
+  });
+
+  test('should reject a non-boolean value', () => {
+    expect(() => encryptoService.decryptJsonObject({}, { strict: 'yes' })).toThrow('"strict" must be a boolean');
+  });
+});
+
+describe('collectErrors', () => {
+  const data = { name: 'Jane', cards: [{ pan: '4111111111111111' }, { pan: '5500005555555559' }] };
+
+  test('should decrypt what it can and list the failures', () => {
+    const encrypted = encryptoService.encryptJsonObject(data);
+    const tamperedPan = tamper(encrypted.cards[1].pan);
+    encrypted.cards[1].pan = tamperedPan;
+    encrypted.note = 'plain';
+
+    const { data: decrypted, errors } = encryptoService.decryptJsonObject(encrypted, { collectErrors: true, strict: true });
+    expect(decrypted).toEqual({ name: 'Jane', cards: [{ pan: '4111111111111111' }, { pan: tamperedPan }], note: 'plain' });
+    expect(errors.map(({ path }) => path)).toEqual(['cards[1].pan', 'note']);
+    expect(errors[0].error).toBeInstanceOf(EncryptoAuthError);
+    expect(errors[0].reason).toContain('Unsupported state or unable to authenticate data');
+    expect(errors[1].error).toBeInstanceOf(EncryptoFormatError);
+  });
+
+  test('should return an empty list when every value decrypts', () => {
+    const encrypted = encryptoService.encryptJsonObject(data);
+    expect(encryptoService.decryptJsonObject(encrypted, { collectErrors: true })).toEqual({ data, errors: [] });
+  });
+
+  test.each([
+    ['without workers', {}],
+    ['with workers', { workers: 1 }],
+  ])('should collect failures in decryptJsonObjectAsync %s', async (label, asyncOptions) => {
+    const encrypted = encryptoService.encryptJsonObject(data);
+    encrypted.cards[0].pan = tamper(encrypted.cards[0].pan);
+
+    const { data: decrypted, errors } = await encryptoService.decryptJsonObjectAsync(encrypted, { collectErrors: true, ...asyncOptions });
+    expect(decrypted.name).toBe('Jane');
+    expect(decrypted.cards[1].pan).toBe('5500005555555559');
+    expect(errors).toHaveLength(1);
+    expect(errors[0].path).toBe('cards[0].pan');
+    expect(errors[0].error).toBeInstanceOf(EncryptoAuthError);
+  });
+
+  test('should be rejected by methods that cannot return failures', () => {
+    expect(() => encryptoService.createDecryptStream({ collectErrors: true })).toThrow(EncryptoConfigError);
+    expect(() => encryptoService.reencryptJsonObject({}, { collectErrors: true })).toThrow('"collectErrors" is only supported');
+  });
+});
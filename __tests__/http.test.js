@@ -0,0 +1,347 @@
+const crypto = require('crypto');
+const http = require('http');
+
+const express = require('express');
+const Fastify = require('fastify');
+
+const {
+  EncryptoConfigError,
+  EncryptoService,
+  expressMiddleware,
+  fastifyPlugin,
+} = require('../src/index');
+
+const keyHex = crypto.randomBytes(32).toString('hex');
+const encryptoService = new EncryptoService(keyHex);
+
+const payment = { amount: 12, card: { pan: '4111111111111111', holder: 'Jane' } };
+const requestOptions = { include: ['card.pan'], bindPath: true };
+
+/**
+ * Starts a server running the middleware, then handler, on a free local port.
+ */
+const listen = (middleware, handler) => new Promise((resolve) => {
+  const server = http.createServer((req, res) => middleware(req, res, (error) => {
+    if (error) {
+      res.statusCode = 500;
+      res.end(error.message);
+    } else {
+      handler(req, res);
+    }
+  }));
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+// Starts an Express app on a free local port
+const listenExpress = app => new Promise((resolve) => {
+  const server = app.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const close = server => new Promise(resolve => server.close(resolve));
+
+const send = (server, { method = 'POST', path = '/', headers = {}, body } = {}) => new Promise((resolve, reject) => {
+  const { port } = server.address();
+  const req = http.request({ host: '127.0.0.1', port, method, path, headers }, (res) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      let json;
+      try {
+        json = JSON.parse(text);
+      } catch {
+        json = undefined;
+      }
+      resolve({ status: res.statusCode, headers: res.headers, text, json });
+    });
+  });
+  req.on('error', reject);
+  req.end(body);
+});
+
+const jsonHeaders = { 'Content-Type': 'application/json', 'X-Encrypto': 'v1' };
+
+// Answers with the body it received
+const echo = (req, res) => {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('ETag', '"plain"');
+  res.end(JSON.stringify({ received: req.body ?? null }));
+};
+
+describe('expressMiddleware', () => {
+  let server;
+
+  afterEach(async () => {
+    if (server) await close(server);
+    server = null;
+  });
+
+  test('should decrypt requests and encrypt responses', async () => {
+    server = await listen(expressMiddleware(encryptoService, { request: requestOptions }), echo);
+    const body = JSON.stringify(encryptoService.encryptJsonObject(payment, requestOptions));
+
+    const res = await send(server, { headers: jsonHeaders, body });
+    expect(res.status).toBe(200);
+    expect(res.headers['x-encrypto']).toBe('v1');
+    expect(res.headers.vary).toBe('X-Encrypto');
+    expect(res.headers.etag).toBeUndefined();
+    expect(Number(res.headers['content-length'])).toBe(Buffer.byteLength(res.text));
+    expect(res.text).not.toContain('4111');
+    expect(res.json.received.amount).toMatch(/^v2\./);
+    expect(encryptoService.decryptJsonObject(res.json)).toEqual({ received: payment });
+  });
+
+  test('should use a body parsed upstream, and responses written in pieces', async () => {
+    const parsed = (req, res, next) => {
+      req.body = encryptoService.encryptJsonObject(payment, requestOptions);
+      next();
+    };
+    const middleware = expressMiddleware(encryptoService, { request: requestOptions, response: { include: ['card.pan'] } });
+    server = await listen((req, res, next) => parsed(req, res, () => middleware(req, res, next)), (req, res) => {
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.write(JSON.stringify(req.body).slice(0, 10));
+      res.end(JSON.stringify(req.body).slice(10));
+    });
+
+    const res = await send(server, { headers: { 'X-Encrypto': 'v1' } });
+    expect(res.status).toBe(201);
+    expect(res.json.amount).toBe(12);
+    expect(res.json.card.pan).toMatch(/^v2\./);
+    expect(encryptoService.decryptJsonObject(res.json)).toEqual(payment);
+  });
+
+  test('should pass plain requests through, and leave other content alone', async () => {
+    server = await listen(expressMiddleware(encryptoService), (req, res) => {
+      res.setHeader('Content-Type', req.url === '/text' ? 'text/plain' : 'application/json');
+      res.end(req.url === '/text' ? 'hello' : '{"a":1}');
+    });
+
+    const plain = await send(server, { method: 'GET' });
+    expect(plain.json).toEqual({ a: 1 });
+    expect(plain.headers['x-encrypto']).toBeUndefined();
+    expect(plain.headers.vary).toBe('X-Encrypto');
+
+    const text = await send(server, { method: 'GET', path: '/text', headers: { 'X-Encrypto': 'v1' } });
+    expect(text.text).toBe('hello');
+  });
+
+  test('should answer failures with structured 4xx errors', async () => {
+    server = await listen(expressMiddleware(encryptoService, { request: requestOptions, bodyLimit: 1024 }), echo);
+    const encrypted = encryptoService.encryptJsonObject(payment, requestOptions);
+
+    const tamper = (value) => {
+      const parts = value.split('.');
+      parts[3] = (parts[3][0] === 'A' ? 'B' : 'A') + parts[3].slice(1);
+      return parts.join('.');
+    };
+    const changed = { ...encrypted, card: { ...encrypted.card, pan: tamper(encrypted.card.pan) } };
+    const tampered = await send(server, { headers: jsonHeaders, body: JSON.stringify(changed) });
+    expect(tampered.status).toBe(400);
+    expect(tampered.json).toEqual({ error: { code: 'ENCRYPTO_AUTH_FAILED', message: expect.any(String), path: 'card.pan' } });
+    expect(tampered.text).not.toContain(changed.card.pan);
+    expect(tampered.headers['x-encrypto']).toBeUndefined();
+
+    const unknownKey = await send(server, { headers: jsonHeaders, body: JSON.stringify({ ...encrypted, card: { pan: encrypted.card.pan.replace('v2.default.', 'v2.other.') } }) });
+    expect(unknownKey.json.error).toMatchObject({ code: 'ENCRYPTO_UNKNOWN_KEY', path: 'card.pan' });
+
+    const malformed = await send(server, { headers: jsonHeaders, body: JSON.stringify({ card: { pan: 'v2.default.x.y.z' } }) });
+    expect(malformed.json.error.code).toBe('ENCRYPTO_MALFORMED');
+
+    const invalid = await send(server, { headers: jsonHeaders, body: '{"card":' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.json.error.code).toBe('ENCRYPTO_INVALID_JSON');
+
+    const large = await send(server, { headers: jsonHeaders, body: JSON.stringify({ pad: 'x'.repeat(2048) }) });
+    expect(large.status).toBe(413);
+    expect(large.json.error.code).toBe('ENCRYPTO_BODY_TOO_LARGE');
+
+    const version = await send(server, { headers: { ...jsonHeaders, 'X-Encrypto': 'v9' }, body: '{}' });
+    expect(version.json.error.code).toBe('ENCRYPTO_UNSUPPORTED_VERSION');
+  });
+
+  test('should require the header when asked to', async () => {
+    server = await listen(expressMiddleware(encryptoService, { required: true }), echo);
+    const res = await send(server, { headers: { 'Content-Type': 'application/json' }, body: '{}' });
+    expect(res.status).toBe(400);
+    expect(res.json.error.code).toBe('ENCRYPTO_REQUIRED');
+  });
+
+  test('should bind values to a context computed from the request', async () => {
+    const context = req => `user:${req.headers['x-user']}`;
+    server = await listen(expressMiddleware(encryptoService, { request: { context }, response: { context } }), echo);
+    const body = JSON.stringify(encryptoService.encryptJsonObject({ note: 'hi' }, { context: 'user:1' }));
+
+    const own = await send(server, { headers: { ...jsonHeaders, 'X-User': '1' }, body });
+    expect(encryptoService.decryptJsonObject(own.json, { context: 'user:1' })).toEqual({ received: { note: 'hi' } });
+
+    const other = await send(server, { headers: { ...jsonHeaders, 'X-User': '2' }, body });
+    expect(other.json.error.code).toBe('ENCRYPTO_AUTH_FAILED');
+  });
+
+  test('should fail closed when a response can\'t be encrypted', async () => {
+    server = await listen(expressMiddleware(encryptoService), (req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end('{"card": not json');
+    });
+    const res = await send(server, { method: 'GET', headers: { 'X-Encrypto': 'v1' } });
+    expect(res.status).toBe(500);
+    expect(res.json.error.code).toBe('ENCRYPTO_RESPONSE_FAILED');
+    expect(res.text).not.toContain('not json');
+  });
+
+  test('should validate its options', () => {
+    expect(() => expressMiddleware({})).toThrow('needs an EncryptoService');
+    expect(() => expressMiddleware(encryptoService, { request: 'card.pan' })).toThrow(EncryptoConfigError);
+    expect(() => expressMiddleware(encryptoService, { bodyLimit: 0 })).toThrow('"bodyLimit" must be a positive integer');
+  });
+});
+
+describe('expressMiddleware in an Express app', () => {
+  let server;
+
+  afterEach(async () => {
+    if (server) await close(server);
+    server = null;
+  });
+
+  const app = (bodyParser) => {
+    const application = express();
+    if (bodyParser) application.use(express.json());
+    application.post('/payments', expressMiddleware(encryptoService, { request: requestOptions }), (req, res) => {
+      res.status(201).json({ received: req.body, parsedUpstream: bodyParser });
+    });
+    return application;
+  };
+
+  test.each([true, false])('should decrypt requests and encrypt responses with express.json() ahead: %s', async (bodyParser) => {
+    server = await listenExpress(app(bodyParser));
+    const body = JSON.stringify(encryptoService.encryptJsonObject(payment, requestOptions));
+
+    const res = await send(server, { path: '/payments', headers: jsonHeaders, body });
+    expect(res.status).toBe(201);
+    expect(res.headers['x-encrypto']).toBe('v1');
+    expect(res.headers.vary).toBe('X-Encrypto');
+    expect(res.headers.etag).toBeUndefined();
+    expect(Number(res.headers['content-length'])).toBe(Buffer.byteLength(res.text));
+    expect(res.text).not.toContain('4111');
+    expect(encryptoService.decryptJsonObject(res.json)).toEqual({ received: payment, parsedUpstream: bodyParser });
+  });
+
+  test.each([true, false])('should answer tampered requests with a structured error with express.json() ahead: %s', async (bodyParser) => {
+    server = await listenExpress(app(bodyParser));
+    const encrypted = encryptoService.encryptJsonObject(payment, requestOptions);
+    const swapped = { ...encrypted, card: { ...encrypted.card, pan: encryptoService.encryptJsonObject('5500000000000004') } };
+
+    const res = await send(server, { path: '/payments', headers: jsonHeaders, body: JSON.stringify(swapped) });
+    expect(res.status).toBe(400);
+    expect(res.json.error).toMatchObject({ code: 'ENCRYPTO_AUTH_FAILED', path: 'card.pan' });
+
+    const plain = await send(server, { path: '/payments', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payment) });
+    expect(plain.status).toBe(201);
+    expect(plain.json.received).toEqual(bodyParser ? payment : undefined); // Plain bodies are only read by a parser
+  });
+});
+
+describe('fastifyPlugin', () => {
+  const cardSchema = {
+    type: 'object',
+    required: ['card'],
+    properties: {
+      amount: { type: 'number' },
+      card: { type: 'object', properties: { pan: { type: 'string', pattern: '^[0-9]{16}$' }, holder: { type: 'string' } } },
+    },
+  };
+
+  // A Fastify instance with the plugin and the routes in one scope, and hooks recording what the app sees
+  const build = async (options, handler = request => request.body) => {
+    const fastify = Fastify();
+    const seen = { hooks: [] };
+    await fastify.register(async (scope) => {
+      scope.register(fastifyPlugin, { service: encryptoService, ...options });
+      scope.addHook('preValidation', async (request) => {
+        seen.hooks.push('preValidation');
+        seen.body = request.body;
+      });
+      scope.addHook('onSend', async (request, reply, payload) => {
+        seen.hooks.push('onSend');
+        seen.payload = payload;
+        return payload;
+      });
+      scope.post('/payments', { schema: { body: cardSchema } }, async (request) => {
+        seen.hooks.push('handler');
+        return handler(request);
+      });
+    });
+    await fastify.ready();
+    return { fastify, seen };
+  };
+
+  const post = (fastify, body, headers = { 'x-encrypto': 'v1' }) => fastify.inject({ method: 'POST', url: '/payments', headers, payload: body });
+
+  test('should decrypt bodies before validation and encrypt payloads before onSend', async () => {
+    const { fastify, seen } = await build({ request: requestOptions, response: { include: ['card.pan'] } });
+    expect(fastifyPlugin[Symbol.for('skip-override')]).toBe(true);
+
+    const res = await post(fastify, encryptoService.encryptJsonObject(payment, requestOptions));
+    expect(res.statusCode).toBe(200);
+    expect(seen.hooks).toEqual(['preValidation', 'handler', 'onSend']);
+    expect(seen.body).toEqual(payment); // The pattern of the schema only matches the decrypted number
+    expect(seen.payload).not.toContain('4111');
+    expect(res.headers['x-encrypto']).toBe('v1');
+    expect(res.headers.vary).toBe('X-Encrypto');
+
+    const body = res.json();
+    expect(body.amount).toBe(12);
+    expect(body.card.pan).toMatch(/^v2\./);
+    expect(encryptoService.decryptJsonObject(body)).toEqual(payment);
+    await fastify.close();
+  });
+
+  test('should pass plain requests through', async () => {
+    const { fastify } = await build({ request: requestOptions });
+    const res = await post(fastify, payment, {});
+    expect(res.json()).toEqual(payment);
+    expect(res.headers['x-encrypto']).toBeUndefined();
+    expect(res.headers.vary).toBe('X-Encrypto');
+    await fastify.close();
+  });
+
+  test('should answer failures with readable structured errors', async () => {
+    const handler = jest.fn();
+    const { fastify, seen } = await build({ request: requestOptions, required: true }, handler);
+
+    const encrypted = encryptoService.encryptJsonObject(payment, requestOptions);
+    const other = encryptoService.encryptJsonObject({ card: { pan: '5500000000000004' } }, { ...requestOptions, context: 'other' });
+    const swapped = { ...encrypted, card: { ...encrypted.card, pan: other.card.pan } };
+    const tampered = await post(fastify, swapped);
+    expect(tampered.statusCode).toBe(400);
+    expect(tampered.json().error).toMatchObject({ code: 'ENCRYPTO_AUTH_FAILED', path: 'card.pan' });
+    expect(tampered.headers['x-encrypto']).toBeUndefined();
+    expect(seen.hooks).toEqual(['onSend']); // Later preValidation hooks and the handler are skipped
+
+    const plain = await post(fastify, payment, {});
+    expect(plain.statusCode).toBe(400);
+    expect(plain.json().error.code).toBe('ENCRYPTO_REQUIRED');
+
+    const version = await post(fastify, payment, { 'x-encrypto': 'v9' });
+    expect(version.json().error.code).toBe('ENCRYPTO_UNSUPPORTED_VERSION');
+    expect(handler).not.toHaveBeenCalled();
+    await fastify.close();
+  });
+
+  test('should fail closed when a reply can\'t be encrypted', async () => {
+    const { fastify } = await build({ request: requestOptions }, request => ({ ...request.body, callback: Symbol('unsupported') }));
+    const res = await post(fastify, encryptoService.encryptJsonObject(payment, requestOptions));
+    expect(res.statusCode).toBe(500);
+    expect(res.json()).toEqual({ error: { code: 'ENCRYPTO_RESPONSE_FAILED', message: 'The response could not be encrypted.' } });
+    expect(res.body).not.toContain('4111');
+    expect(res.body).not.toContain('Jane');
+    await fastify.close();
+  });
+
+  test('should report invalid options to Fastify', async () => {
+    const fastify = Fastify();
+    fastify.register(fastifyPlugin, {});
+    await expect(fastify.ready()).rejects.toThrow('needs an EncryptoService');
+  });
+});
@@ -345,4 +345,272 @@ describe('decryptJsonObject', () => {
     expect(decryptedString).toBe(originalString);
   });
 
-});
\ No newline at end of file
+});
+
+describe('envelope format', () => {
+  test('should produce a v2 envelope with a 12-byte nonce', () => {
+    const encrypted = encryptoService.encryptJsonObject('envelope me');
+    const parts = encrypted.split('.');
+    expect(parts.length).toBe(5);
+    expect(parts[0]).toBe('v2');
+    expect(parts[1]).toBe('default');
+    expect(Buffer.from(parts[2], 'base64').length).toBe(12);
+    expect(Buffer.from(parts[4], 'base64').length).toBe(16);
+  });
+
+  test('should use a fresh nonce for every value', () => {
+    const data = { a: 'same', b: 'same' };
+    const encryptedData = encryptoService.encryptJsonObject(data);
+    expect(encryptedData.a).not.toBe(encryptedData.b);
+    expect(encryptedData.a.split('.')[2]).not.toBe(encryptedData.b.split('.')[2]);
+    expect(encryptoService.decryptJsonObject(encryptedData)).toEqual(data);
+  });
+
+  test('should not require an IV to encrypt and decrypt', () => {
+    const service = new EncryptoService(mockTestKey);
+    const data = { name: 'No IV', count: 3 };
+    expect(service.decryptJsonObject(service.encryptJsonObject(data))).toEqual(data);
+  });
+
+  test('should reject a tampered envelope', () => {
+    const encrypted = encryptoService.encryptJsonObject('tamper with me');
+    const parts = encrypted.split('.');
+    parts[2] = crypto.randomBytes(12).toString('base64');
+    expect(() => encryptoService.decryptJsonObject(parts.join('.'))).toThrow('Decryption failed');
+  });
+
+  test('should reject an invalid legacy IV', () => {
+    expect(() => new EncryptoService(mockTestKey, 'abcd')).toThrow('Invalid IV length');
+  });
+});
+
+describe('legacy format', () => {
+  // Reproduces the former 'data.tag' output, encrypted under the fixed constructor IV
+  const legacyEncrypt = (value) => {
+    const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(mockTestKey, 'hex'), Buffer.from(mockTestIv, 'hex'));
+    let encrypted = cipher.update(String(value), 'utf8', 'base64');
+    encrypted += cipher.final('base64');
+    return `${encrypted}.${cipher.getAuthTag().toString('base64')}`;
+  };
+
+  test('should decrypt legacy values when the legacy IV is supplied', () => {
+    const legacyData = {
+      name: legacyEncrypt('Legacy User'),
+      age: legacyEncrypt(42),
+      isActive: legacyEncrypt(true),
+    };
+    expect(encryptoService.decryptJsonObject(legacyData)).toEqual({
+      name: 'Legacy User',
+      age: 42,
+      isActive: true,
+    });
+  });
+
+  test('should decrypt a mix of legacy and v2 values', () => {
+    const mixedData = {
+      old: legacyEncrypt('old value'),
+      current: encryptoService.encryptJsonObject('new value'),
+    };
+    expect(encryptoService.decryptJsonObject(mixedData)).toEqual({
+      old: 'old value',
+      current: 'new value',
+    });
+  });
+
+  test('should leave legacy-looking values untouched without a legacy IV', () => {
+    const service = new EncryptoService(mockTestKey);
+    const legacyValue = legacyEncrypt('Legacy User');
+    expect(service.decryptJsonObject(legacyValue)).toBe(legacyValue);
+  });
+});
+
+describe('type preservation', () => {
+  const roundTrip = (value) => encryptoService.decryptJsonObject(encryptoService.encryptJsonObject(value));
+
+  test('should keep strings that look like other types as strings', () => {
+    const data = {
+      numeric: '123',
+      zipCode: '00123',
+      boolean: 'true',
+      nullish: 'null',
+      float: '1.50',
+      blank: '   ',
+      empty: '',
+    };
+    const decryptedData = roundTrip(data);
+    expect(decryptedData).toEqual(data);
+    expect(typeof decryptedData.numeric).toBe('string');
+    expect(typeof decryptedData.boolean).toBe('string');
+  });
+
+  test('should round-trip special numbers', () => {
+    expect(Object.is(roundTrip(-0), -0)).toBe(true);
+    expect(Number.isNaN(roundTrip(NaN))).toBe(true);
+    expect(roundTrip(Infinity)).toBe(Infinity);
+    expect(roundTrip(-Infinity)).toBe(-Infinity);
+    expect(roundTrip(Number.MAX_VALUE)).toBe(Number.MAX_VALUE);
+    expect(roundTrip(5e-324)).toBe(5e-324);
+  });
+
+  test('should round-trip booleans, null and bigints', () => {
+    expect(roundTrip(true)).toBe(true);
+    expect(roundTrip(false)).toBe(false);
+    expect(roundTrip(null)).toBeNull();
+    expect(roundTrip(12345678901234567890n)).toBe(12345678901234567890n);
+    expect(roundTrip(-1n)).toBe(-1n);
+  });
+
+  test('should round-trip Dates as single encrypted values', () => {
+    const createdAt = new Date('2024-02-29T12:34:56.789Z');
+    const encryptedData = encryptoService.encryptJsonObject({ createdAt });
+    expect(typeof encryptedData.createdAt).toBe('string');
+
+    const decryptedData = encryptoService.decryptJsonObject(encryptedData);
+    expect(decryptedData.createdAt).toBeInstanceOf(Date);
+    expect(decryptedData.createdAt.getTime()).toBe(createdAt.getTime());
+
+    const invalid = roundTrip(new Date('not a date'));
+    expect(invalid).toBeInstanceOf(Date);
+    expect(Number.isNaN(invalid.getTime())).toBe(true);
+  });
+
+  test('should round-trip unicode strings', () => {
+    const value = 'naïve café — 日本語 🔐';
+    expect(roundTrip(value)).toBe(value);
+  });
+
+  test('should reject values that cannot be encoded', () => {
+    expect(() => encryptoService.encryptJsonObject({ fn: () => {} })).toThrow('Unsupported value type "function"');
+    expect(() => encryptoService.encryptJsonObject(Symbol('secret'))).toThrow('Unsupported value type "symbol"');
+  });
+});
+
+describe('selective encryption', () => {
+  const record = {
+    id: 7,
+    createdAt: '2024-01-01',
+    status: 'active',
+    user: { email: 'jane@example.com', name: 'Jane', createdAt: '2024-01-02' },
+    cards: [
+      { pan: '4111111111111111', brand: 'visa' },
+      { pan: '5500000000000004', brand: 'mastercard' },
+    ],
+  };
+
+  test('should encrypt only included paths', () => {
+    const options = { include: ['user.email', 'cards[*].pan'] };
+    const encryptedData = encryptoService.encryptJsonObject(record, options);
+
+    expect(encryptedData.id).toBe(7);
+    expect(encryptedData.status).toBe('active');
+    expect(encryptedData.user.name).toBe('Jane');
+    expect(encryptedData.cards[0].brand).toBe('visa');
+    expect(encryptedData.user.email).toMatch(/^v2\./);
+    expect(encryptedData.cards[1].pan).toMatch(/^v2\./);
+
+    expect(encryptoService.decryptJsonObject(encryptedData, options)).toEqual(record);
+  });
+
+  test('should keep excluded paths in plain text', () => {
+    const options = { exclude: ['id', '**.createdAt'] };
+    const encryptedData = encryptoService.encryptJsonObject(record, options);
+
+    expect(encryptedData.id).toBe(7);
+    expect(encryptedData.createdAt).toBe('2024-01-01');
+    expect(encryptedData.user.createdAt).toBe('2024-01-02');
+    expect(encryptedData.status).toMatch(/^v2\./);
+    expect(encryptedData.user.name).toMatch(/^v2\./);
+
+    expect(encryptoService.decryptJsonObject(encryptedData, options)).toEqual(record);
+  });
+
+  test('should encrypt fields marked sensitive in a schema', () => {
+    const options = {
+      schema: {
+        properties: {
+          user: { properties: { email: { sensitive: true } } },
+          cards: { items: { properties: { pan: { sensitive: true } } } },
+        },
+      },
+    };
+    const encryptedData = encryptoService.encryptJsonObject(record, options);
+    expect(encryptedData.user.email).toMatch(/^v2\./);
+    expect(encryptedData.cards[0].pan).toMatch(/^v2\./);
+    expect(encryptedData.user.name).toBe('Jane');
+    expect(encryptoService.decryptJsonObject(encryptedData, options)).toEqual(record);
+  });
+
+  test('should not decrypt leaves outside the path rules', () => {
+    const encryptedData = encryptoService.encryptJsonObject(record);
+    const decryptedData = encryptoService.decryptJsonObject(encryptedData, { include: ['user.email'] });
+    expect(decryptedData.user.email).toBe('jane@example.com');
+    expect(decryptedData.user.name).toBe(encryptedData.user.name);
+  });
+});
+
+describe('associated data binding', () => {
+  test('should round-trip values bound to their paths and context', () => {
+    const options = { bindPath: true, context: 'tenant-1/user-42' };
+    const data = { salary: 100000, bonus: 5000, nested: { list: ['a', 'b'] } };
+    const encryptedData = encryptoService.encryptJsonObject(data, options);
+    expect(encryptoService.decryptJsonObject(encryptedData, options)).toEqual(data);
+  });
+
+  test('should reject a value moved to another field', () => {
+    const options = { bindPath: true };
+    const encryptedData = encryptoService.encryptJsonObject({ salary: 100000, bonus: 5000 }, options);
+    const swapped = { salary: encryptedData.bonus, bonus: encryptedData.salary };
+    expect(() => encryptoService.decryptJsonObject(swapped, options)).toThrow('bound to another field or context');
+  });
+
+  test('should reject a value moved to another array index', () => {
+    const options = { bindPath: true };
+    const encryptedData = encryptoService.encryptJsonObject(['first', 'second'], options);
+    expect(() => encryptoService.decryptJsonObject([encryptedData[1], encryptedData[0]], options)).toThrow('Decryption failed');
+  });
+
+  test('should reject a value moved to another record', () => {
+    const userA = encryptoService.encryptJsonObject({ ssn: '111-11-1111' }, { bindPath: true, context: 'user-a' });
+    const userB = encryptoService.encryptJsonObject({ ssn: '222-22-2222' }, { bindPath: true, context: 'user-b' });
+    expect(() => encryptoService.decryptJsonObject({ ssn: userA.ssn }, { bindPath: true, context: 'user-b' }))
+      .toThrow('bound to another field or context');
+    expect(encryptoService.decryptJsonObject(userB, { bindPath: true, context: 'user-b' })).toEqual({ ssn: '222-22-2222' });
+  });
+
+  test('should bind to the context alone without bindPath', () => {
+    const encryptedData = encryptoService.encryptJsonObject({ a: 'x', b: 'y' }, { context: 'record-1' });
+    const swapped = { a: encryptedData.b, b: encryptedData.a };
+    expect(encryptoService.decryptJsonObject(swapped, { context: 'record-1' })).toEqual({ a: 'y', b: 'x' });
+    expect(() => encryptoService.decryptJsonObject(encryptedData, { context: 'record-2' })).toThrow('Decryption failed');
+  });
+
+  test('should distinguish keys containing dots from nested keys', () => {
+    const options = { bindPath: true };
+    const encryptedData = encryptoService.encryptJsonObject({ 'a.b': 'dotted', a: { b: 'nested' } }, options);
+    const swapped = { 'a.b': encryptedData.a.b, a: { b: encryptedData['a.b'] } };
+    expect(() => encryptoService.decryptJsonObject(swapped, options)).toThrow('Decryption failed');
+  });
+
+  test('should fail when decrypting bound values without the binding', () => {
+    const encryptedData = encryptoService.encryptJsonObject({ a: 'x' }, { bindPath: true });
+    expect(() => encryptoService.decryptJsonObject(encryptedData)).toThrow('Decryption failed');
+  });
+
+  test('should keep values bound when re-encrypting', () => {
+    const options = { bindPath: true, context: 'record-1' };
+    const encryptedData = encryptoService.encryptJsonObject({ a: 'x' }, options);
+    const rotated = new EncryptoService({
+      keys: [{ id: 'default', key: mockTestKey }, { id: 'next', key: crypto.randomBytes(32) }],
+      activeKeyId: 'next',
+    });
+    const reencrypted = rotated.reencryptJsonObject(encryptedData, options);
+    expect(reencrypted.a.split('.')[1]).toBe('next');
+    expect(rotated.decryptJsonObject(reencrypted, options)).toEqual({ a: 'x' });
+    expect(() => rotated.decryptJsonObject(reencrypted)).toThrow('Decryption failed');
+  });
+
+  test('should reject malformed binding options', () => {
+    expect(() => encryptoService.encryptJsonObject({}, { bindPath: 'yes' })).toThrow('"bindPath" must be a boolean');
+    expect(() => encryptoService.encryptJsonObject({}, { context: 42 })).toThrow('"context" must be a string');
+  });
+});
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+
+const { EncryptoConfigError, EncryptoService } = require('../src/index');
+const { deriveKey } = require('../src/kdf');
+
+// The cheapest parameters allowed keep the tests fast; the defaults are exercised once below
+const fastScrypt = { kdf: 'scrypt', params: { N: 16384 } };
+const fastPbkdf2 = { kdf: 'pbkdf2', params: { iterations: 100000 } };
+
+describe('deriveKey', () => {
+  test('should derive a 32-byte key with the default scrypt parameters', async () => {
+    const { key, header } = await deriveKey('correct horse battery staple');
+    expect(key).toHaveLength(32);
+    expect(header.kdf).toBe('scrypt');
+    expect(header.params).toEqual({ N: 32768, r: 8, p: 1 });
+    expect(Buffer.from(header.salt, 'base64')).toHaveLength(16);
+  });
+
+  test('should match Node\'s scrypt and pbkdf2 for the same inputs', async () => {
+    const salt = crypto.randomBytes(16);
+
+    const scrypted = await deriveKey('passphrase', { ...fastScrypt, salt });
+    expect(scrypted.key).toEqual(crypto.scryptSync('passphrase', salt, 32, { N: 16384, r: 8, p: 1 }));
+
+    const pbkdf2ed = await deriveKey('passphrase', { ...fastPbkdf2, salt });
+    expect(pbkdf2ed.header.params).toEqual({ iterations: 100000, digest: 'sha256' });
+    expect(pbkdf2ed.key).toEqual(crypto.pbkdf2Sync('passphrase', salt, 100000, 32, 'sha256'));
+
+    const sha512ed = await deriveKey('passphrase', { kdf: 'pbkdf2', salt, params: { iterations: 100000, digest: 'sha512' } });
+    expect(sha512ed.key).toEqual(crypto.pbkdf2Sync('passphrase', salt, 100000, 32, 'sha512'));
+  });
+
+  test('should reproduce the key from its header', async () => {
+    const first = await deriveKey('passphrase', fastPbkdf2);
+    const second = await deriveKey('passphrase', JSON.parse(JSON.stringify(first.header)));
+    expect(second.key).toEqual(first.key);
+    expect((await deriveKey('other passphrase', first.header)).key).not.toEqual(first.key);
+  });
+
+  test('should reject invalid settings', async () => {
+    await expect(deriveKey('')).rejects.toThrow('non-empty string or Buffer');
+    await expect(deriveKey('p', { kdf: 'argon2' })).rejects.toThrow('Unsupported KDF "argon2"');
+    await expect(deriveKey('p', { salt: 'c2hvcnQ=' })).rejects.toThrow('at least 16 bytes');
+    await expect(deriveKey('p', { salt: 42 })).rejects.toThrow('Buffer or a base64 string');
+    await expect(deriveKey('p', { params: { N: 1000 } })).rejects.toThrow('power of two');
+    await expect(deriveKey('p', { params: { iterations: 1 } })).rejects.toThrow('Unknown scrypt parameter "iterations"');
+    await expect(deriveKey('p', { kdf: 'pbkdf2', params: { digest: 'nope' } })).rejects.toThrow(EncryptoConfigError);
+    await expect(deriveKey('p', { kdf: 'pbkdf2', params: { digest: 'md5' } })).rejects.toThrow('Unsupported pbkdf2 digest "md5". Use "sha256" or "sha512".');
+    await expect(deriveKey('p', { kdf: 'pbkdf2', params: { digest: 'sha1' } })).rejects.toThrow(EncryptoConfigError);
+  });
+
+  test('should reject parameters too weak to protect a passphrase', async () => {
+    await expect(deriveKey('p', { params: { N: 2 } })).rejects.toThrow('"N" must be between 16384 and 65536. Received 2.');
+    await expect(deriveKey('p', { params: { N: 8192 } })).rejects.toThrow(EncryptoConfigError);
+    await expect(deriveKey('p', { kdf: 'pbkdf2', params: { iterations: 1 } })).rejects.toThrow('"iterations" must be between 100000 and 10000000. Received 1.');
+    await expect(deriveKey('p', { kdf: 'pbkdf2', params: { iterations: 99999 } })).rejects.toThrow(EncryptoConfigError);
+  });
+
+  test('should reject headers that would exhaust memory or CPU before deriving anything', async () => {
+    const salt = crypto.randomBytes(16).toString('base64');
+    const tampered = (kdf, params) => deriveKey('p', { kdf, salt, params });
+    await expect(tampered('scrypt', { N: 2 ** 30 })).rejects.toThrow('"N" must be between 16384 and 65536');
+    await expect(tampered('scrypt', { N: 2 ** 17 })).rejects.toThrow('"N" must be between 16384 and 65536');
+    await expect(tampered('scrypt', { N: 2 ** 16, r: 16 })).rejects.toThrow('more than the 128 MiB allowed');
+    await expect(tampered('scrypt', { r: 1024 })).rejects.toThrow('must be at most 32 and 16');
+    await expect(tampered('scrypt', { p: 1000 })).rejects.toThrow('must be at most 32 and 16');
+    await expect(tampered('pbkdf2', { iterations: 1e9 })).rejects.toThrow(EncryptoConfigError);
+    await expect(EncryptoService.fromPassphrase('p', { kdf: 'scrypt', salt, params: { N: 2 ** 24, r: 8, p: 1 } })).rejects.toThrow(EncryptoConfigError);
+  });
+});
+
+describe('EncryptoService.fromPassphrase', () => {
+  test('should decrypt with a service derived again from the header', async () => {
+    const data = { user: 'jane', balance: 12.5 };
+    const writer = await EncryptoService.fromPassphrase('s3cret passphrase', fastScrypt);
+    const stored = { header: writer.kdfHeader, data: writer.encryptJsonObject(data) };
+
+    const reader = await EncryptoService.fromPassphrase('s3cret passphrase', JSON.parse(JSON.stringify(stored)).header);
+    expect(reader.decryptJsonObject(stored.data)).toEqual(data);
+
+    const wrong = await EncryptoService.fromPassphrase('wrong passphrase', stored.header);
+    expect(() => wrong.decryptJsonObject(stored.data)).toThrow('Decryption failed');
+  });
+
+  test('should use a fresh salt unless one is given', async () => {
+    const first = await EncryptoService.fromPassphrase('passphrase', fastPbkdf2);
+    const second = await EncryptoService.fromPassphrase('passphrase', fastPbkdf2);
+    expect(first.kdfHeader.salt).not.toBe(second.kdfHeader.salt);
+  });
+
+  test('should expose a copy of the header, and none for services created with a key', async () => {
+    const service = await EncryptoService.fromPassphrase('passphrase', fastScrypt);
+    service.kdfHeader.params.N = 2;
+    expect(service.kdfHeader.params.N).toBe(16384);
+    expect(new EncryptoService(crypto.randomBytes(32).toString('hex')).kdfHeader).toBeNull();
+  });
+});
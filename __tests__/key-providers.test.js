@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  EncryptoAuthError,
+  EncryptoConfigError,
+  EncryptoFormatError,
+  EncryptoKeyError,
+  EncryptoService,
+  LocalKeyProvider,
+  MockKeyProvider,
+} = require('../src/index');
+
+const document = { id: 1, email: 'jane@example.com', tags: ['a', 'b'] };
+
+describe('LocalKeyProvider', () => {
+  const masterKey = crypto.randomBytes(32).toString('hex');
+  const provider = new LocalKeyProvider(masterKey);
+
+  test('should generate random data keys and unwrap them', async () => {
+    const first = await provider.getDataKey();
+    const second = await provider.getDataKey();
+    expect(first.plaintextKey).toHaveLength(32);
+    expect(first.plaintextKey.equals(second.plaintextKey)).toBe(false);
+    expect(first.wrappedKey).toMatch(/^w1\.default\./);
+    expect(first.wrappedKey).not.toContain(first.plaintextKey.toString('base64'));
+
+    expect((await provider.unwrapDataKey(first.wrappedKey)).equals(first.plaintextKey)).toBe(true);
+  });
+
+  test('should reject tampered, foreign and malformed wrapped keys', async () => {
+    const { wrappedKey } = await provider.getDataKey();
+    const parts = wrappedKey.split('.');
+    const ciphertext = Buffer.from(parts[3], 'base64');
+    ciphertext[0] ^= 1;
+    const tampered = [...parts.slice(0, 3), ciphertext.toString('base64'), parts[4]].join('.');
+
+    await expect(provider.unwrapDataKey(tampered)).rejects.toThrow(EncryptoAuthError);
+    await expect(new LocalKeyProvider(crypto.randomBytes(32).toString('hex')).unwrapDataKey(wrappedKey))
+      .rejects.toThrow(EncryptoAuthError);
+    await expect(provider.unwrapDataKey(wrappedKey.replace('w1.default.', 'w1.other.'))).rejects.toThrow(EncryptoKeyError);
+    await expect(provider.unwrapDataKey('not-a-wrapped-key')).rejects.toThrow(EncryptoFormatError);
+  });
+
+  test('should unwrap keys wrapped under an older master key of its keyring', async () => {
+    const newMasterKey = crypto.randomBytes(32).toString('hex');
+    const rotated = new LocalKeyProvider({
+      keys: [{ id: 'default', key: masterKey }, { id: 'next', key: newMasterKey }],
+      activeKeyId: 'next',
+    });
+    const { plaintextKey, wrappedKey } = await provider.getDataKey();
+    expect((await rotated.unwrapDataKey(wrappedKey)).equals(plaintextKey)).toBe(true);
+    expect((await rotated.getDataKey()).wrappedKey).toMatch(/^w1\.next\./);
+  });
+
+  test('should read a master key or keyring from a file', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'encrypto-provider-'));
+    try {
+      const keyFile = path.join(tempDir, 'master.key');
+      fs.writeFileSync(keyFile, `${masterKey}\n`);
+      const fromFile = await LocalKeyProvider.fromFile(keyFile);
+      const { plaintextKey, wrappedKey } = await fromFile.getDataKey();
+      expect((await provider.unwrapDataKey(wrappedKey)).equals(plaintextKey)).toBe(true);
+
+      const keyringFile = path.join(tempDir, 'keyring.json');
+      fs.writeFileSync(keyringFile, JSON.stringify({ keys: [{ id: 'default', key: masterKey }] }));
+      expect(await (await LocalKeyProvider.fromFile(keyringFile)).unwrapDataKey(wrappedKey)).toEqual(plaintextKey);
+
+      fs.writeFileSync(keyringFile, '{ "keys": ');
+      await expect(LocalKeyProvider.fromFile(keyringFile)).rejects.toThrow('not a valid keyring');
+      await expect(LocalKeyProvider.fromFile(path.join(tempDir, 'missing.key'))).rejects.toThrow(EncryptoConfigError);
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should reject invalid master keys', () => {
+    expect(() => new LocalKeyProvider()).toThrow(EncryptoConfigError);
+    expect(() => new LocalKeyProvider('abcd')).toThrow('Invalid key length');
+  });
+});
+
+describe('EncryptoService with a key provider', () => {
+  test('should encrypt each document under its own data key', async () => {
+    const provider = new MockKeyProvider();
+    const first = await EncryptoService.encryptWithKeyProvider(provider, document, { exclude: ['id'] });
+    const second = await EncryptoService.encryptWithKeyProvider(provider, document, { exclude: ['id'] });
+    expect(first.wrappedKey).not.toBe(second.wrappedKey);
+    expect(first.data.id).toBe(1);
+    expect(first.data.email).toMatch(/^v2\.default\./);
+
+    expect(await EncryptoService.decryptWithKeyProvider(provider, first)).toEqual(document);
+    expect(await EncryptoService.decryptWithKeyProvider(provider, JSON.parse(JSON.stringify(second)))).toEqual(document);
+    expect(provider.calls).toEqual({ getDataKey: 2, unwrapDataKey: 2 });
+
+    // A data key can't decrypt another document
+    await expect(EncryptoService.decryptWithKeyProvider(provider, { wrappedKey: first.wrappedKey, data: second.data }))
+      .rejects.toThrow(EncryptoAuthError);
+  });
+
+  test('should reuse a data key through fromKeyProvider', async () => {
+    const provider = new MockKeyProvider();
+    const service = await EncryptoService.fromKeyProvider(provider);
+    expect(service.wrappedDataKey).toMatch(/^w1\.mock\./);
+    const encrypted = service.encryptJsonObject(document);
+
+    const reopened = await EncryptoService.fromKeyProvider(provider, { wrappedKey: service.wrappedDataKey });
+    expect(reopened.decryptJsonObject(encrypted)).toEqual(document);
+    expect(new EncryptoService(crypto.randomBytes(32).toString('hex')).wrappedDataKey).toBeNull();
+  });
+
+  test('should accept custom providers and validate what they return', async () => {
+    const dataKey = crypto.randomBytes(32);
+    const custom = {
+      getDataKey: async () => ({ plaintextKey: new Uint8Array(dataKey), wrappedKey: 'custom-wrapped' }),
+      unwrapDataKey: async wrappedKey => (wrappedKey === 'custom-wrapped' ? dataKey : null),
+    };
+    const { wrappedKey, data } = await EncryptoService.encryptWithKeyProvider(custom, document);
+    expect(new EncryptoService(dataKey.toString('hex')).decryptJsonObject(data)).toEqual(document);
+    expect(await EncryptoService.decryptWithKeyProvider(custom, { wrappedKey, data })).toEqual(document);
+
+    await expect(EncryptoService.fromKeyProvider({})).rejects.toThrow('must implement getDataKey()');
+    await expect(EncryptoService.fromKeyProvider(custom, { wrappedKey: 'other' })).rejects.toThrow(EncryptoConfigError);
+    await expect(EncryptoService.fromKeyProvider({ ...custom, getDataKey: async () => ({ plaintextKey: dataKey }) }))
+      .rejects.toThrow('wrapped data key must be a non-empty string');
+    await expect(EncryptoService.decryptWithKeyProvider(custom, data)).rejects.toThrow('"wrappedKey"');
+  });
+});
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+
+const { EncryptoService, Keyring } = require('../src/index');
+
+const oldKey = crypto.randomBytes(32).toString('hex');
+const newKey = crypto.randomBytes(32).toString('hex');
+
+const keyIdOf = (envelope) => envelope.split('.')[1];
+
+describe('Keyring', () => {
+  test('should expose the active key id and key ids', () => {
+    const keyring = new Keyring({
+      keys: [{ id: '2023', key: oldKey }, { id: '2024', key: Buffer.from(newKey, 'hex') }],
+      activeKeyId: '2024',
+    });
+    expect(keyring.activeKeyId).toBe('2024');
+    expect(keyring.keyIds).toEqual(['2023', '2024']);
+    expect(keyring.has('2023')).toBe(true);
+    expect(keyring.getKey('2024').toString('hex')).toBe(newKey);
+    expect(keyring.getKey('missing')).toBeUndefined();
+  });
+
+  test('should default the active key when there is only one', () => {
+    const keyring = new Keyring({ keys: [{ id: 'only', key: oldKey }] });
+    expect(keyring.activeKeyId).toBe('only');
+  });
+
+  test('should reject invalid configurations', () => {
+    expect(() => new Keyring()).toThrow('non-empty array of keys');
+    expect(() => new Keyring({ keys: [{ id: 'a.b', key: oldKey }] })).toThrow('Invalid key id "a.b"');
+    expect(() => new Keyring({ keys: [{ id: 'a', key: 'abcd' }] })).toThrow('Invalid key length for key "a"');
+    expect(() => new Keyring({ keys: [{ id: 'a' }] })).toThrow('must be a Buffer, a Uint8Array or a non-empty hex string');
+    expect(() => new Keyring({
+      keys: [{ id: 'a', key: oldKey }, { id: 'a', key: newKey }],
+      activeKeyId: 'a',
+    })).toThrow('Duplicate key id "a"');
+    expect(() => new Keyring({
+      keys: [{ id: 'a', key: oldKey }, { id: 'b', key: newKey }],
+    })).toThrow('Active key id "undefined" is not in the keyring');
+  });
+});
+
+describe('EncryptoService with a keyring', () => {
+  const oldService = new EncryptoService({ keys: [{ id: 'k1', key: oldKey }] });
+  const rotatedService = new EncryptoService(new Keyring({
+    keys: [{ id: 'k1', key: oldKey }, { id: 'k2', key: newKey }],
+    activeKeyId: 'k2',
+  }));
+
+  test('should record the active key id in each envelope', () => {
+    expect(oldService.activeKeyId).toBe('k1');
+    expect(keyIdOf(oldService.encryptJsonObject('value'))).toBe('k1');
+    expect(keyIdOf(rotatedService.encryptJsonObject('value'))).toBe('k2');
+  });
+
+  test('should use the "default" key id for a single hex key', () => {
+    const service = new EncryptoService(oldKey);
+    expect(service.activeKeyId).toBe('default');
+    expect(keyIdOf(service.encryptJsonObject('value'))).toBe('default');
+  });
+
+  test('should decrypt values under any key in the keyring', () => {
+    const data = {
+      old: oldService.encryptJsonObject('written before rotation'),
+      current: rotatedService.encryptJsonObject('written after rotation'),
+    };
+    expect(rotatedService.decryptJsonObject(data)).toEqual({
+      old: 'written before rotation',
+      current: 'written after rotation',
+    });
+  });
+
+  test('should fail on values under a key that is not in the keyring', () => {
+    const encrypted = rotatedService.encryptJsonObject('too new');
+    expect(() => oldService.decryptJsonObject(encrypted)).toThrow('Unknown key id "k2"');
+  });
+
+  test('should re-encrypt values under older keys with the active key', () => {
+    const original = { id: 1, email: 'jane@example.com', tags: ['a', 'b'] };
+    const stale = oldService.encryptJsonObject(original, { exclude: ['id'] });
+    const alreadyCurrent = rotatedService.encryptJsonObject('current');
+
+    const rotated = rotatedService.reencryptJsonObject({ ...stale, current: alreadyCurrent });
+    expect(rotated.id).toBe(1);
+    expect(keyIdOf(rotated.email)).toBe('k2');
+    expect(rotated.tags.map(keyIdOf)).toEqual(['k2', 'k2']);
+    expect(rotated.current).toBe(alreadyCurrent);
+
+    // Once the old key is retired, the rotated data still decrypts
+    const retiredService = new EncryptoService({ keys: [{ id: 'k2', key: newKey }] });
+    expect(retiredService.decryptJsonObject(rotated)).toEqual({ ...original, current: 'current' });
+  });
+
+  test('should only re-encrypt leaves selected by path rules', () => {
+    const stale = oldService.encryptJsonObject({ a: 'x', b: 'y' });
+    const rotated = rotatedService.reencryptJsonObject(stale, { include: ['a'] });
+    expect(keyIdOf(rotated.a)).toBe('k2');
+    expect(rotated.b).toBe(stale.b);
+  });
+
+  test('should re-encrypt legacy values', () => {
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(oldKey, 'hex'), iv);
+    let legacy = cipher.update('legacy', 'utf8', 'base64');
+    legacy += cipher.final('base64');
+    legacy += `.${cipher.getAuthTag().toString('base64')}`;
+
+    const service = new EncryptoService({
+      keys: [{ id: 'default', key: oldKey }, { id: 'k2', key: newKey }],
+      activeKeyId: 'k2',
+    }, iv.toString('hex'));
+    const rotated = service.reencryptJsonObject({ value: legacy });
+    expect(keyIdOf(rotated.value)).toBe('k2');
+    expect(service.decryptJsonObject(rotated)).toEqual({ value: 'legacy' });
+  });
+
+  test('should wrap keyring errors as configuration errors', () => {
+    expect(() => new EncryptoService({ keys: [] })).toThrow('Configuration Error processing encryption key/IV');
+  });
+});
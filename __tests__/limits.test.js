@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const {
+  EncryptoConfigError,
+  EncryptoFormatError,
+  EncryptoLimitError,
+  EncryptoService,
+} = require('../src/index');
+
+const keyHex = crypto.randomBytes(32).toString('hex');
+const encryptoService = new EncryptoService(keyHex);
+
+// Returns the error thrown by fn, failing the test if nothing is thrown
+const caught = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected an error to be thrown');
+};
+
+const streamThrough = async (transform, text) => {
+  const chunks = [];
+  for await (const chunk of Readable.from([text]).pipe(transform)) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+const nested = (depth) => {
+  let data = 'leaf';
+  for (let i = 0; i < depth; i++) data = { child: data };
+  return data;
+};
+
+describe('circular references', () => {
+  test('should be reported with their path instead of overflowing the stack', () => {
+    const data = { user: { name: 'Jane' } };
+    data.user.self = data;
+    const error = caught(() => encryptoService.encryptJsonObject(data));
+    expect(error).toBeInstanceOf(EncryptoFormatError);
+    expect(error.message).toContain('Circular reference at "user.self"');
+    expect(error.path).toBe('user.self');
+
+    const list = ['a'];
+    list.push(list);
+    expect(() => encryptoService.decryptJsonObject(list)).toThrow('Circular reference at "[1]"');
+  });
+
+  test('should be reported by the async methods', async () => {
+    const data = { a: { b: {} } };
+    data.a.b.c = data.a;
+    await expect(encryptoService.encryptJsonObjectAsync(data)).rejects.toThrow('Circular reference at "a.b.c"');
+    await expect(encryptoService.decryptJsonObjectAsync(data)).rejects.toThrow(EncryptoFormatError);
+  });
+
+  test('should be reported through Maps, Sets and serializer output', async () => {
+    const map = new Map([['name', 'Jane']]);
+    map.set('self', map);
+    const error = caught(() => encryptoService.encryptJsonObject({ m: map }));
+    expect(error).toBeInstanceOf(EncryptoFormatError);
+    expect(error.message).toContain('Circular reference at "m[1][1]"');
+
+    const set = new Set(['a']);
+    set.add({ back: set });
+    await expect(encryptoService.encryptJsonObjectAsync([set])).rejects.toThrow('Circular reference at "[0][1].back"');
+
+    class Node {
+      constructor() { this.next = this; }
+    }
+    const withSerializer = new EncryptoService(keyHex, null, {
+      serializers: [{ name: 'Node', type: Node, serialize: node => ({ next: node.next }), deserialize: () => new Node() }],
+    });
+    expect(() => withSerializer.encryptJsonObject({ node: new Node() })).toThrow('Circular reference at "node.next"');
+
+    const collapsed = { a: { b: {} } };
+    collapsed.a.b.c = collapsed.a;
+    expect(() => encryptoService.encryptJsonObject(collapsed, { collapse: ['a'] })).toThrow('Circular reference at "a.b.c"');
+  });
+
+  test('should allow the same object in several places', async () => {
+    const shared = { city: 'Lisbon' };
+    const data = { home: shared, work: shared, list: [shared, shared] };
+    const expected = JSON.parse(JSON.stringify(data));
+    expect(encryptoService.decryptJsonObject(encryptoService.encryptJsonObject(data))).toEqual(expected);
+    expect(await encryptoService.decryptJsonObjectAsync(await encryptoService.encryptJsonObjectAsync(data))).toEqual(expected);
+  });
+});
+
+describe('limits', () => {
+  test('should reject documents nested deeper than maxDepth', async () => {
+    expect(encryptoService.encryptJsonObject(nested(3), { maxDepth: 3 }).child.child.child).toMatch(/^v2\./);
+    const error = caught(() => encryptoService.encryptJsonObject(nested(4), { maxDepth: 3 }));
+    expect(error).toBeInstanceOf(EncryptoLimitError);
+    expect(error.message).toBe('Limit exceeded at "child.child.child.child": the document is nested deeper than 3 levels (maxDepth).');
+
+    await expect(encryptoService.decryptJsonObjectAsync(nested(4), { maxDepth: 3 })).rejects.toThrow(EncryptoLimitError);
+    await expect(streamThrough(encryptoService.createDecryptStream({ maxDepth: 3 }), JSON.stringify(nested(4))))
+      .rejects.toThrow('nested deeper than 3 levels');
+  });
+
+  test('should reject documents with more than maxNodes values', async () => {
+    const data = { a: [1, 2, 3] }; // The object, the array and three numbers
+    expect(() => encryptoService.encryptJsonObject(data, { maxNodes: 5 })).not.toThrow();
+    expect(() => encryptoService.encryptJsonObject(data, { maxNodes: 4 })).toThrow('more than 4 values (maxNodes)');
+    await expect(encryptoService.encryptJsonObjectAsync(data, { maxNodes: 4 })).rejects.toThrow(EncryptoLimitError);
+    await expect(streamThrough(encryptoService.createEncryptStream({ maxNodes: 4 }), JSON.stringify(data)))
+      .rejects.toThrow(EncryptoLimitError);
+
+    // Each call counts its own document
+    const options = { maxNodes: 5 };
+    encryptoService.encryptJsonObject(data, options);
+    expect(() => encryptoService.encryptJsonObject(data, options)).not.toThrow();
+  });
+
+  test('should limit depth and values by default', async () => {
+    expect(encryptoService.encryptJsonObject(nested(512))).toBeDefined();
+    const error = caught(() => encryptoService.encryptJsonObject(nested(10000)));
+    expect(error).toBeInstanceOf(EncryptoLimitError);
+    expect(error.message).toContain('nested deeper than 512 levels (maxDepth)');
+    expect(() => encryptoService.decryptJsonObject(nested(10000))).toThrow(EncryptoLimitError);
+    await expect(encryptoService.decryptJsonObjectAsync(nested(10000))).rejects.toThrow(EncryptoLimitError);
+    expect(() => encryptoService.encryptJsonObject({ a: nested(10000) }, { collapse: ['a'] })).toThrow(EncryptoLimitError);
+    expect(() => encryptoService.decryptJsonObject(new Array(1000001).fill(0))).toThrow('more than 1000000 values (maxNodes)');
+
+    // Infinity lifts a limit
+    expect(encryptoService.encryptJsonObject(nested(600), { maxDepth: Infinity })).toBeDefined();
+  });
+
+  test('should count the contents of Maps, Sets and collapsed subtrees', () => {
+    const data = { m: new Map([['a', [1, 2]]]) };
+    expect(() => encryptoService.encryptJsonObject(data, { maxDepth: 4 })).not.toThrow();
+    expect(() => encryptoService.encryptJsonObject(data, { maxDepth: 3 })).toThrow('Limit exceeded at "m[0][1][0]"');
+    expect(() => encryptoService.encryptJsonObject({ s: new Set(['x'.repeat(11)]) }, { maxStringLength: 10 })).toThrow('at "s[0]"');
+    expect(() => encryptoService.encryptJsonObject({ a: [1, 2, 3] }, { collapse: ['a'], maxNodes: 4 })).toThrow(EncryptoLimitError);
+  });
+
+  test('should reject strings and property names longer than maxStringLength', async () => {
+    expect(() => encryptoService.encryptJsonObject({ a: 'x'.repeat(10) }, { maxStringLength: 10 })).not.toThrow();
+    expect(caught(() => encryptoService.encryptJsonObject({ a: 'x'.repeat(11) }, { maxStringLength: 10 })).path).toBe('a');
+    expect(() => encryptoService.decryptJsonObject({ ['k'.repeat(11)]: 1 }, { maxStringLength: 10 }))
+      .toThrow('the property name is longer than 10 characters');
+    await expect(encryptoService.decryptJsonObjectAsync({ ['k'.repeat(11)]: 1 }, { maxStringLength: 10 }))
+      .rejects.toThrow(EncryptoLimitError);
+
+    await expect(streamThrough(encryptoService.createEncryptStream({ maxStringLength: 10 }), '{"a":"\\u0078\\u0078"}'))
+      .resolves.toContain('v2.');
+    await expect(streamThrough(encryptoService.createEncryptStream({ maxStringLength: 10 }), JSON.stringify({ a: 'x'.repeat(11) })))
+      .rejects.toThrow('longer than 10 characters');
+    await expect(streamThrough(encryptoService.createDecryptStream({ maxStringLength: 10 }), JSON.stringify({ ['k'.repeat(11)]: 1 })))
+      .rejects.toThrow('the property name is longer');
+  });
+
+  test('should reject a huge streamed string before reading it whole', () => {
+    const { JsonLeafTransformer } = require('../src/stream');
+    const { WalkGuard } = require('../src/limits');
+    const parser = new JsonLeafTransformer(value => value, null, new WalkGuard({ maxDepth: Infinity, maxNodes: Infinity, maxStringLength: 10 }));
+    parser.write('{"a":"');
+    expect(() => parser.write('x'.repeat(61))).toThrow(EncryptoLimitError);
+  });
+
+  test('should validate the limits', () => {
+    expect(() => encryptoService.encryptJsonObject({}, { maxDepth: -1 })).toThrow(EncryptoConfigError);
+    expect(() => encryptoService.encryptJsonObject({}, { maxNodes: 1.5 })).toThrow('"maxNodes" must be a non-negative integer');
+    expect(() => encryptoService.createDecryptStream({ maxStringLength: '10' })).toThrow('"maxStringLength"');
+  });
+});
+
+describe('prototype pollution', () => {
+  const hostile = () => JSON.parse('{"__proto__": {"polluted": "yes"}, "constructor": {"prototype": {"polluted": "yes"}}, "a": 1}');
+
+  const expectSafe = (result) => {
+    expect(Object.getPrototypeOf(result)).toBe(Object.prototype);
+    expect(Object.prototype.hasOwnProperty.call(result, '__proto__')).toBe(true);
+    expect(result.polluted).toBeUndefined();
+    expect({}.polluted).toBeUndefined();
+    expect(Object.prototype.polluted).toBeUndefined();
+  };
+
+  test('should keep "__proto__" keys as own properties', () => {
+    const encrypted = encryptoService.encryptJsonObject(hostile());
+    expectSafe(encrypted);
+    const decrypted = encryptoService.decryptJsonObject(encrypted);
+    expectSafe(decrypted);
+    expect(Object.getOwnPropertyDescriptor(decrypted, '__proto__').value).toEqual({ polluted: 'yes' });
+    expect(JSON.stringify(decrypted)).toBe(JSON.stringify(hostile()));
+  });
+
+  test('should keep "__proto__" keys as own properties in the async methods', async () => {
+    const encrypted = await encryptoService.encryptJsonObjectAsync(hostile());
+    expectSafe(encrypted);
+    expectSafe(await encryptoService.decryptJsonObjectAsync(encrypted, { workers: 1 }));
+  });
+
+  test('should keep restored "__proto__" pseudonyms and collapsed subtrees as own properties', () => {
+    const encrypted = encryptoService.encryptJsonObject(hostile(), { encryptKeys: true });
+    expect(Object.keys(encrypted).every(key => key.startsWith('k1.'))).toBe(true);
+    expectSafe(encryptoService.decryptJsonObject(encrypted));
+
+    const collapsed = encryptoService.encryptJsonObject({ nested: hostile() }, { collapse: ['nested'] });
+    expectSafe(encryptoService.decryptJsonObject(collapsed).nested);
+  });
+});
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const {
+  EncryptoAuthError,
+  EncryptoConfigError,
+  EncryptoFormatError,
+  EncryptoIntegrityError,
+  EncryptoKeyError,
+  EncryptoService,
+} = require('../src/index');
+
+const keyHex = crypto.randomBytes(32).toString('hex');
+const encryptoService = new EncryptoService(keyHex);
+
+const order = () => ({
+  id: 42,
+  customer: { email: 'jane@example.com', tags: [] },
+  items: [{ sku: 'A1', price: 10 }, { sku: 'B2', price: 25 }],
+});
+const options = { exclude: ['id'], manifest: true };
+
+describe('integrity manifests', () => {
+  test('should round-trip a document with its manifest', async () => {
+    const encrypted = encryptoService.encryptJsonObject(order(), { ...options, manifest: { version: 3 } });
+    expect(encrypted._manifest).toMatchObject({ v: 'm1', keyId: 'default', version: 3, timestamp: expect.any(String) });
+    expect(encrypted._manifest.entries.map(([path]) => path)).toEqual([
+      ['id'], ['customer', 'email'], ['customer', 'tags'], ['items', 0, 'sku'], ['items', 0, 'price'], ['items', 1, 'sku'], ['items', 1, 'price'],
+    ]);
+
+    const stored = JSON.parse(JSON.stringify(encrypted));
+    expect(encryptoService.verifyManifest(stored)).toMatchObject({ valid: true, version: 3, added: [], removed: [], changed: [] });
+    expect(encryptoService.decryptJsonObject(stored, options)).toEqual(order());
+    expect(await encryptoService.decryptJsonObjectAsync(stored, { ...options, workers: 1 })).toEqual(order());
+
+    const asyncEncrypted = await encryptoService.encryptJsonObjectAsync(order(), options);
+    expect(encryptoService.decryptJsonObject(asyncEncrypted, options)).toEqual(order());
+  });
+
+  test('should report the paths added, removed and changed', () => {
+    const encrypted = encryptoService.encryptJsonObject(order(), options);
+    const older = encryptoService.encryptJsonObject({ ...order(), customer: { email: 'old@example.com', tags: [] } }, options);
+
+    const tampered = JSON.parse(JSON.stringify(encrypted));
+    tampered.items.reverse(); // Each ciphertext is intact, but in the wrong place
+    tampered.customer.email = older.customer.email; // Rolled back to an older ciphertext
+    delete tampered.customer.tags;
+    tampered.admin = true;
+
+    const report = encryptoService.verifyManifest(tampered);
+    expect(report).toMatchObject({
+      valid: false,
+      added: ['admin'],
+      removed: ['customer.tags'],
+      changed: ['customer.email', 'items[0].sku', 'items[0].price', 'items[1].sku', 'items[1].price'],
+    });
+
+    let error;
+    try {
+      encryptoService.decryptJsonObject(tampered, options);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(EncryptoIntegrityError);
+    expect(error).toBeInstanceOf(EncryptoAuthError);
+    expect(error.message).toBe('The document doesn\'t match its manifest: added "admin"; removed "customer.tags"; '
+      + 'changed "customer.email", "items[0].sku", "items[0].price", "items[1].sku", "items[1].price".');
+    expect(error).toMatchObject({ added: report.added, removed: report.removed, changed: report.changed });
+    expect(() => encryptoService.decryptJsonObject(tampered, { ...options, collectErrors: true })).toThrow(EncryptoIntegrityError);
+  });
+
+  test('should reject missing, altered and stale manifests', () => {
+    const encrypted = encryptoService.encryptJsonObject(order(), { ...options, manifest: { version: 2 } });
+    const { _manifest: manifest, ...withoutManifest } = encrypted;
+
+    expect(() => encryptoService.decryptJsonObject(withoutManifest, options)).toThrow('the "_manifest" property is missing');
+    expect(() => encryptoService.decryptJsonObject({ ...encrypted, _manifest: { ...manifest, version: 5 } }, options))
+      .toThrow('The manifest failed authentication');
+    expect(() => encryptoService.decryptJsonObject({ ...encrypted, _manifest: { ...manifest, entries: 'x' } }, options))
+      .toThrow(EncryptoFormatError);
+    expect(() => encryptoService.decryptJsonObject({ ...encrypted, _manifest: { ...manifest, keyId: 'gone' } }, options))
+      .toThrow(EncryptoKeyError);
+    expect(() => new EncryptoService(crypto.randomBytes(32).toString('hex')).decryptJsonObject(encrypted, options))
+      .toThrow('The manifest failed authentication');
+
+    expect(() => encryptoService.decryptJsonObject(encrypted, { ...options, manifest: { minVersion: 3 } }))
+      .toThrow('at version 2, below the minimum of 3: it may have been rolled back');
+    expect(encryptoService.decryptJsonObject(encrypted, { ...options, manifest: { minVersion: 2, maxAge: 60000 } })).toEqual(order());
+    const stale = new Date(Date.now() + 120000);
+    jest.useFakeTimers({ now: stale, doNotFake: ['nextTick', 'setImmediate'] });
+    try {
+      expect(() => encryptoService.decryptJsonObject(encrypted, { ...options, manifest: { maxAge: 60000 } })).toThrow('more than 60000 ms ago');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should carry the manifest through key rotation', () => {
+    const oldKey = crypto.randomBytes(32).toString('hex');
+    const newKey = crypto.randomBytes(32).toString('hex');
+    const before = new EncryptoService({ keys: [{ id: 'k1', key: oldKey }] });
+    const after = new EncryptoService({ keys: [{ id: 'k1', key: oldKey }, { id: 'k2', key: newKey }], activeKeyId: 'k2' });
+
+    const encrypted = before.encryptJsonObject(order(), { ...options, manifest: { version: 7 }, manifestProperty: '$integrity' });
+    const rotated = after.reencryptJsonObject(encrypted, { ...options, manifestProperty: '$integrity' });
+    expect(rotated.$integrity).toMatchObject({ keyId: 'k2', version: 7 });
+    expect(rotated.customer.email).toMatch(/^v2\.k2\./);
+    expect(after.verifyManifest(rotated, { manifestProperty: '$integrity' }).valid).toBe(true);
+    expect(after.decryptJsonObject(rotated, { ...options, manifestProperty: '$integrity' })).toEqual(order());
+  });
+
+  test('should validate the options', () => {
+    expect(() => encryptoService.encryptJsonObject([1], options)).toThrow('Only objects can carry a manifest');
+    expect(() => encryptoService.encryptJsonObject({ _manifest: 1 }, options)).toThrow('already has a "_manifest" property');
+    expect(() => encryptoService.encryptJsonObject({}, { manifest: 'yes' })).toThrow(EncryptoConfigError);
+    expect(() => encryptoService.encryptJsonObject({}, { manifest: { version: -1 } })).toThrow('"manifest.version" must be a non-negative integer');
+    expect(() => encryptoService.encryptJsonObject({}, { manifest: true, manifestProperty: '' })).toThrow('"manifestProperty" must be a non-empty string');
+    expect(() => encryptoService.createEncryptStream({ manifest: true })).toThrow('"manifest" is not supported by the streaming methods');
+    expect(() => encryptoService.decryptStream(Readable.from([]), null, { manifest: true })).toThrow(EncryptoConfigError);
+  });
+});
@@ -0,0 +1,100 @@
+const { execFileSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const root = path.join(__dirname, '..');
+const keyHex = crypto.randomBytes(32).toString('hex');
+
+// A copy of the package in a temporary directory, so the build doesn't write to the working tree
+let packageDir;
+
+// Runs a script in a fresh Node.js process at the root of the copy, where the package imports itself by name
+const node = (args, script) => JSON.parse(execFileSync(process.execPath, [...args, '-e', script], {
+  cwd: packageDir,
+  env: { ...process.env, ENCRYPTO_KEY: keyHex },
+  encoding: 'utf8',
+  timeout: 30000,
+}));
+
+const encrypt = `
+  const service = new EncryptoService(process.env.ENCRYPTO_KEY);
+  const encrypted = service.encryptJsonObject({ id: 7, card: { pan: '4111111111111111' } }, { bindPath: true });
+  console.log(JSON.stringify({ encrypted, auth: EncryptoAuthError.name, base: new EncryptoAuthError('x') instanceof EncryptoError }));
+`;
+const decrypt = (encrypted) => `
+  const service = new EncryptoService(process.env.ENCRYPTO_KEY);
+  console.log(JSON.stringify(service.decryptJsonObject(${JSON.stringify(encrypted)}, { bindPath: true })));
+`;
+
+describe('Packaging', () => {
+  beforeAll(() => {
+    packageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'open-encrypto-object-'));
+    fs.copyFileSync(path.join(root, 'package.json'), path.join(packageDir, 'package.json'));
+    fs.cpSync(path.join(root, 'src'), path.join(packageDir, 'src'), { recursive: true });
+    const build = `import { buildCjs } from ${JSON.stringify(pathToFileURL(path.join(root, 'scripts/build-cjs.js')).href)}; await buildCjs(process.argv[1]);`;
+    execFileSync(process.execPath, ['--input-type=module', '-e', build, path.join(packageDir, 'dist', 'cjs')], { timeout: 60000 });
+  }, 70000);
+
+  afterAll(() => {
+    fs.rmSync(packageDir, { recursive: true, force: true });
+  });
+
+  it('should load the ES module build with import and decrypt what the CommonJS build encrypts', () => {
+    const cjs = node([], `const { EncryptoAuthError, EncryptoError, EncryptoService } = require('open-encrypto-object');${encrypt}`);
+    expect(cjs).toEqual({ encrypted: expect.any(Object), auth: 'EncryptoAuthError', base: true });
+    expect(cjs.encrypted.card.pan).toMatch(/^v2\./);
+
+    const decrypted = node(['--input-type=module'], `import { EncryptoService } from 'open-encrypto-object';${decrypt(cjs.encrypted)}`);
+    expect(decrypted).toEqual({ id: 7, card: { pan: '4111111111111111' } });
+  });
+
+  it('should load the CommonJS build with require and decrypt what the ES module build encrypts', () => {
+    const esm = node(['--input-type=module'], `import { EncryptoAuthError, EncryptoError, EncryptoService } from 'open-encrypto-object';${encrypt}`);
+    expect(esm.auth).toBe('EncryptoAuthError');
+    expect(esm.base).toBe(true);
+
+    const decrypted = node([], `const { EncryptoService } = require('open-encrypto-object');${decrypt(esm.encrypted)}`);
+    expect(decrypted).toEqual({ id: 7, card: { pan: '4111111111111111' } });
+  });
+
+  it('should expose the web entry point to both module systems', () => {
+    const script = `
+      const service = new WebEncryptoService(process.env.ENCRYPTO_KEY);
+      service.encryptJsonObject({ a: 1 }).then(encrypted => service.decryptJsonObject(encrypted))
+        .then(decrypted => console.log(JSON.stringify({ decrypted, auth: typeof EncryptoAuthError })));
+    `;
+    const expected = { decrypted: { a: 1 }, auth: 'function' };
+    expect(node([], `const { EncryptoAuthError, WebEncryptoService } = require('open-encrypto-object/web');${script}`)).toEqual(expected);
+    expect(node(['--input-type=module'], `import { EncryptoAuthError, WebEncryptoService } from 'open-encrypto-object/web';${script}`)).toEqual(expected);
+  });
+
+  it('should start the worker threads from either build', () => {
+    const script = `
+      const service = new EncryptoService(process.env.ENCRYPTO_KEY);
+      service.encryptJsonObjectAsync({ a: 1 }, { workers: 1 }).then(encrypted => service.decryptJsonObjectAsync(encrypted, { workers: 1 }))
+        .then(decrypted => console.log(JSON.stringify(decrypted)));
+    `;
+    // Workers inherit the flags of the process, and --input-type is only allowed with -e: run files instead
+    fs.writeFileSync(path.join(packageDir, 'workers.cjs'), `const { EncryptoService } = require('open-encrypto-object');${script}`);
+    fs.writeFileSync(path.join(packageDir, 'workers.mjs'), `import { EncryptoService } from 'open-encrypto-object';${script}`);
+    for (const file of ['workers.cjs', 'workers.mjs']) {
+      expect(JSON.parse(execFileSync(process.execPath, [file], {
+        cwd: packageDir,
+        env: { ...process.env, ENCRYPTO_KEY: keyHex },
+        encoding: 'utf8',
+        timeout: 30000,
+      }))).toEqual({ a: 1 });
+    }
+  });
+
+  it('should refuse deep imports outside the exports map', () => {
+    expect(() => execFileSync(process.execPath, ['-e', "require('open-encrypto-object/src/index.js')"], {
+      cwd: packageDir,
+      stdio: 'pipe',
+      timeout: 30000,
+    })).toThrow(/ERR_PACKAGE_PATH_NOT_EXPORTED/);
+  });
+});
@@ -0,0 +1,120 @@
+const { compilePathRules, formatPath, parsePattern, schemaToPatterns } = require('../src/paths');
+
+describe('formatPath', () => {
+  test('should format keys and indexes', () => {
+    expect(formatPath([])).toBe('');
+    expect(formatPath(['user', 'email'])).toBe('user.email');
+    expect(formatPath(['cards', 0, 'pan'])).toBe('cards[0].pan');
+    expect(formatPath([2, 'id'])).toBe('[2].id');
+  });
+
+  test('should quote keys that are not plain identifiers', () => {
+    expect(formatPath(['a.b', 'c'])).toBe('["a.b"].c');
+    expect(formatPath(['first name'])).toBe('["first name"]');
+  });
+
+  test('should write every index as a wildcard with anyIndex', () => {
+    expect(formatPath(['users', 3, 'emails', 0], { anyIndex: true })).toBe('users[*].emails[*]');
+    expect(formatPath(['[0]'], { anyIndex: true })).toBe('["[0]"]');
+  });
+});
+
+describe('parsePattern', () => {
+  test('should parse keys, wildcards and indexes', () => {
+    expect(parsePattern('cards[*].pan')).toEqual([
+      { type: 'key', value: 'cards' },
+      { type: 'anyIndex' },
+      { type: 'key', value: 'pan' },
+    ]);
+    expect(parsePattern('**.createdAt')).toEqual([{ type: 'deep' }, { type: 'key', value: 'createdAt' }]);
+    expect(parsePattern('items[2].*')).toEqual([
+      { type: 'key', value: 'items' },
+      { type: 'index', value: 2 },
+      { type: 'any' },
+    ]);
+  });
+
+  test('should parse quoted keys', () => {
+    expect(parsePattern('["a.b"].c')).toEqual([{ type: 'key', value: 'a.b' }, { type: 'key', value: 'c' }]);
+    expect(parsePattern("meta['x]y']")).toEqual([{ type: 'key', value: 'meta' }, { type: 'key', value: 'x]y' }]);
+  });
+
+  test('should reject malformed patterns', () => {
+    expect(() => parsePattern('')).toThrow('Configuration Error');
+    expect(() => parsePattern('a..b')).toThrow('empty segment');
+    expect(() => parsePattern('a.')).toThrow('trailing');
+    expect(() => parsePattern('a[0')).toThrow('unclosed');
+    expect(() => parsePattern('a[x]')).toThrow('unsupported bracket segment');
+    expect(() => parsePattern('a[0]b')).toThrow('expected "." or "["');
+  });
+});
+
+describe('schemaToPatterns', () => {
+  test('should collect sensitive properties and items', () => {
+    const schema = {
+      properties: {
+        user: { properties: { email: { sensitive: true }, name: { type: 'string' } } },
+        cards: { items: { properties: { pan: { sensitive: true } } } },
+        'odd.key': { sensitive: true },
+      },
+    };
+    expect(schemaToPatterns(schema)).toEqual(['user.email', 'cards[*].pan', '["odd.key"]']);
+  });
+
+  test('should reject non-object schema nodes', () => {
+    expect(() => schemaToPatterns({ properties: { a: true } })).toThrow('Schema node at "a"');
+  });
+});
+
+describe('compilePathRules', () => {
+  test('should select everything without rules', () => {
+    expect(compilePathRules()).toBeNull();
+    expect(compilePathRules({ exclude: [] })).toBeNull();
+  });
+
+  test('should match includes against leaves and their ancestors', () => {
+    const isSelected = compilePathRules({ include: ['user', 'cards[*].pan'] });
+    expect(isSelected(['user', 'email'])).toBe(true);
+    expect(isSelected(['user', 'address', 'city'])).toBe(true);
+    expect(isSelected(['cards', 3, 'pan'])).toBe(true);
+    expect(isSelected(['cards', 3, 'expiry'])).toBe(false);
+    expect(isSelected(['id'])).toBe(false);
+  });
+
+  test('should let excludes win over includes', () => {
+    const isSelected = compilePathRules({ include: ['user'], exclude: ['user.id', '**.createdAt'] });
+    expect(isSelected(['user', 'email'])).toBe(true);
+    expect(isSelected(['user', 'id'])).toBe(false);
+    expect(isSelected(['user', 'profile', 'createdAt'])).toBe(false);
+  });
+
+  test('should match deep wildcards at any depth, including zero', () => {
+    const isSelected = compilePathRules({ exclude: ['**.createdAt'] });
+    expect(isSelected(['createdAt'])).toBe(false);
+    expect(isSelected(['a', 0, 'b', 'createdAt'])).toBe(false);
+    expect(isSelected(['a', 'createdAtX'])).toBe(true);
+  });
+
+  test('should distinguish "*" from "[*]"', () => {
+    const anySegment = compilePathRules({ include: ['list.*'] });
+    const anyIndex = compilePathRules({ include: ['list[*]'] });
+    expect(anySegment(['list', 'key'])).toBe(true);
+    expect(anyIndex(['list', 'key'])).toBe(false);
+    expect(anyIndex(['list', 0])).toBe(true);
+  });
+
+  test('should combine schema and include patterns', () => {
+    const isSelected = compilePathRules({
+      include: ['token'],
+      schema: { properties: { ssn: { sensitive: true } } },
+    });
+    expect(isSelected(['token'])).toBe(true);
+    expect(isSelected(['ssn'])).toBe(true);
+    expect(isSelected(['name'])).toBe(false);
+  });
+
+  test('should reject rules that are not arrays', () => {
+    expect(() => compilePathRules({ include: 'user.email' })).toThrow('"include" must be an array');
+    expect(() => compilePathRules({ exclude: 'id' })).toThrow('"exclude" must be an array');
+  });
+});
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+
+const {
+  EncryptoAuthError,
+  EncryptoConfigError,
+  EncryptoFormatError,
+  EncryptoKeyError,
+  EncryptoService,
+} = require('../src/index');
+const { KeyPseudonymizer } = require('../src/pseudonym');
+const { compileRedactionRules, maskValue, ValueTokenizer } = require('../src/redact');
+
+const keyHex = crypto.randomBytes(32).toString('hex');
+const encryptoService = new EncryptoService(keyHex);
+
+const customer = () => ({
+  id: 'cus_81',
+  email: 'jane@domain.com',
+  cards: [{ pan: '4111111111111111', expires: new Date('2030-01-01T00:00:00Z') }],
+  ssn: '123-45-6789',
+  notes: undefined,
+});
+
+describe('maskValue', () => {
+  const rules = compileRedactionRules({});
+
+  test('should keep the last characters behind a fixed-length mask', () => {
+    expect(maskValue('4111111111111111', rules)).toBe('****1111');
+    expect(maskValue(12345678901234567890n, rules)).toBe('****7890');
+    expect(maskValue(123, rules)).toBe('****3');
+    expect(maskValue('ab', rules)).toBe('****b'); // Never more than half
+    expect(maskValue('', rules)).toBe('****');
+    expect(maskValue('ab🚀🚀', rules)).toBe('****🚀🚀');
+    expect(maskValue('4111111111111111', compileRedactionRules({ reveal: 0 }))).toBe('****');
+  });
+
+  test('should mask email addresses', () => {
+    expect(maskValue('jane@domain.com', rules)).toBe('j***@d***.com');
+    expect(maskValue('j.doe+x@mail.example.co.uk', rules)).toBe('j***@m***.uk');
+    expect(maskValue('not-an-email@', rules)).toBe('****ail@');
+  });
+
+  test('should replace other values with the placeholder', () => {
+    const custom = compileRedactionRules({ placeholder: '<hidden>' });
+    expect([true, null, new Date(0), Buffer.from('x')].map(value => maskValue(value, custom))).toEqual(Array(4).fill('<hidden>'));
+    expect(maskValue(undefined, rules)).toBeUndefined();
+  });
+});
+
+describe('redactJsonObject', () => {
+  test('should mask, redact and tokenize the selected paths', () => {
+    const redacted = encryptoService.redactJsonObject(customer(), { mask: ['email', 'cards[*].pan'], redact: ['ssn'], tokenize: ['id'] });
+    expect(redacted).toEqual({
+      id: expect.stringMatching(/^t1\.default\.[A-Za-z0-9_-]+$/),
+      email: 'j***@d***.com',
+      cards: [{ pan: '****1111', expires: new Date('2030-01-01T00:00:00Z') }],
+      ssn: '[REDACTED]',
+      notes: undefined,
+    });
+    expect(encryptoService.redactJsonObject(customer(), { tokenize: ['id'] }).id).toBe(redacted.id); // Deterministic
+    expect(encryptoService.detokenizeJsonObject(redacted)).toEqual({ ...redacted, id: 'cus_81' });
+  });
+
+  test('should apply the strongest action, and cover subtrees', () => {
+    const redacted = encryptoService.redactJsonObject(customer(), { mask: ['**'], tokenize: ['cards'], redact: ['cards[*].expires'] });
+    expect(redacted.id).toBe('****_81');
+    expect(redacted.cards[0].expires).toBe('[REDACTED]');
+    expect(encryptoService.detokenizeJsonObject(redacted).cards[0].pan).toBe('4111111111111111');
+  });
+
+  test('should restore tokens with their type and key', () => {
+    const keyring = { keys: [{ id: 'old', key: crypto.randomBytes(32).toString('hex') }, { id: 'new', key: keyHex }], activeKeyId: 'old' };
+    const before = new EncryptoService(keyring);
+    const data = { n: 42, big: 7n, at: new Date(0), tags: new Set(['a']) };
+    const tokens = before.redactJsonObject(data, { tokenize: ['**'] });
+    expect(tokens.n).toMatch(/^t1\.old\./);
+
+    const after = new EncryptoService({ ...keyring, activeKeyId: 'new' });
+    expect(after.detokenizeJsonObject(tokens)).toEqual(data);
+    expect(after.detokenizeJsonObject(tokens, { include: ['n'] })).toEqual({ ...tokens, n: 42 });
+  });
+
+  test('should reject tokens that were altered or made under other keys', () => {
+    const { id } = encryptoService.redactJsonObject(customer(), { tokenize: ['id'] });
+    const token = id.split('.')[2];
+    const altered = `t1.default.${token[0] === 'A' ? 'B' : 'A'}${token.slice(1)}`;
+
+    expect(() => encryptoService.detokenizeJsonObject({ a: [altered] })).toThrow(EncryptoAuthError);
+    expect(() => encryptoService.detokenizeJsonObject({ a: [altered] })).toThrow(expect.objectContaining({ path: 'a[0]' }));
+    expect(() => encryptoService.detokenizeJsonObject({ a: 't1.other.abc' })).toThrow(EncryptoKeyError);
+    expect(() => encryptoService.detokenizeJsonObject({ a: 't1.default.!' })).toThrow(EncryptoFormatError);
+    expect(() => new EncryptoService(crypto.randomBytes(32).toString('hex')).detokenizeJsonObject({ id })).toThrow('Value token failed authentication');
+    expect(encryptoService.detokenizeJsonObject({ a: 't1.x', b: 'plain' })).toEqual({ a: 't1.x', b: 'plain' });
+
+    // Tokens and property name pseudonyms use separate subkeys
+    const key = crypto.randomBytes(32);
+    const tokenizer = new ValueTokenizer(key);
+    expect(tokenizer.detokenize(tokenizer.tokenize('name'))).toBe('name');
+    expect(tokenizer.tokenize('name')).not.toBe(new KeyPseudonymizer(key).pseudonymize('sname'));
+  });
+
+  test('should validate the rules', () => {
+    expect(() => encryptoService.redactJsonObject({}, null)).toThrow('Redaction rules must be an object');
+    expect(() => encryptoService.redactJsonObject({}, { mask: 'email' })).toThrow('"mask" must be an array of path patterns');
+    expect(() => encryptoService.redactJsonObject({}, { redact: ['a..b'] })).toThrow(EncryptoConfigError);
+    expect(() => encryptoService.redactJsonObject({}, { reveal: -1 })).toThrow('"reveal" must be a non-negative integer');
+    expect(() => encryptoService.redactJsonObject({}, { placeholder: 0 })).toThrow('"placeholder" must be a string');
+    expect(() => encryptoService.redactJsonObject({ a: { b: 1 } }, { mask: ['**'] }, { maxDepth: 1 })).toThrow('Limit exceeded at "a.b"');
+  });
+});
+
+describe('decryptJsonObject with redact', () => {
+  const rules = { mask: ['email', 'cards[*].pan'], redact: ['ssn'], tokenize: ['id'] };
+  const options = { exclude: ['id'], encryptKeys: true };
+
+  test('should redact the decrypted document', async () => {
+    const encrypted = encryptoService.encryptJsonObject(customer(), options);
+    const expected = encryptoService.redactJsonObject(customer(), rules);
+
+    expect(encryptoService.decryptJsonObject(encrypted, { ...options, redact: rules })).toEqual(expected);
+    expect(await encryptoService.decryptJsonObjectAsync(encrypted, { ...options, redact: rules, yieldEvery: 1 })).toEqual(expected);
+    expect(await encryptoService.decryptJsonObjectAsync(encrypted, { ...options, redact: rules, workers: 1 })).toEqual(expected);
+  });
+
+  test('should redact the data of collected failures', () => {
+    const encrypted = encryptoService.encryptJsonObject(customer(), options);
+    const tampered = JSON.parse(JSON.stringify(encrypted).replaceAll('"v2.default.', '"v2.other.'));
+    const { data, errors } = encryptoService.decryptJsonObject(tampered, { redact: { redact: ['**'] }, collectErrors: true });
+    expect(errors.map(({ path }) => path)).toEqual(['email', 'cards[0].pan', 'cards[0].expires', 'ssn']);
+    expect(data).toMatchObject({ email: '[REDACTED]', cards: [{ pan: '[REDACTED]' }], ssn: '[REDACTED]' });
+  });
+
+  test('should only be accepted by the decryption methods', () => {
+    expect(() => encryptoService.encryptJsonObject({}, { redact: rules })).toThrow('"redact" is only supported by decryptJsonObject and decryptJsonObjectAsync');
+    expect(() => encryptoService.reencryptJsonObject({}, { redact: rules })).toThrow(EncryptoConfigError);
+    expect(() => encryptoService.createDecryptStream({ redact: rules })).toThrow('"redact" is not supported by the streaming methods');
+    expect(() => encryptoService.decryptJsonObject({}, { redact: { tokenize: 'id' } })).toThrow('"tokenize" must be an array');
+  });
+});
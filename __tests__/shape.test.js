@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const { Readable, Writable } = require('stream');
+
+const { EncryptoAuthError, EncryptoService } = require('../src/index');
+const { KeyPseudonymizer } = require('../src/pseudonym');
+
+const keyHex = crypto.randomBytes(32).toString('hex');
+const encryptoService = new EncryptoService(keyHex);
+
+const record = {
+  id: 17,
+  hivStatus: 'negative',
+  diagnoses: ['J45', 'E11', 'I10'],
+  profile: { born: new Date('1980-02-03T00:00:00.000Z'), visits: 12n, flags: { vip: true, notes: null } },
+};
+
+// Replaces one character, away from the end where base64 may carry unused bits
+const alterAt = (text, index) => `${text.slice(0, index)}${text[index] === 'A' ? 'B' : 'A'}${text.slice(index + 1)}`;
+
+const pipeThrough = async (transform, text) => {
+  const chunks = [];
+  const writable = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    },
+  });
+  const done = new Promise((resolve, reject) => {
+    writable.on('finish', resolve);
+    transform.on('error', reject);
+  });
+  Readable.from([text]).pipe(transform).pipe(writable);
+  await done;
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+describe('KeyPseudonymizer', () => {
+  const pseudonymizer = new KeyPseudonymizer(crypto.randomBytes(32));
+
+  test('should be deterministic and reversible', () => {
+    const pseudonym = pseudonymizer.pseudonymize('hivStatus');
+    expect(pseudonymizer.pseudonymize('hivStatus')).toBe(pseudonym);
+    expect(pseudonymizer.pseudonymize('diagnoses')).not.toBe(pseudonym);
+    expect(pseudonym).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(pseudonymizer.restore(pseudonym)).toBe('hivStatus');
+    expect(pseudonymizer.restore(pseudonymizer.pseudonymize('ключ'))).toBe('ключ');
+  });
+
+  test('should reject altered pseudonyms and pseudonyms made with another key', () => {
+    const pseudonym = pseudonymizer.pseudonymize('hivStatus');
+    expect(() => pseudonymizer.restore(alterAt(pseudonym, 0))).toThrow(EncryptoAuthError);
+    expect(() => new KeyPseudonymizer(crypto.randomBytes(32)).restore(pseudonym)).toThrow(EncryptoAuthError);
+    expect(() => pseudonymizer.restore('short')).toThrow('Malformed key pseudonym');
+  });
+});
+
+describe('encryptKeys', () => {
+  test('should hide property names and restore them on decryption', () => {
+    const encrypted = encryptoService.encryptJsonObject(record, { encryptKeys: true });
+    const keys = Object.keys(encrypted);
+    expect(keys).toHaveLength(4);
+    for (const key of keys) expect(key).toMatch(/^k1\.default\.[A-Za-z0-9_-]+$/);
+    expect(JSON.stringify(encrypted)).not.toContain('hivStatus');
+    expect(JSON.stringify(encrypted)).not.toContain('vip');
+
+    expect(encryptoService.decryptJsonObject(encrypted)).toEqual(record);
+  });
+
+  test('should use the same pseudonym for the same name across records', () => {
+    const first = encryptoService.encryptJsonObject({ email: 'a@example.com' }, { encryptKeys: true });
+    const second = encryptoService.encryptJsonObject({ email: 'b@example.com' }, { encryptKeys: true });
+    expect(Object.keys(first)).toEqual(Object.keys(second));
+  });
+
+  test('should only pseudonymize the selected properties, with paths using the plain names', () => {
+    const options = { encryptKeys: true, exclude: ['id'], bindPath: true };
+    const encrypted = encryptoService.encryptJsonObject(record, options);
+    expect(encrypted.id).toBe(17);
+    expect(Object.keys(encrypted)).toHaveLength(4);
+    expect(encryptoService.decryptJsonObject(encrypted, options)).toEqual(record);
+  });
+
+  test('should work with the async and streaming methods', async () => {
+    const data = { user: { email: 'jane@example.com', tags: ['a', 'b'] } };
+    const asyncEncrypted = await encryptoService.encryptJsonObjectAsync(data, { encryptKeys: true, bindPath: true });
+    expect(encryptoService.decryptJsonObject(asyncEncrypted, { bindPath: true })).toEqual(data);
+    expect(await encryptoService.decryptJsonObjectAsync(asyncEncrypted, { bindPath: true, workers: 1 })).toEqual(data);
+
+    const streamed = await pipeThrough(encryptoService.createEncryptStream({ encryptKeys: true, bindPath: true }), JSON.stringify(data));
+    expect(streamed).not.toContain('email');
+    const decrypted = await pipeThrough(encryptoService.createDecryptStream({ bindPath: true }), streamed);
+    expect(JSON.parse(decrypted)).toEqual(data);
+  });
+
+  test('should report tampered pseudonyms', () => {
+    const encrypted = encryptoService.encryptJsonObject({ secret: 'x', other: 'y' }, { encryptKeys: true });
+    const [first, second] = Object.keys(encrypted);
+    const tamperedKey = alterAt(first, 'k1.default.'.length);
+    const tampered = { [tamperedKey]: encrypted[first], [second]: encrypted[second] };
+
+    expect(() => encryptoService.decryptJsonObject(tampered)).toThrow(EncryptoAuthError);
+    const { data, errors } = encryptoService.decryptJsonObject(tampered, { collectErrors: true });
+    expect(data).toEqual({ [tamperedKey]: 'x', other: 'y' });
+    expect(errors).toHaveLength(1);
+  });
+
+  test('should move pseudonyms to the active key when re-encrypting', () => {
+    const newKey = crypto.randomBytes(32).toString('hex');
+    const rotated = new EncryptoService({ keys: [{ id: 'default', key: keyHex }, { id: 'next', key: newKey }], activeKeyId: 'next' });
+
+    const reencrypted = rotated.reencryptJsonObject(encryptoService.encryptJsonObject({ a: { b: 1 } }, { encryptKeys: true }));
+    const outerKey = Object.keys(reencrypted)[0];
+    expect(outerKey).toMatch(/^k1\.next\./);
+    expect(Object.keys(reencrypted[outerKey])[0]).toMatch(/^k1\.next\./);
+    expect(new EncryptoService({ keys: [{ id: 'next', key: newKey }] }).decryptJsonObject(reencrypted)).toEqual({ a: { b: 1 } });
+  });
+});
+
+describe('collapse', () => {
+  test('should encrypt a subtree as a single value and restore its shape and types', () => {
+    const encrypted = encryptoService.encryptJsonObject(record, { collapse: ['diagnoses', 'profile'] });
+    expect(typeof encrypted.diagnoses).toBe('string');
+    expect(typeof encrypted.profile).toBe('string');
+    expect(typeof encrypted.hivStatus).toBe('string');
+
+    expect(encryptoService.decryptJsonObject(encrypted)).toEqual(record);
+  });
+
+  test('should apply regardless of the other path rules, and combine with encryptKeys', () => {
+    const options = { include: ['hivStatus'], collapse: ['diagnoses'], encryptKeys: true, bindPath: true };
+    const encrypted = encryptoService.encryptJsonObject(record, options);
+    expect(encrypted.id).toBe(17);
+    expect(encrypted.profile.flags.vip).toBe(true);
+    expect(Object.keys(encrypted)).toHaveLength(4);
+    expect(encryptoService.decryptJsonObject(encrypted, options)).toEqual(record);
+  });
+
+  test('should bind a collapsed subtree to its path', () => {
+    const encrypted = encryptoService.encryptJsonObject({ a: [1, 2], b: [3] }, { collapse: ['a', 'b'], bindPath: true });
+    expect(() => encryptoService.decryptJsonObject({ a: encrypted.b, b: encrypted.a }, { bindPath: true }))
+      .toThrow('bound to another field or context');
+  });
+
+  test.each([
+    ['without workers', {}],
+    ['with workers', { workers: 1 }],
+  ])('should work with the async methods %s', async (label, asyncOptions) => {
+    const encrypted = await encryptoService.encryptJsonObjectAsync(record, { collapse: ['**.flags', 'diagnoses'], ...asyncOptions });
+    expect(typeof encrypted.diagnoses).toBe('string');
+    expect(typeof encrypted.profile.flags).toBe('string');
+    expect(await encryptoService.decryptJsonObjectAsync(encrypted, asyncOptions)).toEqual(record);
+  });
+
+  test('should expand collapsed subtrees when decrypting a stream', async () => {
+    const data = { tags: ['a', 'b'], n: 1 };
+    const encrypted = encryptoService.encryptJsonObject(data, { collapse: ['tags'] });
+    const decrypted = await pipeThrough(encryptoService.createDecryptStream(), JSON.stringify(encrypted));
+    expect(JSON.parse(decrypted)).toEqual(data);
+  });
+
+  test('should reject invalid options', () => {
+    expect(() => encryptoService.encryptJsonObject({}, { collapse: 'a' })).toThrow('"collapse" must be an array');
+    expect(() => encryptoService.encryptJsonObject({}, { encryptKeys: 'yes' })).toThrow('"encryptKeys" must be a boolean');
+    expect(() => encryptoService.createEncryptStream({ collapse: ['a'] })).toThrow('not supported by the streaming methods');
+  });
+});
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const { Readable, Writable } = require('stream');
+
+const { EncryptoService } = require('../src/index');
+const { JsonLeafTransformer } = require('../src/stream');
+
+const encryptoService = new EncryptoService(crypto.randomBytes(32).toString('hex'));
+
+// Splits text into chunks of the given size, to exercise tokens spanning chunk boundaries
+const chunked = (text, size) => {
+  const buffer = Buffer.from(text, 'utf8');
+  const chunks = [];
+  for (let i = 0; i < buffer.length; i += size) chunks.push(buffer.subarray(i, i + size));
+  return Readable.from(chunks);
+};
+
+const collector = () => {
+  const chunks = [];
+  const writable = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    },
+  });
+  writable.text = () => Buffer.concat(chunks).toString('utf8');
+  return writable;
+};
+
+const document = {
+  id: 17,
+  name: 'Stream "User" \\ ünïcödé 🔐',
+  flags: [true, false, null],
+  nested: { numbers: [0, -1.5, 2e10, 0.25], empty: {}, list: [] },
+  'dotted.key': 'x',
+};
+
+describe('JsonLeafTransformer', () => {
+  const identity = (text) => {
+    const parser = new JsonLeafTransformer(value => value);
+    return parser.write(text) + parser.end();
+  };
+
+  test('should copy JSON without insignificant whitespace', () => {
+    expect(identity(' { "a" : [ 1 , "two" , { } , [ ] ] , "b" : null } ')).toBe('{"a":[1,"two",{},[]],"b":null}');
+    expect(identity('"top"')).toBe('"top"');
+    expect(identity('42')).toBe('42');
+  });
+
+  test('should report leaf paths', () => {
+    const paths = [];
+    const parser = new JsonLeafTransformer((value, path) => {
+      paths.push(path);
+      return value;
+    });
+    parser.write('{"a":[1,{"b":2}],"c.d":3}');
+    parser.end();
+    expect(paths).toEqual([['a', 0], ['a', 1, 'b'], ['c.d']]);
+  });
+
+  test('should reject invalid JSON', () => {
+    expect(() => identity('{"a" 1}')).toThrow('expected ":"');
+    expect(() => identity('[1,]')).toThrow('expected a value');
+    expect(() => identity('[1}')).toThrow('mismatched closing bracket');
+    expect(() => identity('{"a":1')).toThrow('Unexpected end of input');
+    expect(() => identity('[tru]')).toThrow('Unexpected token "tru"');
+    expect(() => identity('1 2')).toThrow('expected the end of input');
+    expect(() => identity('{1:2}')).toThrow('expected a property name');
+  });
+});
+
+describe('encryptStream / decryptStream', () => {
+  test.each([1, 3, 64, 100000])('should round-trip a document read in %i-byte chunks', async (chunkSize) => {
+    const encrypted = collector();
+    await encryptoService.encryptStream(chunked(JSON.stringify(document), chunkSize), encrypted);
+
+    const encryptedData = JSON.parse(encrypted.text());
+    expect(encryptedData.name).toMatch(/^v2\./);
+    expect(encryptoService.decryptJsonObject(encryptedData)).toEqual(document);
+
+    const decrypted = collector();
+    await encryptoService.decryptStream(chunked(encrypted.text(), chunkSize), decrypted);
+    expect(JSON.parse(decrypted.text())).toEqual(document);
+  });
+
+  test('should honor path rules and bindings', async () => {
+    const options = { exclude: ['id'], bindPath: true };
+    const encrypted = collector();
+    await encryptoService.encryptStream(chunked(JSON.stringify(document), 7), encrypted, options);
+
+    const encryptedData = JSON.parse(encrypted.text());
+    expect(encryptedData.id).toBe(17);
+    expect(encryptoService.decryptJsonObject(encryptedData, options)).toEqual(document);
+
+    const decrypted = collector();
+    await encryptoService.decryptStream(chunked(encrypted.text(), 7), decrypted, options);
+    expect(JSON.parse(decrypted.text())).toEqual(document);
+  });
+
+  test('should work with pipe()', (done) => {
+    const output = collector();
+    chunked('["a", "b"]', 2).pipe(encryptoService.createEncryptStream()).pipe(output);
+    output.on('finish', () => {
+      expect(encryptoService.decryptJsonObject(JSON.parse(output.text()))).toEqual(['a', 'b']);
+      done();
+    });
+  });
+
+  test('should reject invalid JSON input', async () => {
+    await expect(encryptoService.encryptStream(chunked('{"a": [1, 2}', 4), collector())).rejects.toThrow('Invalid JSON');
+    await expect(encryptoService.encryptStream(chunked('{"a": ', 4), collector())).rejects.toThrow('Unexpected end of input');
+  });
+
+  test('should reject tampered values', async () => {
+    const encryptedData = encryptoService.encryptJsonObject({ a: 'x', b: 'y' }, { bindPath: true });
+    const swapped = JSON.stringify({ a: encryptedData.b, b: encryptedData.a });
+    await expect(encryptoService.decryptStream(chunked(swapped, 5), collector(), { bindPath: true }))
+      .rejects.toThrow('Decryption failed');
+  });
+
+  test('should write decrypted bigints as JSON numbers', async () => {
+    const encrypted = JSON.stringify(encryptoService.encryptJsonObject({ big: 12345678901234567890n }));
+    const decrypted = collector();
+    await encryptoService.decryptStream(chunked(encrypted, 10), decrypted);
+    expect(decrypted.text()).toBe('{"big":12345678901234567890}');
+  });
+});
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const { EncryptoConfigError, EncryptoFormatError, EncryptoService } = require('../src/index');
+
+const keyHex = crypto.randomBytes(32).toString('hex');
+
+class Money {
+  constructor(amount, currency) {
+    this.amount = amount;
+    this.currency = currency;
+  }
+}
+
+const moneySerializer = {
+  name: 'Money',
+  type: Money,
+  serialize: money => ({ amount: money.amount, currency: money.currency }),
+  deserialize: ({ amount, currency }) => new Money(amount, currency),
+};
+
+const encryptoService = new EncryptoService(keyHex, null, { serializers: [moneySerializer] });
+const roundTrip = (data, options) => encryptoService.decryptJsonObject(encryptoService.encryptJsonObject(data, options), options);
+
+describe('binary data', () => {
+  test('should encrypt Buffers as single values of raw bytes', () => {
+    const avatar = crypto.randomBytes(300);
+    const encrypted = encryptoService.encryptJsonObject({ avatar });
+    expect(encrypted.avatar).toMatch(/^v2\./);
+
+    // Raw bytes: the ciphertext is as long as the bytes plus the 'xBuffer:' header, not their text form
+    const ciphertext = Buffer.from(encrypted.avatar.split('.')[3], 'base64');
+    expect(ciphertext).toHaveLength(avatar.length + 'xBuffer:'.length);
+
+    const { avatar: decrypted } = encryptoService.decryptJsonObject(encrypted);
+    expect(Buffer.isBuffer(decrypted)).toBe(true);
+    expect(decrypted.equals(avatar)).toBe(true);
+  });
+
+  test.each([
+    ['Uint8Array', new Uint8Array([1, 2, 255])],
+    ['Int16Array', new Int16Array([-1, 300])],
+    ['Float64Array', new Float64Array([Math.PI, -0])],
+    ['BigInt64Array', new BigInt64Array([-5n])],
+    ['a view over part of a buffer', new Uint16Array(new ArrayBuffer(16), 4, 2).fill(7)],
+  ])('should round-trip %s with its type', (label, value) => {
+    const decrypted = roundTrip({ value }).value;
+    expect(decrypted.constructor).toBe(value.constructor);
+    expect(Array.from(decrypted)).toEqual(Array.from(value));
+  });
+
+  test('should round-trip ArrayBuffers and DataViews', () => {
+    const { buffer, view } = roundTrip({ buffer: new Uint8Array([1, 2]).buffer, view: new DataView(new Uint8Array([3, 4]).buffer) });
+    expect(buffer).toBeInstanceOf(ArrayBuffer);
+    expect([...new Uint8Array(buffer)]).toEqual([1, 2]);
+    expect(view).toBeInstanceOf(DataView);
+    expect(view.getUint8(1)).toBe(4);
+  });
+});
+
+describe('Maps and Sets', () => {
+  test('should round-trip their contents with key and value types', () => {
+    const data = {
+      roles: new Set(['admin', 42, null]),
+      lastSeen: new Map([['web', new Date('2024-01-02T03:04:05.000Z')], [7, 12n]]),
+      nested: new Map([['inner', new Set([new Map([['k', Buffer.from('v')]])])]]),
+    };
+    const encrypted = encryptoService.encryptJsonObject(data);
+    expect(typeof encrypted.roles).toBe('string');
+    expect(typeof encrypted.lastSeen).toBe('string');
+
+    const decrypted = encryptoService.decryptJsonObject(encrypted);
+    expect(decrypted.roles).toEqual(data.roles);
+    expect(decrypted.lastSeen).toEqual(data.lastSeen);
+    expect(decrypted.lastSeen.get(7)).toBe(12n);
+    const innerMap = [...decrypted.nested.get('inner')][0];
+    expect(innerMap.get('k').toString()).toBe('v');
+  });
+
+  test('should keep binary values within collapsed subtrees', () => {
+    const data = { files: [{ name: 'a.bin', content: Buffer.from([0, 1, 2]) }] };
+    const decrypted = roundTrip(data, { collapse: ['files'] });
+    expect(Buffer.isBuffer(decrypted.files[0].content)).toBe(true);
+    expect(decrypted).toEqual(data);
+  });
+
+  test('should work with the async methods and workers', async () => {
+    const data = { tags: new Set(['a']), blob: Buffer.from('bytes'), price: new Money(5, 'EUR') };
+    const encrypted = await encryptoService.encryptJsonObjectAsync(data, { workers: 1 });
+    expect(await encryptoService.decryptJsonObjectAsync(encrypted, { workers: 1 })).toEqual(data);
+  });
+});
+
+describe('decrypting a stream', () => {
+  test('should write values without a JSON form as JSON', async () => {
+    const data = { tags: new Set(['a']), blob: Buffer.from('hi'), stats: { visits: 3n } };
+    const encrypted = encryptoService.encryptJsonObject(data, { collapse: ['stats'] });
+    const chunks = [];
+    for await (const chunk of Readable.from([JSON.stringify(encrypted)]).pipe(encryptoService.createDecryptStream())) {
+      chunks.push(chunk);
+    }
+    expect(JSON.parse(Buffer.concat(chunks).toString('utf8'))).toEqual({ tags: ['a'], blob: 'aGk=', stats: { visits: '3' } });
+  });
+});
+
+describe('serializers', () => {
+  test('should encrypt registered class instances whole and restore them', () => {
+    const data = { order: { total: new Money(12.5, 'EUR'), lines: [new Money(1n, 'USD')] } };
+    const encrypted = encryptoService.encryptJsonObject(data);
+    expect(typeof encrypted.order.total).toBe('string');
+
+    const decrypted = encryptoService.decryptJsonObject(encrypted);
+    expect(decrypted.order.total).toBeInstanceOf(Money);
+    expect(decrypted).toEqual(data);
+    expect(decrypted.order.lines[0].amount).toBe(1n);
+  });
+
+  test('should fail to decrypt instances without their serializer', () => {
+    const encrypted = encryptoService.encryptJsonObject({ total: new Money(1, 'EUR') });
+    const withoutSerializer = new EncryptoService(keyHex);
+    expect(() => withoutSerializer.decryptJsonObject(encrypted)).toThrow(EncryptoFormatError);
+    expect(() => withoutSerializer.decryptJsonObject(encrypted)).toThrow('No serializer registered for "Money"');
+
+    // Without a serializer, instances are still walked as plain objects
+    expect(withoutSerializer.encryptJsonObject({ total: new Money(1, 'EUR') }).total.currency).toMatch(/^v2\./);
+  });
+
+  test('should validate serializers', () => {
+    const create = serializers => new EncryptoService(keyHex, null, { serializers });
+    expect(() => create({})).toThrow('"serializers" must be an array');
+    expect(() => create([{ ...moneySerializer, name: 'a:b' }])).toThrow(EncryptoConfigError);
+    expect(() => create([moneySerializer, moneySerializer])).toThrow('Duplicate serializer name "Money"');
+    expect(() => create([{ name: 'Money', type: Money }])).toThrow('"serialize" and "deserialize"');
+  });
+});
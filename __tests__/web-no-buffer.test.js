@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+const { EncryptoService } = require('../src/index');
+const { WebEncryptoService } = require('../src/web');
+
+// Runs WebEncryptoService the way browsers and edge runtimes do: without Buffer
+const keyHex = crypto.randomBytes(32).toString('hex');
+const node = new EncryptoService(keyHex);
+const fromNode = {
+  buffer: node.encryptJsonObject(Buffer.from('raw bytes')),
+  map: node.encryptJsonObject(new Map([['avatar', Buffer.from([0, 255, 128])]])),
+};
+
+const bytesOf = value => Array.from(new Uint8Array(ArrayBuffer.isView(value) ? value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength) : value));
+
+describe('WebEncryptoService without Buffer', () => {
+  const { Buffer: NodeBuffer } = global;
+  const web = new WebEncryptoService(keyHex, { crypto: crypto.webcrypto });
+
+  beforeAll(() => {
+    delete global.Buffer;
+  });
+
+  afterAll(() => {
+    global.Buffer = NodeBuffer;
+  });
+
+  test('should have no Buffer', () => {
+    expect(typeof Buffer).toBe('undefined');
+  });
+
+  test('should round-trip binary values nested in objects and arrays', async () => {
+    const data = {
+      bytes: new Uint8Array([1, 2, 3]),
+      list: [new Float64Array([1.5, -0, NaN]), new BigInt64Array([-1n])],
+      view: new DataView(new Uint8Array([9, 8, 7]).buffer, 1, 2),
+      raw: new Uint8Array([4, 5]).buffer,
+    };
+    const decrypted = await web.decryptJsonObject(await web.encryptJsonObject(data));
+
+    expect(decrypted.bytes).toEqual(data.bytes);
+    expect(decrypted.list[0]).toBeInstanceOf(Float64Array);
+    expect(Object.is(decrypted.list[0][1], -0)).toBe(true);
+    expect(decrypted.list[1]).toEqual(data.list[1]);
+    expect(decrypted.view).toBeInstanceOf(DataView);
+    expect(bytesOf(decrypted.view)).toEqual([8, 7]);
+    expect(decrypted.raw).toBeInstanceOf(ArrayBuffer);
+    expect(bytesOf(decrypted.raw)).toEqual([4, 5]);
+  });
+
+  test('should round-trip Maps and Sets holding binary values', async () => {
+    const data = {
+      files: new Map([['a.bin', new Uint8Array([1, 2])], ['b.bin', new Uint16Array([65535])]]),
+      keys: new Set([new Uint8Array([3]), 'plain']),
+    };
+    const decrypted = await web.decryptJsonObject(await web.encryptJsonObject(data));
+
+    expect(decrypted.files).toBeInstanceOf(Map);
+    expect(decrypted.files.get('a.bin')).toEqual(new Uint8Array([1, 2]));
+    expect(decrypted.files.get('b.bin')).toEqual(new Uint16Array([65535]));
+    expect([...decrypted.keys]).toEqual([new Uint8Array([3]), 'plain']);
+  });
+
+  test('should round-trip collapsed subtrees holding binary values', async () => {
+    const data = { doc: { scan: new Uint8Array([7, 7]), pages: [{ thumb: new Uint8Array(300).fill(1) }] } };
+    const encrypted = await web.encryptJsonObject(data, { collapse: ['doc'] });
+
+    expect(typeof encrypted.doc).toBe('string');
+    expect(await web.decryptJsonObject(encrypted, { collapse: ['doc'] })).toEqual(data);
+  });
+
+  test('should decrypt Buffers encrypted by EncryptoService as Uint8Arrays', async () => {
+    const buffer = await web.decryptJsonObject(fromNode.buffer);
+    expect(buffer).toBeInstanceOf(Uint8Array);
+    expect(new TextDecoder().decode(buffer)).toBe('raw bytes');
+
+    const map = await web.decryptJsonObject(fromNode.map);
+    expect(map).toBeInstanceOf(Map);
+    expect(map.get('avatar')).toEqual(new Uint8Array([0, 255, 128]));
+  });
+
+  test('should write envelopes that EncryptoService decrypts', async () => {
+    const data = { files: new Map([['a.bin', new Uint8Array([1, 2])]]), doc: { scan: new Int32Array([-5]) } };
+    const encrypted = await web.encryptJsonObject(data, { bindPath: true, collapse: ['doc'] });
+
+    global.Buffer = NodeBuffer;
+    try {
+      expect(node.decryptJsonObject(encrypted, { bindPath: true, collapse: ['doc'] })).toEqual(data);
+    } finally {
+      delete global.Buffer;
+    }
+  });
+});
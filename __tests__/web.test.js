@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const {
+  EncryptoAuthError,
+  EncryptoConfigError,
+  EncryptoFormatError,
+  EncryptoKeyError,
+  EncryptoService,
+} = require('../src/index');
+const { WebEncryptoService } = require('../src/web');
+
+const keyHex = crypto.randomBytes(32).toString('hex');
+const sampleData = {
+  id: 7,
+  user: { email: 'jane@example.com', name: 'Zoë 🚀', tags: ['a', 'b'], score: -0 },
+  joined: new Date('2024-01-02T03:04:05.678Z'),
+  balance: 12345678901234567890n,
+  active: true,
+  notes: null,
+  visits: new Map([['home', 3]]),
+};
+
+describe('WebEncryptoService', () => {
+  const encodings = ['base64', 'base64url', 'hex'];
+
+  test.each(encodings)('should exchange %s envelopes with EncryptoService both ways', async (encoding) => {
+    const node = new EncryptoService(keyHex, null, { encoding });
+    const web = new WebEncryptoService(keyHex, { encoding });
+    const options = { bindPath: true, context: 'user:7' };
+
+    const fromWeb = await web.encryptJsonObject(sampleData, options);
+    expect(node.decryptJsonObject(fromWeb, options)).toEqual(sampleData);
+    const fromNode = node.encryptJsonObject(sampleData, options);
+    expect(await web.decryptJsonObject(fromNode, options)).toEqual(sampleData);
+
+    // Same envelope layout: only the random nonces, and so the ciphertexts, differ
+    const shape = envelope => envelope.split('.').map((part, index) => (index < envelope.split('.').length - 3 ? part : part.length));
+    expect(shape(fromWeb.user.email)).toEqual(shape(fromNode.user.email));
+  });
+
+  test('should decrypt a known envelope written by EncryptoService', async () => {
+    const fixedKey = '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f';
+    const encrypted = {
+      email: 'v2.default.D6+9vVPxmFXpSv8s.bK1ZX7/SMgntqy4Z37t3c20=.NqwHSWsMbANgRbrD2BE0jg==',
+      age: 'v2.default.INz/K+WLwIGYoM7X.93pJ.pP4P6KQKVX7+ke2EtFw3hA==',
+      at: 'v2.default.Vu7cfoNUNwM+R1k2.Yvo=.z7j/MnR678pjX2F1nqZNLg==',
+    };
+    const expected = { email: 'jane@example.com', age: 42, at: new Date(0) };
+    const options = { bindPath: true, context: 'user:1' };
+    expect(await new WebEncryptoService(fixedKey).decryptJsonObject(encrypted, options)).toEqual(expected);
+    expect(new EncryptoService(fixedKey).decryptJsonObject(encrypted, options)).toEqual(expected);
+  });
+
+  test('should apply path rules, collapse and keyrings like EncryptoService', async () => {
+    const keyring = { keys: [{ id: 'old', key: crypto.randomBytes(32).toString('hex') }, { id: 'new', key: new Uint8Array(crypto.randomBytes(32)) }], activeKeyId: 'new' };
+    const node = new EncryptoService({ keys: keyring.keys.map(({ id, key }) => ({ id, key: typeof key === 'string' ? key : Buffer.from(key) })), activeKeyId: 'new' });
+    const web = new WebEncryptoService(keyring);
+    const data = { id: 1, user: { email: 'jane@example.com' }, cards: [{ pan: '4111', brand: 'visa' }] };
+    const options = { include: ['user.email'], collapse: ['cards'] };
+
+    const encrypted = await web.encryptJsonObject(data, options);
+    expect(encrypted.id).toBe(1);
+    expect(encrypted.user.email).toMatch(/^v2\.new\./);
+    expect(typeof encrypted.cards).toBe('string');
+    expect(node.decryptJsonObject(encrypted, options)).toEqual(data);
+
+    const old = new EncryptoService(keyring.keys[0].key).encryptJsonObject({ a: 'x' });
+    expect(await web.decryptJsonObject({ a: old.a.replace('.default.', '.old.') })).toEqual({ a: 'x' });
+  });
+
+  test('should report failures with the error classes of EncryptoService', async () => {
+    const web = new WebEncryptoService(keyHex);
+    const node = new EncryptoService(keyHex);
+
+    const bound = node.encryptJsonObject({ a: 'secret' }, { bindPath: true });
+    await expect(web.decryptJsonObject({ b: bound.a }, { bindPath: true })).rejects.toThrow(EncryptoAuthError);
+    await expect(web.decryptJsonObject({ b: bound.a }, { bindPath: true })).rejects.toMatchObject({ path: 'b' });
+    await expect(web.decryptJsonObject(bound.a.replace('.default.', '.other.'))).rejects.toThrow(EncryptoKeyError);
+    await expect(web.decryptJsonObject('v2.default.x.y.z')).rejects.toThrow('the nonce must be 12 bytes of base64');
+    await expect(web.decryptJsonObject('plain', { strict: true })).rejects.toThrow(EncryptoFormatError);
+    expect(await web.decryptJsonObject('example.com')).toBe('example.com');
+
+    const chacha = new EncryptoService(keyHex, null, { algorithm: 'chacha20-poly1305' }).encryptJsonObject('x');
+    await expect(web.decryptJsonObject(chacha)).rejects.toThrow("encrypted with \"chacha20-poly1305\", which WebCrypto doesn't support");
+    await expect(web.encryptJsonObject({ a: { b: 1 } }, { maxDepth: 1 })).rejects.toThrow('Limit exceeded at "a.b"');
+  });
+
+  test('should validate its configuration', async () => {
+    expect(() => new WebEncryptoService('abcd')).toThrow('Invalid key length for key "default"');
+    expect(() => new WebEncryptoService('zz'.repeat(32))).toThrow('must be a hex string');
+    expect(() => new WebEncryptoService(keyHex, { algorithm: 'chacha20-poly1305' })).toThrow('Supported by WebCrypto: "aes-256-gcm"');
+    expect(() => new WebEncryptoService(keyHex, { encoding: 'utf8' })).toThrow(EncryptoConfigError);
+    expect(() => new WebEncryptoService(keyHex, { crypto: {} })).toThrow('WebCrypto is not available');
+    await expect(new WebEncryptoService(keyHex).encryptJsonObject({}, { encryptKeys: true })).rejects.toThrow('"encryptKeys" is only supported by EncryptoService in Node.js');
+  });
+
+  test('should run without Buffer or the crypto module', async () => {
+    const source = fs.readFileSync(path.join(__dirname, '../src/web.js'), 'utf8');
+    expect(source).not.toMatch(/from '(node:)?crypto'|\bBuffer\.(from|alloc|concat|isBuffer)|require\(/);
+
+    const web = new WebEncryptoService(keyHex, { encoding: 'base64url', crypto: crypto.webcrypto });
+    const { Buffer: NodeBuffer } = global;
+    delete global.Buffer;
+    let encrypted;
+    let decrypted;
+    try {
+      encrypted = await web.encryptJsonObject(sampleData, { bindPath: true });
+      decrypted = await web.decryptJsonObject(encrypted, { bindPath: true });
+    } finally {
+      global.Buffer = NodeBuffer;
+    }
+    expect(decrypted).toEqual(sampleData);
+    expect(new EncryptoService(keyHex).decryptJsonObject(encrypted, { bindPath: true })).toEqual(sampleData);
+  });
+
+  test('should keep "__proto__" keys as own properties, as EncryptoService does', async () => {
+    const hostile = () => JSON.parse('{"__proto__": {"isAdmin": true}, "a": "x"}');
+    const node = new EncryptoService(keyHex);
+    const web = new WebEncryptoService(keyHex);
+    const expectSafe = (result) => {
+      expect(Object.getPrototypeOf(result)).toBe(Object.prototype);
+      expect(Object.keys(result)).toEqual(['__proto__', 'a']);
+      expect(result.isAdmin).toBeUndefined();
+      return result;
+    };
+
+    const encrypted = await web.encryptJsonObject(hostile());
+    expectSafe(encrypted);
+    for (const decrypted of [await web.decryptJsonObject(encrypted), await web.decryptJsonObject(node.encryptJsonObject(hostile())), node.decryptJsonObject(encrypted)]) {
+      expect(Object.getOwnPropertyDescriptor(expectSafe(decrypted), '__proto__').value).toEqual({ isAdmin: true });
+    }
+  });
+
+  test('should exchange binary values with EncryptoService both ways', async () => {
+    const node = new EncryptoService(keyHex);
+    const web = new WebEncryptoService(keyHex);
+    const data = { raw: Buffer.from('raw'), floats: new Float64Array([1.5, -0]), set: new Set([new Uint8Array([1, 2])]) };
+
+    const fromNode = await web.decryptJsonObject(node.encryptJsonObject(data));
+    expect(Buffer.isBuffer(fromNode.raw)).toBe(true);
+    expect(fromNode).toEqual(data);
+    expect(node.decryptJsonObject(await web.encryptJsonObject(data))).toEqual(data);
+  });
+});
@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+import { run } from '../src/cli.js';
+
+run(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode; // Let pending output flush before exiting
+});
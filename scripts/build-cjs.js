@@ -0,0 +1,50 @@
+// Builds the CommonJS copy of the package into dist/cjs, for require('open-encrypto-object').
+// The ES modules in src are published as they are; this only rewrites import and export
+// statements (and import.meta.url), so both builds run the same code. Run with `npm run build`.
+import * as fs from 'fs';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import { transformFileAsync } from '@babel/core';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SOURCE_DIR = path.join(ROOT, 'src');
+const TYPES_DIR = path.join(ROOT, 'types');
+const OUTPUT_DIR = path.join(ROOT, 'dist', 'cjs');
+
+/**
+ * Writes the CommonJS build: every module of src, the type definitions next to them, and a
+ * package.json marking the directory as CommonJS, since the package itself is "type": "module".
+ *
+ * @param {string} [outputDir] The directory to write to, emptied first.
+ * @returns {Promise<string[]>} The files written, relative to outputDir.
+ */
+export async function buildCjs(outputDir = OUTPUT_DIR) {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    fs.mkdirSync(outputDir, { recursive: true });
+    const written = [];
+
+    for (const name of fs.readdirSync(SOURCE_DIR).filter(file => file.endsWith('.js')).sort()) {
+        const { code } = await transformFileAsync(path.join(SOURCE_DIR, name), {
+            babelrc: false,
+            configFile: false, // Ignore the test configuration: only the module syntax changes
+            plugins: [
+                ['@babel/plugin-transform-modules-commonjs', { importInterop: 'node' }],
+                'babel-plugin-transform-import-meta', // For the worker pool's worker module URL
+            ],
+        });
+        fs.writeFileSync(path.join(outputDir, name), `${code}\n`);
+        written.push(name);
+    }
+    for (const name of fs.readdirSync(TYPES_DIR).filter(file => file.endsWith('.d.ts')).sort()) {
+        fs.copyFileSync(path.join(TYPES_DIR, name), path.join(outputDir, name));
+        written.push(name);
+    }
+    fs.writeFileSync(path.join(outputDir, 'package.json'), `${JSON.stringify({ type: 'commonjs' }, null, 2)}\n`);
+    written.push('package.json');
+    return written;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const written = await buildCjs();
+    console.log(`Wrote ${written.length} files to ${path.relative(ROOT, OUTPUT_DIR)}.`);
+}
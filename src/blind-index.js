@@ -0,0 +1,58 @@
+import * as crypto from 'crypto';
+import { encodeValue } from './codec.js';
+
+// --- Configuration Constants ---
+const MAC_ALGORITHM = 'sha256';
+const INDEX_LENGTH_BYTES = 16; // Truncated HMAC: 128 bits keep collisions negligible
+const INDEX_ENCODING = 'base64url';
+const INDEX_VERSION = 'bi1'; // Prefix of the 'bi1.<index>' values
+const FIELD_SEPARATOR = Buffer.from([0]); // Can't occur in the JSON-encoded field name
+
+/**
+ * Computes blind indexes: keyed, deterministic digests of values that allow equality
+ * lookups on encrypted fields without decrypting them.
+ *
+ * The digest is an HMAC of the field name and the type-tagged value, so the same value
+ * gets different indexes in different fields, and 1 and '1' don't collide.
+ */
+export class BlindIndexer {
+    #key;
+    #serializers;
+
+    /**
+     * Creates a BlindIndexer.
+     * @param {Buffer} key The 32-byte blind index key, which must differ from every encryption key.
+     * @param {object | null} [serializers=null] The compiled serializers of domain classes.
+     */
+    constructor(key, serializers = null) {
+        this.#key = key;
+        this.#serializers = serializers;
+    }
+
+    /**
+     * Computes the blind index of a value in a field.
+     *
+     * @param {string | number | boolean | null | bigint | Date} value The value.
+     * @param {string} field The field the index is scoped to, e.g. 'users[*].email'.
+     * @returns {string} The index, 'bi1.<index>' with the index base64url encoded.
+     * @throws {Error} If the value's type cannot be encoded.
+     */
+    compute(value, field) {
+        const digest = crypto.createHmac(MAC_ALGORITHM, this.#key)
+            .update(JSON.stringify(field))
+            .update(FIELD_SEPARATOR)
+            .update(encodeValue(value, this.#serializers))
+            .digest();
+        return `${INDEX_VERSION}.${digest.subarray(0, INDEX_LENGTH_BYTES).toString(INDEX_ENCODING)}`;
+    }
+}
+
+/**
+ * Checks whether a value has the shape of a blind index.
+ *
+ * @param {any} value The value to check.
+ * @returns {boolean}
+ */
+export function isBlindIndex(value) {
+    return typeof value === 'string' && value.startsWith(`${INDEX_VERSION}.`);
+}
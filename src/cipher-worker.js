@@ -0,0 +1,21 @@
+// Runs inside each thread of a CipherWorkerPool: receives batches of cipher jobs and posts
+// back one result per job. Failures are reported per job, so one bad value doesn't fail its batch.
+import { parentPort } from 'worker_threads';
+import { openPayload, sealPayload } from './cipher.js';
+
+const OPERATIONS = {
+    seal: ({ key, payload, aad, algorithm }) => sealPayload(key, payload, aad, algorithm),
+    open: openPayload,
+};
+
+parentPort.on('message', ({ id, operation, jobs }) => {
+    const run = OPERATIONS[operation];
+    const results = jobs.map((job) => {
+        try {
+            return { value: run(job) };
+        } catch (error) {
+            return { error: error.message };
+        }
+    });
+    parentPort.postMessage({ id, results });
+});
@@ -0,0 +1,69 @@
+import * as crypto from 'crypto';
+import { ALGORITHMS, AUTH_TAG_LENGTH_BYTES, DEFAULT_ALGORITHM, NONCE_LENGTH_BYTES } from './envelope.js';
+
+// --- Configuration Constants ---
+const SUBKEY_HASH_ALGORITHM = 'sha256';
+const SUBKEY_LENGTH_BYTES = 32;
+
+/**
+ * Checks whether an algorithm is known and available in this build of Node.js.
+ *
+ * @param {string} algorithm The cipher name, e.g. 'chacha20-poly1305'.
+ * @returns {boolean}
+ */
+export function isAlgorithmSupported(algorithm) {
+    return Object.prototype.hasOwnProperty.call(ALGORITHMS, algorithm) && crypto.getCiphers().includes(algorithm);
+}
+
+/**
+ * Encrypts a payload under a fresh random nonce.
+ *
+ * @param {Buffer | Uint8Array} key The 32-byte key.
+ * @param {Buffer | Uint8Array} payload The plaintext.
+ * @param {Buffer | Uint8Array | null} [aad=null] Additional authenticated data, if any.
+ * @param {string} [algorithm='aes-256-gcm'] One of the ALGORITHMS.
+ * @returns {{ nonce: Buffer, ciphertext: Buffer, authTag: Buffer }} The encrypted parts.
+ */
+export function sealPayload(key, payload, aad = null, algorithm = DEFAULT_ALGORITHM) {
+    // A fresh nonce per value: reusing a GCM nonce under one key breaks confidentiality and authentication
+    const nonce = crypto.randomBytes(NONCE_LENGTH_BYTES);
+    const cipher = crypto.createCipheriv(algorithm, key, nonce, { authTagLength: AUTH_TAG_LENGTH_BYTES });
+    if (aad) cipher.setAAD(aad);
+    const ciphertext = Buffer.concat([cipher.update(payload), cipher.final()]);
+    return { nonce, ciphertext, authTag: cipher.getAuthTag() };
+}
+
+/**
+ * Decrypts and authenticates a payload.
+ *
+ * @param {object} request The encrypted parts.
+ * @param {Buffer | Uint8Array} request.key The 32-byte key.
+ * @param {Buffer | Uint8Array} request.iv The nonce (or legacy IV).
+ * @param {Buffer | Uint8Array} request.ciphertext The encrypted payload.
+ * @param {Buffer | Uint8Array} request.authTag The authentication tag.
+ * @param {Buffer | Uint8Array | null} [request.aad] Additional authenticated data, if any.
+ * @param {string} [request.algorithm='aes-256-gcm'] The algorithm the payload was encrypted with.
+ * @returns {Buffer} The plaintext.
+ * @throws {Error} If the auth tag is invalid.
+ */
+export function openPayload({ key, iv, ciphertext, authTag, aad, algorithm = DEFAULT_ALGORITHM }) {
+    const decipher = crypto.createDecipheriv(algorithm, key, iv, { authTagLength: AUTH_TAG_LENGTH_BYTES });
+    decipher.setAuthTag(authTag); // Set auth tag for verification
+    if (aad) decipher.setAAD(aad);
+    return Buffer.concat([
+        decipher.update(ciphertext),
+        decipher.final(), // Throws if auth tag is invalid
+    ]);
+}
+
+/**
+ * Derives a single-purpose subkey from a data key with HKDF. The data key itself is never
+ * used for anything but encryption; each other use gets its own subkey, named by its label.
+ *
+ * @param {Buffer | Uint8Array} key The data key.
+ * @param {string} info The label of the subkey's purpose, e.g. 'open-encrypto-object manifest mac'.
+ * @returns {Buffer} The 32-byte subkey.
+ */
+export function deriveSubkey(key, info) {
+    return Buffer.from(crypto.hkdfSync(SUBKEY_HASH_ALGORITHM, key, Buffer.alloc(0), info, SUBKEY_LENGTH_BYTES));
+}
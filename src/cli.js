@@ -0,0 +1,368 @@
+import * as crypto from 'crypto';
+import { once } from 'events';
+import * as fs from 'fs';
+import { Writable } from 'stream';
+import { parseArgs } from 'util';
+import { EncryptoAuthError, EncryptoConfigError, EncryptoService } from './index.js';
+import { Keyring } from './keyring.js';
+
+// --- Exit Codes ---
+export const EXIT_OK = 0;
+export const EXIT_FAILURE = 1; // Unexpected errors, unreadable input, invalid JSON
+export const EXIT_USAGE = 2; // Unknown commands or options, missing keys
+export const EXIT_AUTH_FAILURE = 3; // A value failed authentication: wrong key, tampering, or wrong binding
+
+// --- Environment Variables ---
+const ENV_KEY = 'ENCRYPTO_KEY'; // A 64-hex-character key
+const ENV_KEY_FILE = 'ENCRYPTO_KEY_FILE'; // A file holding a hex key or a keyring as JSON
+const ENV_LEGACY_IV = 'ENCRYPTO_LEGACY_IV'; // The IV needed to read legacy 'data.tag' values
+
+const KEY_LENGTH_BYTES = 32;
+
+const USAGE = `Usage: open-encrypto-object <command> [options]
+
+Commands:
+  keygen                 Print a new random key (or write it with --out)
+  encrypt [input]        Encrypt a JSON document
+  decrypt [input]        Decrypt a JSON document
+  rotate [input]         Re-encrypt values under older keys (or other algorithms) with the active key
+  verify [input]         Check that every encrypted value decrypts and authenticates
+
+Input is read from the given file, or stdin when omitted or "-".
+Output is written to --out, or stdout.
+
+Options:
+  -o, --out <file>       Write the output to a file
+  -k, --key-file <file>  Read the key from a file (overrides ${ENV_KEY_FILE})
+  --include <pattern>    Only process leaves matching the path pattern (repeatable)
+  --exclude <pattern>    Skip leaves matching the path pattern (repeatable)
+  --bind-path            Bind values to their JSON path
+  --context <string>     Bind values to a context, such as a record id
+  --encrypt-keys         encrypt: replace property names with keyed pseudonyms
+  --algorithm <name>     encrypt/rotate: aes-256-gcm (default), chacha20-poly1305 or aes-256-gcm-siv
+  --encoding <name>      encrypt/rotate: base64 (default), base64url or hex
+  --strict               decrypt/rotate/verify: reject selected values that are not encrypted
+  --id <id>              keygen: print a keyring entry with this key id
+  -h, --help             Show this help
+
+Keys are never read from the command line. Set ${ENV_KEY} to a hex key, or
+${ENV_KEY_FILE} (or --key-file) to a file holding either a hex key or a keyring:
+  { "activeKeyId": "k2", "keys": [{ "id": "k1", "key": "<hex>" }, { "id": "k2", "key": "<hex>" }] }
+Set ${ENV_LEGACY_IV} to read values in the legacy 'data.tag' format.
+
+Exit codes: 0 success, 1 failure, 2 usage error, 3 authentication failure.
+`;
+
+const OPTIONS = {
+    out: { type: 'string', short: 'o' },
+    'key-file': { type: 'string', short: 'k' },
+    include: { type: 'string', multiple: true },
+    exclude: { type: 'string', multiple: true },
+    'bind-path': { type: 'boolean' },
+    context: { type: 'string' },
+    'encrypt-keys': { type: 'boolean' },
+    algorithm: { type: 'string' },
+    encoding: { type: 'string' },
+    strict: { type: 'boolean' },
+    id: { type: 'string' },
+    help: { type: 'boolean', short: 'h' },
+};
+
+/**
+ * An error that ends the command with a specific exit code and message.
+ */
+class CliError extends Error {
+    /**
+     * @param {string} message The message printed to stderr.
+     * @param {number} exitCode The process exit code.
+     */
+    constructor(message, exitCode) {
+        super(message);
+        this.exitCode = exitCode;
+    }
+}
+
+/**
+ * Runs the command-line tool.
+ *
+ * @param {string[]} argv The arguments, without the node executable and script path.
+ * @param {object} [io] The process streams and environment (defaults to the current process).
+ * @param {import('stream').Readable} [io.stdin]
+ * @param {import('stream').Writable} [io.stdout]
+ * @param {import('stream').Writable} [io.stderr]
+ * @param {Record<string, string | undefined>} [io.env]
+ * @returns {Promise<number>} The exit code.
+ */
+export async function run(argv, io = {}) {
+    const {
+        stdin = process.stdin,
+        stdout = process.stdout,
+        stderr = process.stderr,
+        env = process.env,
+    } = io;
+
+    try {
+        let parsed;
+        try {
+            parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+        } catch (error) {
+            throw new CliError(`${error.message}\n\n${USAGE}`, EXIT_USAGE);
+        }
+
+        const { values, positionals } = parsed;
+        const [command, input, ...extra] = positionals;
+        if (values.help || command === undefined || command === 'help') {
+            stdout.write(USAGE);
+            return command === undefined && !values.help ? EXIT_USAGE : EXIT_OK;
+        }
+        if (extra.length > 0) {
+            throw new CliError(`Unexpected argument "${extra[0]}".\n\n${USAGE}`, EXIT_USAGE);
+        }
+
+        if (values.strict && command === 'encrypt') {
+            throw new CliError('--strict only applies to decrypt, rotate and verify.', EXIT_USAGE);
+        }
+
+        const context = { values, input, stdin, stdout, stderr, env };
+        switch (command) {
+            case 'keygen':
+                return await keygen(context);
+            case 'encrypt':
+                return await transform(context, 'encrypt');
+            case 'decrypt':
+                return await transform(context, 'decrypt');
+            case 'rotate':
+                return await rotate(context);
+            case 'verify':
+                return await verify(context);
+            default:
+                throw new CliError(`Unknown command "${command}".\n\n${USAGE}`, EXIT_USAGE);
+        }
+    } catch (error) {
+        const exitCode = error instanceof CliError ? error.exitCode : exitCodeFor(error);
+        stderr.write(`open-encrypto-object: ${error.message}\n`);
+        return exitCode;
+    }
+}
+
+/**
+ * Maps a library error to an exit code.
+ *
+ * @param {Error} error The error.
+ * @returns {number} The exit code.
+ */
+function exitCodeFor(error) {
+    if (error instanceof EncryptoAuthError) return EXIT_AUTH_FAILURE;
+    if (error instanceof EncryptoConfigError) return EXIT_USAGE;
+    return EXIT_FAILURE;
+}
+
+/**
+ * keygen: prints a new random key, as hex or as a keyring entry, or writes it to a private file.
+ *
+ * @param {object} context The parsed command line and process streams.
+ * @returns {Promise<number>} The exit code.
+ */
+async function keygen({ values, stdout }) {
+    const key = crypto.randomBytes(KEY_LENGTH_BYTES).toString('hex');
+    if (values.id !== undefined) {
+        new Keyring({ keys: [{ id: values.id, key }] }); // Throws if a keyring would reject the id
+    }
+    const text = values.id === undefined ? `${key}\n` : `${JSON.stringify({ id: values.id, key })}\n`;
+
+    if (values.out !== undefined) {
+        // 'wx': never overwrite an existing key; 0o600: readable by the owner only
+        await fs.promises.writeFile(values.out, text, { mode: 0o600, flag: 'wx' });
+        return EXIT_OK;
+    }
+    stdout.write(text);
+    return EXIT_OK;
+}
+
+/**
+ * encrypt/decrypt: streams the input through the service to the output. Decrypted output for stdout
+ * is held back until the whole input has authenticated, so no plaintext is printed before a failure.
+ *
+ * @param {object} context The parsed command line and process streams.
+ * @param {'encrypt' | 'decrypt'} operation The operation.
+ * @returns {Promise<number>} The exit code.
+ */
+async function transform(context, operation) {
+    const service = createService(context);
+    const options = pathOptions(context.values);
+    const readable = openInput(context);
+
+    await writeOutput(context, (writable) => (operation === 'encrypt'
+        ? service.encryptStream(readable, writable, options)
+        : service.decryptStream(readable, writable, options)), operation === 'decrypt');
+    return EXIT_OK;
+}
+
+/**
+ * rotate: re-encrypts values under older keys with the active key.
+ *
+ * @param {object} context The parsed command line and process streams.
+ * @returns {Promise<number>} The exit code.
+ */
+async function rotate(context) {
+    const service = createService(context);
+    const data = parseJson(await readInput(context));
+    const rotated = service.reencryptJsonObject(data, pathOptions(context.values));
+
+    await writeOutput(context, writable => new Promise((resolve, reject) => {
+        writable.on('error', reject);
+        writable.end(`${JSON.stringify(rotated)}\n`, resolve);
+    }));
+    return EXIT_OK;
+}
+
+/**
+ * verify: decrypts every value and discards the result, reporting only success or failure.
+ *
+ * @param {object} context The parsed command line and process streams.
+ * @returns {Promise<number>} The exit code.
+ */
+async function verify(context) {
+    const service = createService(context);
+    const discard = new Writable({ write: (chunk, encoding, callback) => callback() });
+
+    await service.decryptStream(openInput(context), discard, pathOptions(context.values));
+    context.stderr.write('open-encrypto-object: OK, every encrypted value authenticated.\n');
+    return EXIT_OK;
+}
+
+/**
+ * Creates the service from the key in the environment or key file, with the algorithm and encoding options.
+ *
+ * @param {object} context The parsed command line and process streams.
+ * @returns {EncryptoService}
+ * @throws {CliError} If no key is configured or the key file can't be read.
+ */
+function createService({ values, env }) {
+    const keyFile = values['key-file'] || env[ENV_KEY_FILE];
+    let key;
+
+    if (keyFile) {
+        let contents;
+        try {
+            contents = fs.readFileSync(keyFile, 'utf8').trim();
+        } catch (error) {
+            throw new CliError(`Cannot read key file "${keyFile}": ${error.message}`, EXIT_USAGE);
+        }
+        if (contents.startsWith('{')) {
+            try {
+                key = JSON.parse(contents);
+            } catch (error) {
+                throw new CliError(`Key file "${keyFile}" is not a valid keyring: ${error.message}`, EXIT_USAGE);
+            }
+        } else {
+            key = contents;
+        }
+    } else if (env[ENV_KEY]) {
+        key = env[ENV_KEY].trim();
+    } else {
+        throw new CliError(`No key configured. Set ${ENV_KEY}, ${ENV_KEY_FILE} or --key-file.`, EXIT_USAGE);
+    }
+
+    return new EncryptoService(key, env[ENV_LEGACY_IV] || undefined, { algorithm: values.algorithm, encoding: values.encoding });
+}
+
+/**
+ * Collects the path rule and binding options shared by every command.
+ *
+ * @param {object} values The parsed options.
+ * @returns {object} The options for the service methods.
+ */
+function pathOptions(values) {
+    const options = {};
+    if (values.include) options.include = values.include;
+    if (values.exclude) options.exclude = values.exclude;
+    if (values['bind-path']) options.bindPath = true;
+    if (values.context !== undefined) options.context = values.context;
+    if (values['encrypt-keys']) options.encryptKeys = true;
+    if (values.strict) options.strict = true;
+    return options;
+}
+
+/**
+ * Opens the input file, or stdin.
+ *
+ * @param {object} context The parsed command line and process streams.
+ * @returns {import('stream').Readable}
+ */
+function openInput({ input, stdin }) {
+    return input === undefined || input === '-' ? stdin : fs.createReadStream(input);
+}
+
+/**
+ * Reads the whole input as text.
+ *
+ * @param {object} context The parsed command line and process streams.
+ * @returns {Promise<string>}
+ */
+async function readInput(context) {
+    const chunks = [];
+    for await (const chunk of openInput(context)) {
+        chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Parses the input document.
+ *
+ * @param {string} text The input.
+ * @returns {any}
+ * @throws {CliError} If the input is not valid JSON.
+ */
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new CliError(`Invalid JSON: ${error.message}`, EXIT_FAILURE);
+    }
+}
+
+/**
+ * Writes to the output file, or stdout. The file is written under a temporary name beside it,
+ * readable by the owner only since it may hold plaintext, and renamed over the output only once
+ * complete: an existing output (or the input, when both name the same file) is left as it was on
+ * failure.
+ *
+ * @param {object} context The parsed command line and process streams.
+ * @param {(writable: import('stream').Writable) => Promise<void>} write Writes the output and resolves when done.
+ * @param {boolean} [buffered=false] Whether to hold output for stdout until `write` succeeds, since
+ *                                   what was printed can't be taken back.
+ * @returns {Promise<void>}
+ */
+async function writeOutput({ values, stdout }, write, buffered = false) {
+    if (values.out === undefined) {
+        // Keep stdout open: the process (or caller) still owns it
+        const chunks = [];
+        const passThrough = new Writable({
+            write: (chunk, encoding, callback) => {
+                if (!buffered) return stdout.write(chunk, callback);
+                chunks.push(chunk);
+                callback();
+            },
+        });
+        await write(passThrough);
+        if (chunks.length > 0) {
+            await new Promise(resolve => stdout.write(Buffer.concat(chunks), resolve));
+        }
+        return;
+    }
+
+    // Same directory, so the rename stays on one file system
+    const temporary = `${values.out}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    const writable = fs.createWriteStream(temporary, { flags: 'wx', mode: 0o600 });
+    try {
+        await write(writable);
+        if (!writable.closed) await once(writable, 'close');
+        await fs.promises.rename(temporary, values.out);
+    } catch (error) {
+        writable.destroy();
+        await fs.promises.rm(temporary, { force: true });
+        throw error;
+    }
+}
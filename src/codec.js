@@ -0,0 +1,462 @@
+import { EncryptoConfigError } from './errors.js';
+
+// --- Type Tags ---
+// Each encrypted payload starts with a one-character tag naming the original type,
+// followed by the value serialized as UTF-8 text (or, for binary data, the raw bytes).
+const TYPE_STRING = 's';
+const TYPE_NUMBER = 'n';
+const TYPE_BOOLEAN = 'b';
+const TYPE_NULL = 'z';
+const TYPE_BIGINT = 'i';
+const TYPE_DATE = 'd';
+const TYPE_TREE = 'j'; // A collapsed object or array: JSON whose leaves are type-tagged strings
+const TYPE_MAP = 'M'; // Body: the entries as a tree
+const TYPE_SET = 'S'; // Body: the values as a tree
+const TYPE_BYTES = 'x'; // Body: '<kind>:' and the raw bytes. Only used for a whole payload, which may be binary
+const TYPE_BYTES_TEXT = 'X'; // Body: '<kind>:' and the bytes as base64, for binary values within a tree
+const TYPE_CUSTOM = 'c'; // Body: '<serializer name>:' and the serialized instance as type-tagged text
+
+const NAME_DELIMITER = ':';
+const SERIALIZER_NAME_PATTERN = /^[A-Za-z0-9_$.-]{1,64}$/;
+
+// The codec doesn't use Buffer, so that WebEncryptoService can run where Node.js APIs are missing
+const TEXT_ENCODER = new TextEncoder();
+const TEXT_DECODER = new TextDecoder();
+const BYTES_TAG = TYPE_BYTES.charCodeAt(0);
+const NAME_DELIMITER_BYTE = NAME_DELIMITER.charCodeAt(0);
+
+// The binary types, by the name recorded in the payload. ArrayBuffer and DataView are handled apart.
+const TYPED_ARRAYS = new Map([
+    Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array, Int32Array, Uint32Array,
+    Float32Array, Float64Array, BigInt64Array, BigUint64Array,
+].map(type => [type.name, type]));
+
+/**
+ * Validates serializers for domain classes and indexes them for the codec.
+ *
+ * A serializer turns instances of a class into a value the codec already supports
+ * (typically a plain object, whose leaves keep their types) and back. Instances of a
+ * registered class are encrypted as single values, like Dates.
+ *
+ * @param {Array<{ name: string, type: Function, serialize: (instance: any) => any, deserialize: (value: any) => any }>} serializers
+ *        The serializers. `name` is recorded in each payload, so it must stay stable (1-64 characters from [A-Za-z0-9_$.-]);
+ *        `type` is the class, matched with instanceof in the order given.
+ * @returns {{ list: Array<object>, byName: Map<string, object> }} The compiled serializers.
+ * @throws {EncryptoConfigError} If a serializer is malformed or a name is duplicated.
+ */
+export function compileSerializers(serializers) {
+    if (!Array.isArray(serializers)) {
+        throw new EncryptoConfigError('Configuration Error: "serializers" must be an array.');
+    }
+    const byName = new Map();
+    for (const serializer of serializers) {
+        const { name, type, serialize, deserialize } = serializer || {};
+        if (typeof name !== 'string' || !SERIALIZER_NAME_PATTERN.test(name)) {
+            throw new EncryptoConfigError(`Configuration Error: Invalid serializer name "${name}". Names must be 1-64 characters from [A-Za-z0-9_$.-].`);
+        }
+        if (byName.has(name)) {
+            throw new EncryptoConfigError(`Configuration Error: Duplicate serializer name "${name}".`);
+        }
+        if (typeof type !== 'function' || typeof serialize !== 'function' || typeof deserialize !== 'function') {
+            throw new EncryptoConfigError(`Configuration Error: Serializer "${name}" must have a "type" class and "serialize" and "deserialize" functions.`);
+        }
+        byName.set(name, { name, type, serialize, deserialize });
+    }
+    return { list: [...byName.values()], byName };
+}
+
+/**
+ * Checks whether a value is encrypted as a single leaf rather than walked as a container.
+ *
+ * @param {any} value The value to check.
+ * @param {{ list: Array<object> } | null} [serializers=null] The compiled serializers of domain classes.
+ * @returns {boolean} True for primitives, Dates, Maps, Sets, binary data and instances of registered classes.
+ */
+export function isLeafValue(value, serializers = null) {
+    return value === null
+        || typeof value !== 'object'
+        || value instanceof Date
+        || value instanceof Map
+        || value instanceof Set
+        || isBinary(value)
+        || findSerializer(value, serializers) !== undefined;
+}
+
+/**
+ * Lists the values a leaf is encoded from, so walkers can count them and detect circular references
+ * before encodeText recurses into them: the entries of a Map, the values of a Set, the output of a
+ * serializer, or the children of a collapsed object or array.
+ *
+ * @param {any} value The leaf value, or collapsed subtree.
+ * @param {{ list: Array<object> } | null} [serializers=null] The compiled serializers of domain classes.
+ * @returns {Array<[string | number | null, any]>} The path segment and value of each child; the segment is null
+ *          for a serializer's output, which has no path of its own. Empty for primitives, Dates and binary data.
+ */
+export function leafContents(value, serializers = null) {
+    if (value === null || typeof value !== 'object' || value instanceof Date || isBinary(value)) {
+        return [];
+    }
+    if (value instanceof Map || value instanceof Set) {
+        return [...value].map((child, index) => [index, child]); // Map entries are [key, value] arrays
+    }
+    const serializer = findSerializer(value, serializers);
+    if (serializer !== undefined) {
+        return [[null, serializer.serialize(value)]];
+    }
+    if (Array.isArray(value)) {
+        return value.map((child, index) => [index, child]);
+    }
+    return Object.keys(value).map(key => [key, value[key]]);
+}
+
+/**
+ * Checks whether a value is binary data: a Buffer, typed array, DataView or ArrayBuffer.
+ *
+ * @param {any} value The value to check.
+ * @returns {boolean}
+ */
+function isBinary(value) {
+    return ArrayBuffer.isView(value) || value instanceof ArrayBuffer;
+}
+
+/**
+ * Finds the serializer of an instance of a registered class.
+ *
+ * @param {object} value The value.
+ * @param {{ list: Array<object> } | null} serializers The compiled serializers.
+ * @returns {object | undefined} The first serializer whose class the value is an instance of.
+ */
+function findSerializer(value, serializers) {
+    return serializers ? serializers.list.find(serializer => value instanceof serializer.type) : undefined;
+}
+
+/**
+ * Checks whether a value is a Node.js Buffer, in runtimes that have them.
+ *
+ * @param {any} value The value to check.
+ * @returns {boolean}
+ */
+function isBuffer(value) {
+    return typeof globalThis.Buffer === 'function' && globalThis.Buffer.isBuffer(value);
+}
+
+/**
+ * Splits binary data into the name of its type and its bytes.
+ *
+ * @param {ArrayBuffer | ArrayBufferView} value The binary value.
+ * @returns {{ kind: string, bytes: Uint8Array }} The bytes share memory with the value.
+ * @throws {Error} If the value is an unsupported view type.
+ */
+function binaryParts(value) {
+    if (value instanceof ArrayBuffer) {
+        return { kind: 'ArrayBuffer', bytes: new Uint8Array(value) };
+    }
+    let kind;
+    if (isBuffer(value)) {
+        kind = 'Buffer';
+    } else if (value instanceof DataView) {
+        kind = 'DataView';
+    } else {
+        kind = value[Symbol.toStringTag]; // The typed array's type name
+        if (!TYPED_ARRAYS.has(kind)) {
+            throw new Error(`Unsupported binary type "${kind}".`);
+        }
+    }
+    return { kind, bytes: new Uint8Array(value.buffer, value.byteOffset, value.byteLength) };
+}
+
+/**
+ * Rebuilds binary data of the given type from its bytes.
+ *
+ * @param {string} kind The name of the type.
+ * @param {Uint8Array} bytes The bytes.
+ * @returns {Buffer | ArrayBuffer | ArrayBufferView} A value that doesn't share memory with the input. A Buffer
+ *          becomes a Uint8Array where Node.js APIs are missing.
+ * @throws {Error} If the type is unknown or the length doesn't fit it.
+ */
+function binaryFromParts(kind, bytes) {
+    if (kind === 'Buffer') return typeof globalThis.Buffer === 'function' ? globalThis.Buffer.from(bytes) : new Uint8Array(bytes);
+
+    // A fresh, aligned copy of the bytes
+    const buffer = new ArrayBuffer(bytes.length);
+    new Uint8Array(buffer).set(bytes);
+    if (kind === 'ArrayBuffer') return buffer;
+    if (kind === 'DataView') return new DataView(buffer);
+
+    const TypedArray = TYPED_ARRAYS.get(kind);
+    if (TypedArray === undefined) {
+        throw new Error(`Unknown binary type "${kind}".`);
+    }
+    if (bytes.length % TypedArray.BYTES_PER_ELEMENT !== 0) {
+        throw new Error(`Malformed ${kind} payload of ${bytes.length} bytes.`);
+    }
+    return new TypedArray(buffer);
+}
+
+/**
+ * Splits a '<name>:<rest>' body.
+ *
+ * @param {string} body The body.
+ * @returns {[string, string]} The name and the rest.
+ * @throws {Error} If the body has no name.
+ */
+function splitName(body) {
+    const index = body.indexOf(NAME_DELIMITER);
+    if (index < 1) {
+        throw new Error('Malformed payload: missing type name.');
+    }
+    return [body.slice(0, index), body.slice(index + 1)];
+}
+
+/**
+ * Serializes a number so that -0, NaN and the infinities survive the round trip.
+ *
+ * @param {number} value The number to serialize.
+ * @returns {string} The serialized number.
+ */
+function serializeNumber(value) {
+    return Object.is(value, -0) ? '-0' : String(value);
+}
+
+/**
+ * Encodes a value into a type-tagged payload ready for encryption.
+ *
+ * @param {string | number | boolean | null | bigint | Date | Map | Set | Buffer | object | Array} value The value to encode.
+ *        Objects and arrays are encoded whole, as a collapsed subtree. Binary data is encoded as raw bytes.
+ * @param {{ list: Array<object>, byName: Map<string, object> } | null} [serializers=null] The compiled serializers
+ *        of domain classes.
+ * @returns {Uint8Array} The payload: a one-character type tag followed by the serialized value.
+ * @throws {Error} If the value's type cannot be encoded (e.g., functions or symbols).
+ */
+export function encodeValue(value, serializers = null) {
+    if (isBinary(value)) {
+        const { kind, bytes } = binaryParts(value);
+        const header = TEXT_ENCODER.encode(`${TYPE_BYTES}${kind}${NAME_DELIMITER}`);
+        const payload = new Uint8Array(header.length + bytes.length);
+        payload.set(header);
+        payload.set(bytes, header.length);
+        return payload;
+    }
+    return TEXT_ENCODER.encode(encodeText(value, serializers));
+}
+
+/**
+ * Encodes a value into type-tagged text.
+ *
+ * @param {any} value The value to encode.
+ * @param {{ list: Array<object> } | null} serializers The compiled serializers of domain classes.
+ * @returns {string} The one-character type tag followed by the serialized value.
+ * @throws {Error} If the value's type cannot be encoded.
+ */
+export function encodeText(value, serializers) {
+    if (!isLeafValue(value, serializers)) {
+        return `${TYPE_TREE}${encodeTree(value, serializers)}`;
+    }
+
+    let tag;
+    let body;
+
+    if (value === null) {
+        tag = TYPE_NULL;
+        body = '';
+    } else if (value instanceof Date) {
+        tag = TYPE_DATE;
+        body = serializeNumber(value.getTime()); // Invalid dates round-trip as NaN
+    } else if (value instanceof Map) {
+        tag = TYPE_MAP;
+        body = encodeTree([...value], serializers);
+    } else if (value instanceof Set) {
+        tag = TYPE_SET;
+        body = encodeTree([...value], serializers);
+    } else if (isBinary(value)) {
+        const { kind, bytes } = binaryParts(value);
+        tag = TYPE_BYTES_TEXT;
+        body = `${kind}${NAME_DELIMITER}${bytesToBase64(bytes)}`;
+    } else if (typeof value === 'object') {
+        const serializer = findSerializer(value, serializers);
+        tag = TYPE_CUSTOM;
+        body = `${serializer.name}${NAME_DELIMITER}${encodeText(serializer.serialize(value), serializers)}`;
+    } else {
+        switch (typeof value) {
+            case 'string':
+                tag = TYPE_STRING;
+                body = value;
+                break;
+            case 'number':
+                tag = TYPE_NUMBER;
+                body = serializeNumber(value);
+                break;
+            case 'boolean':
+                tag = TYPE_BOOLEAN;
+                body = value ? 'true' : 'false';
+                break;
+            case 'bigint':
+                tag = TYPE_BIGINT;
+                body = value.toString();
+                break;
+            default:
+                throw new Error(`Unsupported value type "${typeof value}".`);
+        }
+    }
+
+    return `${tag}${body}`;
+}
+
+/**
+ * Serializes an object or array as JSON, replacing each leaf with its type-tagged text so
+ * that numbers, bigints, Dates and the like keep their types. As with JSON.stringify,
+ * undefined properties are dropped and undefined array elements become null.
+ *
+ * @param {object | Array} tree The subtree to serialize.
+ * @param {{ list: Array<object> } | null} serializers The compiled serializers of domain classes.
+ * @returns {string} The JSON text.
+ * @throws {Error} If a leaf's type cannot be encoded.
+ */
+function encodeTree(tree, serializers) {
+    return JSON.stringify(tree, function replaceLeaf(key, value) {
+        const original = this[key]; // Before toJSON, so Dates are still Dates
+        if (original === undefined || !isLeafValue(original, serializers)) return value;
+        return encodeText(original, serializers);
+    });
+}
+
+/**
+ * Decodes a type-tagged payload back into the original value.
+ *
+ * @param {Uint8Array} payload The decrypted payload produced by encodeValue.
+ * @param {{ byName: Map<string, object> } | null} [serializers=null] The compiled serializers of domain classes.
+ * @returns {string | number | boolean | null | bigint | Date | Map | Set | Buffer | object | Array} The value with its original type.
+ * @throws {Error} If the payload carries an unknown type tag or serializer name, or a malformed body.
+ */
+export function decodeValue(payload, serializers = null) {
+    if (payload[0] === BYTES_TAG) {
+        // The kind name is ASCII, so the first ':' byte ends it
+        const end = payload.indexOf(NAME_DELIMITER_BYTE, 1);
+        if (end < 2) {
+            throw new Error('Malformed payload: missing type name.');
+        }
+        return binaryFromParts(TEXT_DECODER.decode(payload.subarray(1, end)), payload.subarray(end + 1));
+    }
+    return decodeText(TEXT_DECODER.decode(payload), serializers);
+}
+
+/**
+ * Decodes type-tagged text back into the original value.
+ *
+ * @param {string} text The text produced by encodeText.
+ * @param {{ byName: Map<string, object> } | null} serializers The compiled serializers of domain classes.
+ * @returns {any} The value with its original type.
+ * @throws {Error} If the text carries an unknown type tag or serializer name, or a malformed body.
+ */
+export function decodeText(text, serializers) {
+    const tag = text.charAt(0);
+    const body = text.slice(1);
+
+    switch (tag) {
+        case TYPE_STRING:
+            return body;
+        case TYPE_NUMBER:
+            return Number(body);
+        case TYPE_BOOLEAN:
+            if (body !== 'true' && body !== 'false') {
+                throw new Error(`Malformed boolean payload "${body}".`);
+            }
+            return body === 'true';
+        case TYPE_NULL:
+            return null;
+        case TYPE_BIGINT:
+            return BigInt(body);
+        case TYPE_DATE:
+            return new Date(Number(body));
+        case TYPE_TREE:
+            return decodeTree(body, serializers);
+        case TYPE_MAP:
+            return new Map(decodeTree(body, serializers));
+        case TYPE_SET:
+            return new Set(decodeTree(body, serializers));
+        case TYPE_BYTES_TEXT: {
+            const [kind, encoded] = splitName(body);
+            const bytes = base64ToBytes(encoded);
+            if (bytes === null) {
+                throw new Error(`Malformed ${kind} payload: the bytes must be base64.`);
+            }
+            return binaryFromParts(kind, bytes);
+        }
+        case TYPE_CUSTOM: {
+            const [name, serialized] = splitName(body);
+            const serializer = serializers && serializers.byName.get(name);
+            if (!serializer) {
+                throw new Error(`No serializer registered for "${name}".`);
+            }
+            return serializer.deserialize(decodeText(serialized, serializers));
+        }
+        default:
+            throw new Error(`Unknown type tag "${tag}".`);
+    }
+}
+
+/**
+ * Parses the JSON of a tree, decoding each leaf.
+ *
+ * @param {string} body The JSON text produced by encodeTree.
+ * @param {{ byName: Map<string, object> } | null} serializers The compiled serializers of domain classes.
+ * @returns {object | Array} The tree, with the original leaf types.
+ * @throws {Error} If the JSON or a leaf is malformed.
+ */
+function decodeTree(body, serializers) {
+    // Every leaf was serialized as a tagged string; containers are plain JSON
+    return JSON.parse(body, (key, value) => (typeof value === 'string' ? decodeText(value, serializers) : value));
+}
+
+/**
+ * Restores the type of a value decrypted from the legacy 'data.tag' format, which stored
+ * every primitive as a bare string (best effort: legacy payloads carry no type information).
+ *
+ * @param {string} decrypted The decrypted legacy string.
+ * @returns {string | number | boolean | null} The best guess at the original value.
+ */
+export function decodeLegacyValue(decrypted) {
+    if (decrypted === 'null') return null;
+    if (decrypted === 'true') return true;
+    if (decrypted === 'false') return false;
+    if (!isNaN(decrypted) && !isNaN(parseFloat(decrypted))) {
+        if (decrypted.trim() !== '') { // Avoid converting empty/whitespace string to 0
+            return Number(decrypted);
+        }
+    }
+    return decrypted; // Otherwise, return as string
+}
+
+/**
+ * Encodes bytes as base64, with padding.
+ *
+ * @param {Uint8Array} bytes The bytes.
+ * @returns {string}
+ */
+export function bytesToBase64(bytes) {
+    let binary = '';
+    for (let start = 0; start < bytes.length; start += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(start, start + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decodes base64 text.
+ *
+ * @param {string} text The base64 text, with padding.
+ * @returns {Uint8Array | null} The bytes, or null if the text isn't base64.
+ */
+export function base64ToBytes(text) {
+    let binary;
+    try {
+        binary = atob(text);
+    } catch {
+        return null;
+    }
+    const bytes = new Uint8Array(binary.length);
+    for (let index = 0; index < binary.length; index++) {
+        bytes[index] = binary.charCodeAt(index);
+    }
+    return bytes;
+}
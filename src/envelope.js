@@ -0,0 +1,290 @@
+import { base64ToBytes, bytesToBase64 } from './codec.js';
+import {
+    EncryptoAuthError,
+    EncryptoConfigError,
+    EncryptoError,
+    EncryptoFormatError,
+} from './errors.js';
+import { formatPath } from './paths.js';
+
+// The envelope format, shared by EncryptoService (index.js) and WebEncryptoService (web.js).
+// Nothing here may use Node.js APIs such as Buffer: the web entry point runs without them.
+
+// --- Configuration Constants ---
+export const DEFAULT_ALGORITHM = 'aes-256-gcm';
+export const NONCE_LENGTH_BYTES = 12; // 12 bytes = 96 bits (Recommended nonce size for GCM, and the size ChaCha20-Poly1305 takes)
+export const AUTH_TAG_LENGTH_BYTES = 16; // GCM's default (and maximum) tag size, and Poly1305's
+export const DEFAULT_ENCODING = 'base64'; // Common choice for storing encrypted data as strings
+export const ENVELOPE_DELIMITER = '.';
+export const AUTH_FAILURE_MESSAGE = 'Unsupported state or unable to authenticate data'; // Thrown by decipher.final()
+export const DEFAULT_KEY_ID = 'default'; // The id given to a key passed as a single hex string
+const ENVELOPE_VERSION = 'v2'; // Prefix of the 'v2.<keyId>.<nonce>.<ciphertext>.<tag>' envelope: AES-256-GCM, base64
+const TAGGED_ENVELOPE_VERSION = 'v3'; // Prefix of the 'v3.<algorithm>.<encoding>.<keyId>.<nonce>.<ciphertext>.<tag>' envelope
+const KEY_LENGTH_BYTES = 32; // 32 bytes = 256 bits
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/; // Key ids are embedded in envelopes, so no '.' allowed
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+const BASE64URL_PATTERN = /^[A-Za-z0-9_-]*$/;
+const HEX_PATTERN = /^[0-9a-f]*$/;
+const HEX_KEY_PATTERN = /^(?:[0-9a-fA-F]{2})*$/;
+
+// The supported AEAD algorithms, by Node.js cipher name, with the short id recorded in 'v3.' envelopes.
+// All take a 32-byte key, a 12-byte nonce and produce a 16-byte tag.
+export const ALGORITHMS = {
+    'aes-256-gcm': { id: 'a256gcm' },
+    'chacha20-poly1305': { id: 'c20p' },
+    'aes-256-gcm-siv': { id: 'a256gcmsiv' }, // Nonce-misuse resistant; needs OpenSSL 3.2 or later
+};
+
+// The supported encodings of the binary parts of envelopes, with the short id recorded in 'v3.' envelopes,
+// a check that a string is in the canonical form the encoding writes, and codecs that don't need Buffer
+export const ENCODINGS = {
+    base64: {
+        id: 'b64',
+        isCanonical: text => text.length % 4 === 0 && BASE64_PATTERN.test(text),
+        encode: bytesToBase64,
+        decode: base64ToBytes,
+    },
+    base64url: { // Safe in URLs and cookies
+        id: 'b64u',
+        isCanonical: text => text.length % 4 !== 1 && BASE64URL_PATTERN.test(text),
+        encode: bytes => bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, ''),
+        decode: text => base64ToBytes(text.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(text.length / 4) * 4, '=')),
+    },
+    hex: {
+        id: 'hex',
+        isCanonical: text => text.length % 2 === 0 && HEX_PATTERN.test(text),
+        encode: bytes => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join(''),
+        decode: text => Uint8Array.from({ length: text.length / 2 }, (_, index) => parseInt(text.substr(index * 2, 2), 16)),
+    },
+};
+const ALGORITHMS_BY_ID = new Map(Object.entries(ALGORITHMS).map(([name, { id }]) => [id, name]));
+const ENCODINGS_BY_ID = new Map(Object.entries(ENCODINGS).map(([name, { id }]) => [id, name]));
+
+/**
+ * Joins encrypted parts into an envelope: 'v2.<keyId>.<nonce>.<ciphertext>.<tag>' for the default
+ * algorithm and encoding, which older versions can read, or 'v3.<algorithm>.<encoding>.<keyId>.<nonce>.<ciphertext>.<tag>'.
+ *
+ * @param {string} keyId The id of the key that encrypted the value.
+ * @param {{ nonce: Uint8Array, ciphertext: Uint8Array, authTag: Uint8Array }} sealed The encrypted parts.
+ * @param {string} algorithm The algorithm that encrypted the value.
+ * @param {string} encoding The encoding of the binary parts.
+ * @returns {string} The envelope.
+ */
+export function formatEnvelope(keyId, { nonce, ciphertext, authTag }, algorithm, encoding) {
+    const header = algorithm === DEFAULT_ALGORITHM && encoding === DEFAULT_ENCODING
+        ? [ENVELOPE_VERSION]
+        : [TAGGED_ENVELOPE_VERSION, ALGORITHMS[algorithm].id, ENCODINGS[encoding].id];
+    const { encode } = ENCODINGS[encoding];
+    return [...header, keyId, encode(nonce), encode(ciphertext), encode(authTag)].join(ENVELOPE_DELIMITER);
+}
+
+/**
+ * Splits a value into the parts of a known envelope format and decodes them.
+ *
+ * A 'v2.' value with five parts, or a 'v3.' value with seven, is always treated as an
+ * envelope, so a damaged one is reported rather than passed through. A 'data.tag' value
+ * is only treated as a legacy envelope when legacy values are accepted and both parts are
+ * well-formed base64, so plain strings such as 'example.com' are left alone.
+ *
+ * @param {any} value The value to inspect.
+ * @param {object} [options]
+ * @param {boolean} [options.strict=false] Rejects values that are not envelopes instead of returning null.
+ * @param {boolean} [options.legacy=false] Accepts the legacy 'data.tag' format.
+ * @param {(algorithm: string) => boolean} [options.isSupported] Whether the runtime implements an algorithm.
+ * @param {string} [options.runtime] The runtime, for the error about an unsupported algorithm.
+ * @returns {{ keyId: string | null, nonce: Uint8Array | null, ciphertext: Uint8Array, authTag: Uint8Array,
+ *             algorithm: string, encoding: string } | null}
+ *          The decoded parts (keyId and nonce are null for the legacy 'data.tag' format) with the algorithm
+ *          and encoding they use, or null if the value isn't an envelope.
+ * @throws {EncryptoFormatError} If a 'v2.' or 'v3.' envelope is malformed or names an algorithm the runtime
+ *         lacks, or in strict mode, if the value is not an envelope.
+ */
+export function parseEnvelope(value, { strict = false, legacy = false, isSupported = () => true, runtime = 'this runtime' } = {}) {
+    const parts = typeof value === 'string' ? value.split(ENVELOPE_DELIMITER) : [];
+
+    if (parts.length === 5 && parts[0] === ENVELOPE_VERSION) {
+        const [, keyId, nonce, ciphertext, authTag] = parts;
+        return decodeEnvelope({ keyId, nonce, ciphertext, authTag, algorithm: DEFAULT_ALGORITHM, encoding: DEFAULT_ENCODING });
+    }
+    if (parts.length === 7 && parts[0] === TAGGED_ENVELOPE_VERSION) {
+        const [, algorithmId, encodingId, keyId, nonce, ciphertext, authTag] = parts;
+        const algorithm = ALGORITHMS_BY_ID.get(algorithmId);
+        const encoding = ENCODINGS_BY_ID.get(encodingId);
+        if (!algorithm || !encoding) {
+            throw new EncryptoFormatError(`Malformed envelope: unknown ${algorithm ? 'encoding' : 'algorithm'} "${algorithm ? encodingId : algorithmId}".`);
+        }
+        if (!isSupported(algorithm)) {
+            throw new EncryptoFormatError(`The value was encrypted with "${algorithm}", which ${runtime} doesn't support.`);
+        }
+        return decodeEnvelope({ keyId, nonce, ciphertext, authTag, algorithm, encoding });
+    }
+    if (parts.length === 2 && legacy) {
+        // Legacy 'encryptedData.authTag' format, encrypted under a fixed IV
+        const ciphertext = decodePart(parts[0], DEFAULT_ENCODING);
+        const authTag = decodePart(parts[1], DEFAULT_ENCODING, AUTH_TAG_LENGTH_BYTES);
+        if (ciphertext && authTag) {
+            return { keyId: null, nonce: null, ciphertext, authTag, algorithm: DEFAULT_ALGORITHM, encoding: DEFAULT_ENCODING };
+        }
+    }
+
+    // Doesn't fit a known envelope format
+    if (strict && value !== undefined) {
+        throw new EncryptoFormatError('Not an encrypted envelope (strict mode rejects plain values).');
+    }
+    return null;
+}
+
+/**
+ * Decodes the binary parts of a 'v2.' or 'v3.' envelope.
+ *
+ * @param {{ nonce: string, ciphertext: string, authTag: string, encoding: string }} parts The encoded parts.
+ * @returns {object} The envelope, with the binary parts decoded.
+ * @throws {EncryptoFormatError} If a part is malformed.
+ */
+function decodeEnvelope(parts) {
+    const { encoding } = parts;
+    const nonce = decodePart(parts.nonce, encoding, NONCE_LENGTH_BYTES);
+    if (!nonce) {
+        throw new EncryptoFormatError(`Malformed envelope: the nonce must be ${NONCE_LENGTH_BYTES} bytes of ${encoding}.`);
+    }
+    const ciphertext = decodePart(parts.ciphertext, encoding);
+    if (!ciphertext) {
+        throw new EncryptoFormatError(`Malformed envelope: the ciphertext must be ${encoding}.`);
+    }
+    const authTag = decodePart(parts.authTag, encoding, AUTH_TAG_LENGTH_BYTES);
+    if (!authTag) {
+        throw new EncryptoFormatError(`Malformed envelope: the tag must be ${AUTH_TAG_LENGTH_BYTES} bytes of ${encoding}.`);
+    }
+    return { ...parts, nonce, ciphertext, authTag };
+}
+
+/**
+ * Decodes a binary part of an envelope if it is in the canonical form of its encoding.
+ *
+ * @param {string} text The encoded part.
+ * @param {string} encoding One of the ENCODINGS.
+ * @param {number} [byteLength] The expected number of decoded bytes.
+ * @returns {Uint8Array | null} The bytes, or null if the part is malformed.
+ */
+function decodePart(text, encoding, byteLength) {
+    const { isCanonical, decode } = ENCODINGS[encoding];
+    const bytes = isCanonical(text) ? decode(text) : null;
+    return bytes === null || (byteLength !== undefined && bytes.length !== byteLength) ? null : bytes;
+}
+
+/**
+ * Validates the configuration of a keyring.
+ *
+ * @param {{ keys: Array<{ id: string, key: string | Uint8Array }>, activeKeyId?: string }} config The keys, with
+ *        unique ids, and the id of the key used for encryption (by default the only key, if there is one).
+ * @returns {{ keys: Map<string, Uint8Array>, activeKeyId: string }} Private copies of the keys, by id, and the active key id.
+ * @throws {EncryptoConfigError} If a key or id is invalid, an id is duplicated, or the active key is missing.
+ */
+export function parseKeyring({ keys, activeKeyId } = {}) {
+    if (!Array.isArray(keys) || keys.length === 0) {
+        throw new EncryptoConfigError('Configuration Error: Keyring requires a non-empty array of keys.');
+    }
+
+    const parsed = new Map();
+    for (const entry of keys) {
+        const { id, key } = entry || {};
+        if (typeof id !== 'string' || !KEY_ID_PATTERN.test(id)) {
+            throw new EncryptoConfigError(`Configuration Error: Invalid key id "${id}". Key ids must be 1-64 characters from [A-Za-z0-9_-].`);
+        }
+        if (parsed.has(id)) {
+            throw new EncryptoConfigError(`Configuration Error: Duplicate key id "${id}".`);
+        }
+        parsed.set(id, parseKey(key, id));
+    }
+
+    if (activeKeyId === undefined && keys.length === 1) {
+        activeKeyId = keys[0].id;
+    }
+    if (!parsed.has(activeKeyId)) {
+        throw new EncryptoConfigError(`Configuration Error: Active key id "${activeKeyId}" is not in the keyring.`);
+    }
+    return { keys: parsed, activeKeyId };
+}
+
+/**
+ * Validates a key and copies it.
+ *
+ * @param {string | Uint8Array} key The key, as a Uint8Array (such as a Buffer) or hex string.
+ * @param {string} id The key id, for error messages.
+ * @returns {Uint8Array} A private copy of the key.
+ * @throws {EncryptoConfigError} If the key is missing, malformed or has an invalid length.
+ */
+export function parseKey(key, id) {
+    let bytes;
+    if (key instanceof Uint8Array) {
+        bytes = new Uint8Array(key);
+    } else if (typeof key === 'string' && key !== '') {
+        if (!HEX_KEY_PATTERN.test(key)) {
+            throw new EncryptoConfigError(`Configuration Error: Key "${id}" must be a hex string.`);
+        }
+        bytes = ENCODINGS.hex.decode(key.toLowerCase());
+    } else {
+        throw new EncryptoConfigError(`Configuration Error: Key "${id}" must be a Buffer, a Uint8Array or a non-empty hex string.`);
+    }
+
+    if (bytes.length !== KEY_LENGTH_BYTES) {
+        throw new EncryptoConfigError(`Configuration Error: Invalid key length for key "${id}". Key must be ${KEY_LENGTH_BYTES} bytes (${KEY_LENGTH_BYTES * 2} hex characters). Received ${bytes.length} bytes.`);
+    }
+    return bytes;
+}
+
+/**
+ * Builds the error thrown when a value cannot be encrypted.
+ *
+ * @param {any} value The value.
+ * @param {Error} error The underlying error.
+ * @returns {EncryptoError}
+ */
+export function encryptionError(value, error) {
+    return new EncryptoError(`Encryption failed for value "${describeValue(value)}...": ${error.message}`, { cause: error });
+}
+
+/**
+ * Builds the error thrown when a value cannot be decrypted, typed after its cause:
+ * EncryptoAuthError when authentication fails, the class of an EncryptoError cause
+ * (e.g. EncryptoKeyError), or EncryptoFormatError for anything else, such as a
+ * malformed payload.
+ *
+ * @param {any} value The encrypted value.
+ * @param {Uint8Array | null} aad The additional authenticated data the value was expected to be bound to.
+ * @param {Array<string | number>} path The path of the value from the root.
+ * @param {Error} error The underlying error (e.g., invalid auth tag, malformed envelope).
+ * @returns {EncryptoError}
+ */
+export function decryptionError(value, aad, path, error) {
+    let reason = error.message;
+    let ErrorClass = error instanceof EncryptoError ? error.constructor : EncryptoFormatError;
+    if (reason === AUTH_FAILURE_MESSAGE) {
+        ErrorClass = EncryptoAuthError;
+        const versioned = [ENVELOPE_VERSION, TAGGED_ENVELOPE_VERSION].some(version => value.startsWith(`${version}${ENVELOPE_DELIMITER}`));
+        if (aad && versioned) { // Legacy values were never bound
+            reason += ' (the value is bound to another field or context, e.g. it was moved from another field or record, or it was tampered with)';
+        }
+    }
+
+    const formattedPath = formatPath(path);
+    const location = formattedPath === '' ? '' : ` at "${formattedPath}"`;
+    return new ErrorClass(`Decryption failed for value "${describeValue(value)}..."${location}: ${reason}`, {
+        path: formattedPath,
+        cause: error,
+    });
+}
+
+/**
+ * Renders a short, printable preview of a value for error messages.
+ *
+ * @param {any} value The value to describe.
+ * @returns {string} At most 50 characters of the value's string form.
+ */
+export function describeValue(value) {
+    try {
+        return String(value).substring(0, 50);
+    } catch {
+        return `[${typeof value}]`; // e.g. objects whose toString throws
+    }
+}
@@ -0,0 +1,69 @@
+/**
+ * Base class of every error thrown by this library, so callers can tell them apart from
+ * unrelated failures.
+ */
+export class EncryptoError extends Error {
+    /**
+     * @param {string} message The error message.
+     * @param {object} [details] Extra information about the failure.
+     * @param {string} [details.path] The JSON path of the value that failed, e.g. 'cards[0].pan'.
+     * @param {Error} [details.cause] The underlying error.
+     */
+    constructor(message, { path, cause } = {}) {
+        super(message, cause === undefined ? undefined : { cause });
+        this.name = new.target.name;
+        if (path !== undefined) this.path = path;
+    }
+}
+
+/**
+ * Thrown for invalid options, keys or other configuration.
+ * Messages start with 'Configuration Error'.
+ */
+export class EncryptoConfigError extends EncryptoError {}
+
+/**
+ * Thrown when a value fails authentication: it was tampered with, encrypted under another
+ * key with the same id, or bound to another field or context.
+ */
+export class EncryptoAuthError extends EncryptoError {}
+
+/**
+ * Thrown when a value is not a well-formed envelope (in strict mode), or its decrypted
+ * payload is malformed.
+ */
+export class EncryptoFormatError extends EncryptoError {}
+
+/**
+ * Thrown when a value names a key id that isn't in the keyring.
+ */
+export class EncryptoKeyError extends EncryptoError {}
+
+/**
+ * Thrown when a document exceeds a configured limit: its depth, its number of values,
+ * or the length of one of its strings.
+ */
+export class EncryptoLimitError extends EncryptoError {}
+
+/**
+ * Thrown when a document fails the check of its integrity manifest: fields were added,
+ * removed or changed since it was encrypted, the manifest is missing or was altered, or
+ * the document is older than the caller accepts. `added`, `removed` and `changed` list
+ * the paths concerned.
+ */
+export class EncryptoIntegrityError extends EncryptoAuthError {
+    /**
+     * @param {string} message The error message.
+     * @param {object} [details] Extra information about the failure.
+     * @param {string[]} [details.added] The paths of the values missing from the manifest.
+     * @param {string[]} [details.removed] The paths in the manifest missing from the document.
+     * @param {string[]} [details.changed] The paths whose values differ from the manifest.
+     * @param {Error} [details.cause] The underlying error.
+     */
+    constructor(message, { added = [], removed = [], changed = [], ...details } = {}) {
+        super(message, details);
+        this.added = added;
+        this.removed = removed;
+        this.changed = changed;
+    }
+}
@@ -0,0 +1,382 @@
+import { EncryptoAuthError, EncryptoConfigError, EncryptoError, EncryptoKeyError, EncryptoLimitError } from './errors.js';
+
+// --- Configuration Constants ---
+const HEADER = 'x-encrypto'; // Sent by clients to opt in, and on encrypted responses
+const PROTOCOL_VERSION = 'v1';
+const DEFAULT_BODY_LIMIT_BYTES = 1024 * 1024; // For bodies the Express middleware reads itself
+const JSON_CONTENT_TYPE = /^application\/(?:[\w.-]+\+)?json\b/i; // application/json, application/problem+json...
+const JSON_RESPONSE_TYPE = 'application/json; charset=utf-8';
+
+/**
+ * Express middleware decrypting the JSON body of requests, and encrypting the JSON body of
+ * responses, for clients that opt in with the 'X-Encrypto: v1' header. Mount it on the
+ * routes to protect, after any JSON body parser; without one, it reads JSON bodies itself.
+ * It only relies on Node's request and response, so it fits any Connect-style framework.
+ *
+ * Responses are buffered, then encrypted when the handler ends them. Requests that fail to
+ * decrypt are answered with a 4xx status and a `{ error: { code, message, path } }` body.
+ *
+ * @param {import('./index.js').EncryptoService} service The service holding the keys.
+ * @param {object} [options]
+ * @param {object | false} [options.request={}] The options of decryptJsonObject for request bodies, e.g.
+ *        `{ include: ['card.pan'], strict: true }`, or false to leave them alone. `context` may be a function of the request.
+ * @param {object | false} [options.response={}] The options of encryptJsonObject for response bodies,
+ *        or false to leave them alone. `context` may be a function of the request.
+ * @param {boolean} [options.required=false] Rejects requests without the header, instead of passing them through in plain.
+ * @param {number} [options.bodyLimit=1048576] The largest request body, in bytes, the middleware reads itself.
+ * @returns {(req: import('http').IncomingMessage, res: import('http').ServerResponse, next: Function) => void}
+ *          The middleware.
+ * @throws {EncryptoConfigError} If the service or an option is invalid.
+ */
+export function expressMiddleware(service, options = {}) {
+    checkService(service);
+    const { request, response, required, bodyLimit } = compileHttpOptions(options);
+
+    /**
+     * Negotiates, decrypts the body and sets up response encryption.
+     * @returns {Promise<boolean>} Whether to go on to the next handler.
+     */
+    const handle = async (req, res) => {
+        appendVary(res);
+        const { active, failure } = negotiate(req.headers, required);
+        if (failure) return sendFailure(res, failure);
+        if (!active) return true;
+
+        if (request) {
+            if (req.body === undefined) {
+                const read = await readJsonBody(req, bodyLimit);
+                if (read.failure) return sendFailure(res, read.failure);
+                req.body = read.body;
+            }
+            if (req.body !== undefined) {
+                try {
+                    req.body = service.decryptJsonObject(req.body, resolveOptions(request, req));
+                } catch (error) {
+                    return sendFailure(res, decryptionFailure(error));
+                }
+            }
+        }
+        if (response) {
+            interceptJsonResponse(res, body => service.encryptJsonObject(body, resolveOptions(response, req)));
+        }
+        return true;
+    };
+
+    return (req, res, next) => {
+        handle(req, res).then(proceed => proceed && next(), next);
+    };
+}
+
+/**
+ * Fastify plugin decrypting the JSON body of requests before validation, and encrypting
+ * the payload of responses before serialization, for clients that opt in with the
+ * 'X-Encrypto: v1' header. Like a plugin wrapped with fastify-plugin, it applies to the
+ * routes of the context it is registered in: register it in a scope with the routes to
+ * protect. Response schemas must declare encrypted fields as strings.
+ *
+ * Requests that fail to decrypt are answered with a 4xx status and a
+ * `{ error: { code, message, path } }` body.
+ *
+ * @example
+ * fastify.register(async (scope) => {
+ *   scope.register(fastifyPlugin, { service, request: { include: ['card.pan'] } });
+ *   scope.post('/payments', handler);
+ * });
+ *
+ * @param {object} fastify The Fastify instance.
+ * @param {object} options The service, and the options of expressMiddleware except bodyLimit (Fastify parses bodies).
+ * @param {import('./index.js').EncryptoService} options.service The service holding the keys.
+ * @param {(error?: Error) => void} done Signals that the plugin is registered.
+ */
+export function fastifyPlugin(fastify, { service, ...options } = {}, done) {
+    let request;
+    let response;
+    let required;
+    try {
+        checkService(service);
+        ({ request, response, required } = compileHttpOptions(options));
+    } catch (error) {
+        done(error);
+        return;
+    }
+    const active = new WeakSet(); // Requests that opted in
+
+    fastify.addHook('onRequest', async (req, reply) => {
+        reply.header('Vary', varyValue(reply.getHeader('Vary')));
+        const negotiated = negotiate(req.headers, required);
+        if (negotiated.failure) {
+            return reply.code(negotiated.failure.status).send(negotiated.failure.body);
+        }
+        if (negotiated.active) active.add(req);
+        return undefined;
+    });
+
+    fastify.addHook('preValidation', async (req, reply) => {
+        if (!request || !active.has(req) || req.body === undefined) return undefined;
+        try {
+            req.body = service.decryptJsonObject(req.body, resolveOptions(request, req));
+        } catch (error) {
+            const failure = decryptionFailure(error);
+            active.delete(req); // Keep the error readable
+            return reply.code(failure.status).send(failure.body);
+        }
+        return undefined;
+    });
+
+    fastify.addHook('preSerialization', async (req, reply, payload) => {
+        if (!response || !active.has(req)) return payload;
+        try {
+            const encrypted = service.encryptJsonObject(payload, resolveOptions(response, req));
+            reply.header(HEADER, PROTOCOL_VERSION);
+            return encrypted;
+        } catch {
+            // Fail closed, as expressMiddleware does: Fastify's error reply would include the message, which quotes the value
+            const failure = protocolError(500, 'ENCRYPTO_RESPONSE_FAILED', 'The response could not be encrypted.');
+            reply.code(failure.status);
+            return failure.body;
+        }
+    });
+
+    done();
+}
+
+// Like fastify-plugin: the hooks apply to the context registering the plugin, not a child of it
+fastifyPlugin[Symbol.for('skip-override')] = true;
+fastifyPlugin[Symbol.for('fastify.display-name')] = 'open-encrypto-object';
+
+/**
+ * Checks that a service was given.
+ *
+ * @param {any} service The service.
+ * @throws {EncryptoConfigError} If it isn't an EncryptoService.
+ */
+function checkService(service) {
+    if (!service || typeof service.encryptJsonObject !== 'function' || typeof service.decryptJsonObject !== 'function') {
+        throw new EncryptoConfigError('Configuration Error: The middleware needs an EncryptoService.');
+    }
+}
+
+/**
+ * Validates the options of the middleware.
+ *
+ * @param {object} options The options.
+ * @returns {{ request: object | false, response: object | false, required: boolean, bodyLimit: number }}
+ * @throws {EncryptoConfigError} If an option is malformed.
+ */
+function compileHttpOptions({ request = {}, response = {}, required = false, bodyLimit = DEFAULT_BODY_LIMIT_BYTES }) {
+    for (const [name, value] of Object.entries({ request, response })) {
+        if (value !== false && (value === null || typeof value !== 'object' || Array.isArray(value))) {
+            throw new EncryptoConfigError(`Configuration Error: "${name}" must be an options object or false.`);
+        }
+    }
+    if (!Number.isInteger(bodyLimit) || bodyLimit < 1) {
+        throw new EncryptoConfigError('Configuration Error: "bodyLimit" must be a positive integer.');
+    }
+    return { request, response, required: Boolean(required), bodyLimit };
+}
+
+/**
+ * Resolves a context function of the options for a request.
+ *
+ * @param {object} options The options of decryptJsonObject or encryptJsonObject.
+ * @param {object} request The request.
+ * @returns {object} The options, with a context string.
+ */
+function resolveOptions(options, request) {
+    return typeof options.context === 'function' ? { ...options, context: options.context(request) } : options;
+}
+
+/**
+ * Reads the protocol header of a request.
+ *
+ * @param {Record<string, string | string[] | undefined>} headers The request headers, names in lower case.
+ * @param {boolean} required Whether plain requests are rejected.
+ * @returns {{ active: boolean, failure?: { status: number, body: object } }} Whether the payloads are encrypted,
+ *          or the failure to answer with.
+ */
+function negotiate(headers, required) {
+    const version = headers[HEADER];
+    if (version === undefined) {
+        return required
+            ? { active: false, failure: protocolError(400, 'ENCRYPTO_REQUIRED', `Send the "X-Encrypto: ${PROTOCOL_VERSION}" header: this endpoint only exchanges encrypted payloads.`) }
+            : { active: false };
+    }
+    if (String(version).trim() !== PROTOCOL_VERSION) {
+        return { active: false, failure: protocolError(400, 'ENCRYPTO_UNSUPPORTED_VERSION', `Unsupported X-Encrypto version "${version}". Supported: ${PROTOCOL_VERSION}.`) };
+    }
+    return { active: true };
+}
+
+/**
+ * Builds a failure response.
+ *
+ * @param {number} status The HTTP status.
+ * @param {string} code A stable, machine-readable code.
+ * @param {string} message A human-readable message.
+ * @param {string} [path] The JSON path of the value at fault.
+ * @returns {{ status: number, body: { error: { code: string, message: string, path?: string } } }}
+ */
+function protocolError(status, code, message, path) {
+    return { status, body: { error: path === undefined ? { code, message } : { code, message, path } } };
+}
+
+/**
+ * Maps a decryption error to the failure response to send.
+ *
+ * @param {Error} error The error thrown by decryptJsonObject.
+ * @returns {{ status: number, body: object }}
+ * @throws {Error} The error, if the client isn't at fault (e.g. a malformed option).
+ */
+function decryptionFailure(error) {
+    if (error instanceof EncryptoAuthError) {
+        return protocolError(400, 'ENCRYPTO_AUTH_FAILED', 'A value failed authentication: it was tampered with, encrypted under another key, or bound to another field or context.', error.path);
+    }
+    if (error instanceof EncryptoKeyError) {
+        return protocolError(400, 'ENCRYPTO_UNKNOWN_KEY', 'A value was encrypted under a key this server doesn\'t know.', error.path);
+    }
+    if (error instanceof EncryptoLimitError) {
+        return protocolError(413, 'ENCRYPTO_LIMIT_EXCEEDED', error.message, error.path);
+    }
+    if (error instanceof EncryptoError && !(error instanceof EncryptoConfigError)) {
+        return protocolError(400, 'ENCRYPTO_MALFORMED', 'A value is not a well-formed encrypted envelope.', error.path);
+    }
+    throw error;
+}
+
+/**
+ * Answers a request with a failure.
+ *
+ * @param {import('http').ServerResponse} res The response.
+ * @param {{ status: number, body: object }} failure The failure.
+ * @returns {false} Don't go on to the next handler.
+ */
+function sendFailure(res, { status, body }) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', JSON_RESPONSE_TYPE);
+    res.end(JSON.stringify(body));
+    return false;
+}
+
+/**
+ * Adds X-Encrypto to the Vary header of a response, since its body depends on it.
+ *
+ * @param {import('http').ServerResponse} res The response.
+ */
+function appendVary(res) {
+    res.setHeader('Vary', varyValue(res.getHeader('Vary')));
+}
+
+/**
+ * Adds X-Encrypto to a Vary header value.
+ *
+ * @param {string | string[] | number | undefined} vary The current value.
+ * @returns {string} The new value.
+ */
+function varyValue(vary) {
+    const names = vary === undefined ? [] : String(vary).split(',').map(name => name.trim()).filter(Boolean);
+    if (!names.some(name => name === '*' || name.toLowerCase() === HEADER)) names.push('X-Encrypto');
+    return names.join(', ');
+}
+
+/**
+ * Reads and parses the JSON body of a request that no body parser has read.
+ *
+ * @param {import('http').IncomingMessage} req The request.
+ * @param {number} limit The largest body accepted, in bytes.
+ * @returns {Promise<{ body?: any, failure?: { status: number, body: object } }>} The body (undefined for an empty or
+ *          non-JSON body), or the failure to answer with.
+ */
+async function readJsonBody(req, limit) {
+    if (!JSON_CONTENT_TYPE.test(req.headers['content-type'] || '')) return {};
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size <= limit) chunks.push(chunk); // Past the limit, drain the rest so the response can be sent
+    }
+    if (size > limit) {
+        return { failure: protocolError(413, 'ENCRYPTO_BODY_TOO_LARGE', `The request body is larger than ${limit} bytes.`) };
+    }
+
+    const text = Buffer.concat(chunks).toString('utf8');
+    if (text.trim() === '') return {};
+    try {
+        return { body: JSON.parse(text) };
+    } catch {
+        return { failure: protocolError(400, 'ENCRYPTO_INVALID_JSON', 'The request body is not valid JSON.') };
+    }
+}
+
+/**
+ * Buffers the body of a response, and encrypts it when the response ends if it is JSON.
+ * Headers passed to writeHead are deferred until then, so the length can be set.
+ *
+ * @param {import('http').ServerResponse} res The response.
+ * @param {(body: any) => any} encrypt Encrypts the parsed body.
+ */
+function interceptJsonResponse(res, encrypt) {
+    const { writeHead, write, end } = res;
+    const chunks = [];
+    let head = null;
+
+    res.writeHead = function deferWriteHead(...args) {
+        head = args;
+        return this;
+    };
+    res.write = function bufferWrite(chunk, encoding, callback) {
+        chunks.push(toBuffer(chunk, encoding));
+        const done = typeof encoding === 'function' ? encoding : callback;
+        if (done) process.nextTick(done);
+        return true;
+    };
+    res.end = function encryptAndEnd(chunk, encoding, callback) {
+        if (typeof chunk === 'function') [chunk, encoding, callback] = [undefined, undefined, chunk];
+        if (typeof encoding === 'function') [encoding, callback] = [undefined, encoding];
+        if (chunk !== undefined && chunk !== null) chunks.push(toBuffer(chunk, encoding));
+        Object.assign(res, { writeHead, write, end });
+        if (head) applyHead(res, head);
+
+        let body = Buffer.concat(chunks);
+        if (body.length > 0 && JSON_CONTENT_TYPE.test(String(res.getHeader('Content-Type') || ''))) {
+            try {
+                body = Buffer.from(JSON.stringify(encrypt(JSON.parse(body.toString('utf8')))), 'utf8');
+                res.setHeader(HEADER, PROTOCOL_VERSION);
+            } catch {
+                // Fail closed: never send the plain body of a response that should be encrypted
+                const failure = protocolError(500, 'ENCRYPTO_RESPONSE_FAILED', 'The response could not be encrypted.');
+                res.statusCode = failure.status;
+                res.setHeader('Content-Type', JSON_RESPONSE_TYPE);
+                body = Buffer.from(JSON.stringify(failure.body), 'utf8');
+            }
+            res.removeHeader('ETag'); // A digest of the plain body
+            res.setHeader('Content-Length', body.length);
+        }
+        return res.end(body, callback);
+    };
+}
+
+/**
+ * Applies the arguments of a deferred writeHead call to a response.
+ *
+ * @param {import('http').ServerResponse} res The response.
+ * @param {Array<any>} args The arguments: the status code, optionally a status message, optionally headers.
+ */
+function applyHead(res, [statusCode, statusMessage, headers]) {
+    if (typeof statusMessage !== 'string') [statusMessage, headers] = [undefined, statusMessage];
+    res.statusCode = statusCode;
+    if (statusMessage !== undefined) res.statusMessage = statusMessage;
+    for (const [name, value] of Object.entries(headers || {})) res.setHeader(name, value);
+}
+
+/**
+ * Converts a chunk written to a response to a Buffer.
+ *
+ * @param {string | Buffer | Uint8Array} chunk The chunk.
+ * @param {string | Function} [encoding] The encoding of a string chunk.
+ * @returns {Buffer}
+ */
+function toBuffer(chunk, encoding) {
+    if (typeof chunk === 'string') return Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+    return Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+}
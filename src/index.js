@@ -1,188 +1,1518 @@
-import * as crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import { BlindIndexer, isBlindIndex } from './blind-index.js';
+import { isAlgorithmSupported, openPayload, sealPayload } from './cipher.js';
+import { compileSerializers, decodeLegacyValue, decodeValue, encodeValue, isLeafValue, leafContents } from './codec.js';
+import {
+    ALGORITHMS,
+    DEFAULT_ALGORITHM,
+    DEFAULT_ENCODING,
+    decryptionError,
+    describeValue,
+    ENCODINGS,
+    encryptionError,
+    ENVELOPE_DELIMITER,
+    formatEnvelope,
+    parseEnvelope,
+} from './envelope.js';
+import {
+    EncryptoAuthError,
+    EncryptoConfigError,
+    EncryptoError,
+    EncryptoFormatError,
+    EncryptoIntegrityError,
+    EncryptoKeyError,
+    EncryptoLimitError,
+} from './errors.js';
+import { expressMiddleware, fastifyPlugin } from './http.js';
+import { deriveKey } from './kdf.js';
+import { LocalKeyProvider, MockKeyProvider } from './key-providers.js';
+import { compileLimits, WalkGuard } from './limits.js';
+import { DEFAULT_KEY_ID, Keyring, parseKey } from './keyring.js';
+import { checkFreshness, compileManifestOptions, isManifestTarget, ManifestSigner, parseManifest } from './manifest.js';
+import { compilePathRules, defineOwnProperty, formatPath } from './paths.js';
+import { FieldEncryptor, mongoosePlugin, sequelizeHooks, sequelizePlugin } from './persistence.js';
+import { KeyPseudonymizer } from './pseudonym.js';
+import { compileRedactionRules, maskValue, ValueTokenizer } from './redact.js';
+import { createJsonTransformStream } from './stream.js';
+import { CipherWorkerPool } from './worker-pool.js';
+
+export {
+    CipherWorkerPool,
+    DEFAULT_KEY_ID,
+    EncryptoAuthError,
+    EncryptoConfigError,
+    EncryptoError,
+    EncryptoFormatError,
+    EncryptoIntegrityError,
+    EncryptoKeyError,
+    EncryptoLimitError,
+    expressMiddleware,
+    fastifyPlugin,
+    FieldEncryptor,
+    Keyring,
+    LocalKeyProvider,
+    MockKeyProvider,
+    mongoosePlugin,
+    sequelizeHooks,
+    sequelizePlugin,
+};
 
 // --- Configuration Constants ---
-const ALGORITHM = 'aes-256-gcm';
-const KEY_LENGTH_BYTES = 32; // 32 bytes = 256 bits
-const IV_LENGTH_BYTES = 16;  // 16 bytes = 128 bits (Standard for GCM)
-const INPUT_ENCODING = 'utf8';
-const OUTPUT_ENCODING = 'base64'; // Common choice for storing encrypted data as strings
+const LEGACY_IV_LENGTH_BYTES = 16; // IV size used by the legacy 'data.tag' format
+const INPUT_ENCODING = 'utf8'; // Encoding of legacy plaintexts
+const KEY_PSEUDONYM_VERSION = 'k1'; // Prefix of the 'k1.<keyId>.<pseudonym>' property names written by encryptKeys
+const VALUE_TOKEN_VERSION = 't1'; // Prefix of the 't1.<keyId>.<token>' values written by tokenize redaction rules
+const DEFAULT_BLIND_INDEX_SUFFIX = '_bidx'; // Appended to a field's name to name its blind index
+const DEFAULT_YIELD_EVERY = 1000; // Leaves (or nodes) processed between yields to the event loop
 
 /**
- * Provides services for encrypting and decrypting JSON objects using AES-256-GCM.
- * Requires a valid encryption key and initialization vector (IV) upon instantiation.
+ * Provides services for encrypting and decrypting JSON objects using AES-256-GCM, or
+ * optionally ChaCha20-Poly1305 or AES-256-GCM-SIV.
+ * Every value is encrypted under a fresh random nonce and stored in a self-describing
+ * envelope: 'v2.<keyId>.<nonce>.<ciphertext>.<tag>' with the default algorithm and encoding,
+ * 'v3.<algorithm>.<encoding>.<keyId>.<nonce>.<ciphertext>.<tag>' otherwise.
+ * Requires a valid encryption key, or a keyring of keys with ids, upon instantiation.
+ * The legacy fixed IV is only needed to read values written in the older 'data.tag' format.
  */
 export class EncryptoService {
-    #encryptionKey = null;
-    #encryptionIv = null;
+    #keyring = null;
+    #legacyIv = null;
+    #kdfHeader = null;
+    #wrappedDataKey = null;
+    #pseudonymizers = new Map(); // Key id -> KeyPseudonymizer, created on first use
+    #manifestSigners = new Map(); // Key id -> ManifestSigner, created on first use
+    #tokenizers = new Map(); // Key id -> ValueTokenizer, created on first use
+    #blindIndexer = null;
+    #serializers = null;
+    #contentsOf = value => leafContents(value, this.#serializers); // For WalkGuard.visitContents
+    #algorithm = DEFAULT_ALGORITHM;
+    #encoding = DEFAULT_ENCODING;
 
     /**
      * Creates an instance of EncryptoService.
-     * @param {string} keyHex The encryption key, hex encoded (must be 64 hex characters, representing 32 bytes).
-     * @param {string} ivHex The initialization vector, hex encoded (must be 32 hex characters, representing 16 bytes).
-     * @throws {Error} If the key or IV is missing, not a string, or has an invalid length.
+     * @param {string | Keyring | { keys: Array<{ id: string, key: string | Buffer }>, activeKeyId?: string }} keyHex
+     *        The encryption key, hex encoded (must be 64 hex characters, representing 32 bytes), which gets the id 'default'.
+     *        Alternatively, a Keyring (or its configuration) holding several keys with ids, one of them active.
+     * @param {string} [ivHex] The legacy initialization vector, hex encoded (must be 32 hex characters, representing 16 bytes).
+     *                         Only used to decrypt values in the legacy 'data.tag' format; never used for encryption.
+     * @param {object} [options]
+     * @param {string | Buffer} [options.blindIndexKey] The key of blind indexes, 32 bytes as a Buffer or 64 hex characters.
+     *                                                  Must differ from every encryption key.
+     * @param {Array<{ name: string, type: Function, serialize: Function, deserialize: Function }>} [options.serializers]
+     *        Serializers of domain classes, whose instances are then encrypted as single values and restored on
+     *        decryption. `serialize` returns a value the service supports (e.g. a plain object), `deserialize` rebuilds
+     *        the instance from it, and `name` is stored in each payload.
+     * @param {'aes-256-gcm' | 'chacha20-poly1305' | 'aes-256-gcm-siv'} [options.algorithm='aes-256-gcm'] The algorithm
+     *        new values are encrypted with. AES-256-GCM-SIV needs a Node.js build with OpenSSL 3.2 or later.
+     *        Values are decrypted with the algorithm their envelope names, whatever this setting.
+     * @param {'base64' | 'base64url' | 'hex'} [options.encoding='base64'] The encoding of the binary parts of new envelopes.
+     * @throws {Error} If the key is missing, the key or IV is not a string or has an invalid length, or the algorithm or
+     *                 encoding is unsupported.
      */
-    constructor(keyHex, ivHex) {
-        if (!keyHex || typeof keyHex !== 'string') {
-            throw new Error("Configuration Error: Encryption key (keyHex) must be provided as a non-empty string.");
+    constructor(keyHex, ivHex, { blindIndexKey, serializers, algorithm = DEFAULT_ALGORITHM, encoding = DEFAULT_ENCODING } = {}) {
+        if (!keyHex || (typeof keyHex !== 'string' && typeof keyHex !== 'object')) {
+            throw new EncryptoConfigError("Configuration Error: Encryption key (keyHex) must be provided as a non-empty string or a keyring.");
         }
-        if (!ivHex || typeof ivHex !== 'string') {
-            throw new Error("Configuration Error: Initialization vector (ivHex) must be provided as a non-empty string.");
+        if (ivHex !== undefined && ivHex !== null && (!ivHex || typeof ivHex !== 'string')) {
+            throw new EncryptoConfigError("Configuration Error: Legacy initialization vector (ivHex) must be a non-empty string when provided.");
         }
 
         try {
-            const key = Buffer.from(keyHex, 'hex');
-            if (key.length !== KEY_LENGTH_BYTES) {
-                throw new Error(`Invalid key length. Key must be ${KEY_LENGTH_BYTES} bytes (${KEY_LENGTH_BYTES * 2} hex characters). Received ${key.length} bytes.`);
+            if (keyHex instanceof Keyring) {
+                this.#keyring = keyHex;
+            } else if (typeof keyHex === 'string') {
+                this.#keyring = new Keyring({ keys: [{ id: DEFAULT_KEY_ID, key: keyHex }] });
+            } else {
+                this.#keyring = new Keyring(keyHex);
             }
-            this.#encryptionKey = key;
 
-            const iv = Buffer.from(ivHex, 'hex');
-            if (iv.length !== IV_LENGTH_BYTES) {
-                throw new Error(`Invalid IV length. IV must be ${IV_LENGTH_BYTES} bytes (${IV_LENGTH_BYTES * 2} hex characters). Received ${iv.length} bytes.`);
+            if (ivHex) {
+                const iv = Buffer.from(ivHex, 'hex');
+                if (iv.length !== LEGACY_IV_LENGTH_BYTES) {
+                    throw new Error(`Invalid IV length. IV must be ${LEGACY_IV_LENGTH_BYTES} bytes (${LEGACY_IV_LENGTH_BYTES * 2} hex characters). Received ${iv.length} bytes.`);
+                }
+                this.#legacyIv = iv;
             }
-            this.#encryptionIv = iv;
         } catch (error) {
-            // Catch errors from Buffer.from (e.g., invalid hex) or length checks
-            throw new Error(`Configuration Error processing encryption key/IV: ${error.message}`);
+            // Catch errors from Buffer.from (e.g., invalid hex), the keyring or length checks
+            throw new EncryptoConfigError(`Configuration Error processing encryption key/IV: ${error.message}`);
+        }
+
+        if (!isAlgorithmSupported(algorithm)) {
+            const supported = Object.keys(ALGORITHMS).filter(isAlgorithmSupported).map(name => `"${name}"`).join(', ');
+            throw new EncryptoConfigError(`Configuration Error: Unsupported algorithm "${algorithm}". Supported in this Node.js build: ${supported}.`);
+        }
+        if (!Object.prototype.hasOwnProperty.call(ENCODINGS, encoding)) {
+            throw new EncryptoConfigError(`Configuration Error: Unsupported encoding "${encoding}". Use "base64", "base64url" or "hex".`);
+        }
+        this.#algorithm = algorithm;
+        this.#encoding = encoding;
+
+        if (serializers !== undefined) {
+            this.#serializers = compileSerializers(serializers);
+        }
+        if (blindIndexKey !== undefined) {
+            const key = parseKey(blindIndexKey, 'blindIndexKey');
+            if (this.#keyring.keyIds.some(id => this.#keyring.getKey(id).equals(key))) {
+                throw new EncryptoConfigError('Configuration Error: "blindIndexKey" must differ from the encryption keys.');
+            }
+            this.#blindIndexer = new BlindIndexer(key, this.#serializers);
         }
     }
 
     /**
-     * Encrypts a single primitive value. (Private helper method)
+     * Creates an EncryptoService whose key is derived from a passphrase with scrypt or PBKDF2.
+     *
+     * Store `kdfHeader` alongside the encrypted data: it records the KDF, salt and parameters
+     * (none of them secret), and passing it back with the same passphrase derives the same key.
      *
-     * @param {string | number | boolean | null} value The primitive value to encrypt.
-     * @returns {string} The base64 encoded encrypted string with the auth tag appended.
-     * @throws {Error} If encryption fails.
+     * @param {string | Buffer} passphrase The passphrase.
+     * @param {object} [options] The derivation settings, or the `kdfHeader` of an earlier instance.
+     * @param {'scrypt' | 'pbkdf2'} [options.kdf='scrypt'] The key derivation function.
+     * @param {string | Buffer} [options.salt] The salt, as a Buffer or base64 string of at least 16 bytes.
+     *                                         A random salt is generated when omitted.
+     * @param {object} [options.params] Overrides of the KDF's defaults: `{ N, r, p }` for scrypt
+     *                                  (default `{ N: 32768, r: 8, p: 1 }`), `{ iterations, digest }` for PBKDF2
+     *                                  (default `{ iterations: 600000, digest: 'sha256' }`).
+     * @param {string | Buffer} [options.blindIndexKey] The key of blind indexes, as for the constructor.
+     * @param {Array<object>} [options.serializers] Serializers of domain classes, as for the constructor.
+     * @param {string} [options.algorithm='aes-256-gcm'] The algorithm of new values, as for the constructor.
+     * @param {string} [options.encoding='base64'] The encoding of new envelopes, as for the constructor.
+     * @returns {Promise<EncryptoService>} The service, with the derived key as its 'default' key.
+     * @throws {EncryptoConfigError} If the passphrase, KDF, salt or a parameter is invalid.
      */
-    #encryptValue(value) {
-        // Key/IV presence is guaranteed by the constructor
-        const stringValue = String(value); // Convert all primitives to string
+    static async fromPassphrase(passphrase, { blindIndexKey, serializers, algorithm, encoding, ...kdfOptions } = {}) {
+        const { key, header } = await deriveKey(passphrase, kdfOptions);
+        const service = new EncryptoService({ keys: [{ id: DEFAULT_KEY_ID, key }] }, null, { blindIndexKey, serializers, algorithm, encoding });
+        service.#kdfHeader = header;
+        return service;
+    }
 
-        try {
-            const cipher = crypto.createCipheriv(ALGORITHM, this.#encryptionKey, this.#encryptionIv);
-            let encrypted = cipher.update(stringValue, INPUT_ENCODING, OUTPUT_ENCODING);
-            encrypted += cipher.final(OUTPUT_ENCODING);
-            const authTag = cipher.getAuthTag();
-            // Append auth tag (base64) separated by a delimiter
-            return `${encrypted}.${authTag.toString(OUTPUT_ENCODING)}`;
-        } catch (error) {
-            throw new Error(`Encryption failed for value "${stringValue.substring(0, 50)}...": ${error.message}`);
+    /**
+     * Creates an EncryptoService whose key is a data key from a KeyProvider (envelope encryption).
+     *
+     * Without a wrapped key, the provider generates a new data key, e.g. one per document: store
+     * `wrappedDataKey` alongside the encrypted data. With the wrapped key of an earlier instance,
+     * the provider unwraps it to decrypt that data again. The plain data key is never exposed.
+     *
+     * @param {import('./key-providers.js').KeyProvider} provider The key provider, e.g. a LocalKeyProvider
+     *        or an adapter for a cloud KMS.
+     * @param {object} [options]
+     * @param {string} [options.wrappedKey] The wrapped data key to reuse.
+     * @param {string | Buffer} [options.blindIndexKey] The key of blind indexes, as for the constructor.
+     * @param {Array<object>} [options.serializers] Serializers of domain classes, as for the constructor.
+     * @param {string} [options.algorithm='aes-256-gcm'] The algorithm of new values, as for the constructor.
+     * @param {string} [options.encoding='base64'] The encoding of new envelopes, as for the constructor.
+     * @returns {Promise<EncryptoService>} The service, with the data key as its 'default' key.
+     * @throws {EncryptoConfigError} If the provider doesn't implement KeyProvider or returns an invalid key.
+     * @throws {EncryptoError} Any error of the provider, e.g. if the wrapped key can't be unwrapped.
+     */
+    static async fromKeyProvider(provider, { wrappedKey, blindIndexKey, serializers, algorithm, encoding } = {}) {
+        if (!provider || typeof provider.getDataKey !== 'function' || typeof provider.unwrapDataKey !== 'function') {
+            throw new EncryptoConfigError('Configuration Error: The key provider must implement getDataKey() and unwrapDataKey(wrappedKey).');
         }
+
+        let plaintextKey;
+        if (wrappedKey === undefined) {
+            ({ plaintextKey, wrappedKey } = (await provider.getDataKey()) || {});
+        } else {
+            plaintextKey = await provider.unwrapDataKey(wrappedKey);
+        }
+        if (typeof wrappedKey !== 'string' || wrappedKey === '') {
+            throw new EncryptoConfigError('Configuration Error: The wrapped data key must be a non-empty string.');
+        }
+        if (plaintextKey instanceof Uint8Array && !Buffer.isBuffer(plaintextKey)) {
+            plaintextKey = Buffer.from(plaintextKey); // e.g. from a KMS SDK
+        }
+
+        const service = new EncryptoService({ keys: [{ id: DEFAULT_KEY_ID, key: plaintextKey }] }, null, {
+            blindIndexKey,
+            serializers,
+            algorithm,
+            encoding,
+        });
+        service.#wrappedDataKey = wrappedKey;
+        return service;
     }
 
     /**
-     * Recursively encrypts all primitive values within a JSON object or array.
+     * Encrypts a document under a new data key from a KeyProvider.
      *
+     * @param {import('./key-providers.js').KeyProvider} provider The key provider.
      * @param {any} data The JSON object or array to encrypt.
-     * @returns {any} A new object or array with the same structure, but with all primitive values encrypted.
-     * @throws {Error} If encryption fails for any value.
+     * @param {object} [options] Accepts every option of encryptJsonObject.
+     * @returns {Promise<{ wrappedKey: string, data: any }>} The encrypted document, with the wrapped data key
+     *          that decryptWithKeyProvider needs.
+     * @throws {Error} If the provider fails, an option is malformed or encryption fails for any value.
      */
-    encryptJsonObject(data) {
-        if (data === null || typeof data !== 'object') {
-            // Base case: Encrypt primitive values
-            if (typeof data === 'undefined') return undefined; // Preserve undefined
-            return this.#encryptValue(data);
+    static async encryptWithKeyProvider(provider, data, options = {}) {
+        const service = await EncryptoService.fromKeyProvider(provider);
+        return { wrappedKey: service.wrappedDataKey, data: service.encryptJsonObject(data, options) };
+    }
+
+    /**
+     * Decrypts a document encrypted by encryptWithKeyProvider.
+     *
+     * @param {import('./key-providers.js').KeyProvider} provider The key provider holding the master key.
+     * @param {{ wrappedKey: string, data: any }} document The encrypted document and its wrapped data key.
+     * @param {object} [options] Accepts every option of decryptJsonObject.
+     * @returns {Promise<any>} The same result as decryptJsonObject.
+     * @throws {Error} If the data key can't be unwrapped, an option is malformed or decryption fails for any value.
+     */
+    static async decryptWithKeyProvider(provider, document, options = {}) {
+        if (!document || typeof document !== 'object' || typeof document.wrappedKey !== 'string') {
+            throw new EncryptoConfigError('Configuration Error: The document must be an object with a "wrappedKey" string and "data".');
         }
+        const service = await EncryptoService.fromKeyProvider(provider, { wrappedKey: document.wrappedKey });
+        return service.decryptJsonObject(document.data, options);
+    }
 
-        if (Array.isArray(data)) {
-            // Recursively encrypt array elements
-            return data.map(item => this.encryptJsonObject(item));
+    /**
+     * The id of the key used to encrypt new values.
+     * @returns {string}
+     */
+    get activeKeyId() {
+        return this.#keyring.activeKeyId;
+    }
+
+    /**
+     * The algorithm new values are encrypted with.
+     * @returns {string}
+     */
+    get algorithm() {
+        return this.#algorithm;
+    }
+
+    /**
+     * The encoding of the binary parts of new envelopes.
+     * @returns {string}
+     */
+    get encoding() {
+        return this.#encoding;
+    }
+
+    /**
+     * How the key was derived, for instances created with fromPassphrase.
+     * @returns {{ kdf: string, salt: string, params: object } | null} A JSON-serializable copy of the
+     *          KDF name, base64 salt and parameters, or null if the key was given directly.
+     */
+    get kdfHeader() {
+        return this.#kdfHeader && { ...this.#kdfHeader, params: { ...this.#kdfHeader.params } };
+    }
+
+    /**
+     * The wrapped form of the data key, for instances created with fromKeyProvider.
+     * @returns {string | null} The wrapped key, or null if the key was given directly.
+     */
+    get wrappedDataKey() {
+        return this.#wrappedDataKey;
+    }
+
+    /**
+     * Computes the blind index of a value, to look up records by an encrypted field.
+     * The result equals the index that encryptJsonObject stores next to the field's ciphertext.
+     *
+     * @param {string | number | boolean | null | bigint | Date} value The value to look up. Its type matters:
+     *        1 and '1' have different indexes.
+     * @param {string | Array<string | number>} field The field, as a path (array indexes are ignored) or as a path
+     *        string with '[*]' for every array index, e.g. 'users[*].email'.
+     * @returns {string} The blind index, 'bi1.<index>'.
+     * @throws {EncryptoConfigError} If no blindIndexKey was configured, or the field is malformed.
+     */
+    blindIndex(value, field) {
+        if (!this.#blindIndexer) {
+            throw new EncryptoConfigError('Configuration Error: Blind indexes require a "blindIndexKey".');
+        }
+        if (typeof field !== 'string' && !Array.isArray(field)) {
+            throw new EncryptoConfigError('Configuration Error: The blind index field must be a path string or array.');
+        }
+        const name = Array.isArray(field) ? formatPath(field, { anyIndex: true }) : field;
+        try {
+            return this.#blindIndexer.compute(value, name);
+        } catch (error) {
+            throw encryptionError(value, error);
         }
+    }
 
-        // It's an object
-        const encryptedObject = {};
-        for (const key in data) {
-            if (Object.prototype.hasOwnProperty.call(data, key)) {
-                encryptedObject[key] = this.encryptJsonObject(data[key]);
-            }
+    /**
+     * Checks an encrypted document against its integrity manifest, without decrypting it.
+     *
+     * @param {object} data The encrypted document, carrying a manifest made by encryptJsonObject.
+     * @param {object} [options]
+     * @param {string} [options.manifestProperty='_manifest'] The property holding the manifest.
+     * @param {number} [options.maxDepth] The limits of the walk, as for decryptJsonObject (also maxNodes and maxStringLength).
+     * @returns {{ valid: boolean, keyId: string, version: number | null, timestamp: string, added: string[],
+     *             removed: string[], changed: string[] }} The report: whether the document matches its manifest,
+     *          the version and time recorded in the manifest, and the paths of the values added, removed or changed since.
+     * @throws {EncryptoIntegrityError} If the document has no manifest, or the manifest itself was altered.
+     * @throws {EncryptoFormatError} If the manifest is malformed.
+     * @throws {EncryptoKeyError} If the manifest names a key id that isn't in the keyring.
+     */
+    verifyManifest(data, options = {}) {
+        const { property } = compileManifestOptions({ ...options, manifest: true });
+        return this.#verifyManifest(data, property, compileLimits(options));
+    }
+
+    /**
+     * Masks, redacts or tokenizes selected values of a plain (decrypted) document, e.g. so that
+     * support staff can see that a field is set, or its last digits, without seeing the value.
+     * decryptJsonObject does the same with its `redact` option.
+     *
+     * @param {any} data The plain JSON object or array.
+     * @param {object} rules Path patterns selecting the values to transform, like `include`. A pattern naming an object
+     *        or array covers every leaf beneath it; leaves no rule selects are copied as is.
+     * @param {string[]} [rules.mask] Patterns of the values to mask: email addresses as 'j***@d***.com', other strings
+     *        and numbers as '****1234', other values with the placeholder.
+     * @param {string[]} [rules.redact] Patterns of the values to replace with the placeholder.
+     * @param {string[]} [rules.tokenize] Patterns of the values to replace with opaque tokens, 't1.<keyId>.<token>',
+     *        which detokenizeJsonObject reverses. Tokens are deterministic: equal values get equal tokens.
+     * @param {number} [rules.reveal=4] The number of trailing characters masking leaves visible, at most half of the value.
+     * @param {string} [rules.placeholder='[REDACTED]'] The replacement of redacted values.
+     * @param {object} [options]
+     * @param {number} [options.maxDepth] The limits of the walk, as for decryptJsonObject (also maxNodes and maxStringLength).
+     * @returns {any} A new object or array with the same structure, with the selected values transformed. A value
+     *          selected by several rules is redacted rather than tokenized, and tokenized rather than masked.
+     * @throws {EncryptoConfigError} If a rule or option is malformed.
+     */
+    redactJsonObject(data, rules, options = {}) {
+        return this.#redact(data, compileRedactionRules(rules), compileLimits(options));
+    }
+
+    /**
+     * Recursively restores the values behind the tokens written by the tokenize redaction rule.
+     *
+     * @param {any} data The JSON object or array potentially containing tokens.
+     * @param {object} [options] Path rules selecting the leaves to restore, as for decryptJsonObject, and its limits.
+     * @param {string[]} [options.include] Patterns of the leaves to restore.
+     * @param {string[]} [options.exclude] Patterns of the leaves to leave untouched.
+     * @returns {any} A new object or array with the same structure, with every token replaced with its value.
+     *          Strings that aren't tokens are returned as is.
+     * @throws {EncryptoConfigError} If an option is malformed.
+     * @throws {EncryptoError} If a token can't be restored: EncryptoAuthError if it was altered or made under another
+     *         key with the same id, EncryptoKeyError if its key id isn't in the keyring, EncryptoFormatError if it's malformed.
+     */
+    detokenizeJsonObject(data, options = {}) {
+        const context = this.#compileOptions(options);
+        return this.#transformNode(data, [], context, (value, path) => this.#detokenize(value, path));
+    }
+
+    /**
+     * Encrypts a single leaf value with the active key and the configured algorithm. (Private helper method)
+     * The plaintext carries a type tag, so the value decrypts with its original type.
+     *
+     * @param {string | number | boolean | null | bigint | Date} value The leaf value to encrypt.
+     * @param {Buffer | null} [aad=null] Additional authenticated data binding the value to its field and context.
+     * @returns {string} The envelope, binary parts in the configured encoding; see formatEnvelope.
+     * @throws {Error} If the value's type is unsupported or encryption fails.
+     */
+    #encryptValue(value, aad = null) {
+        // Key presence is guaranteed by the constructor
+        const keyId = this.#keyring.activeKeyId;
+        try {
+            const sealed = sealPayload(this.#keyring.getKey(keyId), encodeValue(value, this.#serializers), aad, this.#algorithm);
+            return formatEnvelope(keyId, sealed, this.#algorithm, this.#encoding);
+        } catch (error) {
+            throw encryptionError(value, error);
         }
-        return encryptedObject;
+    }
+
+    /**
+     * Splits a value into the parts of a known envelope format and decodes them, accepting the
+     * legacy 'data.tag' format when a legacy IV is set; see parseEnvelope. (Private helper method)
+     *
+     * @param {any} value The value to inspect.
+     * @param {boolean} [strict=false] Rejects values that are not envelopes instead of returning null.
+     * @returns {object | null} The envelope, or null if the value doesn't look encrypted by this service.
+     * @throws {EncryptoFormatError} If a 'v2.' or 'v3.' envelope is malformed or names an algorithm this build of
+     *         Node.js lacks, or in strict mode, if the value is not an envelope.
+     */
+    #parseEnvelope(value, strict = false) {
+        return parseEnvelope(value, {
+            strict,
+            legacy: this.#legacyIv !== null,
+            isSupported: isAlgorithmSupported,
+            runtime: 'this build of Node.js',
+        });
     }
 
     /**
      * Decrypts a single value that was previously encrypted. (Private helper method)
      *
-     * @param {string} encryptedString The base64 encoded string potentially containing encrypted data and auth tag.
-     * @returns {string | number | boolean | null} The decrypted primitive value, or the original input string
-     *                                             if it doesn't appear to be encrypted by this service.
-     * @throws {Error} If decryption fails (e.g., invalid auth tag).
+     * Accepts both the 'v2.' and 'v3.' envelopes, decrypted with the keyring key and the
+     * algorithm they name, and, when a legacy IV was supplied to the constructor, the legacy
+     * 'data.tag' format, decrypted with the 'default' key (or the active key if there is none).
+     *
+     * @param {any} value The value potentially containing an encrypted envelope.
+     * @param {Buffer | null} [aad=null] The additional authenticated data the value was encrypted with.
+     *                                   Ignored for legacy values, which were never bound.
+     * @param {boolean} [strict=false] Rejects values that are not envelopes instead of returning them as is.
+     * @returns {string | number | boolean | null | bigint | Date} The decrypted value with its original type,
+     *          or the original input if it doesn't appear to be encrypted by this service.
+     * @throws {Error} The underlying error if decryption fails (e.g., invalid auth tag, unknown key id,
+     *                 or a value bound to another field or context); see decryptionError.
      */
-    #decryptValue(encryptedString) {
-        // Key/IV presence is guaranteed by the constructor
+    #decryptValue(value, aad = null, strict = false) {
+        const envelope = this.#parseEnvelope(value, strict);
+        if (!envelope) {
+            return value;
+        }
+        return decodePlaintext(envelope, openPayload(this.#prepareDecryption(envelope, aad)), this.#serializers);
+    }
 
-        // Basic check: If not a string or missing delimiter, assume not encrypted by us.
-        if (typeof encryptedString !== 'string' || !encryptedString.includes('.')) {
-            return encryptedString;
+    /**
+     * Decrypts a selected leaf during a walk, applying the strict and collectErrors options
+     * of the call. (Private helper method)
+     *
+     * @param {any} value The leaf value.
+     * @param {object} context The compiled options of the current call.
+     * @param {() => Array<string | number>} locate Returns the path of the leaf. Only called
+     *        when the path is needed, so walkers that don't track paths can build it lazily.
+     * @returns {any} The decrypted value, or, when the failure is collected, the original value.
+     * @throws {EncryptoError} If decryption fails and failures are not collected.
+     */
+    #decryptLeaf(value, context, locate) {
+        if (value === undefined || (typeof value !== 'string' && !context.strict)) {
+            return value; // Only strings can hold envelopes
+        }
+        const aad = context.associatedData(context.usesPath ? locate() : null);
+        try {
+            return this.#decryptValue(value, aad, context.strict);
+        } catch (error) {
+            return reportFailure(context, value, aad, locate(), error);
         }
+    }
 
-        const parts = encryptedString.split('.');
-        if (parts.length !== 2) {
-            // Doesn't fit the expected format 'encryptedData.authTag'
-            return encryptedString;
+    /**
+     * Resolves the key and decodes the binary parts of an envelope. (Private helper method)
+     *
+     * @param {{ keyId: string | null, nonce: string | null, ciphertext: string, authTag: string, algorithm: string,
+     *           encoding: string }} envelope The parsed envelope.
+     * @param {Buffer | null} aad The additional authenticated data the value was encrypted with.
+     * @returns {{ key: Buffer, iv: Buffer, ciphertext: Buffer, authTag: Buffer, aad: Buffer | null, algorithm: string }}
+     *          The input of openPayload.
+     * @throws {EncryptoKeyError} If the key id is unknown.
+     */
+    #prepareDecryption(envelope, aad) {
+        let key;
+        let iv;
+        if (envelope.nonce === null) {
+            key = this.#keyring.getKey(DEFAULT_KEY_ID) || this.#keyring.getKey(this.#keyring.activeKeyId);
+            iv = this.#legacyIv;
+        } else {
+            key = this.#keyring.getKey(envelope.keyId);
+            if (!key) {
+                throw new EncryptoKeyError(`Unknown key id "${envelope.keyId}".`);
+            }
+            iv = envelope.nonce;
         }
 
-        const encryptedData = parts[0];
-        const authTagBase64 = parts[1];
+        return {
+            key,
+            iv,
+            ciphertext: envelope.ciphertext,
+            authTag: envelope.authTag,
+            aad: envelope.nonce === null ? null : aad, // Legacy values were never bound
+            algorithm: envelope.algorithm,
+        };
+    }
 
-        try {
-            const authTag = Buffer.from(authTagBase64, OUTPUT_ENCODING);
-            const decipher = crypto.createDecipheriv(ALGORITHM, this.#encryptionKey, this.#encryptionIv);
+    /**
+     * Builds the property name transform of an operation, for the walkers. (Private helper method)
+     *
+     * Encryption pseudonymizes the names of selected properties when encryptKeys is set.
+     * Decryption restores every pseudonym; re-encryption moves pseudonyms made with an older
+     * key to the active key. Paths always use the plain names.
+     *
+     * @param {'encrypt' | 'decrypt' | 'reencrypt'} operation The operation.
+     * @param {object} context The compiled options of the current call.
+     * @returns {((key: string, locate: () => Array<string | number>) => [string, string]) | null}
+     *          Maps a property name, given a function returning the path of its object, to its plain name
+     *          and its output name, or null if names are copied as is.
+     */
+    #keyTransform(operation, context) {
+        if (operation === 'encrypt') {
+            if (!context.encryptKeys) return null;
+            return (key, locate) => {
+                const selected = !context.isSelected || context.isSelected([...locate(), key]);
+                return [key, selected ? this.#pseudonymizeKey(key) : key];
+            };
+        }
 
-            decipher.setAuthTag(authTag); // Set auth tag for GCM verification
+        return (key, locate) => {
+            let restored;
+            try {
+                restored = this.#restoreKey(key);
+            } catch (error) {
+                reportFailure(context, key, null, [...locate(), key], error);
+                return [key, key]; // Collected: keep the pseudonym
+            }
+            if (!restored) return [key, key];
+            if (operation === 'decrypt' || restored.keyId === this.#keyring.activeKeyId) {
+                return [restored.name, operation === 'decrypt' ? restored.name : key];
+            }
+            return [restored.name, this.#pseudonymizeKey(restored.name)];
+        };
+    }
 
-            let decrypted = decipher.update(encryptedData, OUTPUT_ENCODING, INPUT_ENCODING);
-            decrypted += decipher.final(INPUT_ENCODING); // Throws if auth tag is invalid
+    /**
+     * Builds the property transform of an operation, for the walkers: the property name transform,
+     * plus the blind indexes when the call sets blindIndex. (Private helper method)
+     *
+     * Encryption adds a '<name><suffix>' property with the blind index after each indexed leaf.
+     * Decryption drops those properties again; re-encryption copies them as is, since they don't
+     * depend on the encryption key.
+     *
+     * @param {'encrypt' | 'decrypt' | 'reencrypt'} operation The operation.
+     * @param {object} context The compiled options of the current call.
+     * @returns {((object: object, locate: () => Array<string | number>) => Array<{ plainKey: string, outputKey: string,
+     *             value: any, final?: boolean }>) | null}
+     *          Lists the properties of an object, given a function returning its path, with their plain names (used in
+     *          paths) and output names. Final entries are copied as is. Null if properties are copied as is.
+     */
+    #propertyTransform(operation, context) {
+        const transformKey = this.#keyTransform(operation, context);
+        const { blindIndex, blindIndexSuffix } = context;
+        if (!transformKey && !blindIndex) return null;
+
+        return (object, locate) => {
+            const entries = ownEntries(object, locate, context.guard);
+            if (transformKey) {
+                for (const entry of entries) {
+                    [entry.plainKey, entry.outputKey] = transformKey(entry.plainKey, locate);
+                }
+            }
+            if (!blindIndex) return entries;
 
-            // Attempt to parse back to original types (best effort)
-            if (decrypted === 'null') return null;
-            if (decrypted === 'true') return true;
-            if (decrypted === 'false') return false;
-            if (!isNaN(decrypted) && !isNaN(parseFloat(decrypted))) {
-                 if (decrypted.trim() !== '') { // Avoid converting empty/whitespace string to 0
-                    return Number(decrypted);
-                 }
+            const path = locate();
+            if (operation !== 'encrypt') {
+                const plainKeys = new Set(entries.map(entry => entry.plainKey));
+                const isIndexEntry = ({ plainKey, value }) => {
+                    if (!isBlindIndex(value) || !plainKey.endsWith(blindIndexSuffix)) return false;
+                    const field = plainKey.slice(0, -blindIndexSuffix.length);
+                    return plainKeys.has(field) && blindIndex([...path, field]);
+                };
+                if (operation === 'decrypt') return entries.filter(entry => !isIndexEntry(entry));
+                return entries.map(entry => (isIndexEntry(entry) ? { ...entry, final: true } : entry));
             }
-            return decrypted; // Otherwise, return as string
 
+            return entries.flatMap((entry) => {
+                const fieldPath = [...path, entry.plainKey];
+                if (entry.value === undefined || !isLeafValue(entry.value, this.#serializers) || !blindIndex(fieldPath)) return [entry];
+                const indexKey = `${entry.plainKey}${blindIndexSuffix}`;
+                return [entry, {
+                    plainKey: indexKey,
+                    outputKey: transformKey ? transformKey(indexKey, locate)[1] : indexKey,
+                    value: this.blindIndex(entry.value, fieldPath),
+                    final: true,
+                }];
+            });
+        };
+    }
+
+    /**
+     * Replaces a property name with its pseudonym under the active key. (Private helper method)
+     *
+     * @param {string} name The property name.
+     * @returns {string} The pseudonymized name, 'k1.<keyId>.<pseudonym>'.
+     */
+    #pseudonymizeKey(name) {
+        const keyId = this.#keyring.activeKeyId;
+        return [KEY_PSEUDONYM_VERSION, keyId, this.#pseudonymizer(keyId).pseudonymize(name)].join(ENVELOPE_DELIMITER);
+    }
+
+    /**
+     * Recovers a property name from its pseudonym. (Private helper method)
+     *
+     * @param {string} key The property name as found in the input.
+     * @returns {{ name: string, keyId: string } | null} The plain name and the id of the key of the pseudonym,
+     *          or null if the name is not a pseudonym.
+     * @throws {EncryptoKeyError} If the pseudonym names a key id that isn't in the keyring.
+     * @throws {EncryptoAuthError} If the pseudonym was altered.
+     */
+    #restoreKey(key) {
+        if (!key.startsWith(`${KEY_PSEUDONYM_VERSION}${ENVELOPE_DELIMITER}`)) return null;
+        const parts = key.split(ENVELOPE_DELIMITER);
+        if (parts.length !== 3) return null;
+
+        const [, keyId, pseudonym] = parts;
+        if (!this.#keyring.has(keyId)) {
+            throw new EncryptoKeyError(`Unknown key id "${keyId}".`);
+        }
+        return { name: this.#pseudonymizer(keyId).restore(pseudonym), keyId };
+    }
+
+    /**
+     * Returns the pseudonymizer of a key, creating it on first use. (Private helper method)
+     *
+     * @param {string} keyId The key id, which must be in the keyring.
+     * @returns {KeyPseudonymizer}
+     */
+    #pseudonymizer(keyId) {
+        let pseudonymizer = this.#pseudonymizers.get(keyId);
+        if (!pseudonymizer) {
+            pseudonymizer = new KeyPseudonymizer(this.#keyring.getKey(keyId));
+            this.#pseudonymizers.set(keyId, pseudonymizer);
+        }
+        return pseudonymizer;
+    }
+
+    /**
+     * Adds an integrity manifest to an encrypted document, if the call asks for one. (Private helper method)
+     *
+     * @param {any} document The encrypted document.
+     * @param {object} context The compiled options of the current call.
+     * @param {{ version: number | null } | null} [previous=null] The report of the manifest being replaced, whose
+     *        version is kept unless the call gives one.
+     * @returns {any} The document, with its manifest.
+     * @throws {EncryptoConfigError} If the document isn't an object, or already has the manifest property.
+     */
+    #attachManifest(document, context, previous = null) {
+        if (!context.manifest) return document;
+        const { property, version } = context.manifest;
+        if (!isManifestTarget(document)) {
+            throw new EncryptoConfigError('Configuration Error: Only objects can carry a manifest.');
+        }
+        if (Object.prototype.hasOwnProperty.call(document, property)) {
+            throw new EncryptoConfigError(`Configuration Error: The document already has a "${property}" property. Set "manifestProperty" to another name.`);
+        }
+
+        const keyId = this.#keyring.activeKeyId;
+        const manifest = this.#manifestSigner(keyId).sign(document, {
+            keyId,
+            version: version === null && previous ? previous.version : version,
+            guard: new WalkGuard(context.limits),
+        });
+        defineOwnProperty(document, property, manifest);
+        return document;
+    }
+
+    /**
+     * Verifies the integrity manifest of a document, if the call asks for it. (Private helper method)
+     *
+     * @param {any} data The encrypted document.
+     * @param {object} context The compiled options of the current call.
+     * @returns {{ body: any, report: object | null }} The document without its manifest, and the verification report.
+     * @throws {EncryptoIntegrityError} If the document doesn't match its manifest, or the manifest is missing,
+     *         altered or too old.
+     */
+    #checkManifest(data, context) {
+        if (!context.manifest) return { body: data, report: null };
+        const { property } = context.manifest;
+        const report = this.#verifyManifest(data, property, context.limits);
+        if (!report.valid) {
+            const { added, removed, changed } = report;
+            const summary = Object.entries({ added, removed, changed })
+                .filter(([, paths]) => paths.length > 0)
+                .map(([change, paths]) => `${change} ${paths.map(path => `"${path}"`).join(', ')}`)
+                .join('; ');
+            throw new EncryptoIntegrityError(`The document doesn't match its manifest: ${summary}.`, { added, removed, changed });
+        }
+        checkFreshness(report, context.manifest);
+
+        const body = {};
+        for (const key of Object.keys(data)) {
+            if (key !== property) defineOwnProperty(body, key, data[key]);
+        }
+        return { body, report };
+    }
+
+    /**
+     * Checks a document against its manifest with the key the manifest names. (Private helper method)
+     *
+     * @param {any} data The encrypted document.
+     * @param {string} property The property holding the manifest.
+     * @param {object} limits The limits of the call.
+     * @returns {object} The report of ManifestSigner.verify.
+     * @throws {EncryptoError} If the manifest is missing, malformed, altered, or names an unknown key.
+     */
+    #verifyManifest(data, property, limits) {
+        const manifest = parseManifest(data, property);
+        if (!this.#keyring.has(manifest.keyId)) {
+            throw new EncryptoKeyError(`Unknown key id "${manifest.keyId}".`);
+        }
+        return this.#manifestSigner(manifest.keyId).verify(data, manifest, { property, guard: new WalkGuard(limits) });
+    }
+
+    /**
+     * Returns the manifest signer of a key, creating it on first use. (Private helper method)
+     *
+     * @param {string} keyId The key id, which must be in the keyring.
+     * @returns {ManifestSigner}
+     */
+    #manifestSigner(keyId) {
+        let signer = this.#manifestSigners.get(keyId);
+        if (!signer) {
+            signer = new ManifestSigner(this.#keyring.getKey(keyId), this.#serializers);
+            this.#manifestSigners.set(keyId, signer);
+        }
+        return signer;
+    }
+
+    /**
+     * Masks, redacts or tokenizes the values selected by redaction rules. (Private helper method)
+     *
+     * @param {any} data The plain document.
+     * @param {object} redaction The compiled redaction rules.
+     * @param {object} limits The compiled limits of the call.
+     * @returns {any} The transformed copy.
+     */
+    #redact(data, redaction, limits) {
+        const context = { isSelected: null, collapse: null, guard: new WalkGuard(limits) };
+        return this.#transformNode(data, [], context, (value, path) => this.#redactLeaf(value, redaction.actionOf(path), redaction));
+    }
+
+    /**
+     * Asynchronous variant of #redact, walking iteratively and yielding to the event loop. (Private helper method)
+     *
+     * @param {any} data The plain document.
+     * @param {object} redaction The compiled redaction rules.
+     * @param {object} limits The compiled limits of the call.
+     * @param {number} yieldEvery The number of nodes or values processed between yields.
+     * @returns {Promise<any>} The transformed copy.
+     */
+    async #redactAsync(data, redaction, limits, yieldEvery) {
+        const context = { isSelected: null, collapse: null, usesPath: true, guard: new WalkGuard(limits) };
+        const { result, leaves } = await this.#collectLeaves(data, context, yieldEvery, null);
+        for (let i = 0; i < leaves.length; i++) {
+            const leaf = leaves[i];
+            leaf.holder[leaf.key] = this.#redactLeaf(leaf.value, redaction.actionOf(leaf.path), redaction);
+            if ((i + 1) % yieldEvery === 0) await yieldToEventLoop();
+        }
+        return result.root;
+    }
+
+    /**
+     * Applies a redaction action to a leaf. (Private helper method)
+     *
+     * @param {any} value The leaf value.
+     * @param {'redact' | 'tokenize' | 'mask' | null} action The action of the rules selecting the leaf, if any.
+     * @param {{ reveal: number, placeholder: string }} redaction The compiled redaction rules.
+     * @returns {any} The replacement of the leaf. Undefined stays undefined.
+     */
+    #redactLeaf(value, action, redaction) {
+        if (action === null || value === undefined) return value;
+        if (action === 'redact') return redaction.placeholder;
+        if (action === 'mask') return maskValue(value, redaction);
+
+        const keyId = this.#keyring.activeKeyId;
+        try {
+            return [VALUE_TOKEN_VERSION, keyId, this.#tokenizer(keyId).tokenize(value)].join(ENVELOPE_DELIMITER);
+        } catch (error) {
+            throw new EncryptoError(`Tokenization failed for value "${describeValue(value)}...": ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Restores the value behind a token. (Private helper method)
+     *
+     * @param {any} value The leaf value.
+     * @param {Array<string | number>} path The path of the leaf from the root.
+     * @returns {any} The value behind the token, or the leaf as is if it isn't a token.
+     * @throws {EncryptoError} If the token names an unknown key id, was altered or is malformed.
+     */
+    #detokenize(value, path) {
+        if (typeof value !== 'string' || !value.startsWith(`${VALUE_TOKEN_VERSION}${ENVELOPE_DELIMITER}`)) return value;
+        const parts = value.split(ENVELOPE_DELIMITER);
+        if (parts.length !== 3) return value;
+
+        const [, keyId, token] = parts;
+        try {
+            if (!this.#keyring.has(keyId)) {
+                throw new EncryptoKeyError(`Unknown key id "${keyId}".`);
+            }
+            return this.#tokenizer(keyId).detokenize(token);
         } catch (error) {
-            // Propagate crypto errors (e.g., invalid auth tag, invalid base64 for tag)
-            throw new Error(`Decryption failed for value "${encryptedString.substring(0, 50)}...": ${error.message}`);
+            const ErrorClass = error instanceof EncryptoError ? error.constructor : EncryptoFormatError;
+            const formattedPath = formatPath(path);
+            const location = formattedPath === '' ? '' : ` at "${formattedPath}"`;
+            throw new ErrorClass(`Detokenization failed for value "${describeValue(value)}..."${location}: ${error.message}`, {
+                path: formattedPath,
+                cause: error,
+            });
         }
     }
 
+    /**
+     * Returns the tokenizer of a key, creating it on first use. (Private helper method)
+     *
+     * @param {string} keyId The key id, which must be in the keyring.
+     * @returns {ValueTokenizer}
+     */
+    #tokenizer(keyId) {
+        let tokenizer = this.#tokenizers.get(keyId);
+        if (!tokenizer) {
+            tokenizer = new ValueTokenizer(this.#keyring.getKey(keyId), this.#serializers);
+            this.#tokenizers.set(keyId, tokenizer);
+        }
+        return tokenizer;
+    }
+
+    /**
+     * Recursively encrypts all primitive values within a JSON object or array. Dates, Maps, Sets,
+     * binary data (Buffers, typed arrays, ArrayBuffers) and instances of classes with a registered
+     * serializer are each encrypted as a single value, and decrypt with their original type.
+     *
+     * Path rules restrict encryption to selected leaves; every other leaf is copied as is,
+     * so a record can stay partly queryable. Patterns use dot notation with bracketed
+     * array indexes: '*' matches one segment, '[*]' one array index and '**' any number of
+     * segments. A pattern naming an object or array covers every leaf beneath it.
+     *
+     * @param {any} data The JSON object or array to encrypt.
+     * @param {object} [options] Path rules selecting the leaves to encrypt.
+     * @param {string[]} [options.include] Patterns of the leaves to encrypt, e.g. ['user.email', 'cards[*].pan']. Omit to encrypt every leaf.
+     * @param {string[]} [options.exclude] Patterns of the leaves to keep in plain text, e.g. ['id', '**.createdAt'].
+     * @param {object} [options.schema] A JSON-Schema-like map marking sensitive fields, e.g.
+     *                                  `{ properties: { cards: { items: { properties: { pan: { sensitive: true } } } } } }`.
+     * @param {boolean} [options.bindPath] Binds each value to its JSON path as GCM additional authenticated data,
+     *                                     so a value moved to another field fails decryption.
+     * @param {string} [options.context] Binds each value to a caller-supplied context, such as a record or tenant id,
+     *                                   so a value moved to another record fails decryption.
+     * @param {boolean} [options.encryptKeys] Replaces the name of every selected property with a deterministic keyed
+     *                                        pseudonym, 'k1.<keyId>.<pseudonym>', which decryption reverses.
+     * @param {string[]} [options.collapse] Patterns of objects or arrays to encrypt whole, as a single value,
+     *                                      hiding their keys and lengths. Applied regardless of the other path rules.
+     * @param {string[]} [options.blindIndex] Patterns of the leaves to index for equality lookups. Each indexed leaf gets
+     *                                        a '<name>_bidx' sibling holding its blind index (see blindIndex).
+     *                                        Requires a blindIndexKey.
+     * @param {string} [options.blindIndexSuffix='_bidx'] The suffix naming the blind index properties.
+     * @param {boolean | { version?: number }} [options.manifest] Adds an integrity manifest to the document (an object),
+     *        listing a keyed digest of every value by path, so that decryption detects values added, removed, moved or
+     *        rolled back. Pass `{ version }` to record the version of the document, e.g. a revision number.
+     * @param {string} [options.manifestProperty='_manifest'] The property holding the manifest.
+     * @returns {any} A new object or array with the same structure, but with the selected primitive values encrypted.
+     * @throws {Error} If an option is malformed or encryption fails for any value.
+     */
+    encryptJsonObject(data, options = {}) {
+        const context = this.#compileOptions(options, { reshape: true });
+        const result = this.#transformNode(data, [], context, (value, path) => {
+            if (typeof value === 'undefined') return undefined; // Preserve undefined
+            return this.#encryptValue(value, context.associatedData(path));
+        }, this.#propertyTransform('encrypt', context));
+        return this.#attachManifest(result, context);
+    }
+
     /**
      * Recursively decrypts all potentially encrypted string values within a JSON object or array.
      *
      * @param {any} data The JSON object or array potentially containing encrypted strings.
-     * @returns {any} A new object or array with the same structure, but with encrypted strings decrypted.
-     *          Strings that couldn't be decrypted or didn't appear encrypted are returned as is.
-     * @throws {Error} If decryption fails for any value.
+     * @param {object} [options] The path rules used for encryption. Leaves they do not select are returned as is.
+     * @param {string[]} [options.include] Patterns of the leaves to decrypt.
+     * @param {string[]} [options.exclude] Patterns of the leaves to leave untouched.
+     * @param {object} [options.schema] A JSON-Schema-like map marking sensitive fields.
+     * @param {boolean} [options.bindPath] Must match the value used for encryption.
+     * @param {string} [options.context] Must match the value used for encryption.
+     * @param {boolean} [options.strict] Rejects every selected leaf that is not a well-formed envelope,
+     *                                   instead of returning it as is.
+     * @param {boolean} [options.collectErrors] Decrypts every value it can and reports the failures
+     *                                          instead of throwing on the first one.
+     * @param {string[]} [options.blindIndex] The patterns used for encryption; their blind index properties are dropped.
+     * @param {string} [options.blindIndexSuffix='_bidx'] Must match the value used for encryption.
+     * @param {boolean | { minVersion?: number, maxAge?: number }} [options.manifest] Checks the integrity manifest of
+     *        the document before decrypting it, and drops it from the result. Pass `{ minVersion, maxAge }` to also refuse
+     *        a document below a version, or whose manifest is older than maxAge milliseconds.
+     * @param {string} [options.manifestProperty='_manifest'] Must match the value used for encryption.
+     * @param {object} [options.redact] Redaction rules applied to the decrypted result, as for redactJsonObject, e.g.
+     *        `{ mask: ['card.pan'], tokenize: ['user.id'] }`. Their paths are those of the decrypted document.
+     * @returns {any} A new object or array with the same structure, but with encrypted strings decrypted,
+     *          collapsed subtrees expanded and property name pseudonyms restored.
+     *          Strings that didn't appear encrypted are returned as is. With collectErrors, returns
+     *          `{ data, errors }`, where failed leaves keep their encrypted value in `data` and
+     *          `errors` lists `{ path, reason, error }` for each of them.
+     * @throws {EncryptoConfigError} If an option is malformed.
+     * @throws {EncryptoError} If decryption fails for any value (unless collectErrors is set):
+     *         EncryptoAuthError, EncryptoKeyError or EncryptoFormatError.
+     * @throws {EncryptoIntegrityError} If the document doesn't match its manifest, whatever collectErrors.
+     */
+    decryptJsonObject(data, options = {}) {
+        const context = this.#compileOptions(options, { collect: true });
+        const { body } = this.#checkManifest(data, context);
+        const decrypted = this.#transformNode(body, [], context, (value, path) => this.#decryptLeaf(value, context, () => path),
+            this.#propertyTransform('decrypt', context));
+        const result = context.redaction ? this.#redact(decrypted, context.redaction, context.limits) : decrypted;
+        return context.errors ? { data: result, errors: context.errors } : result;
+    }
+
+    /**
+     * Recursively re-encrypts, with the active key, every value encrypted under an older key
+     * (or in the legacy 'data.tag' format), and every property name pseudonym made with one.
+     * Values encrypted with another algorithm or encoding than the configured ones are re-encrypted
+     * too. Values already under the active key, algorithm and encoding, and plain values, are
+     * returned unchanged, so keys and algorithms can be rotated gradually, record by record.
+     *
+     * @param {any} data The JSON object or array potentially containing encrypted strings.
+     * @param {object} [options] The path rules used for encryption. Leaves they do not select are returned as is.
+     * @param {string[]} [options.include] Patterns of the leaves to re-encrypt.
+     * @param {string[]} [options.exclude] Patterns of the leaves to leave untouched.
+     * @param {object} [options.schema] A JSON-Schema-like map marking sensitive fields.
+     * @param {boolean} [options.bindPath] Must match the value used for encryption; re-encrypted values stay bound.
+     * @param {string} [options.context] Must match the value used for encryption; re-encrypted values stay bound.
+     * @param {boolean} [options.strict] Rejects every selected leaf that is not a well-formed envelope.
+     * @param {string[]} [options.blindIndex] The patterns used for encryption; their blind index properties are kept as is.
+     * @param {string} [options.blindIndexSuffix='_bidx'] Must match the value used for encryption.
+     * @param {boolean | { version?: number, minVersion?: number, maxAge?: number }} [options.manifest] Checks the
+     *        integrity manifest of the document, then replaces it with one covering the new ciphertexts, made with the
+     *        active key. It keeps the version of the document unless `version` is given.
+     * @param {string} [options.manifestProperty='_manifest'] Must match the value used for encryption.
+     * @returns {any} A new object or array with the same structure, with every encrypted value under the active key,
+     *          algorithm and encoding.
+     * @throws {Error} If an option is malformed, the document doesn't match its manifest, or decryption or
+     *         encryption fails for any value.
      */
-    decryptJsonObject(data) {
-        if (data === null || typeof data !== 'object') {
-            // Base case: If it's a string, try to decrypt it.
-            if (typeof data === 'string') {
-                return this.#decryptValue(data);
+    reencryptJsonObject(data, options = {}) {
+        const context = this.#compileOptions(options);
+        const { body, report } = this.#checkManifest(data, context);
+        const result = this.#transformNode(body, [], context, (value, path) => {
+            let envelope;
+            try {
+                envelope = this.#parseEnvelope(value, context.strict);
+            } catch (error) {
+                throw decryptionError(value, null, path, error);
             }
-            // Return non-object, non-string types as is.
-            return data;
+            if (!envelope || (envelope.keyId === this.#keyring.activeKeyId
+                && envelope.algorithm === this.#algorithm && envelope.encoding === this.#encoding)) {
+                return value;
+            }
+            return this.#encryptValue(this.#decryptLeaf(value, context, () => path), context.associatedData(path));
+        }, this.#propertyTransform('reencrypt', context));
+        return this.#attachManifest(result, context, report);
+    }
+
+    /**
+     * Asynchronous variant of encryptJsonObject for large documents. Walks the input
+     * iteratively, so deeply nested documents can't overflow the stack, and yields to the
+     * event loop periodically. Optionally spreads the cipher work across worker threads.
+     *
+     * @param {any} data The JSON object or array to encrypt.
+     * @param {object} [options] Accepts every option of encryptJsonObject, plus:
+     * @param {number} [options.yieldEvery=1000] The number of nodes or values processed between yields to the event loop.
+     * @param {number | CipherWorkerPool} [options.workers] The number of worker threads to start for this call,
+     *                                                      or a CipherWorkerPool to reuse across calls.
+     * @returns {Promise<any>} Resolves with the same result as encryptJsonObject.
+     * @throws {Error} If an option is malformed or encryption fails for any value.
+     */
+    async encryptJsonObjectAsync(data, options = {}) {
+        const context = this.#compileOptions(options, { reshape: true });
+        const { yieldEvery, workers } = compileAsyncOptions(options);
+        const { result, leaves } = await this.#collectLeaves(data, context, yieldEvery, this.#propertyTransform('encrypt', context));
+        const pending = leaves.filter(leaf => leaf.value !== undefined); // Preserve undefined
+
+        if (!workers) {
+            for (let i = 0; i < pending.length; i++) {
+                const leaf = pending[i];
+                leaf.holder[leaf.key] = this.#encryptValue(leaf.value, context.associatedData(leaf.path));
+                if ((i + 1) % yieldEvery === 0) await yieldToEventLoop();
+            }
+            return this.#attachManifest(result.root, context);
         }
 
-        if (Array.isArray(data)) {
-            // Recursively decrypt array elements
-            return data.map(item => this.decryptJsonObject(item));
+        const keyId = this.#keyring.activeKeyId;
+        const key = this.#keyring.getKey(keyId);
+        const jobs = pending.map((leaf) => {
+            try {
+                return { key, payload: encodeValue(leaf.value, this.#serializers), aad: context.associatedData(leaf.path), algorithm: this.#algorithm };
+            } catch (error) {
+                throw encryptionError(leaf.value, error);
+            }
+        });
+
+        const sealed = await runInPool(workers, pool => pool.seal(jobs));
+        pending.forEach((leaf, i) => {
+            const { value, error } = sealed[i];
+            if (error !== undefined) throw encryptionError(leaf.value, new Error(error));
+            leaf.holder[leaf.key] = formatEnvelope(keyId, value, this.#algorithm, this.#encoding);
+        });
+        return this.#attachManifest(result.root, context);
+    }
+
+    /**
+     * Asynchronous variant of decryptJsonObject for large documents. Walks the input
+     * iteratively, so deeply nested documents can't overflow the stack, and yields to the
+     * event loop periodically. Optionally spreads the cipher work across worker threads.
+     *
+     * @param {any} data The JSON object or array potentially containing encrypted strings.
+     * @param {object} [options] Accepts every option of decryptJsonObject, plus:
+     * @param {number} [options.yieldEvery=1000] The number of nodes or values processed between yields to the event loop.
+     * @param {number | CipherWorkerPool} [options.workers] The number of worker threads to start for this call,
+     *                                                      or a CipherWorkerPool to reuse across calls.
+     * @returns {Promise<any>} Resolves with the same result as decryptJsonObject.
+     * @throws {Error} If an option is malformed or decryption fails for any value (unless collectErrors is set).
+     */
+    async decryptJsonObjectAsync(data, options = {}) {
+        const context = this.#compileOptions(options, { collect: true });
+        const { yieldEvery, workers } = compileAsyncOptions(options);
+        const { body } = this.#checkManifest(data, context);
+        const { result, leaves } = await this.#collectLeaves(body, context, yieldEvery, this.#propertyTransform('decrypt', context));
+        const settle = async () => {
+            const root = context.redaction ? await this.#redactAsync(result.root, context.redaction, context.limits, yieldEvery) : result.root;
+            return context.errors ? { data: root, errors: context.errors } : root;
+        };
+
+        if (!workers) {
+            for (let i = 0; i < leaves.length; i++) {
+                const leaf = leaves[i];
+                leaf.holder[leaf.key] = this.#decryptLeaf(leaf.value, context, () => leafPath(leaf));
+                if ((i + 1) % yieldEvery === 0) await yieldToEventLoop();
+            }
+            return settle();
         }
 
-        // It's an object
-        const decryptedObject = {};
-        for (const key in data) {
-            if (Object.prototype.hasOwnProperty.call(data, key)) {
-                decryptedObject[key] = this.decryptJsonObject(data[key]);
+        const pending = [];
+        for (const leaf of leaves) {
+            const aad = context.associatedData(leaf.path);
+            try {
+                const envelope = this.#parseEnvelope(leaf.value, context.strict);
+                if (!envelope) continue; // Not encrypted by us: keep as is
+                pending.push({ leaf, envelope, aad, job: this.#prepareDecryption(envelope, aad) });
+            } catch (error) {
+                reportFailure(context, leaf.value, aad, leafPath(leaf), error);
             }
         }
-        return decryptedObject;
+
+        const opened = await runInPool(workers, pool => pool.open(pending.map(({ job }) => job)));
+        pending.forEach(({ leaf, envelope, aad }, i) => {
+            try {
+                const { value, error } = opened[i];
+                if (error !== undefined) throw new Error(error);
+                leaf.holder[leaf.key] = decodePlaintext(envelope, value, this.#serializers);
+            } catch (error) {
+                reportFailure(context, leaf.value, aad, leafPath(leaf), error);
+            }
+        });
+        return settle();
+    }
+
+    /**
+     * Creates a Transform stream that reads a JSON document and writes it back with its
+     * primitive values encrypted, without holding the whole document in memory.
+     * Pipe a Readable through it, or use encryptStream.
+     *
+     * @param {object} [options] Accepts every option of encryptJsonObject, except collapse, blindIndex and manifest.
+     * @returns {import('stream').Transform} The stream. Invalid JSON or failed values are emitted as 'error' events.
+     * @throws {Error} If an option is malformed.
+     */
+    createEncryptStream(options = {}) {
+        rejectStreamingOptions(options, ['collapse', 'blindIndex', 'manifest']);
+        const context = this.#compileOptions(options, { reshape: true });
+        return createJsonTransformStream((value, path) => {
+            if (context.isSelected && !context.isSelected(path)) return value;
+            return this.#encryptValue(value, context.associatedData(path));
+        }, this.#keyTransform('encrypt', context), context.guard);
+    }
+
+    /**
+     * Creates a Transform stream that reads a JSON document and writes it back with its
+     * encrypted strings decrypted, without holding the whole document in memory.
+     * Bigints are written as JSON numbers and Dates as ISO strings.
+     *
+     * @param {object} [options] Accepts every option of decryptJsonObject, except collectErrors, blindIndex, manifest and redact.
+     * @returns {import('stream').Transform} The stream. Invalid JSON or failed values are emitted as 'error' events.
+     * @throws {Error} If an option is malformed.
+     */
+    createDecryptStream(options = {}) {
+        rejectStreamingOptions(options, ['blindIndex', 'manifest', 'redact']);
+        const context = this.#compileOptions(options);
+        return createJsonTransformStream((value, path) => {
+            if (context.isSelected && !context.isSelected(path)) return value;
+            return this.#decryptLeaf(value, context, () => path);
+        }, this.#keyTransform('decrypt', context), context.guard);
     }
+
+    /**
+     * Reads a JSON document from a Readable and writes it, encrypted, to a Writable.
+     *
+     * @param {import('stream').Readable} readable The JSON input.
+     * @param {import('stream').Writable} writable Receives the encrypted JSON.
+     * @param {object} [options] Accepts every option of encryptJsonObject, except collapse, blindIndex and manifest.
+     * @returns {Promise<void>} Resolves once the output is fully written.
+     * @throws {Error} If an option is malformed, the input is not valid JSON, or encryption fails.
+     */
+    encryptStream(readable, writable, options = {}) {
+        return pipeline(readable, this.createEncryptStream(options), writable);
+    }
+
+    /**
+     * Reads a JSON document from a Readable and writes it, decrypted, to a Writable.
+     *
+     * @param {import('stream').Readable} readable The encrypted JSON input.
+     * @param {import('stream').Writable} writable Receives the decrypted JSON.
+     * @param {object} [options] Accepts every option of decryptJsonObject, except collectErrors, blindIndex, manifest and redact.
+     * @returns {Promise<void>} Resolves once the output is fully written.
+     * @throws {Error} If an option is malformed, the input is not valid JSON, or decryption fails.
+     */
+    decryptStream(readable, writable, options = {}) {
+        return pipeline(readable, this.createDecryptStream(options), writable);
+    }
+
+    /**
+     * Validates the options of a call and compiles them for the walkers. (Private helper method)
+     *
+     * @param {object} options The options passed to a public method.
+     * @param {object} [capabilities] What the calling method supports.
+     * @param {boolean} [capabilities.collect=false] Whether the method decrypts into a result it can return with
+     *        collected failures, and redact.
+     * @param {boolean} [capabilities.reshape=false] Whether the method encrypts, and so applies encryptKeys and collapse.
+     * @returns {{ isSelected: Function | null, collapse: Function | null, encryptKeys: boolean, blindIndex: Function | null,
+     *             blindIndexSuffix: string, strict: boolean, errors: Array<object> | null, limits: object,
+     *             guard: WalkGuard, manifest: object | null, redaction: object | null,
+     *             associatedData: (path: Array<string | number>) => Buffer | null }}
+     *          The compiled path rules, the shape and blind index options, the decryption mode, the list collecting failures
+     *          (null unless collectErrors is set), the limits and the guard enforcing them during the walk, the manifest
+     *          options, the redaction rules applied to the decrypted result, and the builder of each leaf's additional
+     *          authenticated data.
+     * @throws {EncryptoConfigError} If an option is malformed.
+     */
+    #compileOptions(options, { collect = false, reshape = false } = {}) {
+        const {
+            bindPath = false,
+            context,
+            strict = false,
+            collectErrors = false,
+            encryptKeys = false,
+            collapse,
+            blindIndex,
+            blindIndexSuffix = DEFAULT_BLIND_INDEX_SUFFIX,
+            redact,
+        } = options;
+        if (typeof bindPath !== 'boolean') {
+            throw new EncryptoConfigError('Configuration Error: "bindPath" must be a boolean.');
+        }
+        if (context !== undefined && typeof context !== 'string') {
+            throw new EncryptoConfigError('Configuration Error: "context" must be a string.');
+        }
+        if (typeof strict !== 'boolean') {
+            throw new EncryptoConfigError('Configuration Error: "strict" must be a boolean.');
+        }
+        if (typeof collectErrors !== 'boolean') {
+            throw new EncryptoConfigError('Configuration Error: "collectErrors" must be a boolean.');
+        }
+        if (collectErrors && !collect) {
+            throw new EncryptoConfigError('Configuration Error: "collectErrors" is only supported by decryptJsonObject and decryptJsonObjectAsync.');
+        }
+        if (redact !== undefined && !collect) {
+            throw new EncryptoConfigError('Configuration Error: "redact" is only supported by decryptJsonObject and decryptJsonObjectAsync.');
+        }
+        if (typeof encryptKeys !== 'boolean') {
+            throw new EncryptoConfigError('Configuration Error: "encryptKeys" must be a boolean.');
+        }
+        if (collapse !== undefined && !Array.isArray(collapse)) {
+            throw new EncryptoConfigError('Configuration Error: "collapse" must be an array of path patterns.');
+        }
+        if (blindIndex !== undefined && !Array.isArray(blindIndex)) {
+            throw new EncryptoConfigError('Configuration Error: "blindIndex" must be an array of path patterns.');
+        }
+        if (typeof blindIndexSuffix !== 'string' || blindIndexSuffix === '') {
+            throw new EncryptoConfigError('Configuration Error: "blindIndexSuffix" must be a non-empty string.');
+        }
+        if (blindIndex !== undefined && reshape && !this.#blindIndexer) {
+            throw new EncryptoConfigError('Configuration Error: Blind indexes require a "blindIndexKey".');
+        }
+
+        const limits = compileLimits(options);
+        const manifest = compileManifestOptions(options);
+        const redaction = redact === undefined ? null : compileRedactionRules(redact);
+        const bound = bindPath || context !== undefined;
+        const collapses = collapse === undefined ? null : compilePathRules({ include: collapse });
+        const indexed = blindIndex === undefined ? null : compilePathRules({ include: blindIndex });
+        let isSelected = compilePathRules(options);
+        if (!reshape && collapses && isSelected) {
+            // Collapsed subtrees are encrypted regardless of the path rules, so they are always decrypted too
+            const isSelectedByRules = isSelected;
+            isSelected = path => isSelectedByRules(path) || collapses(path);
+        }
+        return {
+            isSelected,
+            collapse: reshape ? collapses : null,
+            encryptKeys: reshape && encryptKeys,
+            blindIndex: indexed,
+            blindIndexSuffix,
+            strict,
+            errors: collectErrors ? [] : null,
+            limits,
+            guard: new WalkGuard(limits),
+            manifest,
+            redaction,
+            usesPath: isSelected !== null || bindPath || (reshape && collapses !== null),
+            // The path is serialized as an array so keys containing dots stay unambiguous
+            associatedData: (path) => bound
+                ? Buffer.from(JSON.stringify([bindPath ? path : null, context === undefined ? null : context]), 'utf8')
+                : null,
+        };
+    }
+
+    /**
+     * Iteratively copies the containers of the input and lists its selected leaves,
+     * yielding to the event loop periodically. (Private helper method)
+     *
+     * The copy starts with every selected leaf in place; callers overwrite them through
+     * each leaf's holder and key. Unselected leaves are copied as is.
+     *
+     * @param {any} data The input.
+     * @param {object} context The compiled options of the current call.
+     * @param {number} yieldEvery The number of nodes visited between yields.
+     * @param {((object: object, locate: () => Array<string | number>) => Array<object>) | null} transformProperties
+     *        Lists the properties of an object, given a function returning its path, with their plain names (used in paths)
+     *        and their names in the copy; see propertyTransform.
+     * @returns {Promise<{ result: { root: any }, leaves: Array<{ holder: object, key: string | number, value: any,
+     *                                                               path: Array<string | number> | null, pathNode: object | null }> }>}
+     *          The copy (under `result.root`) and the selected leaves. Paths are only materialized when the options need
+     *          them; otherwise leafPath builds them from `pathNode` on demand.
+     */
+    async #collectLeaves(data, context, yieldEvery, transformProperties) {
+        const { guard } = context;
+        const result = { root: undefined };
+        const leaves = [];
+        const stack = [{ value: data, holder: result, key: 'root', pathNode: null, depth: 0 }];
+        let visited = 0;
+
+        while (stack.length > 0) {
+            const entry = stack.pop();
+            if (entry.leave !== undefined) {
+                guard.leave(entry.leave); // All of the container's children were visited
+                continue;
+            }
+
+            const { value, holder, key, pathNode, depth } = entry;
+            visited += 1;
+            if (visited % yieldEvery === 0) await yieldToEventLoop();
+
+            const path = context.usesPath ? materializePath(pathNode) : null;
+            const locate = () => path || materializePath(pathNode);
+            guard.visit(value, depth, locate);
+            if (isLeafValue(value, this.#serializers)) {
+                holder[key] = value;
+                if (!context.isSelected || context.isSelected(path)) {
+                    guard.visitContents(value, depth, locate, this.#contentsOf);
+                    leaves.push({ holder, key, value, path, pathNode });
+                }
+                continue;
+            }
+            if (context.collapse && context.collapse(path)) {
+                holder[key] = value; // Encrypted whole, as a single leaf
+                guard.visitContents(value, depth, locate, this.#contentsOf);
+                leaves.push({ holder, key, value, path, pathNode });
+                continue;
+            }
+
+            guard.enter(value, locate);
+            stack.push({ leave: value });
+
+            if (Array.isArray(value)) {
+                const copy = new Array(value.length);
+                holder[key] = copy;
+                for (let index = value.length - 1; index >= 0; index--) {
+                    if (!(index in value)) continue; // Keep holes, like Array.prototype.map
+                    stack.push({ value: value[index], holder: copy, key: index, pathNode: { parent: pathNode, segment: index }, depth: depth + 1 });
+                }
+                continue;
+            }
+
+            // It's an object: create its keys now to keep their order
+            const copy = {};
+            holder[key] = copy;
+            const children = [];
+            const entries = transformProperties ? transformProperties(value, locate) : ownEntries(value, locate, guard);
+            for (const { plainKey, outputKey, value: child, final } of entries) {
+                defineOwnProperty(copy, outputKey, final ? child : undefined);
+                if (!final) {
+                    children.push({ value: child, holder: copy, key: outputKey, pathNode: { parent: pathNode, segment: plainKey }, depth: depth + 1 });
+                }
+            }
+            stack.push(...children.reverse());
+        }
+
+        return { result, leaves };
+    }
+
+    /**
+     * Recursively copies a node of the input, replacing each selected leaf. (Private helper method)
+     *
+     * @param {any} data The node to transform.
+     * @param {Array<string | number>} path The path of the node from the root.
+     * @param {object} context The compiled options of the current call.
+     * @param {(value: any, path: Array<string | number>) => any} transformLeaf Produces the replacement of a selected leaf
+     *        (or collapsed subtree).
+     * @param {((object: object, locate: () => Array<string | number>) => Array<object>) | null} [transformProperties=null]
+     *        Lists the properties of an object, given a function returning its path, with their plain names (used in paths)
+     *        and their names in the copy; see propertyTransform.
+     * @returns {any} The transformed node.
+     */
+    #transformNode(data, path, context, transformLeaf, transformProperties = null) {
+        const { guard } = context;
+        guard.visit(data, path.length, () => path);
+        if (isLeafValue(data, this.#serializers)) {
+            // Base case: Transform selected leaves, keep the others as is
+            if (context.isSelected && !context.isSelected(path)) return data;
+            guard.visitContents(data, path.length, () => path, this.#contentsOf);
+            return transformLeaf(data, path);
+        }
+
+        if (context.collapse && context.collapse(path)) {
+            guard.visitContents(data, path.length, () => path, this.#contentsOf);
+            return transformLeaf(data, path); // Encrypted whole, regardless of the other path rules
+        }
+
+        guard.enter(data, () => path);
+        let transformed;
+        if (Array.isArray(data)) {
+            // Recursively transform array elements
+            transformed = data.map((item, index) => this.#transformNode(item, [...path, index], context, transformLeaf, transformProperties));
+        } else {
+            // It's an object
+            transformed = {};
+            const locate = () => path;
+            const entries = transformProperties ? transformProperties(data, locate) : ownEntries(data, locate, guard);
+            for (const { plainKey, outputKey, value, final } of entries) {
+                defineOwnProperty(transformed, outputKey, final
+                    ? value
+                    : this.#transformNode(value, [...path, plainKey], context, transformLeaf, transformProperties));
+            }
+        }
+        guard.leave(data);
+        return transformed;
+    }
+}
+
+/**
+ * Restores a value from a decrypted payload.
+ *
+ * @param {{ nonce: string | null }} envelope The parsed envelope.
+ * @param {Buffer} plaintext The decrypted payload.
+ * @param {object | null} serializers The compiled serializers of domain classes.
+ * @returns {any} The value.
+ */
+function decodePlaintext(envelope, plaintext, serializers) {
+    if (envelope.nonce === null) {
+        // Legacy payloads carry no type tag: parse back to original types (best effort)
+        return decodeLegacyValue(plaintext.toString(INPUT_ENCODING));
+    }
+    return decodeValue(plaintext, serializers);
+}
+
+/**
+ * Handles a leaf that failed to decrypt: throws, or records the failure when the call
+ * collects errors.
+ *
+ * @param {{ errors: Array<object> | null }} context The compiled options of the current call.
+ * @param {any} value The leaf value.
+ * @param {Buffer | null} aad The additional authenticated data the value was expected to be bound to.
+ * @param {Array<string | number>} path The path of the leaf from the root.
+ * @param {Error} error The underlying error.
+ * @returns {any} The original value, which the result keeps for a collected failure.
+ * @throws {EncryptoError} If failures are not collected.
+ */
+function reportFailure(context, value, aad, path, error) {
+    const failure = decryptionError(value, aad, path, error);
+    if (!context.errors) {
+        throw failure;
+    }
+    context.errors.push({ path: failure.path, reason: failure.message, error: failure });
+    return value;
+}
+
+/**
+ * Rejects options that the streaming methods don't support.
+ *
+ * @param {object} options The options passed to a streaming method.
+ * @param {string[]} names The unsupported options.
+ * @throws {EncryptoConfigError} If one of them is set.
+ */
+function rejectStreamingOptions(options, names) {
+    for (const name of names) {
+        if (options[name] !== undefined) {
+            throw new EncryptoConfigError(`Configuration Error: "${name}" is not supported by the streaming methods.`);
+        }
+    }
+}
+
+/**
+ * Validates the options specific to the async methods.
+ *
+ * @param {object} options The options passed to an async method.
+ * @returns {{ yieldEvery: number, workers: number | CipherWorkerPool | undefined }} The validated options.
+ * @throws {Error} If an option is malformed.
+ */
+function compileAsyncOptions({ yieldEvery = DEFAULT_YIELD_EVERY, workers }) {
+    if (!Number.isInteger(yieldEvery) || yieldEvery < 1) {
+        throw new EncryptoConfigError('Configuration Error: "yieldEvery" must be a positive integer.');
+    }
+    if (workers !== undefined && !(workers instanceof CipherWorkerPool) && (!Number.isInteger(workers) || workers < 1)) {
+        throw new EncryptoConfigError('Configuration Error: "workers" must be a positive integer or a CipherWorkerPool.');
+    }
+    return { yieldEvery, workers };
+}
+
+/**
+ * Runs an operation on a worker pool: the given pool, or a pool of the given size that
+ * is closed afterwards.
+ *
+ * @param {number | CipherWorkerPool} workers The pool or its size.
+ * @param {(pool: CipherWorkerPool) => Promise<any>} operation The operation.
+ * @returns {Promise<any>} The operation's result.
+ */
+async function runInPool(workers, operation) {
+    if (workers instanceof CipherWorkerPool) {
+        return operation(workers);
+    }
+    const pool = new CipherWorkerPool(workers);
+    try {
+        return await operation(pool);
+    } finally {
+        await pool.close();
+    }
+}
+
+/**
+ * Resolves after pending I/O callbacks have had a chance to run.
+ *
+ * @returns {Promise<void>}
+ */
+function yieldToEventLoop() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Lists the own enumerable properties of an object, in the shape produced by a property transform.
+ *
+ * @param {object} object The object.
+ * @param {() => Array<string | number>} locate Returns the path of the object, for errors.
+ * @param {WalkGuard} guard Checks the length of each property name.
+ * @returns {Array<{ plainKey: string, outputKey: string, value: any }>} The properties, names unchanged.
+ * @throws {EncryptoLimitError} If a property name is too long.
+ */
+function ownEntries(object, locate, guard) {
+    const entries = [];
+    for (const key in object) {
+        if (Object.prototype.hasOwnProperty.call(object, key)) {
+            guard.checkString(key, () => [...locate(), key], 'the property name');
+            entries.push({ plainKey: key, outputKey: key, value: object[key] });
+        }
+    }
+    return entries;
+}
+
+/**
+ * Materializes the path of a node from its linked path entry.
+ *
+ * @param {{ parent: object | null, segment: string | number } | null} pathNode The node's entry.
+ * @returns {Array<string | number>} The path from the root.
+ */
+function materializePath(pathNode) {
+    const path = [];
+    for (let node = pathNode; node !== null; node = node.parent) {
+        path.push(node.segment);
+    }
+    return path.reverse();
+}
+
+/**
+ * Returns the path of a collected leaf, materializing it if the walk didn't.
+ *
+ * @param {{ path: Array<string | number> | null, pathNode: object | null }} leaf The leaf.
+ * @returns {Array<string | number>} The path from the root.
+ */
+function leafPath(leaf) {
+    return leaf.path || materializePath(leaf.pathNode);
 }
 
 // No longer initializing keys from environment variables here.
-// The consumer of this module will instantiate EncryptoService with the key and IV.
\ No newline at end of file
+// The consumer of this module will instantiate EncryptoService with the key (and, for legacy data, the IV).
@@ -0,0 +1,169 @@
+import * as crypto from 'crypto';
+import { promisify } from 'util';
+import { EncryptoConfigError } from './errors.js';
+
+const scrypt = promisify(crypto.scrypt);
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+// --- Configuration Constants ---
+const KEY_LENGTH_BYTES = 32; // 32 bytes = 256 bits, the AES-256 key size
+const SALT_LENGTH_BYTES = 16; // Generated salts; given salts must be at least this long
+const SALT_ENCODING = 'base64';
+
+/** The KDF used when none is given. */
+export const DEFAULT_KDF = 'scrypt';
+
+// Defaults follow the OWASP password storage recommendations
+const DEFAULT_PARAMS = {
+    scrypt: { N: 2 ** 15, r: 8, p: 1 },
+    pbkdf2: { iterations: 600000, digest: 'sha256' },
+};
+
+// Headers are read back from stored data, so parameters are bounded: too weak to protect a
+// passphrase below, and above, no more than a server can afford for every header it reads
+const SCRYPT_MIN_N = 2 ** 14;
+const SCRYPT_MAX_N = 2 ** 16;
+const SCRYPT_MAX_R = 32;
+const SCRYPT_MAX_P = 16;
+const SCRYPT_MAX_MEMORY_BYTES = 128 * 1024 * 1024; // 128 MiB, also passed to scrypt as maxmem
+const PBKDF2_MIN_ITERATIONS = 100000;
+const PBKDF2_MAX_ITERATIONS = 10000000;
+const PBKDF2_DIGESTS = ['sha256', 'sha512'];
+
+/**
+ * Derives a 256-bit key from a passphrase with scrypt or PBKDF2.
+ *
+ * The returned header records the KDF, salt and parameters. It holds no secret, so it
+ * can be stored next to the encrypted data; passing it back with the same passphrase
+ * derives the same key.
+ *
+ * @param {string | Buffer} passphrase The passphrase.
+ * @param {object} [options] The derivation settings, or a header returned by an earlier call.
+ * @param {'scrypt' | 'pbkdf2'} [options.kdf='scrypt'] The key derivation function.
+ * @param {string | Buffer} [options.salt] The salt, as a Buffer or base64 string of at least 16 bytes.
+ *                                         A random salt is generated when omitted.
+ * @param {object} [options.params] Overrides of the KDF's defaults: `{ N, r, p }` for scrypt,
+ *                                  `{ iterations, digest }` for PBKDF2.
+ * @returns {Promise<{ key: Buffer, header: { kdf: string, salt: string, params: object } }>}
+ *          The key and the JSON-serializable header describing how it was derived.
+ * @throws {EncryptoConfigError} If the passphrase, KDF, salt or a parameter is invalid.
+ */
+export async function deriveKey(passphrase, { kdf = DEFAULT_KDF, salt, params = {} } = {}) {
+    if (!(typeof passphrase === 'string' || Buffer.isBuffer(passphrase)) || passphrase.length === 0) {
+        throw new EncryptoConfigError('Configuration Error: The passphrase must be a non-empty string or Buffer.');
+    }
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_PARAMS, kdf)) {
+        throw new EncryptoConfigError(`Configuration Error: Unsupported KDF "${kdf}". Use ${Object.keys(DEFAULT_PARAMS).map(name => `"${name}"`).join(' or ')}.`);
+    }
+
+    const saltBuffer = parseSalt(salt);
+    const resolvedParams = resolveParams(kdf, params);
+
+    let key;
+    if (kdf === 'scrypt') {
+        const { N, r, p } = resolvedParams;
+        // Node's default memory limit (32 MiB) is just below what the default parameters need; the bounds above keep within the cap
+        key = await scrypt(passphrase, saltBuffer, KEY_LENGTH_BYTES, { N, r, p, maxmem: SCRYPT_MAX_MEMORY_BYTES });
+    } else {
+        const { iterations, digest } = resolvedParams;
+        key = await pbkdf2(passphrase, saltBuffer, iterations, KEY_LENGTH_BYTES, digest);
+    }
+
+    return {
+        key,
+        header: { kdf, salt: saltBuffer.toString(SALT_ENCODING), params: resolvedParams },
+    };
+}
+
+/**
+ * Validates a salt, or generates one.
+ *
+ * @param {string | Buffer | undefined} salt The salt, as a Buffer or base64 string.
+ * @returns {Buffer} The salt.
+ * @throws {EncryptoConfigError} If the salt is not a Buffer or string, or is too short.
+ */
+function parseSalt(salt) {
+    if (salt === undefined) {
+        return crypto.randomBytes(SALT_LENGTH_BYTES);
+    }
+
+    let buffer;
+    if (Buffer.isBuffer(salt)) {
+        buffer = Buffer.from(salt);
+    } else if (typeof salt === 'string') {
+        buffer = Buffer.from(salt, SALT_ENCODING);
+    } else {
+        throw new EncryptoConfigError('Configuration Error: The salt must be a Buffer or a base64 string.');
+    }
+
+    if (buffer.length < SALT_LENGTH_BYTES) {
+        throw new EncryptoConfigError(`Configuration Error: The salt must be at least ${SALT_LENGTH_BYTES} bytes. Received ${buffer.length} bytes.`);
+    }
+    return buffer;
+}
+
+/**
+ * The memory scrypt allocates for the given parameters, as OpenSSL computes it.
+ *
+ * @param {{ N: number, r: number, p: number }} params The scrypt parameters.
+ * @returns {number} The size in bytes.
+ */
+function scryptMemory({ N, r, p }) {
+    return 128 * r * (N + p + 2);
+}
+
+/**
+ * Merges the given KDF parameters over the defaults and validates them, including their bounds.
+ *
+ * @param {'scrypt' | 'pbkdf2'} kdf The key derivation function.
+ * @param {object} params The given parameters.
+ * @returns {object} The complete parameters, in a fixed order.
+ * @throws {EncryptoConfigError} If a parameter is unknown, invalid or out of bounds.
+ */
+function resolveParams(kdf, params) {
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        throw new EncryptoConfigError('Configuration Error: "params" must be an object.');
+    }
+    const defaults = DEFAULT_PARAMS[kdf];
+    for (const name of Object.keys(params)) {
+        if (!Object.prototype.hasOwnProperty.call(defaults, name)) {
+            throw new EncryptoConfigError(`Configuration Error: Unknown ${kdf} parameter "${name}".`);
+        }
+    }
+
+    const resolved = {};
+    for (const name of Object.keys(defaults)) {
+        resolved[name] = params[name] === undefined ? defaults[name] : params[name];
+    }
+
+    if (kdf === 'scrypt') {
+        const { N, r, p } = resolved;
+        if (!Number.isInteger(N) || N < 2 || (N & (N - 1)) !== 0) {
+            throw new EncryptoConfigError('Configuration Error: scrypt parameter "N" must be a power of two greater than 1.');
+        }
+        if (!Number.isInteger(r) || r < 1 || !Number.isInteger(p) || p < 1) {
+            throw new EncryptoConfigError('Configuration Error: scrypt parameters "r" and "p" must be positive integers.');
+        }
+        if (N < SCRYPT_MIN_N || N > SCRYPT_MAX_N) {
+            throw new EncryptoConfigError(`Configuration Error: scrypt parameter "N" must be between ${SCRYPT_MIN_N} and ${SCRYPT_MAX_N}. Received ${N}.`);
+        }
+        if (r > SCRYPT_MAX_R || p > SCRYPT_MAX_P) {
+            throw new EncryptoConfigError(`Configuration Error: scrypt parameters "r" and "p" must be at most ${SCRYPT_MAX_R} and ${SCRYPT_MAX_P}.`);
+        }
+        if (scryptMemory(resolved) > SCRYPT_MAX_MEMORY_BYTES) {
+            throw new EncryptoConfigError(`Configuration Error: scrypt parameters need ${Math.ceil(scryptMemory(resolved) / 2 ** 20)} MiB of memory, more than the ${SCRYPT_MAX_MEMORY_BYTES / 2 ** 20} MiB allowed.`);
+        }
+    } else {
+        const { iterations, digest } = resolved;
+        if (!Number.isInteger(iterations) || iterations < 1) {
+            throw new EncryptoConfigError('Configuration Error: pbkdf2 parameter "iterations" must be a positive integer.');
+        }
+        if (iterations < PBKDF2_MIN_ITERATIONS || iterations > PBKDF2_MAX_ITERATIONS) {
+            throw new EncryptoConfigError(`Configuration Error: pbkdf2 parameter "iterations" must be between ${PBKDF2_MIN_ITERATIONS} and ${PBKDF2_MAX_ITERATIONS}. Received ${iterations}.`);
+        }
+        if (!PBKDF2_DIGESTS.includes(digest)) {
+            throw new EncryptoConfigError(`Configuration Error: Unsupported pbkdf2 digest "${digest}". Use ${PBKDF2_DIGESTS.map(name => `"${name}"`).join(' or ')}.`);
+        }
+    }
+    return resolved;
+}
@@ -0,0 +1,178 @@
+import * as crypto from 'crypto';
+import { promises as fs } from 'fs';
+import { openPayload, sealPayload } from './cipher.js';
+import { AUTH_TAG_LENGTH_BYTES, NONCE_LENGTH_BYTES } from './envelope.js';
+import { EncryptoAuthError, EncryptoConfigError, EncryptoFormatError, EncryptoKeyError } from './errors.js';
+import { DEFAULT_KEY_ID, Keyring } from './keyring.js';
+
+// --- Configuration Constants ---
+const DATA_KEY_LENGTH_BYTES = 32; // 32 bytes = 256 bits, the AES-256 key size
+const WRAPPED_KEY_VERSION = 'w1'; // Prefix of the 'w1.<masterKeyId>.<nonce>.<ciphertext>.<tag>' wrapped keys
+const WRAPPED_KEY_DELIMITER = '.';
+const WRAPPED_KEY_ENCODING = 'base64';
+const MOCK_KEY_ID = 'mock';
+// Binds wrapped keys to their purpose, so a master key that also encrypts other data can't be confused
+const WRAP_AAD = Buffer.from('open-encrypto-object data key', 'utf8');
+
+/**
+ * The interface of key providers: the source of the per-document data keys of envelope
+ * encryption. A data key encrypts a document, and is stored next to it wrapped
+ * (encrypted) by a master key that never leaves the provider, such as a cloud KMS key.
+ *
+ * @typedef {object} KeyProvider
+ * @property {() => Promise<{ plaintextKey: Buffer, wrappedKey: string }>} getDataKey
+ *           Generates a new 32-byte data key, returning it in plain and wrapped form.
+ * @property {(wrappedKey: string) => Promise<Buffer>} unwrapDataKey
+ *           Recovers the plain data key from its wrapped form.
+ */
+
+/**
+ * A KeyProvider whose master keys are held locally, e.g. read from a file that only this
+ * process may read. Data keys are wrapped with AES-256-GCM under the active master key;
+ * the other master keys are kept to unwrap older data keys.
+ */
+export class LocalKeyProvider {
+    #keyring;
+
+    /**
+     * Creates a LocalKeyProvider.
+     * @param {string | Keyring | { keys: Array<{ id: string, key: string | Buffer }>, activeKeyId?: string }} masterKey
+     *        The master key, hex encoded (64 hex characters), which gets the id 'default'.
+     *        Alternatively, a Keyring (or its configuration) of master keys.
+     * @throws {EncryptoConfigError} If a master key is missing or invalid.
+     */
+    constructor(masterKey) {
+        if (masterKey instanceof Keyring) {
+            this.#keyring = masterKey;
+        } else if (typeof masterKey === 'string') {
+            this.#keyring = new Keyring({ keys: [{ id: DEFAULT_KEY_ID, key: masterKey }] });
+        } else if (masterKey && typeof masterKey === 'object') {
+            this.#keyring = new Keyring(masterKey);
+        } else {
+            throw new EncryptoConfigError('Configuration Error: The master key must be provided as a non-empty string or a keyring.');
+        }
+    }
+
+    /**
+     * Creates a LocalKeyProvider from a file holding a hex master key, or a keyring as JSON.
+     *
+     * @param {string} filePath The path of the file.
+     * @returns {Promise<LocalKeyProvider>}
+     * @throws {EncryptoConfigError} If the file can't be read or holds an invalid key.
+     */
+    static async fromFile(filePath) {
+        let contents;
+        try {
+            contents = (await fs.readFile(filePath, 'utf8')).trim();
+        } catch (error) {
+            throw new EncryptoConfigError(`Configuration Error: Cannot read master key file "${filePath}": ${error.message}`, { cause: error });
+        }
+        if (!contents.startsWith('{')) {
+            return new LocalKeyProvider(contents);
+        }
+        try {
+            return new LocalKeyProvider(JSON.parse(contents));
+        } catch (error) {
+            if (error instanceof EncryptoConfigError) throw error;
+            throw new EncryptoConfigError(`Configuration Error: Master key file "${filePath}" is not a valid keyring: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Generates a new data key and wraps it under the active master key.
+     *
+     * @returns {Promise<{ plaintextKey: Buffer, wrappedKey: string }>} The data key, and its wrapped form
+     *          'w1.<masterKeyId>.<nonce>.<ciphertext>.<tag>'.
+     */
+    async getDataKey() {
+        const plaintextKey = crypto.randomBytes(DATA_KEY_LENGTH_BYTES);
+        const masterKeyId = this.#keyring.activeKeyId;
+        const { nonce, ciphertext, authTag } = sealPayload(this.#keyring.getKey(masterKeyId), plaintextKey, WRAP_AAD);
+        const wrappedKey = [
+            WRAPPED_KEY_VERSION,
+            masterKeyId,
+            nonce.toString(WRAPPED_KEY_ENCODING),
+            ciphertext.toString(WRAPPED_KEY_ENCODING),
+            authTag.toString(WRAPPED_KEY_ENCODING),
+        ].join(WRAPPED_KEY_DELIMITER);
+        return { plaintextKey, wrappedKey };
+    }
+
+    /**
+     * Unwraps a data key wrapped by getDataKey.
+     *
+     * @param {string} wrappedKey The wrapped key.
+     * @returns {Promise<Buffer>} The 32-byte data key.
+     * @throws {EncryptoFormatError} If the wrapped key is malformed.
+     * @throws {EncryptoKeyError} If it names a master key this provider doesn't hold.
+     * @throws {EncryptoAuthError} If it was tampered with or wrapped under another master key.
+     */
+    async unwrapDataKey(wrappedKey) {
+        const parts = typeof wrappedKey === 'string' ? wrappedKey.split(WRAPPED_KEY_DELIMITER) : [];
+        if (parts.length !== 5 || parts[0] !== WRAPPED_KEY_VERSION) {
+            throw new EncryptoFormatError(`Malformed wrapped key: expected '${WRAPPED_KEY_VERSION}.<masterKeyId>.<nonce>.<ciphertext>.<tag>'.`);
+        }
+
+        const [, masterKeyId, nonce, ciphertext, authTag] = parts;
+        const masterKey = this.#keyring.getKey(masterKeyId);
+        if (!masterKey) {
+            throw new EncryptoKeyError(`Unknown master key id "${masterKeyId}".`);
+        }
+        const request = {
+            key: masterKey,
+            iv: Buffer.from(nonce, WRAPPED_KEY_ENCODING),
+            ciphertext: Buffer.from(ciphertext, WRAPPED_KEY_ENCODING),
+            authTag: Buffer.from(authTag, WRAPPED_KEY_ENCODING),
+            aad: WRAP_AAD,
+        };
+        if (request.iv.length !== NONCE_LENGTH_BYTES || request.authTag.length !== AUTH_TAG_LENGTH_BYTES) {
+            throw new EncryptoFormatError('Malformed wrapped key: invalid nonce or tag length.');
+        }
+
+        let plaintextKey;
+        try {
+            plaintextKey = openPayload(request);
+        } catch (error) {
+            throw new EncryptoAuthError(`Cannot unwrap data key: ${error.message}`, { cause: error });
+        }
+        if (plaintextKey.length !== DATA_KEY_LENGTH_BYTES) {
+            throw new EncryptoFormatError(`Malformed wrapped key: the data key must be ${DATA_KEY_LENGTH_BYTES} bytes.`);
+        }
+        return plaintextKey;
+    }
+}
+
+/**
+ * An in-memory KeyProvider for tests: wraps data keys under a random master key that
+ * lives as long as the instance, and counts the calls it receives.
+ */
+export class MockKeyProvider extends LocalKeyProvider {
+    #calls = { getDataKey: 0, unwrapDataKey: 0 };
+
+    /**
+     * Creates a MockKeyProvider with a fresh random master key.
+     */
+    constructor() {
+        super({ keys: [{ id: MOCK_KEY_ID, key: crypto.randomBytes(DATA_KEY_LENGTH_BYTES) }] });
+    }
+
+    /**
+     * How many times each method was called.
+     * @returns {{ getDataKey: number, unwrapDataKey: number }}
+     */
+    get calls() {
+        return { ...this.#calls };
+    }
+
+    /** @inheritdoc */
+    async getDataKey() {
+        this.#calls.getDataKey += 1;
+        return super.getDataKey();
+    }
+
+    /** @inheritdoc */
+    async unwrapDataKey(wrappedKey) {
+        this.#calls.unwrapDataKey += 1;
+        return super.unwrapDataKey(wrappedKey);
+    }
+}
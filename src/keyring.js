@@ -0,0 +1,88 @@
+import { parseKey as parseKeyBytes, parseKeyring } from './envelope.js';
+
+/** The id given to a key passed to EncryptoService as a single hex string. */
+export { DEFAULT_KEY_ID } from './envelope.js';
+
+/**
+ * Holds the keys an EncryptoService may use, identified by id. New values are always
+ * encrypted with the active key; the other keys are kept to decrypt older values
+ * while they are gradually re-encrypted.
+ */
+export class Keyring {
+    #keys = new Map();
+    #activeKeyId = null;
+
+    /**
+     * Creates a Keyring.
+     * @param {object} config The keyring configuration.
+     * @param {Array<{ id: string, key: string | Uint8Array }>} config.keys The keys, each 32 bytes given as a Buffer
+     *                                                                      (or Uint8Array) or 64 hex characters, with a
+     *                                                                      unique id (1-64 characters from [A-Za-z0-9_-]).
+     * @param {string} [config.activeKeyId] The id of the key used for encryption. Defaults to the only key
+     *                                      when the keyring holds a single key.
+     * @throws {Error} If a key or id is invalid, an id is duplicated, or the active key is missing.
+     */
+    constructor({ keys, activeKeyId } = {}) {
+        const parsed = parseKeyring({ keys, activeKeyId });
+        for (const [id, key] of parsed.keys) {
+            this.#keys.set(id, toBuffer(key));
+        }
+        this.#activeKeyId = parsed.activeKeyId;
+    }
+
+    /**
+     * The id of the key used to encrypt new values.
+     * @returns {string}
+     */
+    get activeKeyId() {
+        return this.#activeKeyId;
+    }
+
+    /**
+     * The ids of every key in the keyring, in the order they were given.
+     * @returns {string[]}
+     */
+    get keyIds() {
+        return [...this.#keys.keys()];
+    }
+
+    /**
+     * Checks whether the keyring holds a key.
+     * @param {string} id The key id.
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.#keys.has(id);
+    }
+
+    /**
+     * Looks up a key by id.
+     * @param {string} id The key id.
+     * @returns {Buffer | undefined} The 32-byte key, or undefined if the keyring doesn't hold it.
+     */
+    getKey(id) {
+        return this.#keys.get(id);
+    }
+}
+
+/**
+ * Validates a key and converts it to a Buffer.
+ *
+ * @param {string | Buffer | Uint8Array} key The key, as a Buffer, Uint8Array or hex string.
+ * @param {string} id The key id, for error messages.
+ * @returns {Buffer} A private copy of the key.
+ * @throws {Error} If the key is missing or has an invalid length.
+ */
+export function parseKey(key, id) {
+    return toBuffer(parseKeyBytes(key, id));
+}
+
+/**
+ * Wraps the bytes of a key in a Buffer, without copying.
+ *
+ * @param {Uint8Array} bytes The key.
+ * @returns {Buffer}
+ */
+function toBuffer(bytes) {
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
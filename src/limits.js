@@ -0,0 +1,181 @@
+import { EncryptoConfigError, EncryptoFormatError, EncryptoLimitError } from './errors.js';
+import { formatPath } from './paths.js';
+
+// The longest JSON escape sequence ('\uXXXX') is 6 characters for 1 character of the string
+const MAX_ESCAPED_CHARACTERS = 6;
+
+// Defaults well within what the recursive walks and encoders can handle without overflowing the stack
+export const DEFAULT_MAX_DEPTH = 512;
+export const DEFAULT_MAX_NODES = 1000000;
+
+/**
+ * Validates the limit options of a call.
+ *
+ * @param {object} options The options passed to a public method.
+ * @param {number} [options.maxDepth=512] The deepest nesting allowed: the number of containers around a value.
+ * @param {number} [options.maxNodes=1000000] The most values (containers included) a document may hold.
+ * @param {number} [options.maxStringLength=Infinity] The longest string value or property name allowed, in characters.
+ * @returns {{ maxDepth: number, maxNodes: number, maxStringLength: number }} The limits.
+ * @throws {EncryptoConfigError} If a limit is not a non-negative integer.
+ */
+export function compileLimits({ maxDepth = DEFAULT_MAX_DEPTH, maxNodes = DEFAULT_MAX_NODES, maxStringLength = Infinity }) {
+    const limits = { maxDepth, maxNodes, maxStringLength };
+    for (const [name, limit] of Object.entries(limits)) {
+        if (limit !== Infinity && !(Number.isInteger(limit) && limit >= 0)) {
+            throw new EncryptoConfigError(`Configuration Error: "${name}" must be a non-negative integer.`);
+        }
+    }
+    return limits;
+}
+
+/**
+ * Enforces the limits of a single walk over a document, and detects circular references.
+ * Walkers report every value they visit, and every container they enter and leave.
+ */
+export class WalkGuard {
+    #limits;
+    #nodeCount = 0;
+    #ancestors = new Set(); // The containers enclosing the current value
+
+    /**
+     * Creates a WalkGuard.
+     * @param {{ maxDepth: number, maxNodes: number, maxStringLength: number }} limits The limits, from compileLimits.
+     */
+    constructor(limits) {
+        this.#limits = limits;
+    }
+
+    /**
+     * Counts a value and checks its depth and, for strings, its length.
+     *
+     * @param {any} value The value. Pass undefined for a value whose type isn't known yet.
+     * @param {number} depth The number of containers around the value.
+     * @param {() => Array<string | number>} locate Returns the path of the value, for the error.
+     * @throws {EncryptoLimitError} If a limit is exceeded.
+     */
+    visit(value, depth, locate) {
+        const { maxDepth, maxNodes } = this.#limits;
+        this.#nodeCount += 1;
+        if (this.#nodeCount > maxNodes) {
+            throw limitError(`the document holds more than ${maxNodes} values (maxNodes)`, locate());
+        }
+        if (depth > maxDepth) {
+            throw limitError(`the document is nested deeper than ${maxDepth} levels (maxDepth)`, locate());
+        }
+        if (typeof value === 'string') {
+            this.checkString(value, locate);
+        }
+    }
+
+    /**
+     * Walks the contents of a value encoded as a single leaf, which the encoder serializes
+     * recursively: counts them, checks their depth and strings, and detects circular references
+     * through Maps, Sets and serializer output. The value itself must already have been visited.
+     *
+     * @param {any} value The leaf value, or collapsed subtree.
+     * @param {number} depth The number of containers around the value.
+     * @param {() => Array<string | number>} locate Returns the path of the value, for the error.
+     * @param {(value: any) => Array<[string | number | null, any]>} contentsOf Lists the children of a value;
+     *        see leafContents in codec.js.
+     * @throws {EncryptoLimitError} If a limit is exceeded.
+     * @throws {EncryptoFormatError} If the value contains itself.
+     */
+    visitContents(value, depth, locate, contentsOf) {
+        // Paths are only materialized for an error
+        const pathOf = (node) => {
+            const segments = [];
+            for (let current = node; current !== null; current = current.parent) {
+                if (current.segment !== null) segments.push(current.segment);
+            }
+            return [...locate(), ...segments.reverse()];
+        };
+        const stack = [{ value, depth, node: null }];
+        while (stack.length > 0) {
+            const entry = stack.pop();
+            if (entry.leave !== undefined) {
+                this.leave(entry.leave);
+                continue;
+            }
+
+            const where = () => pathOf(entry.node);
+            if (entry.node !== null) this.visit(entry.value, entry.depth, where);
+            const contents = contentsOf(entry.value);
+            if (contents.length === 0) continue;
+
+            this.enter(entry.value, where);
+            stack.push({ leave: entry.value });
+            for (let index = contents.length - 1; index >= 0; index--) {
+                const [segment, child] = contents[index];
+                stack.push({ value: child, depth: entry.depth + 1, node: { parent: entry.node, segment } });
+            }
+        }
+    }
+
+    /**
+     * Checks the length of a string value or property name.
+     *
+     * @param {string} text The string.
+     * @param {() => Array<string | number>} locate Returns the path of the value or property, for the error.
+     * @param {string} [description='the string'] What the string is, for the error.
+     * @throws {EncryptoLimitError} If the string is too long.
+     */
+    checkString(text, locate, description = 'the string') {
+        const { maxStringLength } = this.#limits;
+        if (text.length > maxStringLength) {
+            throw limitError(`${description} is longer than ${maxStringLength} characters (maxStringLength)`, locate());
+        }
+    }
+
+    /**
+     * Checks the raw length of a JSON string token as it is read, so an oversized string is
+     * rejected before it is held in memory whole. Escapes make the raw text longer than the
+     * string, so the exact length is checked once the string is decoded.
+     *
+     * @param {number} rawLength The number of characters read so far, escapes included.
+     * @param {() => Array<string | number>} locate Returns the path of the string, for the error.
+     * @throws {EncryptoLimitError} If the string can't fit the limit.
+     */
+    checkRawString(rawLength, locate) {
+        const { maxStringLength } = this.#limits;
+        if (rawLength > maxStringLength * MAX_ESCAPED_CHARACTERS) {
+            throw limitError(`the string is longer than ${maxStringLength} characters (maxStringLength)`, locate());
+        }
+    }
+
+    /**
+     * Marks a container as entered, failing if it encloses itself.
+     *
+     * @param {object} container The object or array.
+     * @param {() => Array<string | number>} locate Returns the path of the container, for the error.
+     * @throws {EncryptoFormatError} If the container is one of its own ancestors.
+     */
+    enter(container, locate) {
+        if (this.#ancestors.has(container)) {
+            const formattedPath = formatPath(locate());
+            throw new EncryptoFormatError(`Circular reference at "${formattedPath}": the value contains itself.`, { path: formattedPath });
+        }
+        this.#ancestors.add(container);
+    }
+
+    /**
+     * Marks a container as left.
+     *
+     * @param {object} container The object or array.
+     */
+    leave(container) {
+        this.#ancestors.delete(container);
+    }
+}
+
+/**
+ * Builds the error thrown when a limit is exceeded.
+ *
+ * @param {string} reason The limit that was exceeded.
+ * @param {Array<string | number>} path The path of the offending value.
+ * @returns {EncryptoLimitError}
+ */
+function limitError(reason, path) {
+    const formattedPath = formatPath(path);
+    const location = formattedPath === '' ? '' : ` at "${formattedPath}"`;
+    return new EncryptoLimitError(`Limit exceeded${location}: ${reason}.`, { path: formattedPath });
+}
@@ -0,0 +1,282 @@
+import * as crypto from 'crypto';
+import { deriveSubkey } from './cipher.js';
+import { encodeValue, isLeafValue, leafContents } from './codec.js';
+import { EncryptoConfigError, EncryptoFormatError, EncryptoIntegrityError } from './errors.js';
+import { formatPath } from './paths.js';
+
+// --- Configuration Constants ---
+const MANIFEST_VERSION = 'm1'; // Recorded in every manifest, and covered by its MAC
+const MAC_ALGORITHM = 'sha256';
+const DIGEST_LENGTH_BYTES = 16; // Truncated HMAC per value: 128 bits keep collisions negligible
+const DIGEST_ENCODING = 'base64url';
+const FIELD_SEPARATOR = Buffer.from([0]); // Can't occur in the JSON-encoded path
+
+// HKDF labels of the subkeys; see deriveSubkey
+const DIGEST_KEY_INFO = 'open-encrypto-object manifest digest';
+const MAC_KEY_INFO = 'open-encrypto-object manifest mac';
+
+/** The property of the document that holds its manifest, unless manifestProperty says otherwise. */
+export const DEFAULT_MANIFEST_PROPERTY = '_manifest';
+
+/**
+ * Computes and checks integrity manifests: the list of every value of an encrypted
+ * document, by path, with a keyed digest of it, authenticated as a whole with an HMAC.
+ *
+ * Each envelope only authenticates itself, so a manifest is what reveals a value that was
+ * removed, added, moved (array elements reordered) or replaced with an older ciphertext.
+ * Plain values are covered too. The manifest also records a caller-supplied version and
+ * the time it was made, so a document rolled back as a whole can be refused.
+ */
+export class ManifestSigner {
+    #digestKey;
+    #macKey;
+    #serializers;
+
+    /**
+     * Creates a ManifestSigner.
+     * @param {Buffer} key The 32-byte data key the manifest subkeys are derived from.
+     * @param {object | null} [serializers=null] The compiled serializers of domain classes.
+     */
+    constructor(key, serializers = null) {
+        this.#digestKey = deriveSubkey(key, DIGEST_KEY_INFO);
+        this.#macKey = deriveSubkey(key, MAC_KEY_INFO);
+        this.#serializers = serializers;
+    }
+
+    /**
+     * Computes the manifest of a document.
+     *
+     * @param {object} document The encrypted document, without a manifest.
+     * @param {object} details
+     * @param {string} details.keyId The id of the key of this signer, recorded so verification finds it.
+     * @param {number | null} details.version The version of the document, or null.
+     * @param {import('./limits.js').WalkGuard} details.guard Enforces the limits of the call.
+     * @returns {{ v: string, keyId: string, version: number | null, timestamp: string,
+     *             entries: Array<[Array<string | number>, string]>, mac: string }} The manifest, JSON-serializable.
+     */
+    sign(document, { keyId, version, guard }) {
+        const entries = this.#entries(document, null, guard);
+        const timestamp = new Date().toISOString();
+        return { v: MANIFEST_VERSION, keyId, version, timestamp, entries, mac: this.#mac(keyId, version, timestamp, entries) };
+    }
+
+    /**
+     * Checks a document against its manifest.
+     *
+     * @param {object} document The encrypted document.
+     * @param {object} manifest The manifest, from parseManifest.
+     * @param {object} details
+     * @param {string} details.property The property holding the manifest, which isn't covered.
+     * @param {import('./limits.js').WalkGuard} details.guard Enforces the limits of the call.
+     * @returns {{ valid: boolean, keyId: string, version: number | null, timestamp: string, added: string[],
+     *             removed: string[], changed: string[] }} The report: the paths, formatted, that differ from the manifest.
+     * @throws {EncryptoIntegrityError} If the manifest itself fails authentication.
+     */
+    verify(document, manifest, { property, guard }) {
+        const { keyId, version, timestamp, entries, mac } = manifest;
+        const expected = Buffer.from(this.#mac(keyId, version, timestamp, entries), DIGEST_ENCODING);
+        const actual = Buffer.from(mac, DIGEST_ENCODING);
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            throw new EncryptoIntegrityError('The manifest failed authentication: it was altered, or made under another key with the same id.');
+        }
+
+        const signed = new Map(entries.map(([path, digest]) => [JSON.stringify(path), { path, digest }]));
+        const added = [];
+        const changed = [];
+        for (const [path, digest] of this.#entries(document, property, guard)) {
+            const id = JSON.stringify(path);
+            const entry = signed.get(id);
+            if (!entry) {
+                added.push(formatPath(path));
+            } else if (entry.digest !== digest) {
+                changed.push(formatPath(path));
+            }
+            signed.delete(id);
+        }
+        const removed = [...signed.values()].map(({ path }) => formatPath(path));
+        const valid = added.length === 0 && removed.length === 0 && changed.length === 0;
+        return { valid, keyId, version, timestamp, added, removed, changed };
+    }
+
+    /**
+     * Lists the values of a document, in order, with their digests. Containers without
+     * properties or elements are listed as values, so removing them shows too. (Private helper method)
+     *
+     * @param {object} document The document.
+     * @param {string | null} property The top-level property to skip, if any.
+     * @param {import('./limits.js').WalkGuard} guard Enforces the limits of the call.
+     * @returns {Array<[Array<string | number>, string]>} The paths and digests.
+     */
+    #entries(document, property, guard) {
+        const entries = [];
+        const stack = [{ value: document, path: [] }];
+        while (stack.length > 0) {
+            const { value, path, leave } = stack.pop();
+            if (leave !== undefined) {
+                guard.leave(leave);
+                continue;
+            }
+
+            guard.visit(value, path.length, () => path);
+            if (isLeafValue(value, this.#serializers)) {
+                guard.visitContents(value, path.length, () => path, child => leafContents(child, this.#serializers));
+                if (value !== undefined) entries.push([path, this.#digest(path, value)]); // Undefined doesn't survive JSON
+                continue;
+            }
+            const children = childrenOf(value, path, path.length === 0 ? property : null);
+            if (children.length === 0) {
+                entries.push([path, this.#digest(path, Array.isArray(value) ? [] : {})]);
+                continue;
+            }
+            guard.enter(value, () => path);
+            stack.push({ leave: value }, ...children.reverse());
+        }
+        return entries;
+    }
+
+    /**
+     * Computes the digest of a value at a path. (Private helper method)
+     *
+     * @param {Array<string | number>} path The path.
+     * @param {any} value The value.
+     * @returns {string} The truncated HMAC, base64url encoded.
+     */
+    #digest(path, value) {
+        return crypto.createHmac(MAC_ALGORITHM, this.#digestKey)
+            .update(JSON.stringify(path))
+            .update(FIELD_SEPARATOR)
+            .update(encodeValue(value, this.#serializers))
+            .digest()
+            .subarray(0, DIGEST_LENGTH_BYTES)
+            .toString(DIGEST_ENCODING);
+    }
+
+    /**
+     * Computes the MAC of the fields of a manifest. (Private helper method)
+     *
+     * @param {string} keyId The key id.
+     * @param {number | null} version The version.
+     * @param {string} timestamp The timestamp.
+     * @param {Array<[Array<string | number>, string]>} entries The entries.
+     * @returns {string} The HMAC, base64url encoded.
+     */
+    #mac(keyId, version, timestamp, entries) {
+        return crypto.createHmac(MAC_ALGORITHM, this.#macKey)
+            .update(JSON.stringify([MANIFEST_VERSION, keyId, version, timestamp, entries]))
+            .digest(DIGEST_ENCODING);
+    }
+}
+
+/**
+ * Validates the manifest options of a call.
+ *
+ * @param {object} options The options passed to a public method.
+ * @param {boolean | { version?: number, minVersion?: number, maxAge?: number }} [options.manifest] Whether the call
+ *        makes (or checks) a manifest: true, or an object with the version of the document (when encrypting), or the
+ *        oldest version and the greatest age in milliseconds accepted (when decrypting).
+ * @param {string} [options.manifestProperty='_manifest'] The property of the document holding the manifest.
+ * @returns {{ version: number | null, minVersion: number | null, maxAge: number | null, property: string } | null}
+ *          The compiled options, or null if the call doesn't use a manifest.
+ * @throws {EncryptoConfigError} If an option is malformed.
+ */
+export function compileManifestOptions({ manifest, manifestProperty = DEFAULT_MANIFEST_PROPERTY }) {
+    if (typeof manifestProperty !== 'string' || manifestProperty === '') {
+        throw new EncryptoConfigError('Configuration Error: "manifestProperty" must be a non-empty string.');
+    }
+    if (manifest === undefined || manifest === false) {
+        return null;
+    }
+    if (manifest !== true && (manifest === null || typeof manifest !== 'object' || Array.isArray(manifest))) {
+        throw new EncryptoConfigError('Configuration Error: "manifest" must be a boolean or an object.');
+    }
+
+    const { version = null, minVersion = null, maxAge = null } = manifest === true ? {} : manifest;
+    for (const [name, value] of Object.entries({ version, minVersion, maxAge })) {
+        if (value !== null && !(Number.isSafeInteger(value) && value >= 0)) {
+            throw new EncryptoConfigError(`Configuration Error: "manifest.${name}" must be a non-negative integer.`);
+        }
+    }
+    return { version, minVersion, maxAge, property: manifestProperty };
+}
+
+/**
+ * Reads the manifest of a document and checks its shape.
+ *
+ * @param {any} document The document.
+ * @param {string} property The property holding the manifest.
+ * @returns {{ keyId: string, version: number | null, timestamp: string, entries: Array<[Array<string | number>, string]>,
+ *             mac: string }} The manifest.
+ * @throws {EncryptoIntegrityError} If the document has no manifest.
+ * @throws {EncryptoFormatError} If the manifest is malformed.
+ */
+export function parseManifest(document, property) {
+    if (!isManifestTarget(document) || !Object.prototype.hasOwnProperty.call(document, property)) {
+        throw new EncryptoIntegrityError(`The document has no manifest: the "${property}" property is missing.`);
+    }
+    const manifest = document[property];
+    const wellFormed = manifest !== null && typeof manifest === 'object'
+        && manifest.v === MANIFEST_VERSION
+        && typeof manifest.keyId === 'string'
+        && (manifest.version === null || Number.isSafeInteger(manifest.version))
+        && typeof manifest.timestamp === 'string' && !Number.isNaN(Date.parse(manifest.timestamp))
+        && typeof manifest.mac === 'string'
+        && Array.isArray(manifest.entries)
+        && manifest.entries.every(entry => Array.isArray(entry) && entry.length === 2 && Array.isArray(entry[0])
+            && entry[0].every(segment => typeof segment === 'string' || Number.isInteger(segment)) && typeof entry[1] === 'string');
+    if (!wellFormed) {
+        throw new EncryptoFormatError(`Malformed manifest in "${property}".`);
+    }
+    return manifest;
+}
+
+/**
+ * Refuses a verified manifest older than the caller accepts, which suggests the document
+ * was rolled back as a whole.
+ *
+ * @param {{ version: number | null, timestamp: string }} report The verification report.
+ * @param {{ minVersion: number | null, maxAge: number | null }} options The compiled manifest options.
+ * @throws {EncryptoIntegrityError} If the version is below minVersion, or the manifest is older than maxAge.
+ */
+export function checkFreshness({ version, timestamp }, { minVersion, maxAge }) {
+    if (minVersion !== null && (version === null || version < minVersion)) {
+        throw new EncryptoIntegrityError(`The document is at version ${version}, below the minimum of ${minVersion}: it may have been rolled back.`);
+    }
+    const age = Date.now() - Date.parse(timestamp);
+    if (maxAge !== null && age > maxAge) {
+        throw new EncryptoIntegrityError(`The manifest was made at ${timestamp}, more than ${maxAge} ms ago: the document may have been rolled back.`);
+    }
+}
+
+/**
+ * Checks whether a document can carry a manifest: only plain objects (not arrays) can.
+ *
+ * @param {any} document The document.
+ * @returns {boolean}
+ */
+export function isManifestTarget(document) {
+    return document !== null && typeof document === 'object' && !Array.isArray(document) && !isLeafValue(document);
+}
+
+/**
+ * Lists the children of a container for the walk of #entries.
+ *
+ * @param {object | Array} value The container.
+ * @param {Array<string | number>} path Its path.
+ * @param {string | null} skip A property to leave out, if any.
+ * @returns {Array<{ value: any, path: Array<string | number> }>} The children, in order.
+ */
+function childrenOf(value, path, skip) {
+    const children = [];
+    if (Array.isArray(value)) {
+        for (let index = 0; index < value.length; index++) {
+            if (index in value) children.push({ value: value[index], path: [...path, index] });
+        }
+        return children;
+    }
+    for (const key in value) {
+        if (Object.prototype.hasOwnProperty.call(value, key) && key !== skip) {
+            children.push({ value: value[key], path: [...path, key] });
+        }
+    }
+    return children;
+}
@@ -0,0 +1,278 @@
+import { EncryptoConfigError } from './errors.js';
+
+// --- Path Pattern Tokens ---
+// Patterns use dot notation with bracketed array indexes, e.g. 'cards[*].pan'.
+//   '*'     matches exactly one segment (any key or index)
+//   '[*]'   matches exactly one array index
+//   '**'    matches zero or more segments
+//   '["a.b"]' matches a key that contains dots or brackets
+const TOKEN_KEY = 'key';
+const TOKEN_INDEX = 'index';
+const TOKEN_ANY = 'any';
+const TOKEN_ANY_INDEX = 'anyIndex';
+const TOKEN_DEEP = 'deep';
+
+const SIMPLE_KEY_PATTERN = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * Formats a path (a list of object keys and array indexes) in pattern notation.
+ *
+ * @param {Array<string | number>} path The path segments.
+ * @param {object} [options]
+ * @param {boolean} [options.anyIndex=false] Writes every array index as '[*]', naming the field rather than the value.
+ * @returns {string} The path, e.g. 'cards[0].pan' (or 'cards[*].pan'). The root path is ''.
+ */
+export function formatPath(path, { anyIndex = false } = {}) {
+    let formatted = '';
+    for (const segment of path) {
+        if (typeof segment === 'number') {
+            formatted += anyIndex ? '[*]' : `[${segment}]`;
+        } else if (SIMPLE_KEY_PATTERN.test(segment)) {
+            formatted += formatted === '' ? segment : `.${segment}`;
+        } else {
+            formatted += `[${JSON.stringify(segment)}]`;
+        }
+    }
+    return formatted;
+}
+
+/**
+ * Parses a path pattern into tokens.
+ *
+ * @param {string} pattern The pattern, e.g. 'user.email', 'cards[*].pan' or '**.createdAt'.
+ * @returns {Array<{ type: string, value?: string | number }>} The parsed tokens.
+ * @throws {Error} If the pattern is empty or malformed.
+ */
+export function parsePattern(pattern) {
+    if (typeof pattern !== 'string' || pattern === '') {
+        throw new EncryptoConfigError('Configuration Error: Path patterns must be non-empty strings.');
+    }
+
+    const tokens = [];
+    let position = 0;
+    let expectSegment = true;
+
+    const fail = (reason) => {
+        throw new EncryptoConfigError(`Configuration Error: Invalid path pattern "${pattern}": ${reason}.`);
+    };
+
+    while (position < pattern.length) {
+        const char = pattern[position];
+
+        if (char === '[') {
+            const end = findClosingBracket(pattern, position);
+            if (end === -1) fail(`unclosed "[" at position ${position}`);
+            const inner = pattern.slice(position + 1, end);
+
+            if (inner === '*') {
+                tokens.push({ type: TOKEN_ANY_INDEX });
+            } else if (/^\d+$/.test(inner)) {
+                tokens.push({ type: TOKEN_INDEX, value: Number(inner) });
+            } else if (/^(".*"|'.*')$/s.test(inner)) {
+                tokens.push({ type: TOKEN_KEY, value: parseQuotedKey(inner, fail) });
+            } else {
+                fail(`unsupported bracket segment "[${inner}]"`);
+            }
+            position = end + 1;
+            expectSegment = false;
+            continue;
+        }
+
+        if (char === '.') {
+            if (expectSegment) fail(`empty segment at position ${position}`);
+            position += 1;
+            expectSegment = true;
+            if (position === pattern.length) fail('trailing "."');
+            continue;
+        }
+
+        if (!expectSegment) fail(`expected "." or "[" at position ${position}`);
+
+        let end = position;
+        while (end < pattern.length && pattern[end] !== '.' && pattern[end] !== '[') end += 1;
+        const segment = pattern.slice(position, end);
+
+        if (segment === '**') {
+            tokens.push({ type: TOKEN_DEEP });
+        } else if (segment === '*') {
+            tokens.push({ type: TOKEN_ANY });
+        } else {
+            tokens.push({ type: TOKEN_KEY, value: segment });
+        }
+        position = end;
+        expectSegment = false;
+    }
+
+    return tokens;
+}
+
+/**
+ * Finds the "]" closing the bracket segment that starts at `start`, skipping quoted keys.
+ *
+ * @param {string} pattern The pattern being parsed.
+ * @param {number} start The index of the opening "[".
+ * @returns {number} The index of the closing "]", or -1 if there is none.
+ */
+function findClosingBracket(pattern, start) {
+    const quote = pattern[start + 1];
+    if (quote === '"' || quote === "'") {
+        for (let i = start + 2; i < pattern.length; i++) {
+            if (pattern[i] === '\\') {
+                i += 1;
+            } else if (pattern[i] === quote) {
+                return pattern[i + 1] === ']' ? i + 1 : -1;
+            }
+        }
+        return -1;
+    }
+    return pattern.indexOf(']', start);
+}
+
+/**
+ * Parses the quoted key inside a bracket segment.
+ *
+ * @param {string} inner The bracket contents including quotes, e.g. '"a.b"'.
+ * @param {(reason: string) => never} fail Reports a malformed pattern.
+ * @returns {string} The unquoted key.
+ */
+function parseQuotedKey(inner, fail) {
+    if (inner[0] === '"') {
+        try {
+            return JSON.parse(inner);
+        } catch {
+            fail(`invalid quoted key ${inner}`);
+        }
+    }
+    return inner.slice(1, -1).replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Checks whether a pattern matches a path or one of its ancestors, so that a pattern
+ * naming an object or array also covers every leaf beneath it.
+ *
+ * @param {Array<{ type: string, value?: string | number }>} tokens The parsed pattern.
+ * @param {Array<string | number>} path The path segments of a leaf.
+ * @param {number} [tokenIndex=0] The current position in the tokens.
+ * @param {number} [pathIndex=0] The current position in the path.
+ * @returns {boolean} True if the pattern matches a prefix of the path.
+ */
+function matchesPrefix(tokens, path, tokenIndex = 0, pathIndex = 0) {
+    if (tokenIndex === tokens.length) return true;
+
+    const token = tokens[tokenIndex];
+    if (token.type === TOKEN_DEEP) {
+        // '**' consumes zero or more segments
+        for (let i = pathIndex; i <= path.length; i++) {
+            if (matchesPrefix(tokens, path, tokenIndex + 1, i)) return true;
+        }
+        return false;
+    }
+
+    if (pathIndex === path.length) return false;
+
+    const segment = path[pathIndex];
+    let matches;
+    switch (token.type) {
+        case TOKEN_ANY:
+            matches = true;
+            break;
+        case TOKEN_ANY_INDEX:
+            matches = typeof segment === 'number';
+            break;
+        case TOKEN_INDEX:
+            matches = segment === token.value;
+            break;
+        default:
+            matches = String(segment) === token.value; // 'items.0' also addresses array index 0
+    }
+    return matches && matchesPrefix(tokens, path, tokenIndex + 1, pathIndex + 1);
+}
+
+/**
+ * Converts a JSON-Schema-like map into include patterns. A node marked `sensitive: true`
+ * selects its whole subtree; `properties` describes object keys and `items` array elements.
+ *
+ * @param {object} schema The schema, e.g. `{ properties: { email: { sensitive: true } } }`.
+ * @param {string} [prefix=''] The pattern of the schema node being visited.
+ * @returns {string[]} The include patterns.
+ * @throws {Error} If the schema is not an object.
+ */
+export function schemaToPatterns(schema, prefix = '') {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        throw new EncryptoConfigError(`Configuration Error: Schema node at "${prefix || '<root>'}" must be an object.`);
+    }
+    if (schema.sensitive === true) {
+        return [prefix === '' ? '**' : prefix];
+    }
+
+    const patterns = [];
+    if (schema.properties) {
+        for (const key of Object.keys(schema.properties)) {
+            const keyPattern = SIMPLE_KEY_PATTERN.test(key) ? key : `[${JSON.stringify(key)}]`;
+            const childPrefix = prefix === '' || keyPattern.startsWith('[') ? `${prefix}${keyPattern}` : `${prefix}.${keyPattern}`;
+            patterns.push(...schemaToPatterns(schema.properties[key], childPrefix));
+        }
+    }
+    if (schema.items) {
+        patterns.push(...schemaToPatterns(schema.items, `${prefix}[*]`));
+    }
+    return patterns;
+}
+
+/**
+ * Compiles include/exclude path rules into a predicate that selects the leaves to process.
+ *
+ * A leaf is selected when it matches an include pattern (or no include rules are given)
+ * and does not match any exclude pattern. Patterns also match every leaf beneath the
+ * object or array they name. Exclusion always wins over inclusion.
+ *
+ * @param {object} [options={}] The path rules.
+ * @param {string[]} [options.include] Patterns of the leaves to select. Omit to select every leaf.
+ * @param {string[]} [options.exclude] Patterns of the leaves to skip.
+ * @param {object} [options.schema] A JSON-Schema-like map whose `sensitive: true` nodes are added to `include`.
+ * @returns {((path: Array<string | number>) => boolean) | null} The predicate, or null when every leaf is selected.
+ * @throws {Error} If a pattern or the schema is malformed.
+ */
+export function compilePathRules({ include, exclude, schema } = {}) {
+    if (include !== undefined && !Array.isArray(include)) {
+        throw new EncryptoConfigError('Configuration Error: "include" must be an array of path patterns.');
+    }
+    if (exclude !== undefined && !Array.isArray(exclude)) {
+        throw new EncryptoConfigError('Configuration Error: "exclude" must be an array of path patterns.');
+    }
+
+    let includePatterns = include;
+    if (schema !== undefined) {
+        includePatterns = [...(include || []), ...schemaToPatterns(schema)];
+    }
+
+    if (includePatterns === undefined && (exclude === undefined || exclude.length === 0)) {
+        return null;
+    }
+
+    const includeTokens = includePatterns && includePatterns.map(parsePattern);
+    const excludeTokens = (exclude || []).map(parsePattern);
+
+    return (path) => {
+        if (includeTokens && !includeTokens.some(tokens => matchesPrefix(tokens, path))) {
+            return false;
+        }
+        return !excludeTokens.some(tokens => matchesPrefix(tokens, path));
+    };
+}
+
+/**
+ * Creates a property on an output object. A '__proto__' key from the input becomes an own
+ * property instead of replacing the object's prototype, so input can't pollute prototypes.
+ *
+ * @param {object} object The object.
+ * @param {string | number} key The property name, or an array index.
+ * @param {any} value The value.
+ */
+export function defineOwnProperty(object, key, value) {
+    if (key === '__proto__') {
+        Object.defineProperty(object, key, { value, writable: true, enumerable: true, configurable: true });
+    } else {
+        object[key] = value;
+    }
+}
@@ -0,0 +1,391 @@
+import { isDeepStrictEqual } from 'util';
+import { EncryptoConfigError } from './errors.js';
+import { parsePattern } from './paths.js';
+
+// --- Configuration Constants ---
+const DEFAULT_BLIND_INDEX_SUFFIX = '_bidx'; // Must match the default of EncryptoService
+
+/**
+ * Encrypts the configured fields of records before they are written to a store, and
+ * decrypts them after they are read, for any persistence layer. Only the configured
+ * fields are passed to the service: the rest of a record, such as ids, dates or driver
+ * types, is copied as is and never walked.
+ */
+export class FieldEncryptor {
+    #service;
+    #fields;
+    #fieldNames;
+    #bindPath;
+    #context;
+    #blindIndex;
+    #blindIndexSuffix;
+
+    /**
+     * Creates a FieldEncryptor.
+     * @param {import('./index.js').EncryptoService} service The service holding the keys.
+     * @param {object} config The fields of one model.
+     * @param {string[]} config.fields Patterns of the fields to encrypt, e.g. ['email', 'address.street', 'cards[*].pan'].
+     *                                 Each must start with a property name.
+     * @param {boolean} [config.bindPath=false] Binds each value to its path in the record.
+     * @param {string | ((record: object) => string)} [config.context] Binds each value to a context, or to a context
+     *        computed from the record, such as its id, so a value copied to another record fails decryption.
+     * @param {string[]} [config.blindIndex] Patterns of the fields to index for equality lookups; see the
+     *                                       blindIndex option of encryptJsonObject. Each must be within `fields`.
+     * @param {string} [config.blindIndexSuffix='_bidx'] The suffix naming the blind index properties.
+     * @throws {EncryptoConfigError} If the service or a field is invalid.
+     */
+    constructor(service, { fields, bindPath = false, context, blindIndex, blindIndexSuffix = DEFAULT_BLIND_INDEX_SUFFIX } = {}) {
+        if (!service || typeof service.encryptJsonObject !== 'function' || typeof service.decryptJsonObject !== 'function') {
+            throw new EncryptoConfigError('Configuration Error: A FieldEncryptor needs an EncryptoService.');
+        }
+        if (!Array.isArray(fields) || fields.length === 0) {
+            throw new EncryptoConfigError('Configuration Error: "fields" must be a non-empty array of path patterns.');
+        }
+        if (context !== undefined && typeof context !== 'string' && typeof context !== 'function') {
+            throw new EncryptoConfigError('Configuration Error: "context" must be a string or a function of the record.');
+        }
+        if (blindIndex !== undefined && !Array.isArray(blindIndex)) {
+            throw new EncryptoConfigError('Configuration Error: "blindIndex" must be an array of path patterns.');
+        }
+
+        this.#service = service;
+        this.#fields = [...fields];
+        this.#fieldNames = [...new Set(fields.map(fieldName))];
+        this.#bindPath = bindPath;
+        this.#context = context;
+        this.#blindIndex = blindIndex && [...blindIndex];
+        this.#blindIndexSuffix = blindIndexSuffix;
+
+        for (const pattern of blindIndex || []) {
+            if (!this.#fieldNames.includes(fieldName(pattern))) {
+                throw new EncryptoConfigError(`Configuration Error: The blind index "${pattern}" is not within the encrypted fields.`);
+            }
+        }
+    }
+
+    /**
+     * The top-level property names holding the configured fields.
+     * @returns {string[]}
+     */
+    get fieldNames() {
+        return [...this.#fieldNames];
+    }
+
+    /**
+     * Encrypts the configured fields of a record.
+     *
+     * @param {object | null | undefined} doc The record, as a plain object.
+     * @param {object} [record=doc] The record passed to a context function, when `doc` only holds part of it.
+     * @returns {object | null | undefined} A shallow copy of the record with the configured fields encrypted,
+     *          and their blind indexes added. Null and undefined are returned as is.
+     * @throws {Error} If encryption fails for any value.
+     */
+    beforeWrite(doc, record = doc) {
+        if (doc === null || doc === undefined) return doc;
+        const encrypted = this.#service.encryptJsonObject(this.#pick(doc, false), this.#options(record));
+        return { ...doc, ...encrypted };
+    }
+
+    /**
+     * Decrypts the configured fields of a record.
+     *
+     * @param {object | null | undefined} doc The record as read from the store, as a plain object.
+     * @param {object} [record=doc] The record passed to a context function, when `doc` only holds part of it.
+     * @returns {object | null | undefined} A shallow copy of the record with the configured fields decrypted
+     *          and their blind indexes dropped. Null and undefined are returned as is.
+     * @throws {EncryptoError} If decryption fails for any value.
+     */
+    afterRead(doc, record = doc) {
+        if (doc === null || doc === undefined) return doc;
+        const picked = this.#pick(doc, true);
+        const decrypted = this.#service.decryptJsonObject(picked, this.#options(record));
+        const result = { ...doc };
+        for (const name of Object.keys(picked)) delete result[name];
+        return Object.assign(result, decrypted);
+    }
+
+    /**
+     * Copies the configured fields of a record that are set. (Private helper method)
+     *
+     * @param {object} doc The record.
+     * @param {boolean} withIndexes Whether to copy the blind index properties too.
+     * @returns {object} The fields.
+     */
+    #pick(doc, withIndexes) {
+        const names = withIndexes && this.#blindIndex
+            ? this.#fieldNames.flatMap(name => [name, `${name}${this.#blindIndexSuffix}`])
+            : this.#fieldNames;
+        const picked = {};
+        for (const name of names) {
+            if (Object.prototype.hasOwnProperty.call(doc, name) && doc[name] !== undefined) {
+                picked[name] = doc[name];
+            }
+        }
+        return picked;
+    }
+
+    /**
+     * Builds the options of the service methods for a record. (Private helper method)
+     *
+     * @param {object} record The record.
+     * @returns {object} The options.
+     */
+    #options(record) {
+        const options = { include: this.#fields, bindPath: this.#bindPath };
+        if (this.#context !== undefined) {
+            options.context = typeof this.#context === 'function' ? this.#context(record) : this.#context;
+        }
+        if (this.#blindIndex) {
+            options.blindIndex = this.#blindIndex;
+            options.blindIndexSuffix = this.#blindIndexSuffix;
+        }
+        return options;
+    }
+}
+
+/**
+ * A Mongoose plugin encrypting the configured fields of a schema's documents when they are
+ * saved, and decrypting them when documents are loaded. Documents keep their plain values
+ * in memory after a save, whether it succeeds or fails. Encrypted fields must be declared as strings (or Mixed), and blind
+ * indexes as string paths named '<field>_bidx'.
+ *
+ * Query updates (updateOne, findOneAndUpdate), insertMany and lean queries bypass document
+ * hooks: use a FieldEncryptor for those.
+ *
+ * @example
+ * userSchema.plugin(mongoosePlugin, { service, fields: ['email', 'ssn'], context: doc => String(doc._id) });
+ *
+ * @param {object} schema The Mongoose schema.
+ * @param {object} options The service and the fields, as for FieldEncryptor.
+ * @param {import('./index.js').EncryptoService} options.service The service holding the keys.
+ * @throws {EncryptoConfigError} If the service or a field is invalid.
+ */
+export function mongoosePlugin(schema, { service, ...config } = {}) {
+    const encryptor = new FieldEncryptor(service, config);
+    const plaintexts = new WeakMap();
+
+    schema.pre('save', function () {
+        encryptRecord(encryptor, this, MONGOOSE_DOCUMENTS, plaintexts);
+    });
+    schema.post('save', function (doc) {
+        restoreRecord(doc, MONGOOSE_DOCUMENTS, plaintexts, true);
+    });
+    // Error handling middleware, told apart by its three parameters: runs when the write fails
+    schema.post('save', function (error, result, next) {
+        restoreRecord(this, MONGOOSE_DOCUMENTS, plaintexts, false);
+        next(error);
+    });
+    // Runs on the raw data from the database, before the document is built from it
+    schema.pre('init', function (data) {
+        Object.assign(data, encryptor.afterRead(pickFields(encryptor, name => data[name]), data));
+    });
+}
+
+/**
+ * Builds the instance hooks of a Sequelize model encrypting the configured attributes when
+ * instances are saved, and decrypting them when instances are found. Saved instances keep
+ * their plain values in memory. Encrypted attributes must be strings (or JSON for nested
+ * fields), and blind indexes string attributes named '<field>_bidx'.
+ *
+ * Sequelize has no hook for a failed save, so an instance whose save fails holds the
+ * ciphertexts until it is saved again, when its plain values are put back before they are
+ * encrypted. sequelizePlugin restores them as soon as the save fails.
+ *
+ * Bulk operations (bulkCreate, update, destroy without individualHooks) and raw queries
+ * bypass instance hooks: use a FieldEncryptor for those.
+ *
+ * @example
+ * User.init(attributes, { sequelize, hooks: sequelizeHooks(service, { fields: ['email'] }) });
+ *
+ * @param {import('./index.js').EncryptoService} service The service holding the keys.
+ * @param {object} config The fields, as for FieldEncryptor.
+ * @returns {{ beforeSave: Function, afterSave: Function, afterFind: Function }} The hooks, for the `hooks` option
+ *          of a model or Model.addHook.
+ * @throws {EncryptoConfigError} If the service or a field is invalid.
+ */
+export function sequelizeHooks(service, config) {
+    return createSequelizeHooks(new FieldEncryptor(service, config), new WeakMap());
+}
+
+/**
+ * Adds the hooks of sequelizeHooks to a Sequelize model, and puts the plain values back
+ * into an instance as soon as its save fails, e.g. on a unique constraint or a lost
+ * connection, so the instance never holds ciphertexts.
+ *
+ * @example
+ * User.init(attributes, { sequelize });
+ * sequelizePlugin(User, { service, fields: ['email'] });
+ *
+ * @param {Function} Model The model class, after Model.init or sequelize.define.
+ * @param {object} options The service and the fields, as for FieldEncryptor.
+ * @param {import('./index.js').EncryptoService} options.service The service holding the keys.
+ * @throws {EncryptoConfigError} If the model, the service or a field is invalid.
+ */
+export function sequelizePlugin(Model, { service, ...config } = {}) {
+    if (typeof Model !== 'function' || typeof Model.addHook !== 'function' || typeof Model.prototype.save !== 'function') {
+        throw new EncryptoConfigError('Configuration Error: sequelizePlugin needs a Sequelize model.');
+    }
+    const plaintexts = new WeakMap();
+    const hooks = createSequelizeHooks(new FieldEncryptor(service, config), plaintexts);
+    for (const [name, hook] of Object.entries(hooks)) Model.addHook(name, hook);
+
+    const { save } = Model.prototype;
+    Object.defineProperty(Model.prototype, 'save', {
+        async value(...args) {
+            try {
+                return await save.apply(this, args);
+            } catch (error) {
+                restoreRecord(this, SEQUELIZE_INSTANCES, plaintexts, false);
+                throw error;
+            }
+        },
+        writable: true,
+        configurable: true,
+    });
+}
+
+/**
+ * Builds the Sequelize instance hooks.
+ *
+ * @param {FieldEncryptor} encryptor The encryptor.
+ * @param {WeakMap<object, object>} plaintexts The plain values of instances being written.
+ * @returns {{ beforeSave: Function, afterSave: Function, afterFind: Function }} The hooks.
+ */
+function createSequelizeHooks(encryptor, plaintexts) {
+    return {
+        beforeSave(instance) {
+            encryptRecord(encryptor, instance, SEQUELIZE_INSTANCES, plaintexts);
+        },
+        afterSave(instance) {
+            restoreRecord(instance, SEQUELIZE_INSTANCES, plaintexts, true);
+        },
+        afterFind(result) {
+            // findOne and findByPk find an instance or null, findAll an array. Raw queries find plain
+            // objects, which are left as they are
+            const instances = Array.isArray(result) ? result : [result];
+            for (const instance of instances) {
+                if (instance && typeof instance.get === 'function') decryptRecord(encryptor, instance, SEQUELIZE_INSTANCES);
+            }
+        },
+    };
+}
+
+/**
+ * How the adapters read a property of an ORM record, and mark it as unchanged after
+ * replacing its value behind the ORM's back. Both ORMs write with record.set(name, value).
+ *
+ * @typedef {object} RecordAccess
+ * @property {(record: object, name: string) => any} read Reads a property as a plain value.
+ * @property {(record: object, name: string) => void} markClean Marks a property as unchanged.
+ */
+
+/** @type {RecordAccess} */
+const MONGOOSE_DOCUMENTS = {
+    read(doc, name) {
+        const value = doc.get(name);
+        // Subdocuments and arrays: encrypt their plain form. MongooseBuffers are Buffers already
+        return value !== null && typeof value === 'object' && typeof value.toObject === 'function' && !Buffer.isBuffer(value)
+            ? value.toObject()
+            : value;
+    },
+    markClean: (doc, name) => doc.unmarkModified(name),
+};
+
+/** @type {RecordAccess} */
+const SEQUELIZE_INSTANCES = {
+    read: (instance, name) => instance.get(name),
+    markClean: (instance, name) => instance.changed(name, false),
+};
+
+/**
+ * Gets the name of the top-level property a field pattern starts with.
+ *
+ * @param {string} pattern The pattern.
+ * @returns {string} The property name.
+ * @throws {EncryptoConfigError} If the pattern is malformed or starts with a wildcard or an index.
+ */
+function fieldName(pattern) {
+    const [first] = parsePattern(pattern);
+    if (first.type !== 'key') {
+        throw new EncryptoConfigError(`Configuration Error: The field "${pattern}" must start with a property name.`);
+    }
+    return first.value;
+}
+
+/**
+ * Copies the configured fields of a record that are set.
+ *
+ * @param {FieldEncryptor} encryptor The encryptor.
+ * @param {(name: string) => any} read Reads a property of the record.
+ * @returns {object} The fields.
+ */
+function pickFields(encryptor, read) {
+    const values = {};
+    for (const name of encryptor.fieldNames) {
+        const value = read(name);
+        if (value !== undefined) values[name] = value;
+    }
+    return values;
+}
+
+/**
+ * Replaces the configured fields of an ORM record with their encrypted values, remembering
+ * the plain values to restore after the write.
+ *
+ * A record still remembered here went through a write that failed without being restored.
+ * Its fields that still hold the ciphertexts of that write get their plain values back
+ * first, so they aren't encrypted twice; fields set since then are kept.
+ *
+ * @param {FieldEncryptor} encryptor The encryptor.
+ * @param {object} record The record.
+ * @param {RecordAccess} access How to read the record.
+ * @param {WeakMap<object, { values: object, encrypted: object }>} plaintexts The plain and encrypted values of
+ *        records being written.
+ */
+function encryptRecord(encryptor, record, access, plaintexts) {
+    const failed = plaintexts.get(record);
+    if (failed) {
+        for (const [name, value] of Object.entries(failed.values)) {
+            if (isDeepStrictEqual(access.read(record, name), failed.encrypted[name])) record.set(name, value);
+        }
+    }
+
+    const values = pickFields(encryptor, name => access.read(record, name));
+    const encrypted = encryptor.beforeWrite(values, record);
+    plaintexts.set(record, { values, encrypted });
+    for (const [name, value] of Object.entries(encrypted)) record.set(name, value);
+}
+
+/**
+ * Puts back the plain values of an ORM record after a write. After a successful write they
+ * are marked unchanged; after a failed one they stay modified, so the next write stores them.
+ *
+ * @param {object} record The record.
+ * @param {RecordAccess} access How to mark the record clean.
+ * @param {WeakMap<object, { values: object }>} plaintexts The plain values of records being written.
+ * @param {boolean} written Whether the write succeeded.
+ */
+function restoreRecord(record, access, plaintexts, written) {
+    const pending = plaintexts.get(record);
+    if (!pending) return;
+    plaintexts.delete(record);
+    for (const [name, value] of Object.entries(pending.values)) {
+        record.set(name, value);
+        if (written) access.markClean(record, name);
+    }
+}
+
+/**
+ * Decrypts the configured fields of an ORM record after it was read.
+ *
+ * @param {FieldEncryptor} encryptor The encryptor.
+ * @param {object} record The record.
+ * @param {RecordAccess} access How to read the record and mark it clean.
+ */
+function decryptRecord(encryptor, record, access) {
+    const decrypted = encryptor.afterRead(pickFields(encryptor, name => access.read(record, name)), record);
+    for (const [name, value] of Object.entries(decrypted)) {
+        record.set(name, value);
+        access.markClean(record, name);
+    }
+}
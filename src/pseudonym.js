@@ -0,0 +1,89 @@
+import * as crypto from 'crypto';
+import { deriveSubkey } from './cipher.js';
+import { EncryptoAuthError, EncryptoFormatError } from './errors.js';
+
+// --- Configuration Constants ---
+const CIPHER_ALGORITHM = 'aes-256-ctr';
+const MAC_ALGORITHM = 'sha256';
+const SYNTHETIC_IV_LENGTH_BYTES = 16; // Truncated HMAC, used as the CTR counter block
+const PSEUDONYM_ENCODING = 'base64url'; // No '.', '/' or '+', so pseudonyms read as plain property names
+const TEXT_ENCODING = 'utf8';
+
+const DEFAULT_PURPOSE = 'key pseudonym';
+
+// HKDF labels of the subkeys, one pair per purpose; see deriveSubkey
+const macKeyInfo = purpose => `open-encrypto-object ${purpose} mac`;
+const cipherKeyInfo = purpose => `open-encrypto-object ${purpose} cipher`;
+
+/**
+ * Turns property names into deterministic keyed pseudonyms, and back.
+ *
+ * The construction is deterministic authenticated encryption in the style of SIV:
+ * an HMAC of the name serves as the IV of AES-CTR, and is checked again on the way back.
+ * The same name always yields the same pseudonym under a given key, so records stay
+ * comparable; nothing else about the name is revealed except its length.
+ */
+export class KeyPseudonymizer {
+    #macKey;
+    #cipherKey;
+    #purpose;
+
+    /**
+     * Creates a KeyPseudonymizer.
+     * @param {Buffer} key The 32-byte data key the pseudonym subkeys are derived from.
+     * @param {string} [purpose='key pseudonym'] What the pseudonyms are for. It labels the subkeys, so pseudonyms made
+     *        for one purpose can't be restored for another, and names them in error messages.
+     */
+    constructor(key, purpose = DEFAULT_PURPOSE) {
+        this.#macKey = deriveSubkey(key, macKeyInfo(purpose));
+        this.#cipherKey = deriveSubkey(key, cipherKeyInfo(purpose));
+        this.#purpose = purpose;
+    }
+
+    /**
+     * Computes the pseudonym of a name.
+     *
+     * @param {string} name The property name.
+     * @returns {string} The pseudonym, base64url encoded.
+     */
+    pseudonymize(name) {
+        const plaintext = Buffer.from(name, TEXT_ENCODING);
+        const iv = this.#syntheticIv(plaintext);
+        const cipher = crypto.createCipheriv(CIPHER_ALGORITHM, this.#cipherKey, iv);
+        return Buffer.concat([iv, cipher.update(plaintext), cipher.final()]).toString(PSEUDONYM_ENCODING);
+    }
+
+    /**
+     * Recovers the name behind a pseudonym.
+     *
+     * @param {string} pseudonym A pseudonym produced by pseudonymize under the same key.
+     * @returns {string} The property name.
+     * @throws {EncryptoFormatError} If the pseudonym is malformed.
+     * @throws {EncryptoAuthError} If the pseudonym was not produced under this key, or was altered.
+     */
+    restore(pseudonym) {
+        const bytes = Buffer.from(pseudonym, PSEUDONYM_ENCODING);
+        if (bytes.length < SYNTHETIC_IV_LENGTH_BYTES || bytes.toString(PSEUDONYM_ENCODING) !== pseudonym) {
+            throw new EncryptoFormatError(`Malformed ${this.#purpose}.`);
+        }
+
+        const iv = bytes.subarray(0, SYNTHETIC_IV_LENGTH_BYTES);
+        const decipher = crypto.createDecipheriv(CIPHER_ALGORITHM, this.#cipherKey, iv);
+        const plaintext = Buffer.concat([decipher.update(bytes.subarray(SYNTHETIC_IV_LENGTH_BYTES)), decipher.final()]);
+        if (!crypto.timingSafeEqual(iv, this.#syntheticIv(plaintext))) {
+            const subject = this.#purpose.charAt(0).toUpperCase() + this.#purpose.slice(1);
+            throw new EncryptoAuthError(`${subject} failed authentication: it was altered or produced under another key.`);
+        }
+        return plaintext.toString(TEXT_ENCODING);
+    }
+
+    /**
+     * Computes the synthetic IV of a name. (Private helper method)
+     *
+     * @param {Buffer} plaintext The name as UTF-8 bytes.
+     * @returns {Buffer} The truncated HMAC.
+     */
+    #syntheticIv(plaintext) {
+        return crypto.createHmac(MAC_ALGORITHM, this.#macKey).update(plaintext).digest().subarray(0, SYNTHETIC_IV_LENGTH_BYTES);
+    }
+}
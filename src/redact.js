@@ -0,0 +1,137 @@
+import { decodeText, encodeText } from './codec.js';
+import { EncryptoConfigError, EncryptoFormatError } from './errors.js';
+import { compilePathRules } from './paths.js';
+import { KeyPseudonymizer } from './pseudonym.js';
+
+// --- Configuration Constants ---
+const MASK = '****'; // Always the same length, so masked values don't reveal theirs
+const EMAIL_MASK = '***';
+const DEFAULT_REVEAL = 4; // Trailing characters left visible, e.g. the last 4 digits of a card number
+const DEFAULT_PLACEHOLDER = '[REDACTED]';
+const TOKEN_PURPOSE = 'value token'; // Labels the token subkeys, apart from those of property name pseudonyms
+const EMAIL_PATTERN = /^([^@\s])[^@\s]*@([^@\s.])[^@\s]*(\.[^@\s.]+)$/u; // First letters and top-level domain kept
+
+// The actions of the rules, from the strongest: a path matched by several gets the first
+const ACTIONS = ['redact', 'tokenize', 'mask'];
+
+/**
+ * Turns values into opaque tokens, and back.
+ *
+ * Tokens are deterministic keyed pseudonyms of the type-tagged value (see KeyPseudonymizer),
+ * so a value always gets the same token under a given key and keeps its type when restored.
+ * Someone holding tokens can tell that two values are equal, but nothing else about them
+ * except their length.
+ */
+export class ValueTokenizer {
+    #pseudonymizer;
+    #serializers;
+
+    /**
+     * Creates a ValueTokenizer.
+     * @param {Buffer} key The 32-byte data key the token subkeys are derived from.
+     * @param {object | null} [serializers=null] The compiled serializers of domain classes.
+     */
+    constructor(key, serializers = null) {
+        this.#pseudonymizer = new KeyPseudonymizer(key, TOKEN_PURPOSE);
+        this.#serializers = serializers;
+    }
+
+    /**
+     * Computes the token of a value.
+     *
+     * @param {any} value The value.
+     * @returns {string} The token, base64url encoded.
+     * @throws {Error} If the value's type cannot be encoded.
+     */
+    tokenize(value) {
+        return this.#pseudonymizer.pseudonymize(encodeText(value, this.#serializers));
+    }
+
+    /**
+     * Recovers the value behind a token.
+     *
+     * @param {string} token A token produced by tokenize under the same key.
+     * @returns {any} The value, with its original type.
+     * @throws {EncryptoFormatError} If the token is malformed.
+     * @throws {EncryptoAuthError} If the token was not produced under this key, or was altered.
+     */
+    detokenize(token) {
+        const text = this.#pseudonymizer.restore(token);
+        try {
+            return decodeText(text, this.#serializers);
+        } catch (error) {
+            throw new EncryptoFormatError(`Malformed value token: ${error.message}`, { cause: error });
+        }
+    }
+}
+
+/**
+ * Compiles redaction rules: the path patterns of the values to mask, redact or tokenize.
+ *
+ * @param {object} rules The rules.
+ * @param {string[]} [rules.mask] Patterns of the values to mask, e.g. '****1234' or 'j***@d***.com'.
+ * @param {string[]} [rules.redact] Patterns of the values to replace with the placeholder.
+ * @param {string[]} [rules.tokenize] Patterns of the values to replace with reversible opaque tokens.
+ * @param {number} [rules.reveal=4] The number of trailing characters masking leaves visible. At most half of
+ *        a value is revealed.
+ * @param {string} [rules.placeholder='[REDACTED]'] The replacement of redacted values, and of masked values
+ *        that aren't strings or numbers.
+ * @returns {{ actionOf: (path: Array<string | number>) => 'redact' | 'tokenize' | 'mask' | null,
+ *             reveal: number, placeholder: string }} The compiled rules. A path matching several actions gets
+ *          the strongest: redact, then tokenize, then mask.
+ * @throws {EncryptoConfigError} If a rule or pattern is malformed.
+ */
+export function compileRedactionRules(rules) {
+    if (rules === null || typeof rules !== 'object' || Array.isArray(rules)) {
+        throw new EncryptoConfigError('Configuration Error: Redaction rules must be an object, e.g. { mask: [\'card.pan\'] }.');
+    }
+    const { reveal = DEFAULT_REVEAL, placeholder = DEFAULT_PLACEHOLDER } = rules;
+    if (!Number.isSafeInteger(reveal) || reveal < 0) {
+        throw new EncryptoConfigError('Configuration Error: "reveal" must be a non-negative integer.');
+    }
+    if (typeof placeholder !== 'string') {
+        throw new EncryptoConfigError('Configuration Error: "placeholder" must be a string.');
+    }
+
+    const matchers = [];
+    for (const action of ACTIONS) {
+        const patterns = rules[action];
+        if (patterns === undefined) continue;
+        if (!Array.isArray(patterns)) {
+            throw new EncryptoConfigError(`Configuration Error: "${action}" must be an array of path patterns.`);
+        }
+        matchers.push({ action, matches: compilePathRules({ include: patterns }) });
+    }
+
+    return {
+        actionOf: path => matchers.find(({ matches }) => matches(path))?.action ?? null,
+        reveal,
+        placeholder,
+    };
+}
+
+/**
+ * Masks a value: an email address keeps the first letter of its local part and domain and its
+ * top-level domain, any other string or number its last characters, behind a fixed-length mask.
+ * Other values (booleans, null, Dates, binary data...) are replaced with the placeholder.
+ *
+ * @param {any} value The value.
+ * @param {{ reveal: number, placeholder: string }} rules The compiled redaction rules.
+ * @returns {string | undefined} The masked value, e.g. '****1234' or 'j***@d***.com'. Undefined stays undefined.
+ */
+export function maskValue(value, { reveal, placeholder }) {
+    if (value === undefined) return undefined;
+    if (typeof value !== 'string' && typeof value !== 'number' && typeof value !== 'bigint') {
+        return placeholder;
+    }
+
+    const text = String(value);
+    const email = typeof value === 'string' ? EMAIL_PATTERN.exec(text) : null;
+    if (email) {
+        const [, local, domain, topLevel] = email;
+        return `${local}${EMAIL_MASK}@${domain}${EMAIL_MASK}${topLevel}`;
+    }
+    const characters = Array.from(text); // Code points, so emoji aren't cut in half
+    const shown = Math.min(reveal, Math.floor(characters.length / 2));
+    return `${MASK}${characters.slice(characters.length - shown).join('')}`;
+}
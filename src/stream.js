@@ -0,0 +1,390 @@
+import { StringDecoder } from 'string_decoder';
+import { Transform } from 'stream';
+import { EncryptoFormatError } from './errors.js';
+
+// --- Parser States ---
+// What the parser accepts next at the current nesting level.
+const EXPECT_VALUE = 'value';
+const EXPECT_VALUE_OR_END = 'valueOrEnd'; // Right after '['
+const EXPECT_KEY = 'key';
+const EXPECT_KEY_OR_END = 'keyOrEnd'; // Right after '{'
+const EXPECT_COLON = 'colon';
+const EXPECT_COMMA_OR_END = 'commaOrEnd';
+const EXPECT_EOF = 'eof';
+
+const WHITESPACE = new Set([' ', '\t', '\n', '\r']);
+const LITERAL_CHAR = /[A-Za-z0-9+\-.]/;
+const LITERAL_START = /[-0-9tfn]/;
+
+/**
+ * Serializes a transformed leaf back into JSON text. Mirrors JSON.stringify, except that
+ * bigints are written as plain JSON numbers (or as strings, when nested in a decrypted
+ * subtree), Maps and Sets as arrays, and binary data as base64 strings.
+ *
+ * @param {any} value The leaf value.
+ * @returns {string} The JSON text.
+ */
+function stringifyLeaf(value) {
+    if (typeof value === 'bigint') return value.toString();
+    const json = JSON.stringify(value, toJsonValue);
+    return json === undefined ? 'null' : json;
+}
+
+/**
+ * A JSON.stringify replacer for the values JSON has no form for.
+ *
+ * @param {string} key The property name.
+ * @param {any} value The value, after toJSON.
+ * @returns {any} The value to write.
+ */
+function toJsonValue(key, value) {
+    const original = this[key]; // Before toJSON, so Buffers are still Buffers
+    if (typeof value === 'bigint') return value.toString();
+    if (value instanceof Map || value instanceof Set) return [...value];
+    if (ArrayBuffer.isView(original) || original instanceof ArrayBuffer) {
+        const bytes = original instanceof ArrayBuffer
+            ? Buffer.from(original)
+            : Buffer.from(original.buffer, original.byteOffset, original.byteLength);
+        return bytes.toString('base64');
+    }
+    return value;
+}
+
+/**
+ * An incremental JSON parser that copies its input to its output, replacing every primitive
+ * value with the result of a callback. Only the current token and the path to it are held in
+ * memory, so documents of any size can be transformed chunk by chunk. Object keys and
+ * structure are copied as is; insignificant whitespace is dropped.
+ */
+export class JsonLeafTransformer {
+    #transformLeaf;
+    #transformKey;
+    #guard;
+    #stack = []; // One frame per open container: { type: 'object' | 'array', key, index }
+    #expect = EXPECT_VALUE;
+    #token = null; // The string or literal being read: { type: 'string' | 'literal', text, escaped }
+    #position = 0;
+
+    /**
+     * Creates a JsonLeafTransformer.
+     * @param {(value: string | number | boolean | null, path: Array<string | number>) => any} transformLeaf
+     *        Produces the replacement of each primitive value, given its path from the root.
+     * @param {((key: string, locate: () => Array<string | number>) => [string, string]) | null} [transformKey=null]
+     *        Maps each property name, given a function returning the path of its object, to its plain name (used in the paths
+     *        passed to transformLeaf) and the name written out. Names are copied as is when omitted.
+     * @param {WalkGuard | null} [guard=null] Enforces limits on the depth, number of values and string lengths
+     *        of the document. Unlimited when omitted.
+     */
+    constructor(transformLeaf, transformKey = null, guard = null) {
+        this.#transformLeaf = transformLeaf;
+        this.#transformKey = transformKey;
+        this.#guard = guard;
+    }
+
+    /**
+     * Parses the next chunk of JSON text.
+     *
+     * @param {string} text The chunk.
+     * @returns {string} The transformed JSON text that could be produced so far.
+     * @throws {Error} If the input is not valid JSON, or transforming a leaf fails.
+     */
+    write(text) {
+        const output = [];
+        let index = 0;
+
+        while (index < text.length) {
+            if (this.#token && this.#token.type === 'string') {
+                index = this.#readString(text, index, output);
+                continue;
+            }
+
+            const char = text[index];
+            if (this.#token) {
+                // Reading a number or true/false/null
+                if (LITERAL_CHAR.test(char)) {
+                    this.#token.text += char;
+                    index += 1;
+                    this.#position += 1;
+                    continue;
+                }
+                this.#finishLiteral(output);
+                continue; // Reprocess the delimiter
+            }
+
+            this.#readStructural(char, output);
+            index += 1;
+            this.#position += 1;
+        }
+
+        return output.join('');
+    }
+
+    /**
+     * Signals the end of the input.
+     *
+     * @returns {string} Any remaining transformed JSON text.
+     * @throws {Error} If the input ended before a complete JSON value.
+     */
+    end() {
+        const output = [];
+        if (this.#token && this.#token.type === 'literal') {
+            this.#finishLiteral(output);
+        }
+        if (this.#token || this.#expect !== EXPECT_EOF) {
+            throw new EncryptoFormatError('Invalid JSON: Unexpected end of input.');
+        }
+        return output.join('');
+    }
+
+    /**
+     * Handles one character outside of strings and literals. (Private helper method)
+     *
+     * @param {string} char The character.
+     * @param {string[]} output Collects the transformed text.
+     */
+    #readStructural(char, output) {
+        if (WHITESPACE.has(char)) return;
+
+        const frame = this.#stack[this.#stack.length - 1];
+        switch (this.#expect) {
+            case EXPECT_KEY_OR_END:
+                if (char === '}') return this.#closeContainer('object', output);
+            // falls through
+            case EXPECT_KEY:
+                if (char !== '"') this.#fail(char, 'expected a property name');
+                this.#token = { type: 'string', text: '', escaped: false };
+                return;
+
+            case EXPECT_COLON:
+                if (char !== ':') this.#fail(char, 'expected ":"');
+                output.push(':');
+                this.#expect = EXPECT_VALUE;
+                return;
+
+            case EXPECT_COMMA_OR_END:
+                if (char === ',') {
+                    output.push(',');
+                    this.#expect = frame.type === 'object' ? EXPECT_KEY : EXPECT_VALUE;
+                    return;
+                }
+                if (char === '}' || char === ']') {
+                    return this.#closeContainer(char === '}' ? 'object' : 'array', output);
+                }
+                return this.#fail(char, 'expected "," or the end of the container');
+
+            case EXPECT_VALUE_OR_END:
+                if (char === ']') return this.#closeContainer('array', output);
+            // falls through
+            case EXPECT_VALUE:
+                return this.#startValue(char, output);
+
+            default:
+                return this.#fail(char, 'expected the end of input');
+        }
+    }
+
+    /**
+     * Starts reading a value: opens a container, or starts a string or literal token. (Private helper method)
+     *
+     * @param {string} char The first character of the value.
+     * @param {string[]} output Collects the transformed text.
+     */
+    #startValue(char, output) {
+        const frame = this.#stack[this.#stack.length - 1];
+        if (frame && frame.type === 'array') frame.index += 1;
+        if (this.#guard) {
+            // String lengths are checked as the string is read
+            this.#guard.visit(undefined, this.#stack.length, () => this.#path(this.#stack.length));
+        }
+
+        if (char === '{') {
+            output.push('{');
+            this.#stack.push({ type: 'object', key: null, index: -1 });
+            this.#expect = EXPECT_KEY_OR_END;
+        } else if (char === '[') {
+            output.push('[');
+            this.#stack.push({ type: 'array', key: null, index: -1 });
+            this.#expect = EXPECT_VALUE_OR_END;
+        } else if (char === '"') {
+            this.#token = { type: 'string', text: '', escaped: false };
+        } else if (LITERAL_START.test(char)) {
+            this.#token = { type: 'literal', text: char };
+        } else {
+            this.#fail(char, 'expected a value');
+        }
+    }
+
+    /**
+     * Reads string characters until the closing quote or the end of the chunk. (Private helper method)
+     *
+     * @param {string} text The chunk.
+     * @param {number} start The index to start reading at.
+     * @param {string[]} output Collects the transformed text.
+     * @returns {number} The index of the first unread character.
+     */
+    #readString(text, start, output) {
+        const token = this.#token;
+        let index = start;
+        while (index < text.length) {
+            const char = text[index];
+            if (token.escaped) {
+                token.escaped = false;
+            } else if (char === '\\') {
+                token.escaped = true;
+            } else if (char === '"') {
+                token.text += text.slice(start, index);
+                this.#position += index - start + 1;
+                this.#finishString(output);
+                return index + 1;
+            }
+            index += 1;
+        }
+        token.text += text.slice(start);
+        this.#position += text.length - start;
+        if (this.#guard) {
+            this.#guard.checkRawString(token.text.length, () => this.#path(this.#stack.length));
+        }
+        return index;
+    }
+
+    /**
+     * Completes a string token as a property name or a leaf. (Private helper method)
+     *
+     * @param {string[]} output Collects the transformed text.
+     */
+    #finishString(output) {
+        let value;
+        try {
+            value = JSON.parse(`"${this.#token.text}"`);
+        } catch (error) {
+            throw new EncryptoFormatError(`Invalid JSON at position ${this.#position}: ${error.message}`);
+        }
+        this.#token = null;
+        if (this.#guard && this.#expect !== EXPECT_KEY && this.#expect !== EXPECT_KEY_OR_END) {
+            this.#guard.checkString(value, () => this.#path(this.#stack.length));
+        }
+
+        if (this.#expect === EXPECT_KEY || this.#expect === EXPECT_KEY_OR_END) {
+            if (this.#guard) {
+                this.#guard.checkString(value, () => [...this.#path(this.#stack.length - 1), value], 'the property name');
+            }
+            let [plainKey, outputKey] = [value, value];
+            if (this.#transformKey) {
+                [plainKey, outputKey] = this.#transformKey(value, () => this.#path(this.#stack.length - 1));
+            }
+            this.#stack[this.#stack.length - 1].key = plainKey;
+            output.push(JSON.stringify(outputKey));
+            this.#expect = EXPECT_COLON;
+            return;
+        }
+        this.#emitLeaf(value, output);
+    }
+
+    /**
+     * Completes a number or true/false/null token as a leaf. (Private helper method)
+     *
+     * @param {string[]} output Collects the transformed text.
+     */
+    #finishLiteral(output) {
+        const text = this.#token.text;
+        let value;
+        try {
+            value = JSON.parse(text);
+        } catch {
+            throw new EncryptoFormatError(`Invalid JSON at position ${this.#position - text.length}: Unexpected token "${text}".`);
+        }
+        this.#token = null;
+        this.#emitLeaf(value, output);
+    }
+
+    /**
+     * Transforms a completed leaf and writes it out. (Private helper method)
+     *
+     * @param {string | number | boolean | null} value The leaf value.
+     * @param {string[]} output Collects the transformed text.
+     */
+    #emitLeaf(value, output) {
+        output.push(stringifyLeaf(this.#transformLeaf(value, this.#path(this.#stack.length))));
+        this.#afterValue();
+    }
+
+    /**
+     * Builds the path of the current position from the open containers. (Private helper method)
+     *
+     * @param {number} depth The number of containers to include, outermost first.
+     * @returns {Array<string | number>} The path.
+     */
+    #path(depth) {
+        return this.#stack.slice(0, depth).map(frame => (frame.type === 'array' ? frame.index : frame.key));
+    }
+
+    /**
+     * Closes the innermost container. (Private helper method)
+     *
+     * @param {'object' | 'array'} type The type the closing character belongs to.
+     * @param {string[]} output Collects the transformed text.
+     */
+    #closeContainer(type, output) {
+        const frame = this.#stack[this.#stack.length - 1];
+        if (!frame || frame.type !== type) {
+            this.#fail(type === 'object' ? '}' : ']', 'mismatched closing bracket');
+        }
+        this.#stack.pop();
+        output.push(type === 'object' ? '}' : ']');
+        this.#afterValue();
+    }
+
+    /**
+     * Moves past a completed value. (Private helper method)
+     */
+    #afterValue() {
+        this.#expect = this.#stack.length === 0 ? EXPECT_EOF : EXPECT_COMMA_OR_END;
+    }
+
+    /**
+     * Reports a syntax error. (Private helper method)
+     *
+     * @param {string} char The unexpected character.
+     * @param {string} reason What was expected instead.
+     * @throws {Error} Always.
+     */
+    #fail(char, reason) {
+        throw new EncryptoFormatError(`Invalid JSON at position ${this.#position}: Unexpected "${char}", ${reason}.`);
+    }
+}
+
+/**
+ * Creates a Transform stream that reads JSON text and writes it back with every primitive
+ * value replaced by the result of a callback, without buffering the whole document.
+ *
+ * @param {(value: string | number | boolean | null, path: Array<string | number>) => any} transformLeaf
+ *        Produces the replacement of each primitive value, given its path from the root.
+ * @param {((key: string, locate: () => Array<string | number>) => [string, string]) | null} [transformKey=null]
+ *        Maps each property name to its plain name and the name written out; see JsonLeafTransformer.
+ * @param {WalkGuard | null} [guard=null] Enforces limits on the document; see JsonLeafTransformer.
+ * @returns {Transform} The stream. Errors (invalid JSON, failed leaves, exceeded limits) are emitted as 'error' events.
+ */
+export function createJsonTransformStream(transformLeaf, transformKey = null, guard = null) {
+    const parser = new JsonLeafTransformer(transformLeaf, transformKey, guard);
+    const decoder = new StringDecoder('utf8'); // Keeps multi-byte characters split across chunks intact
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            try {
+                const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+                const output = parser.write(text);
+                callback(null, output === '' ? undefined : output);
+            } catch (error) {
+                callback(error);
+            }
+        },
+        flush(callback) {
+            try {
+                const output = parser.write(decoder.end()) + parser.end();
+                callback(null, output === '' ? undefined : output);
+            } catch (error) {
+                callback(error);
+            }
+        },
+    });
+}
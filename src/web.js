@@ -0,0 +1,341 @@
+import { compileSerializers, decodeValue, encodeValue, isLeafValue, leafContents } from './codec.js';
+import {
+    AUTH_FAILURE_MESSAGE,
+    AUTH_TAG_LENGTH_BYTES,
+    DEFAULT_ALGORITHM,
+    DEFAULT_ENCODING,
+    DEFAULT_KEY_ID,
+    decryptionError,
+    ENCODINGS,
+    encryptionError,
+    formatEnvelope,
+    NONCE_LENGTH_BYTES,
+    parseEnvelope,
+    parseKeyring,
+} from './envelope.js';
+import { EncryptoConfigError, EncryptoKeyError } from './errors.js';
+import { compileLimits, WalkGuard } from './limits.js';
+import { compilePathRules, defineOwnProperty } from './paths.js';
+
+// The error classes, so that code importing only this module can tell failures apart
+export {
+    EncryptoAuthError,
+    EncryptoConfigError,
+    EncryptoError,
+    EncryptoFormatError,
+    EncryptoKeyError,
+    EncryptoLimitError,
+} from './errors.js';
+
+// --- Configuration Constants ---
+const ALGORITHM = DEFAULT_ALGORITHM; // The only algorithm of EncryptoService that WebCrypto implements
+const NODE_ONLY_OPTIONS = ['encryptKeys', 'blindIndex', 'collectErrors', 'manifest', 'redact'];
+
+const TEXT_ENCODER = new TextEncoder();
+
+/**
+ * Encrypts and decrypts JSON objects with WebCrypto (`crypto.subtle`), for browsers, Deno,
+ * Bun and edge runtimes such as Cloudflare Workers, which lack Node's crypto module and Buffer.
+ *
+ * It reads and writes the same envelopes as EncryptoService, so values encrypted in one
+ * runtime decrypt in the other. WebCrypto's API is asynchronous, so every method returns a
+ * promise. AES-256-GCM is the only algorithm WebCrypto offers; values that Node.js encrypted
+ * with ChaCha20-Poly1305 or AES-256-GCM-SIV, or in the legacy 'data.tag' format, can't be
+ * decrypted here. Binary values decrypt with their original type, except that a Buffer
+ * becomes a Uint8Array where Buffer doesn't exist.
+ */
+export class WebEncryptoService {
+    #keys; // Key id -> raw key bytes
+    #cryptoKeys = new Map(); // Key id -> Promise of the imported CryptoKey, created on first use
+    #activeKeyId;
+    #encoding;
+    #serializers = null;
+    #crypto;
+
+    /**
+     * Creates an instance of WebEncryptoService.
+     * @param {string | { keys: Array<{ id: string, key: string | Uint8Array }>, activeKeyId?: string }} keyHex
+     *        The encryption key, hex encoded (64 hex characters, representing 32 bytes), which gets the id 'default'.
+     *        Alternatively, the configuration of a keyring, as for EncryptoService, with keys as hex strings or Uint8Arrays.
+     * @param {object} [options]
+     * @param {'base64' | 'base64url' | 'hex'} [options.encoding='base64'] The encoding of the binary parts of new envelopes.
+     * @param {'aes-256-gcm'} [options.algorithm='aes-256-gcm'] The algorithm new values are encrypted with.
+     * @param {Array<{ name: string, type: Function, serialize: Function, deserialize: Function }>} [options.serializers]
+     *        Serializers of domain classes, as for EncryptoService.
+     * @param {Crypto} [options.crypto=globalThis.crypto] The WebCrypto implementation.
+     * @throws {EncryptoConfigError} If a key, id or option is invalid, or WebCrypto is unavailable.
+     */
+    constructor(keyHex, { encoding = DEFAULT_ENCODING, algorithm = ALGORITHM, serializers, crypto = globalThis.crypto } = {}) {
+        if (!keyHex || (typeof keyHex !== 'string' && typeof keyHex !== 'object')) {
+            throw new EncryptoConfigError('Configuration Error: Encryption key (keyHex) must be provided as a non-empty string or a keyring.');
+        }
+        const keyring = parseKeyring(typeof keyHex === 'string' ? { keys: [{ id: DEFAULT_KEY_ID, key: keyHex }] } : keyHex);
+        this.#keys = keyring.keys;
+        this.#activeKeyId = keyring.activeKeyId;
+
+        if (algorithm !== ALGORITHM) {
+            throw new EncryptoConfigError(`Configuration Error: Unsupported algorithm "${algorithm}". Supported by WebCrypto: "${ALGORITHM}".`);
+        }
+        if (!Object.prototype.hasOwnProperty.call(ENCODINGS, encoding)) {
+            throw new EncryptoConfigError(`Configuration Error: Unsupported encoding "${encoding}". Use "base64", "base64url" or "hex".`);
+        }
+        if (!crypto || !crypto.subtle || typeof crypto.getRandomValues !== 'function') {
+            throw new EncryptoConfigError('Configuration Error: WebCrypto is not available in this runtime; pass it as the "crypto" option.');
+        }
+        this.#encoding = encoding;
+        this.#crypto = crypto;
+        if (serializers !== undefined) {
+            this.#serializers = compileSerializers(serializers);
+        }
+    }
+
+    /**
+     * The id of the key used to encrypt new values.
+     * @returns {string}
+     */
+    get activeKeyId() {
+        return this.#activeKeyId;
+    }
+
+    /**
+     * The algorithm new values are encrypted with.
+     * @returns {string}
+     */
+    get algorithm() {
+        return ALGORITHM;
+    }
+
+    /**
+     * The encoding of the binary parts of new envelopes.
+     * @returns {string}
+     */
+    get encoding() {
+        return this.#encoding;
+    }
+
+    /**
+     * Recursively encrypts the primitive values within a JSON object or array, like
+     * EncryptoService.encryptJsonObject.
+     *
+     * @param {any} data The JSON object or array to encrypt.
+     * @param {object} [options] The path rules (include, exclude, schema), bindPath, context, collapse and limits
+     *        of EncryptoService.encryptJsonObject. encryptKeys, blindIndex and manifest need Node.js.
+     * @returns {Promise<any>} A new object or array with the same structure, but with the selected values encrypted.
+     * @throws {Error} If an option is malformed or encryption fails for any value.
+     */
+    async encryptJsonObject(data, options = {}) {
+        const context = this.#compileOptions(options, { reshape: true });
+        return this.#transform(data, context, (value, path) => {
+            if (typeof value === 'undefined') return undefined; // Preserve undefined
+            return this.#encryptValue(value, context.associatedData(path));
+        });
+    }
+
+    /**
+     * Recursively decrypts the encrypted values within a JSON object or array, like
+     * EncryptoService.decryptJsonObject.
+     *
+     * @param {any} data The JSON object or array potentially containing encrypted strings.
+     * @param {object} [options] The path rules, bindPath, context and collapse used for encryption, and
+     *        strict and the limits of EncryptoService.decryptJsonObject. collectErrors, manifest and redact need Node.js.
+     * @returns {Promise<any>} A new object or array with the same structure, but with encrypted strings decrypted.
+     * @throws {EncryptoConfigError} If an option is malformed.
+     * @throws {EncryptoError} If decryption fails for any value: EncryptoAuthError, EncryptoKeyError or EncryptoFormatError.
+     */
+    async decryptJsonObject(data, options = {}) {
+        const context = this.#compileOptions(options);
+        return this.#transform(data, context, async (value, path) => {
+            if (value === undefined || (typeof value !== 'string' && !context.strict)) {
+                return value; // Only strings can hold envelopes
+            }
+            const aad = context.associatedData(path);
+            try {
+                return await this.#decryptValue(value, aad, context.strict);
+            } catch (error) {
+                throw decryptionError(value, aad, path, error);
+            }
+        });
+    }
+
+    /**
+     * Encrypts a single leaf value with the active key. (Private helper method)
+     *
+     * @param {any} value The leaf value to encrypt.
+     * @param {Uint8Array | null} aad Additional authenticated data binding the value to its field and context.
+     * @returns {Promise<string>} The envelope.
+     * @throws {EncryptoError} If the value's type is unsupported or encryption fails.
+     */
+    async #encryptValue(value, aad) {
+        const keyId = this.#activeKeyId;
+        try {
+            const payload = encodeValue(value, this.#serializers);
+            const nonce = this.#crypto.getRandomValues(new Uint8Array(NONCE_LENGTH_BYTES));
+            const sealed = new Uint8Array(await this.#crypto.subtle.encrypt(gcmParams(nonce, aad), await this.#cryptoKey(keyId), payload));
+            // WebCrypto appends the tag to the ciphertext
+            const tagStart = sealed.length - AUTH_TAG_LENGTH_BYTES;
+            const parts = { nonce, ciphertext: sealed.subarray(0, tagStart), authTag: sealed.subarray(tagStart) };
+            return formatEnvelope(keyId, parts, ALGORITHM, this.#encoding);
+        } catch (error) {
+            throw encryptionError(value, error);
+        }
+    }
+
+    /**
+     * Decrypts a single value if it is an envelope. (Private helper method)
+     *
+     * @param {any} value The value.
+     * @param {Uint8Array | null} aad The additional authenticated data the value was encrypted with.
+     * @param {boolean} strict Rejects values that are not envelopes instead of returning them as is.
+     * @returns {Promise<any>} The decrypted value with its original type, or the value if it isn't an envelope.
+     * @throws {Error} The underlying error if decryption fails; see decryptionError.
+     */
+    async #decryptValue(value, aad, strict) {
+        const envelope = parseEnvelope(value, { strict, isSupported: algorithm => algorithm === ALGORITHM, runtime: 'WebCrypto' });
+        if (!envelope) {
+            return value;
+        }
+        if (!this.#keys.has(envelope.keyId)) {
+            throw new EncryptoKeyError(`Unknown key id "${envelope.keyId}".`);
+        }
+
+        const sealed = new Uint8Array(envelope.ciphertext.length + AUTH_TAG_LENGTH_BYTES);
+        sealed.set(envelope.ciphertext);
+        sealed.set(envelope.authTag, envelope.ciphertext.length);
+        let plaintext;
+        try {
+            plaintext = new Uint8Array(await this.#crypto.subtle.decrypt(gcmParams(envelope.nonce, aad), await this.#cryptoKey(envelope.keyId), sealed));
+        } catch (error) {
+            // WebCrypto reports every authentication failure as an OperationError, without details
+            if (error && error.name === 'OperationError') throw new Error(AUTH_FAILURE_MESSAGE);
+            throw error;
+        }
+        return decodeValue(plaintext, this.#serializers);
+    }
+
+    /**
+     * Imports a key for AES-GCM, once. (Private helper method)
+     *
+     * @param {string} keyId The id of a key of the keyring.
+     * @returns {Promise<CryptoKey>} The non-extractable key.
+     */
+    #cryptoKey(keyId) {
+        if (!this.#cryptoKeys.has(keyId)) {
+            this.#cryptoKeys.set(keyId, this.#crypto.subtle.importKey('raw', this.#keys.get(keyId), 'AES-GCM', false, ['encrypt', 'decrypt']));
+        }
+        return this.#cryptoKeys.get(keyId);
+    }
+
+    /**
+     * Validates the options of a call and compiles them, like EncryptoService does. (Private helper method)
+     *
+     * @param {object} options The options passed to a public method.
+     * @param {object} [capabilities]
+     * @param {boolean} [capabilities.reshape=false] Whether the method encrypts, and so applies collapse.
+     * @returns {{ isSelected: Function | null, collapse: Function | null, strict: boolean, guard: WalkGuard,
+     *             associatedData: (path: Array<string | number>) => Uint8Array | null }}
+     * @throws {EncryptoConfigError} If an option is malformed or needs Node.js.
+     */
+    #compileOptions(options, { reshape = false } = {}) {
+        for (const name of NODE_ONLY_OPTIONS) {
+            if (options[name] !== undefined) {
+                throw new EncryptoConfigError(`Configuration Error: "${name}" is only supported by EncryptoService in Node.js.`);
+            }
+        }
+        const { bindPath = false, context, strict = false, collapse } = options;
+        if (typeof bindPath !== 'boolean') {
+            throw new EncryptoConfigError('Configuration Error: "bindPath" must be a boolean.');
+        }
+        if (context !== undefined && typeof context !== 'string') {
+            throw new EncryptoConfigError('Configuration Error: "context" must be a string.');
+        }
+        if (typeof strict !== 'boolean') {
+            throw new EncryptoConfigError('Configuration Error: "strict" must be a boolean.');
+        }
+        if (collapse !== undefined && !Array.isArray(collapse)) {
+            throw new EncryptoConfigError('Configuration Error: "collapse" must be an array of path patterns.');
+        }
+
+        const bound = bindPath || context !== undefined;
+        const collapses = collapse === undefined ? null : compilePathRules({ include: collapse });
+        let isSelected = compilePathRules(options);
+        if (!reshape && collapses && isSelected) {
+            // Collapsed subtrees are encrypted regardless of the path rules, so they are always decrypted too
+            const isSelectedByRules = isSelected;
+            isSelected = path => isSelectedByRules(path) || collapses(path);
+        }
+        return {
+            isSelected,
+            collapse: reshape ? collapses : null,
+            strict,
+            guard: new WalkGuard(compileLimits(options)),
+            // Must produce the same bytes as EncryptoService, or bound values won't decrypt across runtimes
+            associatedData: path => (bound
+                ? TEXT_ENCODER.encode(JSON.stringify([bindPath ? path : null, context === undefined ? null : context]))
+                : null),
+        };
+    }
+
+    /**
+     * Copies the input, replacing each selected leaf (or collapsed subtree) with the result of
+     * transformLeaf. The leaves are transformed concurrently. (Private helper method)
+     *
+     * @param {any} data The input.
+     * @param {object} context The compiled options of the current call.
+     * @param {(value: any, path: Array<string | number>) => any} transformLeaf Produces the replacement of a leaf,
+     *        or a promise of it.
+     * @returns {Promise<any>} The transformed copy.
+     */
+    async #transform(data, context, transformLeaf) {
+        const result = { root: undefined };
+        const pending = [];
+        const visit = (value, path, holder, key) => {
+            context.guard.visit(value, path.length, () => path);
+            if (isLeafValue(value, this.#serializers) || (context.collapse && context.collapse(path))) {
+                const selected = !isLeafValue(value, this.#serializers) || !context.isSelected || context.isSelected(path);
+                defineOwnProperty(holder, key, value);
+                if (selected) {
+                    context.guard.visitContents(value, path.length, () => path, child => leafContents(child, this.#serializers));
+                    pending.push(Promise.resolve(transformLeaf(value, path)).then((replacement) => {
+                        defineOwnProperty(holder, key, replacement);
+                    }));
+                }
+                return;
+            }
+
+            context.guard.enter(value, () => path);
+            if (Array.isArray(value)) {
+                const copy = new Array(value.length);
+                defineOwnProperty(holder, key, copy);
+                for (let index = 0; index < value.length; index++) {
+                    if (index in value) visit(value[index], [...path, index], copy, index); // Keep holes
+                }
+            } else {
+                const copy = {};
+                defineOwnProperty(holder, key, copy);
+                for (const name in value) {
+                    if (!Object.prototype.hasOwnProperty.call(value, name)) continue;
+                    context.guard.checkString(name, () => [...path, name], 'the property name');
+                    visit(value[name], [...path, name], copy, name);
+                }
+            }
+            context.guard.leave(value);
+        };
+
+        visit(data, [], result, 'root');
+        await Promise.all(pending);
+        return result.root;
+    }
+}
+
+/**
+ * Builds the AES-GCM parameters of WebCrypto.
+ *
+ * @param {Uint8Array} nonce The nonce.
+ * @param {Uint8Array | null} aad The additional authenticated data, if any.
+ * @returns {AesGcmParams}
+ */
+function gcmParams(nonce, aad) {
+    const params = { name: 'AES-GCM', iv: nonce, tagLength: AUTH_TAG_LENGTH_BYTES * 8 };
+    if (aad) params.additionalData = aad;
+    return params;
+}
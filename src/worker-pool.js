@@ -0,0 +1,201 @@
+import { Worker } from 'worker_threads';
+import { EncryptoConfigError, EncryptoError } from './errors.js';
+
+// --- Configuration Constants ---
+const BATCH_SIZE = 256; // Values sent to a worker per message
+
+// The module each worker runs. import.meta.url is rewritten for the CommonJS build, which
+// carries its own copy of the worker module
+const WORKER_URL = new URL('./cipher-worker.js', import.meta.url);
+
+/**
+ * Converts a Uint8Array received from a worker back into a Buffer (without copying).
+ *
+ * @param {Uint8Array} bytes The bytes.
+ * @returns {Buffer}
+ */
+function toBuffer(bytes) {
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * A pool of worker threads running AEAD cipher operations in parallel, so encrypting large
+ * documents doesn't tie up the main thread. Keys are copied to the workers with each batch.
+ * Pass an instance as the `workers` option of the async methods to reuse it across calls,
+ * and call close() when done.
+ */
+export class CipherWorkerPool {
+    #workers = [];
+    #idle = [];
+    #queue = [];
+    #pending = new Map();
+    #nextId = 0;
+    #closed = false;
+
+    /**
+     * Creates a CipherWorkerPool.
+     * @param {number} size The number of worker threads (a positive integer).
+     * @throws {Error} If the size is not a positive integer.
+     */
+    constructor(size) {
+        if (!Number.isInteger(size) || size < 1) {
+            throw new EncryptoConfigError('Configuration Error: Worker pool size must be a positive integer.');
+        }
+
+        for (let i = 0; i < size; i++) {
+            this.#spawn();
+        }
+    }
+
+    /**
+     * The number of worker threads.
+     * @returns {number}
+     */
+    get size() {
+        return this.#workers.length;
+    }
+
+    /**
+     * Encrypts payloads in the workers.
+     *
+     * @param {Array<{ key: Buffer, payload: Buffer, aad: Buffer | null, algorithm?: string }>} jobs The payloads, their keys
+     *        and the algorithm to encrypt them with (AES-256-GCM when omitted).
+     * @returns {Promise<Array<{ value?: { nonce: Buffer, ciphertext: Buffer, authTag: Buffer }, error?: string }>>}
+     *          One result per job, in order.
+     */
+    seal(jobs) {
+        return this.#run('seal', jobs).then(results => results.map(({ value, error }) => (
+            error === undefined
+                ? { value: { nonce: toBuffer(value.nonce), ciphertext: toBuffer(value.ciphertext), authTag: toBuffer(value.authTag) } }
+                : { error }
+        )));
+    }
+
+    /**
+     * Decrypts payloads in the workers.
+     *
+     * @param {Array<{ key: Buffer, iv: Buffer, ciphertext: Buffer, authTag: Buffer, aad: Buffer | null, algorithm?: string }>} jobs
+     *        The encrypted parts, as for openPayload.
+     * @returns {Promise<Array<{ value?: Buffer, error?: string }>>} One result per job, in order.
+     */
+    open(jobs) {
+        return this.#run('open', jobs).then(results => results.map(({ value, error }) => (
+            error === undefined ? { value: toBuffer(value) } : { error }
+        )));
+    }
+
+    /**
+     * Terminates the worker threads. Pending operations are rejected.
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (this.#closed) return;
+        this.#fail(new EncryptoError('Worker pool was closed.'));
+        this.#closed = true;
+        await Promise.all(this.#workers.map(worker => worker.terminate()));
+    }
+
+    /**
+     * Starts a worker and adds it to the idle workers. A worker that stops, say because it crashed
+     * or was terminated, fails the batch it was running and is replaced; one that stops before it
+     * even started would stop again, so the pool fails everything and closes instead. (Private helper method)
+     */
+    #spawn() {
+        const worker = new Worker(WORKER_URL);
+        let started = false;
+        let failure;
+        worker.on('online', () => {
+            started = true;
+        });
+        worker.on('message', ({ id, results }) => this.#settle(worker, id, results));
+        worker.on('error', (error) => {
+            failure = error; // Followed by 'exit'
+        });
+        worker.on('exit', (code) => {
+            if (this.#closed) return;
+            const error = failure ?? new EncryptoError(`Worker thread stopped with exit code ${code}.`);
+            if (!started) {
+                this.#fail(error);
+                this.close();
+                return;
+            }
+
+            this.#workers.splice(this.#workers.indexOf(worker), 1);
+            if (this.#idle.includes(worker)) this.#idle.splice(this.#idle.indexOf(worker), 1);
+            for (const [id, pending] of this.#pending) {
+                if (pending.worker !== worker) continue;
+                this.#pending.delete(id);
+                pending.reject(error);
+            }
+            this.#spawn();
+            this.#dispatch();
+        });
+        this.#workers.push(worker);
+        this.#idle.push(worker);
+    }
+
+    /**
+     * Splits jobs into batches, queues them, and gathers their results in order. (Private helper method)
+     *
+     * @param {'seal' | 'open'} operation The operation to run.
+     * @param {object[]} jobs The jobs.
+     * @returns {Promise<object[]>} The raw results.
+     */
+    async #run(operation, jobs) {
+        if (this.#closed) {
+            throw new EncryptoError('Worker pool was closed.');
+        }
+
+        const batches = [];
+        for (let start = 0; start < jobs.length; start += BATCH_SIZE) {
+            const batch = jobs.slice(start, start + BATCH_SIZE);
+            batches.push(new Promise((resolve, reject) => {
+                this.#queue.push({ operation, jobs: batch, resolve, reject });
+            }));
+        }
+        this.#dispatch();
+
+        const results = await Promise.all(batches);
+        return results.flat();
+    }
+
+    /**
+     * Hands queued batches to idle workers. (Private helper method)
+     */
+    #dispatch() {
+        while (this.#idle.length > 0 && this.#queue.length > 0) {
+            const worker = this.#idle.pop();
+            const { operation, jobs, resolve, reject } = this.#queue.shift();
+            const id = this.#nextId++;
+            this.#pending.set(id, { worker, resolve, reject });
+            worker.postMessage({ id, operation, jobs });
+        }
+    }
+
+    /**
+     * Resolves a finished batch and gives its worker the next one. (Private helper method)
+     *
+     * @param {Worker} worker The worker that finished.
+     * @param {number} id The batch id.
+     * @param {object[]} results The batch results.
+     */
+    #settle(worker, id, results) {
+        const pending = this.#pending.get(id);
+        this.#pending.delete(id);
+        this.#idle.push(worker);
+        if (pending) pending.resolve(results);
+        this.#dispatch();
+    }
+
+    /**
+     * Rejects every queued and in-flight batch. (Private helper method)
+     *
+     * @param {Error} error The reason.
+     */
+    #fail(error) {
+        for (const { reject } of this.#pending.values()) reject(error);
+        for (const { reject } of this.#queue) reject(error);
+        this.#pending.clear();
+        this.#queue = [];
+    }
+}
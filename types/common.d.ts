@@ -0,0 +1,100 @@
+// The types shared by EncryptoService (index.d.ts) and WebEncryptoService (web.d.ts).
+// Nothing here depends on Node.js, so web.d.ts can be used without its types.
+
+// --- Values ---
+
+/** Binary data, encrypted as a single value and decrypted as a Buffer (or its original typed array). */
+export type BinaryValue = ArrayBuffer | ArrayBufferView;
+
+/** The values encrypted as a single envelope. Instances of classes with a registered serializer are too. */
+export type LeafValue = string | number | boolean | bigint | null | Date | Map<unknown, unknown> | Set<unknown> | BinaryValue;
+
+/** An encrypted value: 'v2.<keyId>.<nonce>.<ciphertext>.<tag>' or 'v3.<algorithm>.<encoding>.<keyId>.<nonce>.<ciphertext>.<tag>'. */
+export type Envelope = string;
+
+/**
+ * The type of a document once every leaf is encrypted: each leaf becomes an envelope,
+ * objects and arrays keep their shape and undefined stays undefined.
+ */
+export type Encrypted<T> =
+    T extends undefined ? undefined
+        : T extends LeafValue ? Envelope
+            : T extends ReadonlyArray<infer E> ? Array<Encrypted<E>>
+                : T extends object ? { [K in keyof T]: Encrypted<T[K]> }
+                    : Envelope;
+
+/**
+ * The type of a document encrypted with path rules: objects and arrays keep their shape, and
+ * any leaf may be an envelope or left as is.
+ */
+export type PartiallyEncrypted<T> =
+    T extends undefined ? undefined
+        : T extends LeafValue ? T | Envelope
+            : T extends ReadonlyArray<infer E> ? Array<PartiallyEncrypted<E>>
+                : T extends object ? { [K in keyof T]: PartiallyEncrypted<T[K]> }
+                    : T | Envelope;
+
+export type Algorithm = 'aes-256-gcm' | 'chacha20-poly1305' | 'aes-256-gcm-siv';
+export type Encoding = 'base64' | 'base64url' | 'hex';
+
+/** Turns instances of a domain class into a value the service supports, and back. */
+export interface Serializer<T = any> {
+    /** Stored in each payload, so it must stay stable. */
+    name: string;
+    type: abstract new (...args: any[]) => T;
+    serialize(value: T): unknown;
+    deserialize(value: any): T;
+}
+
+// --- Options ---
+
+export interface Limits {
+    /** The deepest nesting allowed: the number of containers around a value. Defaults to 512. */
+    maxDepth?: number;
+    /** The most values (containers included) a document may hold. Defaults to 1,000,000. */
+    maxNodes?: number;
+    /** The longest string value or property name allowed, in characters. */
+    maxStringLength?: number;
+}
+
+/** A JSON-Schema-like map whose `sensitive: true` nodes select whole subtrees. */
+export interface SensitivitySchema {
+    sensitive?: boolean;
+    properties?: Record<string, SensitivitySchema>;
+    items?: SensitivitySchema;
+}
+
+export interface PathRules {
+    /** Patterns of the leaves to process, e.g. ['user.email', 'cards[*].pan']. Omit to process every leaf. */
+    include?: string[];
+    /** Patterns of the leaves to leave untouched, e.g. ['id', '**.createdAt']. Exclusion wins over inclusion. */
+    exclude?: string[];
+    /** Sensitive fields, added to `include`. */
+    schema?: SensitivitySchema;
+}
+
+export interface BindingOptions {
+    /** Binds each value to its JSON path, so a value moved to another field fails decryption. */
+    bindPath?: boolean;
+    /** Binds each value to a context, such as a record or tenant id, so a value moved to another record fails decryption. */
+    context?: string;
+}
+
+// --- Errors ---
+
+export class EncryptoError extends Error {
+    constructor(message: string, details?: { path?: string; cause?: unknown });
+    /** The JSON path of the value that failed, e.g. 'cards[0].pan'. */
+    path?: string;
+}
+export class EncryptoConfigError extends EncryptoError {}
+export class EncryptoAuthError extends EncryptoError {}
+export class EncryptoFormatError extends EncryptoError {}
+export class EncryptoKeyError extends EncryptoError {}
+export class EncryptoLimitError extends EncryptoError {}
+export class EncryptoIntegrityError extends EncryptoAuthError {
+    constructor(message: string, details?: { added?: string[]; removed?: string[]; changed?: string[]; path?: string; cause?: unknown });
+    added: string[];
+    removed: string[];
+    changed: string[];
+}
@@ -0,0 +1,289 @@
+/// <reference types="node" />
+
+import type { IncomingMessage, ServerResponse } from 'http';
+import type { Readable, Transform, Writable } from 'stream';
+import type {
+    Algorithm,
+    BindingOptions,
+    EncryptoError,
+    Encoding,
+    Encrypted,
+    Limits,
+    PartiallyEncrypted,
+    PathRules,
+    Serializer,
+} from './common.js';
+
+export * from './common.js';
+
+export interface KeyringConfig {
+    /** The keys, each 32 bytes given as a Buffer or 64 hex characters, with a unique id (1-64 characters from [A-Za-z0-9_-]). */
+    keys: Array<{ id: string; key: string | Buffer | Uint8Array }>;
+    /** The id of the key used for encryption. Defaults to the only key when the keyring holds a single key. */
+    activeKeyId?: string;
+}
+
+// --- Options ---
+
+export interface ManifestOptions {
+    /** The property holding the integrity manifest. */
+    manifestProperty?: string;
+}
+
+export interface EncryptOptions extends PathRules, BindingOptions, ManifestOptions, Limits {
+    /** Replaces property names with deterministic keyed pseudonyms, 'k1.<keyId>.<pseudonym>'. */
+    encryptKeys?: boolean;
+    /** Patterns of objects or arrays to encrypt whole, hiding their keys and lengths. */
+    collapse?: string[];
+    /** Patterns of the leaves to index for equality lookups. Requires a blindIndexKey. */
+    blindIndex?: string[];
+    /** The suffix naming the blind index properties. Defaults to '_bidx'. */
+    blindIndexSuffix?: string;
+    /** Adds an integrity manifest to the document, optionally recording its version. */
+    manifest?: boolean | { version?: number };
+}
+
+/** The options of encryptJsonObject that leave the shape of the document as is and encrypt every leaf. */
+export type FullEncryptOptions = BindingOptions & Limits & {
+    include?: undefined;
+    exclude?: undefined;
+    schema?: undefined;
+    encryptKeys?: false;
+    collapse?: undefined;
+    blindIndex?: undefined;
+    manifest?: false;
+};
+
+/**
+ * The options of encryptJsonObject that change the shape of the document: collapsed subtrees become
+ * envelopes and pseudonyms replace property names, so the result can't be typed from the input.
+ */
+export type ReshapingEncryptOptions = EncryptOptions & ({ collapse: string[] } | { encryptKeys: true });
+
+export interface RedactionRules {
+    /** Patterns of the values to mask: email addresses as 'j***@d***.com', other strings and numbers as '****1234'. */
+    mask?: string[];
+    /** Patterns of the values to replace with the placeholder. */
+    redact?: string[];
+    /** Patterns of the values to replace with reversible tokens, 't1.<keyId>.<token>'. */
+    tokenize?: string[];
+    /** The number of trailing characters masking leaves visible, at most half of the value. Defaults to 4. */
+    reveal?: number;
+    /** The replacement of redacted values. Defaults to '[REDACTED]'. */
+    placeholder?: string;
+}
+
+export interface DecryptOptions extends PathRules, BindingOptions, ManifestOptions, Limits {
+    /** Rejects every selected leaf that isn't a well-formed envelope, instead of returning it as is. */
+    strict?: boolean;
+    /** Decrypts every value it can and reports the failures, instead of throwing on the first one. */
+    collectErrors?: boolean;
+    /** The patterns used for encryption; their blind index properties are dropped. */
+    blindIndex?: string[];
+    /** Must match the value used for encryption. */
+    blindIndexSuffix?: string;
+    /** Checks the integrity manifest of the document before decrypting it. */
+    manifest?: boolean | { minVersion?: number; maxAge?: number };
+    /** Redaction rules applied to the decrypted result. */
+    redact?: RedactionRules;
+}
+
+export interface ReencryptOptions extends PathRules, BindingOptions, ManifestOptions, Limits {
+    strict?: boolean;
+    blindIndex?: string[];
+    blindIndexSuffix?: string;
+    manifest?: boolean | { version?: number; minVersion?: number; maxAge?: number };
+}
+
+export interface AsyncOptions {
+    /** The number of nodes or values processed between yields to the event loop. Defaults to 1000. */
+    yieldEvery?: number;
+    /** The number of worker threads to start for this call, or a pool to reuse across calls. */
+    workers?: number | CipherWorkerPool;
+}
+
+export type EncryptStreamOptions = Omit<EncryptOptions, 'collapse' | 'blindIndex' | 'blindIndexSuffix' | 'manifest' | 'manifestProperty'>;
+export type DecryptStreamOptions = Omit<DecryptOptions, 'collectErrors' | 'blindIndex' | 'blindIndexSuffix' | 'manifest' | 'manifestProperty' | 'redact'>;
+
+export interface DecryptionFailure {
+    /** The path of the value, e.g. 'cards[0].pan'. */
+    path: string;
+    reason: string;
+    error: EncryptoError;
+}
+
+export interface DecryptionResult<T> {
+    /** The document, failed leaves keeping their encrypted value. */
+    data: T;
+    errors: DecryptionFailure[];
+}
+
+export interface ManifestReport {
+    valid: boolean;
+    keyId: string;
+    version: number | null;
+    /** When the manifest was made, as an ISO string. */
+    timestamp: string;
+    added: string[];
+    removed: string[];
+    changed: string[];
+}
+
+export interface KdfHeader {
+    kdf: 'scrypt' | 'pbkdf2';
+    /** The salt, base64 encoded. */
+    salt: string;
+    params: Record<string, number | string>;
+}
+
+export interface ServiceOptions {
+    /** The key of blind indexes, 32 bytes as a Buffer or 64 hex characters. Must differ from every encryption key. */
+    blindIndexKey?: string | Buffer | Uint8Array;
+    serializers?: Serializer[];
+    algorithm?: Algorithm;
+    encoding?: Encoding;
+}
+
+export interface PassphraseOptions extends ServiceOptions {
+    kdf?: 'scrypt' | 'pbkdf2';
+    /** The salt, as a Buffer or base64 string of at least 16 bytes. Random when omitted. */
+    salt?: string | Buffer;
+    /** `{ N, r, p }` for scrypt, `{ iterations, digest }` for PBKDF2. */
+    params?: Record<string, number | string>;
+}
+
+// --- Keys ---
+
+export const DEFAULT_KEY_ID: 'default';
+
+export class Keyring {
+    constructor(config: KeyringConfig);
+    readonly activeKeyId: string;
+    readonly keyIds: string[];
+    has(id: string): boolean;
+    getKey(id: string): Buffer | undefined;
+}
+
+/** The source of the per-document data keys of envelope encryption, e.g. an adapter for a cloud KMS. */
+export interface KeyProvider {
+    getDataKey(): Promise<{ plaintextKey: Buffer | Uint8Array; wrappedKey: string }>;
+    unwrapDataKey(wrappedKey: string): Promise<Buffer | Uint8Array>;
+}
+
+export class LocalKeyProvider implements KeyProvider {
+    constructor(masterKey: string | Keyring | KeyringConfig);
+    static fromFile(filePath: string): Promise<LocalKeyProvider>;
+    getDataKey(): Promise<{ plaintextKey: Buffer; wrappedKey: string }>;
+    unwrapDataKey(wrappedKey: string): Promise<Buffer>;
+}
+
+export class MockKeyProvider extends LocalKeyProvider {
+    constructor();
+    readonly calls: { getDataKey: number; unwrapDataKey: number };
+}
+
+export class CipherWorkerPool {
+    constructor(size: number);
+    readonly size: number;
+    seal(jobs: Array<{ key: Buffer; payload: Buffer; aad: Buffer | null; algorithm?: Algorithm }>):
+        Promise<Array<{ value?: { nonce: Buffer; ciphertext: Buffer; authTag: Buffer }; error?: string }>>;
+    open(jobs: Array<{ key: Buffer; iv: Buffer; ciphertext: Buffer; authTag: Buffer; aad: Buffer | null; algorithm?: Algorithm }>):
+        Promise<Array<{ value?: Buffer; error?: string }>>;
+    close(): Promise<void>;
+}
+
+// --- Service ---
+
+export class EncryptoService {
+    /**
+     * @param keyHex The key as 64 hex characters, which gets the id 'default', or a keyring.
+     * @param ivHex The legacy IV, only used to decrypt values in the 'data.tag' format.
+     */
+    constructor(keyHex: string | Keyring | KeyringConfig, ivHex?: string | null, options?: ServiceOptions);
+
+    static fromPassphrase(passphrase: string | Buffer, options?: PassphraseOptions): Promise<EncryptoService>;
+    static fromKeyProvider(provider: KeyProvider, options?: ServiceOptions & { wrappedKey?: string }): Promise<EncryptoService>;
+    static encryptWithKeyProvider(provider: KeyProvider, data: unknown, options?: EncryptOptions): Promise<{ wrappedKey: string; data: unknown }>;
+    static decryptWithKeyProvider<T = any>(provider: KeyProvider, document: { wrappedKey: string; data: unknown }, options?: DecryptOptions): Promise<T>;
+
+    readonly activeKeyId: string;
+    readonly algorithm: Algorithm;
+    readonly encoding: Encoding;
+    readonly kdfHeader: KdfHeader | null;
+    readonly wrappedDataKey: string | null;
+
+    /** Computes the blind index, 'bi1.<index>', of a value in a field such as 'users[*].email'. */
+    blindIndex(value: string | number | boolean | null | bigint | Date, field: string | Array<string | number>): string;
+    verifyManifest(data: object, options?: ManifestOptions & Limits): ManifestReport;
+    redactJsonObject<T = any>(data: unknown, rules: RedactionRules, options?: Limits): T;
+    detokenizeJsonObject<T = any>(data: unknown, options?: PathRules & Limits): T;
+
+    encryptJsonObject<T>(data: T, options?: FullEncryptOptions): Encrypted<T>;
+    encryptJsonObject(data: unknown, options: ReshapingEncryptOptions): unknown;
+    encryptJsonObject<T>(data: T, options?: EncryptOptions): PartiallyEncrypted<T>;
+    decryptJsonObject<T = any>(data: unknown, options: DecryptOptions & { collectErrors: true }): DecryptionResult<T>;
+    decryptJsonObject<T = any>(data: unknown, options?: DecryptOptions): T;
+    reencryptJsonObject<T = any>(data: T, options?: ReencryptOptions): T;
+
+    encryptJsonObjectAsync<T>(data: T, options?: FullEncryptOptions & AsyncOptions): Promise<Encrypted<T>>;
+    encryptJsonObjectAsync(data: unknown, options: ReshapingEncryptOptions & AsyncOptions): Promise<unknown>;
+    encryptJsonObjectAsync<T>(data: T, options?: EncryptOptions & AsyncOptions): Promise<PartiallyEncrypted<T>>;
+    decryptJsonObjectAsync<T = any>(data: unknown, options: DecryptOptions & AsyncOptions & { collectErrors: true }): Promise<DecryptionResult<T>>;
+    decryptJsonObjectAsync<T = any>(data: unknown, options?: DecryptOptions & AsyncOptions): Promise<T>;
+
+    createEncryptStream(options?: EncryptStreamOptions): Transform;
+    createDecryptStream(options?: DecryptStreamOptions): Transform;
+    encryptStream(readable: Readable, writable: Writable, options?: EncryptStreamOptions): Promise<void>;
+    decryptStream(readable: Readable, writable: Writable, options?: DecryptStreamOptions): Promise<void>;
+}
+
+// --- Persistence ---
+
+export interface FieldConfig {
+    /** Patterns of the fields to encrypt, e.g. ['email', 'address.street', 'cards[*].pan']. */
+    fields: string[];
+    bindPath?: boolean;
+    /** A context, or a function computing it from the record, e.g. record => `user:${record.id}`. */
+    context?: string | ((record: any) => string);
+    blindIndex?: string[];
+    blindIndexSuffix?: string;
+}
+
+export class FieldEncryptor {
+    constructor(service: EncryptoService, config: FieldConfig);
+    readonly fieldNames: string[];
+    beforeWrite<T extends object | null | undefined>(doc: T, record?: object): T;
+    afterRead<T extends object | null | undefined>(doc: T, record?: object): T;
+}
+
+export function mongoosePlugin(schema: any, options: FieldConfig & { service: EncryptoService }): void;
+
+export function sequelizePlugin(Model: any, options: FieldConfig & { service: EncryptoService }): void;
+
+export function sequelizeHooks(service: EncryptoService, config: FieldConfig): {
+    beforeSave: (instance: any) => void;
+    afterSave: (instance: any) => void;
+    afterFind: (result: any) => void;
+};
+
+// --- HTTP ---
+
+export interface HttpPayloadOptions<Req> {
+    /** The options of decryptJsonObject for request bodies, with `context` optionally computed from the request; false to leave them. */
+    request?: (Omit<DecryptOptions, 'context'> & { context?: string | ((req: Req) => string) }) | false;
+    /** The options of encryptJsonObject for response bodies, with `context` optionally computed from the request; false to leave them. */
+    response?: (Omit<EncryptOptions, 'context'> & { context?: string | ((req: Req) => string) }) | false;
+    /** Rejects requests without the X-Encrypto header, instead of passing them through in plain. */
+    required?: boolean;
+}
+
+export function expressMiddleware(
+    service: EncryptoService,
+    options?: HttpPayloadOptions<IncomingMessage & { body?: unknown }> & { bodyLimit?: number },
+): (req: IncomingMessage & { body?: unknown }, res: ServerResponse, next: (error?: unknown) => void) => void;
+
+export function fastifyPlugin(
+    fastify: any,
+    options: HttpPayloadOptions<any> & { service: EncryptoService },
+    done: (error?: Error) => void,
+): void;
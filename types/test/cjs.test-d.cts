@@ -0,0 +1,9 @@
+// Compiled, never run, by `npm run test:types`: require() resolves the types of the CommonJS build.
+import encrypto = require('open-encrypto-object');
+import web = require('open-encrypto-object/web');
+
+declare function expectType<T>(value: T): void;
+
+const service = new encrypto.EncryptoService('00'.repeat(32));
+expectType<encrypto.Encrypted<{ a: number }>>(service.encryptJsonObject({ a: 1 }));
+expectType<string>(new web.WebEncryptoService('00'.repeat(32)).activeKeyId);
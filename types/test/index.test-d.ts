@@ -0,0 +1,78 @@
+// Compiled, never run, by `npm run test:types`: each statement checks a typing of the package.
+import {
+    CipherWorkerPool,
+    EncryptoAuthError,
+    EncryptoError,
+    EncryptoIntegrityError,
+    EncryptoService,
+    expressMiddleware,
+    FieldEncryptor,
+    Keyring,
+    LocalKeyProvider,
+} from 'open-encrypto-object';
+import type { DecryptionResult, Encrypted, Envelope, ManifestReport, PartiallyEncrypted } from 'open-encrypto-object';
+
+declare function expectType<T>(value: T): void;
+type Equals<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false;
+declare function expectEqual<A, B>(proof: Equals<A, B>): void;
+
+interface User {
+    id: number;
+    email: string;
+    joined: Date;
+    tags: string[];
+    cards: Array<{ pan: string; expires?: Date }>;
+    nickname?: string;
+}
+declare const user: User;
+
+const service = new EncryptoService('00'.repeat(32));
+new EncryptoService({ keys: [{ id: 'k1', key: Buffer.alloc(32) }] }, null, { algorithm: 'chacha20-poly1305', encoding: 'base64url' });
+new EncryptoService(new Keyring({ keys: [{ id: 'k1', key: '00'.repeat(32) }] }));
+// @ts-expect-error Unknown algorithm
+new EncryptoService('00'.repeat(32), null, { algorithm: 'aes-128-cbc' });
+
+// Encrypting every leaf maps each of them to an envelope
+const encrypted = service.encryptJsonObject(user);
+expectEqual<typeof encrypted, Encrypted<User>>(true);
+expectType<Envelope>(encrypted.id);
+expectType<Envelope[]>(encrypted.tags);
+expectType<Envelope>(encrypted.cards[0].pan);
+expectType<Envelope | undefined>(encrypted.cards[0].expires);
+expectType<Envelope | undefined>(encrypted.nickname);
+// @ts-expect-error Encrypted numbers are strings
+expectType<number>(encrypted.id);
+expectType<Envelope>(service.encryptJsonObject(42));
+
+// Path rules leave some leaves as they are
+const partial = service.encryptJsonObject(user, { include: ['email'], bindPath: true });
+expectEqual<typeof partial, PartiallyEncrypted<User>>(true);
+expectType<number | Envelope>(partial.id);
+expectType<unknown>(service.encryptJsonObject(user, { collapse: ['cards'] }));
+// @ts-expect-error Unknown option type
+service.encryptJsonObject(user, { include: 'email' });
+
+// Decryption returns what the caller expects, or the collected failures
+expectType<User>(service.decryptJsonObject<User>(encrypted, { bindPath: true }));
+const collected = service.decryptJsonObject<User>(encrypted, { collectErrors: true });
+expectType<DecryptionResult<User>>(collected);
+expectType<string>(collected.errors[0].path);
+expectType<Promise<User>>(service.decryptJsonObjectAsync<User>(encrypted, { workers: new CipherWorkerPool(2) }));
+expectType<Promise<Encrypted<User>>>(service.encryptJsonObjectAsync(user, { yieldEvery: 100 }));
+service.decryptJsonObject(encrypted, { manifest: { minVersion: 2 }, redact: { mask: ['cards[*].pan'], reveal: 4 } });
+expectType<ManifestReport>(service.verifyManifest(encrypted));
+// @ts-expect-error Streams don't support manifests
+service.createDecryptStream({ manifest: true });
+
+// Key providers, errors and adapters
+expectType<Promise<EncryptoService>>(EncryptoService.fromKeyProvider(new LocalKeyProvider('00'.repeat(32))));
+expectType<Promise<EncryptoService>>(EncryptoService.fromPassphrase('correct horse', { kdf: 'pbkdf2' }));
+expectType<string | null>(service.wrappedDataKey);
+const error: unknown = null;
+if (error instanceof EncryptoIntegrityError) {
+    expectType<EncryptoAuthError>(error);
+    expectType<string[]>(error.changed);
+}
+expectType<string | undefined>(new EncryptoError('x').path);
+expectType<string[]>(new FieldEncryptor(service, { fields: ['email'], context: (record: User) => `user:${record.id}` }).fieldNames);
+expressMiddleware(service, { request: { include: ['card.pan'], context: req => String(req.headers['x-user']) }, bodyLimit: 1024 });
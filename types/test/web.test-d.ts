@@ -0,0 +1,16 @@
+// Compiled, never run, by `npm run test:types`.
+import { EncryptoAuthError, WebEncryptoService } from 'open-encrypto-object/web';
+import type { Encrypted } from 'open-encrypto-object/web';
+
+declare function expectType<T>(value: T): void;
+
+const service = new WebEncryptoService({ keys: [{ id: 'k1', key: new Uint8Array(32) }] }, { encoding: 'base64url' });
+// @ts-expect-error WebCrypto only offers AES-256-GCM
+new WebEncryptoService('00'.repeat(32), { algorithm: 'chacha20-poly1305' });
+
+const payment = { amount: 12, card: { pan: '4111111111111111' } };
+expectType<Promise<Encrypted<typeof payment>>>(service.encryptJsonObject(payment, { bindPath: true }));
+expectType<Promise<typeof payment>>(service.decryptJsonObject<typeof payment>({}, { include: ['card.pan'], strict: true }));
+// @ts-expect-error encryptKeys needs Node.js
+service.encryptJsonObject(payment, { encryptKeys: true });
+expectType<typeof EncryptoAuthError>(EncryptoAuthError);
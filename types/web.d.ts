@@ -0,0 +1,55 @@
+import type { BindingOptions, Encoding, Encrypted, Limits, PartiallyEncrypted, PathRules, Serializer } from './common.js';
+
+export type { BindingOptions, Encoding, Encrypted, Envelope, LeafValue, Limits, PartiallyEncrypted, PathRules, SensitivitySchema, Serializer } from './common.js';
+export {
+    EncryptoAuthError,
+    EncryptoConfigError,
+    EncryptoError,
+    EncryptoFormatError,
+    EncryptoKeyError,
+    EncryptoLimitError,
+} from './common.js';
+
+export interface WebKeyringConfig {
+    /** The keys, each 32 bytes given as a Uint8Array or 64 hex characters, with a unique id. */
+    keys: Array<{ id: string; key: string | Uint8Array }>;
+    activeKeyId?: string;
+}
+
+export interface WebServiceOptions {
+    encoding?: Encoding;
+    /** AES-256-GCM is the only algorithm WebCrypto offers. */
+    algorithm?: 'aes-256-gcm';
+    serializers?: Serializer[];
+    /** The WebCrypto implementation, where it isn't the global `crypto`. */
+    crypto?: Crypto;
+}
+
+export interface WebEncryptOptions extends PathRules, BindingOptions, Limits {
+    collapse?: string[];
+}
+
+/** The options of encryptJsonObject that leave the shape of the document as is and encrypt every leaf. */
+export type WebFullEncryptOptions = BindingOptions & Limits & {
+    include?: undefined;
+    exclude?: undefined;
+    schema?: undefined;
+    collapse?: undefined;
+};
+
+export interface WebDecryptOptions extends PathRules, BindingOptions, Limits {
+    collapse?: string[];
+    strict?: boolean;
+}
+
+/** Encrypts and decrypts the envelopes of EncryptoService with WebCrypto, in browsers and edge runtimes. */
+export class WebEncryptoService {
+    constructor(keyHex: string | WebKeyringConfig, options?: WebServiceOptions);
+    readonly activeKeyId: string;
+    readonly algorithm: 'aes-256-gcm';
+    readonly encoding: Encoding;
+    encryptJsonObject<T>(data: T, options?: WebFullEncryptOptions): Promise<Encrypted<T>>;
+    encryptJsonObject(data: unknown, options: WebEncryptOptions & { collapse: string[] }): Promise<unknown>;
+    encryptJsonObject<T>(data: T, options?: WebEncryptOptions): Promise<PartiallyEncrypted<T>>;
+    decryptJsonObject<T = any>(data: unknown, options?: WebDecryptOptions): Promise<T>;
+}